@@ -0,0 +1,779 @@
+// AI provider registry for RetroVault
+// One interface (chat, completion, streaming) over every model provider, with a configurable provider
+// order and per-feature model choices; callers fall through providers and models until one answers.
+// Hosted providers can be switched off entirely so financial data only goes to a self-hosted model.
+// Every message is redacted before it is sent and every send is written to the user's AI audit log.
+
+import { getCurrentUser } from '../firebaseClient'
+import { createAIAuditEntry } from './unifiedFirestoreService'
+import { DEFAULT_PRIVACY_LEVEL, createRedactor, createStreamRestorer, summarizeRedactions } from '../utils/aiRedaction'
+
+const SETTINGS_STORAGE_KEY = 'retrovault-ai-settings'
+
+/**
+ * Features that call AI models, each with its own generation limits and model choice
+ */
+export const AI_FEATURES = {
+  insights: { label: 'Dashboard Insights', maxTokens: 400, title: 'RetroVault Financial AI' },
+  eliza: { label: 'Eliza', maxTokens: 400, title: 'RetroVault Eliza AI' },
+  story: { label: 'Story Mode', maxTokens: 1000, title: 'RetroVault Financial AI' },
+  forecast: { label: 'Time Machine Forecast', maxTokens: 1000, title: 'RetroVault Financial AI' }
+}
+
+export const DEFAULT_AI_SETTINGS = {
+  providerOrder: ['local', 'gemini', 'openrouter'],
+  // feature -> { provider, model }; features without an entry use the provider order
+  featureModels: {},
+  // Never send data to hosted providers
+  localOnly: false,
+  // OpenAI-compatible server root, e.g. http://localhost:11434/v1 (empty falls back to VITE_LOCAL_LLM_BASE_URL)
+  localBaseUrl: '',
+  // Model ids found on the local server by discoverLocalModels
+  localModels: [],
+  // Key from PRIVACY_LEVELS: how much amount detail prompts keep
+  privacyLevel: DEFAULT_PRIVACY_LEVEL
+}
+
+const providers = new Map()
+
+/**
+ * True when an env key is set to something other than the .env.example placeholder
+ */
+const hasKey = (value, placeholder) => Boolean(value) && value !== placeholder
+
+// Provider fields may be fixed values or functions read at call time (for settings-driven providers)
+const resolve = (value) => typeof value === 'function' ? value() : value
+
+/**
+ * Read a text/event-stream response, calling onData with each parsed `data:` payload
+ */
+const readEventStream = async (response, onData) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const handleLine = (line) => {
+    const trimmed = line.trim()
+    if (!trimmed.startsWith('data:')) return
+    const data = trimmed.slice(5).trim()
+    if (!data || data === '[DONE]') return
+    try {
+      onData(JSON.parse(data))
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', data)
+    }
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(handleLine)
+  }
+  handleLine(buffer)
+}
+
+// ============================================================================
+// PROVIDERS - Google Gemini and OpenAI-compatible APIs
+// ============================================================================
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models'
+
+/**
+ * Parts for one message; assistant tool calls become functionCall parts and tool results functionResponse parts
+ */
+const toGeminiParts = (message) => {
+  if (message.role === 'tool') {
+    let response
+    try {
+      response = JSON.parse(message.content)
+    } catch {
+      response = { result: message.content }
+    }
+    return [{ functionResponse: { name: message.name, response: Array.isArray(response) ? { result: response } : response } }]
+  }
+  return [
+    ...(message.content ? [{ text: message.content }] : []),
+    ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments || {} } }))
+  ]
+}
+
+/**
+ * Gemini takes a system instruction plus alternating user/model turns
+ * Consecutive messages with the same role are merged, so several tool results go back as one turn.
+ */
+const toGeminiBody = (messages, { temperature, maxTokens, tools = [], toolChoice = 'auto' }) => {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n')
+  const contents = messages
+    .filter(message => message.role !== 'system')
+    .reduce((turns, message) => {
+      const role = message.role === 'assistant' ? 'model' : 'user'
+      const parts = toGeminiParts(message)
+      const last = turns[turns.length - 1]
+      if (last && last.role === role) {
+        last.parts.push(...parts)
+      } else {
+        turns.push({ role, parts })
+      }
+      return turns
+    }, [])
+  return {
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    contents,
+    ...(tools.length > 0 ? {
+      tools: [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }],
+      toolConfig: { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } }
+    } : {}),
+    generationConfig: {
+      temperature,
+      maxOutputTokens: maxTokens,
+      topP: 0.8,
+      topK: 10
+    }
+  }
+}
+
+const geminiText = (data) => (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('')
+
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  hosted: true,
+  models: [
+    { id: 'gemini-2.0-flash-exp', name: 'Gemini 2.0 Flash', free: true },
+    { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', free: true },
+    { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', free: false }
+  ],
+  fallbackModels: ['gemini-2.0-flash-exp'],
+  isConfigured: () => hasKey(import.meta.env.VITE_GOOGLE_GEMINI_API_KEY, 'your_google_gemini_api_key_here'),
+
+  chat: async ({ messages, model, temperature, maxTokens, signal }) => {
+    const apiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
+    const response = await fetch(`${GEMINI_API_URL}/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toGeminiBody(messages, { temperature, maxTokens })),
+      signal
+    })
+    if (!response.ok) {
+      throw new Error(`Google Gemini API error: ${response.status}`)
+    }
+
+    const content = geminiText(await response.json())
+    if (!content) throw new Error('No content received from Google Gemini')
+    return content
+  },
+
+  stream: async ({ messages, model, temperature, maxTokens, signal, onToken }) => {
+    const apiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
+    const response = await fetch(`${GEMINI_API_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toGeminiBody(messages, { temperature, maxTokens })),
+      signal
+    })
+    if (!response.ok) {
+      throw new Error(`Google Gemini API error: ${response.status}`)
+    }
+
+    let content = ''
+    await readEventStream(response, (data) => {
+      const token = geminiText(data)
+      if (!token) return
+      content += token
+      onToken(token)
+    })
+    if (!content) throw new Error('No content received from Google Gemini')
+    return content
+  },
+
+  chatWithTools: async ({ messages, tools, toolChoice, model, temperature, maxTokens, signal }) => {
+    const apiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
+    const response = await fetch(`${GEMINI_API_URL}/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toGeminiBody(messages, { temperature, maxTokens, tools, toolChoice })),
+      signal
+    })
+    if (!response.ok) {
+      throw new Error(`Google Gemini API error: ${response.status}`)
+    }
+
+    const data = await response.json()
+    const toolCalls = (data.candidates?.[0]?.content?.parts || [])
+      .filter(part => part.functionCall)
+      .map((part, index) => ({ id: `${part.functionCall.name}-${index}`, name: part.functionCall.name, arguments: part.functionCall.args || {} }))
+    const content = geminiText(data)
+    if (!content && toolCalls.length === 0) throw new Error('No content received from Google Gemini')
+    return { content, toolCalls }
+  }
+}
+
+/**
+ * OpenAI wire format for assistant tool calls and tool results
+ */
+const toOpenAIMessage = (message) => {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content }
+  }
+  if (message.toolCalls?.length > 0) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    }
+  }
+  return { role: message.role, content: message.content }
+}
+
+/**
+ * Build a provider for any API that speaks the OpenAI chat completions format
+ * @param {Object} config - Provider definition
+ * @param {string} config.id - Registry id
+ * @param {string} config.name - Display name
+ * @param {string|Function} config.baseUrl - API root (the part before /chat/completions)
+ * @param {boolean} config.hosted - False for self-hosted servers that keep data on the user's network
+ * @param {Function} config.getApiKey - Returns the API key, or null for keyless servers
+ * @param {Function} config.isConfigured - Whether the provider can be used right now
+ * @param {Array|Function} config.models - [{ id, name, free }]
+ * @param {Array|Function} config.fallbackModels - Model ids tried in order when no model is chosen
+ * @param {Function} config.headers - Extra headers for a request, given the request options
+ * @returns {Object} Provider
+ */
+export const createOpenAICompatibleProvider = ({
+  id,
+  name,
+  baseUrl,
+  hosted = true,
+  getApiKey = () => null,
+  isConfigured = () => true,
+  models = [],
+  fallbackModels = () => resolve(models).map(model => model.id),
+  headers = () => ({})
+}) => {
+  const request = async ({ messages, model, temperature, maxTokens, signal, stream = false, tools = [], toolChoice = 'auto', ...options }) => {
+    const apiKey = getApiKey()
+    const response = await fetch(`${resolve(baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...headers(options)
+      },
+      body: JSON.stringify({
+        model,
+        messages: messages.map(toOpenAIMessage),
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        ...(tools.length > 0 ? {
+          tools: tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } })),
+          tool_choice: toolChoice
+        } : {})
+      }),
+      signal
+    })
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      throw new Error(`${name} model ${model} failed: ${response.status} ${errorText}`.trim())
+    }
+    return response
+  }
+
+  return {
+    id,
+    name,
+    hosted,
+    get models() { return resolve(models) },
+    get fallbackModels() { return resolve(fallbackModels) },
+    isConfigured,
+
+    chat: async (options) => {
+      const data = await (await request(options)).json()
+      const content = data.choices?.[0]?.message?.content
+      if (!content) throw new Error('No content received from AI model')
+      return content
+    },
+
+    stream: async ({ onToken, ...options }) => {
+      const response = await request({ ...options, stream: true })
+      let content = ''
+      await readEventStream(response, (data) => {
+        const token = data.choices?.[0]?.delta?.content
+        if (!token) return
+        content += token
+        onToken(token)
+      })
+      if (!content) throw new Error('No content received from AI model')
+      return content
+    },
+
+    chatWithTools: async (options) => {
+      const data = await (await request(options)).json()
+      const message = data.choices?.[0]?.message || {}
+      const toolCalls = (message.tool_calls || []).map(call => {
+        let args = {}
+        try {
+          args = JSON.parse(call.function?.arguments || '{}')
+        } catch {
+          console.warn('Skipping malformed tool arguments:', call.function?.arguments)
+        }
+        return { id: call.id, name: call.function?.name, arguments: args }
+      })
+      if (!message.content && toolCalls.length === 0) throw new Error('No content received from AI model')
+      return { content: message.content || '', toolCalls }
+    }
+  }
+}
+
+export const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1'
+
+const openRouterProvider = createOpenAICompatibleProvider({
+  id: 'openrouter',
+  name: 'OpenRouter',
+  baseUrl: OPENROUTER_API_URL,
+  getApiKey: () => import.meta.env.VITE_OPENROUTER_API_KEY,
+  isConfigured: () => hasKey(import.meta.env.VITE_OPENROUTER_API_KEY, 'your_openrouter_api_key_here'),
+  models: [
+    { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 8B', free: true },
+    { id: 'microsoft/phi-3-mini-128k-instruct', name: 'Phi-3 Mini', free: true },
+    { id: 'google/gemini-2.5-flash', name: 'Gemini 2.5 Flash', free: true },
+    { id: 'google/gemini-1.5-pro', name: 'Google Gemini 1.5 Pro', free: false },
+    { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', free: false },
+    { id: 'openai/gpt-4o', name: 'GPT-4o', free: false }
+  ],
+  fallbackModels: [
+    'meta-llama/llama-3.1-8b-instruct',
+    'microsoft/phi-3-mini-128k-instruct',
+    'google/gemini-2.5-flash'
+  ],
+  headers: ({ title }) => ({
+    'HTTP-Referer': window.location.origin,
+    'X-Title': title || 'RetroVault Financial AI'
+  })
+})
+
+const getLocalBaseUrl = () => {
+  const baseUrl = getAISettings().localBaseUrl || import.meta.env.VITE_LOCAL_LLM_BASE_URL || ''
+  return baseUrl.trim().replace(/\/+$/, '')
+}
+
+const getLocalApiKey = () => import.meta.env.VITE_LOCAL_LLM_API_KEY || null
+
+// llama.cpp server, Ollama and vLLM all serve the OpenAI chat format; the model list comes from discovery
+const localProvider = createOpenAICompatibleProvider({
+  id: 'local',
+  name: 'Local Server',
+  baseUrl: getLocalBaseUrl,
+  hosted: false,
+  getApiKey: getLocalApiKey,
+  isConfigured: () => Boolean(getLocalBaseUrl()),
+  models: () => getAISettings().localModels.map(id => ({ id, name: id, free: true })),
+  // The first discovered model is the default; users pick others per feature
+  fallbackModels: () => getAISettings().localModels.slice(0, 1)
+})
+
+/**
+ * Ask the local server which models it serves and remember them
+ * @param {string} baseUrl - Server root to check (defaults to the saved one)
+ * @returns {Promise<Array<string>>} Model ids
+ */
+export const discoverLocalModels = async (baseUrl = getLocalBaseUrl()) => {
+  const root = String(baseUrl || '').trim().replace(/\/+$/, '')
+  if (!root) {
+    throw new Error('Local server URL not configured')
+  }
+
+  const apiKey = getLocalApiKey()
+  const response = await fetch(`${root}/models`, {
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+  })
+  if (!response.ok) {
+    throw new Error(`Local server model discovery failed: ${response.status}`)
+  }
+
+  const data = await response.json()
+  // OpenAI format is { data: [{ id }] }; Ollama's native /api/tags shape is { models: [{ name }] }
+  const models = (data.data || data.models || []).map(model => model.id || model.name).filter(Boolean)
+  saveAISettings({ localModels: models })
+  console.log(`✅ Found ${models.length} local model(s)`)
+  return models
+}
+
+// ============================================================================
+// REGISTRY - Providers, settings and the fallback loop
+// ============================================================================
+
+/**
+ * Add a provider (or replace one with the same id)
+ * @param {Object} provider - { id, name, hosted, models, fallbackModels, isConfigured, chat, stream, chatWithTools }
+ *   where stream and chatWithTools are optional
+ */
+export const registerAIProvider = (provider) => {
+  if (!provider?.id || typeof provider.chat !== 'function') {
+    throw new Error('AI providers need an id and a chat function')
+  }
+  providers.set(provider.id, provider)
+}
+
+export const getAIProvider = (providerId) => providers.get(providerId) || null
+
+export const getAIProviders = () => [...providers.values()]
+
+registerAIProvider(localProvider)
+registerAIProvider(geminiProvider)
+registerAIProvider(openRouterProvider)
+
+/**
+ * Whether a provider may be used under the current settings
+ */
+const isProviderAllowed = (provider, settings = getAISettings()) => !(settings.localOnly && provider.hosted !== false)
+
+/**
+ * Provider order, per-feature model choices, local server setup and privacy level, kept in this browser
+ * @returns {Object} { providerOrder, featureModels, localOnly, localBaseUrl, localModels, privacyLevel }
+ */
+export const getAISettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}')
+    return { ...DEFAULT_AI_SETTINGS, ...saved, featureModels: { ...DEFAULT_AI_SETTINGS.featureModels, ...saved.featureModels } }
+  } catch (error) {
+    console.warn('Error loading AI settings:', error)
+    return DEFAULT_AI_SETTINGS
+  }
+}
+
+/**
+ * Save part of the AI settings
+ * @param {Object} updates - Any of { providerOrder, featureModels, localOnly, localBaseUrl, localModels, privacyLevel }
+ * @returns {Object} Saved settings
+ */
+export const saveAISettings = (updates) => {
+  const settings = { ...getAISettings(), ...updates }
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+  return settings
+}
+
+/**
+ * Every model from every registered provider
+ * @returns {Array} [{ id, name, free, provider, providerName, configured, allowed }] where allowed is false
+ *   for hosted providers while local-only mode is on
+ */
+export const getAvailableModels = () => {
+  const settings = getAISettings()
+  return getAIProviders().flatMap(provider => provider.models.map(model => ({
+    ...model,
+    provider: provider.id,
+    providerName: provider.name,
+    configured: provider.isConfigured(),
+    allowed: isProviderAllowed(provider, settings)
+  })))
+}
+
+/**
+ * Providers in the user's order; registered providers missing from the saved order go last
+ */
+const getOrderedProviders = (settings) => {
+  const ordered = settings.providerOrder.map(getAIProvider).filter(Boolean)
+  return [...ordered, ...getAIProviders().filter(provider => !ordered.includes(provider))]
+}
+
+/**
+ * Provider/model pairs to try, in order: the requested or saved model first, then each provider's fallbacks
+ */
+const buildAttemptPlan = (feature, requested) => {
+  const settings = getAISettings()
+  const choice = requested?.model ? requested : settings.featureModels[feature]
+  const ordered = getOrderedProviders(settings)
+  const attempts = []
+
+  if (choice?.model) {
+    const provider = getAIProvider(choice.provider) ||
+      ordered.find(candidate => candidate.models.some(model => model.id === choice.model))
+    if (provider?.isConfigured() && isProviderAllowed(provider, settings)) attempts.push({ provider, model: choice.model })
+  }
+
+  ordered
+    .filter(provider => provider.isConfigured() && isProviderAllowed(provider, settings))
+    .forEach(provider => provider.fallbackModels.forEach(model => {
+      if (!attempts.some(attempt => attempt.provider === provider && attempt.model === model)) {
+        attempts.push({ provider, model })
+      }
+    }))
+
+  return attempts
+}
+
+/**
+ * Record one send in the signed-in user's audit log without holding up the reply
+ */
+const recordAIAudit = (entry) => {
+  const user = getCurrentUser()
+  if (!user) return
+  createAIAuditEntry(user.uid, entry).catch(() => {})
+}
+
+/**
+ * Audit record for one request to one provider
+ */
+const buildAuditEntry = ({ feature, redactor, messages, dataFields, attempt, status }) => ({
+  feature,
+  privacyLevel: redactor.level,
+  dataFields: [...dataFields],
+  redactions: summarizeRedactions(redactor.counts),
+  messageCount: messages.length,
+  characters: messages.reduce((sum, message) => sum + String(message.content || '').length, 0),
+  provider: attempt.provider.id,
+  providerName: attempt.provider.name,
+  hosted: attempt.provider.hosted !== false,
+  model: attempt.model,
+  status
+})
+
+/**
+ * Attempts for a request, after making sure a freshly configured local server has its models listed
+ */
+const planAttempts = async (feature, requested, { needsTools = false } = {}) => {
+  if (localProvider.isConfigured() && localProvider.models.length === 0) {
+    await discoverLocalModels().catch(error => console.warn('Local model discovery failed:', error))
+  }
+
+  const attempts = buildAttemptPlan(feature, requested)
+    .filter(attempt => !needsTools || typeof attempt.provider.chatWithTools === 'function')
+  if (attempts.length === 0) {
+    throw new Error(getAISettings().localOnly ? 'Local-only mode is on and no local model is available' : 'No AI provider is configured')
+  }
+  return attempts
+}
+
+/**
+ * Send a conversation to the first provider and model that answers
+ * Messages are redacted at the user's privacy level first; tokens in the reply are swapped back before it returns.
+ * @param {Array} messages - [{ role: 'system'|'user'|'assistant', content }]
+ * @param {Object} options - Request options
+ * @param {string} options.feature - Key from AI_FEATURES (sets limits and the saved model choice)
+ * @param {string} options.provider - Provider id to try first (with options.model)
+ * @param {string} options.model - Model id to try first
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Overrides the feature's limit
+ * @param {Function} options.onToken - Stream the reply, calling this with each chunk of text
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Array<string>} options.dataFields - Names of the user data fields in the prompt, for the audit log
+ * @returns {Promise<Object>} { content, provider, model }
+ */
+export const runAIChat = async (messages, {
+  feature = 'insights',
+  provider = null,
+  model = null,
+  temperature = 0.7,
+  maxTokens,
+  onToken,
+  signal,
+  dataFields = []
+} = {}) => {
+  const featureConfig = AI_FEATURES[feature] || AI_FEATURES.insights
+  const attempts = await planAttempts(feature, { provider, model })
+
+  const redactor = createRedactor({ level: getAISettings().privacyLevel })
+  const redactedMessages = messages.map(message => ({ ...message, content: redactor.redact(message.content) }))
+
+  let lastError = null
+  for (const attempt of attempts) {
+    let streamed = false
+    const audit = (status) => recordAIAudit(buildAuditEntry({ feature, redactor, messages: redactedMessages, dataFields, attempt, status }))
+    try {
+      console.log(`Trying ${attempt.provider.name} model: ${attempt.model}`)
+      const request = {
+        messages: redactedMessages,
+        model: attempt.model,
+        temperature,
+        maxTokens: maxTokens || featureConfig.maxTokens,
+        title: featureConfig.title,
+        signal
+      }
+      let content
+      if (onToken && attempt.provider.stream) {
+        const restorer = createStreamRestorer(redactor.restore, onToken)
+        content = await attempt.provider.stream({ ...request, onToken: (token) => { streamed = true; restorer.push(token) } })
+        restorer.flush()
+      } else {
+        content = await attempt.provider.chat(request)
+      }
+
+      console.log(`Success with ${attempt.provider.name} model: ${attempt.model}`)
+      audit('sent')
+      return { content: redactor.restore(content).trim(), provider: attempt.provider.id, model: attempt.model }
+    } catch (error) {
+      // The request may have reached the provider even though it failed
+      audit(error.name === 'AbortError' ? 'cancelled' : 'failed')
+      // Cancelled requests and half-streamed replies can't fall through to the next model
+      if (error.name === 'AbortError' || streamed) throw error
+      console.warn(`${attempt.provider.name} model ${attempt.model} failed:`, error)
+      lastError = error
+    }
+  }
+
+  throw lastError || new Error('All AI models failed')
+}
+
+/**
+ * Let the model call local tools before it answers
+ * Each round the model either answers or asks for tool calls; the results go back redacted until it answers.
+ * After maxRounds it has to answer without calling more tools. Whichever provider answers the first round
+ * handles the rest of the conversation, so a half-finished tool exchange never switches models.
+ * @param {Array} messages - [{ role: 'system'|'user'|'assistant', content }]
+ * @param {Object} options - runAIChat options (except onToken) plus the tool options below
+ * @param {Array} options.tools - [{ name, description, parameters }] with parameters a JSON schema object
+ * @param {Function} options.executeTool - (name, args) => result, run in the browser
+ * @param {Function} options.onToolCall - Called with { name, arguments, result } after each tool runs
+ * @param {number} options.maxRounds - Tool rounds allowed before a final answer is required
+ * @returns {Promise<Object>} { content, provider, model, toolCalls: [{ name, arguments, result }] }
+ */
+export const runAIToolChat = async (messages, {
+  feature = 'eliza',
+  provider = null,
+  model = null,
+  temperature = 0.7,
+  maxTokens,
+  signal,
+  dataFields = [],
+  tools = [],
+  executeTool,
+  onToolCall,
+  maxRounds = 4
+} = {}) => {
+  const featureConfig = AI_FEATURES[feature] || AI_FEATURES.insights
+  const attempts = await planAttempts(feature, { provider, model }, { needsTools: true })
+
+  const redactor = createRedactor({ level: getAISettings().privacyLevel })
+  const conversation = messages.map(message => ({ ...message, content: redactor.redact(message.content) }))
+  const sentFields = [...dataFields]
+  const toolCalls = []
+
+  const send = async (attempt, toolChoice) => {
+    const audit = (status) => recordAIAudit(buildAuditEntry({ feature, redactor, messages: conversation, dataFields: sentFields, attempt, status }))
+    try {
+      const response = await attempt.provider.chatWithTools({
+        messages: conversation,
+        tools,
+        toolChoice,
+        model: attempt.model,
+        temperature,
+        maxTokens: maxTokens || featureConfig.maxTokens,
+        title: featureConfig.title,
+        signal
+      })
+      audit('sent')
+      return response
+    } catch (error) {
+      audit(error.name === 'AbortError' ? 'cancelled' : 'failed')
+      throw error
+    }
+  }
+
+  let active = null
+  let response = null
+  let lastError = null
+  for (const attempt of attempts) {
+    try {
+      console.log(`Trying ${attempt.provider.name} model: ${attempt.model} with tools`)
+      response = await send(attempt, 'auto')
+      active = attempt
+      break
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      console.warn(`${attempt.provider.name} model ${attempt.model} failed:`, error)
+      lastError = error
+    }
+  }
+  if (!active) throw lastError || new Error('All AI models failed')
+
+  for (let round = 1; response.toolCalls.length > 0 && round <= maxRounds; round++) {
+    conversation.push({ role: 'assistant', content: response.content || '', toolCalls: response.toolCalls })
+
+    for (const call of response.toolCalls) {
+      // The model only ever saw tokens, so put the user's values back before running the tool
+      const args = JSON.parse(redactor.restore(JSON.stringify(call.arguments || {})))
+      let result
+      try {
+        result = await executeTool(call.name, args)
+      } catch (error) {
+        result = { error: error.message }
+      }
+      toolCalls.push({ name: call.name, arguments: args, result })
+      onToolCall?.({ name: call.name, arguments: args, result })
+
+      const field = `tool ${call.name} results`
+      if (!sentFields.includes(field)) sentFields.push(field)
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(redactor.redactData(result)) })
+    }
+
+    response = await send(active, round < maxRounds ? 'auto' : 'none')
+  }
+
+  console.log(`Success with ${active.provider.name} model: ${active.model} (${toolCalls.length} tool call(s))`)
+  return {
+    content: redactor.restore(response.content || '').trim(),
+    provider: active.provider.id,
+    model: active.model,
+    toolCalls
+  }
+}
+
+/**
+ * Run a single prompt and return the reply text
+ * @param {string} prompt - Prompt sent as one user message
+ * @param {Object} options - runAIChat options
+ * @returns {Promise<string>} Reply text
+ */
+export const runAIPrompt = async (prompt, options = {}) => {
+  const { content } = await runAIChat([{ role: 'user', content: prompt }], options)
+  return content
+}
+
+// ============================================================================
+// SPEECH - Hosted text-to-speech under the same privacy rules as prompts
+// ============================================================================
+
+export const SPEECH_PROVIDER = { id: 'elevenlabs', name: 'ElevenLabs', model: 'eleven_multilingual_v2' }
+
+/**
+ * Whether AI text may be read aloud; the voice service is hosted, so local-only mode turns it off
+ */
+export const isSpeechAllowed = () => {
+  return Boolean(import.meta.env.VITE_ELEVENLABS_API_KEY) && !getAISettings().localOnly
+}
+
+/**
+ * Redact text before it is sent for text-to-speech and record the send in the audit log
+ * Tokens are read out as what they replaced ("account" rather than "[ACCOUNT_1]").
+ * @param {string} text - AI text to speak
+ * @param {Object} options - { feature }
+ * @returns {string} Text to send to the voice service
+ * @throws {Error} When speech isn't allowed
+ */
+export const prepareSpeechText = (text, { feature = 'eliza' } = {}) => {
+  if (!isSpeechAllowed()) {
+    throw new Error('Text-to-speech is off while AI is set to local only')
+  }
+
+  const redactor = createRedactor({ level: getAISettings().privacyLevel })
+  const spoken = redactor.redact(String(text || ''))
+    .replace(/\[([A-Z_]+)_\d+\]/g, (token, kind) => kind.toLowerCase().replace(/_/g, ' '))
+
+  recordAIAudit(buildAuditEntry({
+    feature,
+    redactor,
+    messages: [{ content: spoken }],
+    dataFields: ['AI reply read aloud'],
+    attempt: { provider: { ...SPEECH_PROVIDER, hosted: true }, model: SPEECH_PROVIDER.model },
+    status: 'sent'
+  }))
+  return spoken
+}
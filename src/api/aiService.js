@@ -1,37 +1,66 @@
-// AI Service for generating financial insights using OpenRouter
-export const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions'
+// AI Service for generating financial insights through the AI provider registry
+import { expandSplitTransactions } from '../utils/splitTransactions'
+import { runAIPrompt } from './aiProviders'
+import { PROMPT_TRANSACTION_FIELDS, minimizeTransactions } from '../utils/aiRedaction'
+
+export { getAvailableModels } from './aiProviders'
+
+// User data the insights prompt carries, recorded in the AI audit log
+const INSIGHTS_DATA_FIELDS = [
+  'income total',
+  'expense total',
+  'net balance',
+  'top spending category',
+  'monthly savings',
+  ...PROMPT_TRANSACTION_FIELDS.map(field => `transaction ${field} (5 most recent)`)
+]
 
 /**
  * Generate AI-powered financial insights from user data
  * @param {Array} transactions - Array of transaction objects
  * @param {Array} savings - Array of savings data
- * @param {string} model - AI model to use (default: google/gemini-1.5-pro)
+ * @param {string} model - Model id to try first (default: the model chosen for insights, then the provider order)
  * @returns {Promise<Array<string>>} Array of 2 short insights
  */
 export const getFinancialInsights = async (transactions, savings, model = null) => {
   try {
-    // Try Google Gemini first
-    try {
-      console.log('Attempting Google Gemini first...')
-      const geminiInsights = await getFinancialInsightsWithGemini(transactions, savings)
-      return geminiInsights
-    } catch (geminiError) {
-      console.log('Google Gemini failed, trying OpenRouter free models...')
-    }
-
-    // Fallback to OpenRouter free models
-    const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
+    const content = await runAIPrompt(buildInsightsPrompt(transactions, savings), {
+      feature: 'insights',
+      model,
+      dataFields: INSIGHTS_DATA_FIELDS
+    })
+    return parseAIResponse(content)
+  } catch (error) {
+    console.error('Error generating AI insights:', error)
     
-    if (!apiKey || apiKey === 'your_openrouter_api_key_here') {
-      console.warn('OpenRouter API key not configured. Using fallback insights.')
+    // Return fallback insights on error with additional error handling
+    try {
       return getFallbackInsights(transactions, savings)
+    } catch (fallbackError) {
+      console.error('Fallback insights also failed:', fallbackError)
+      // Ultimate fallback - return safe default insights
+      return [
+        "Your financial data is being analyzed. Please check back later for personalized insights.",
+        "We're working on generating insights from your financial patterns. Thank you for your patience."
+      ]
     }
+  }
+}
 
-    // Calculate key statistics
-    const stats = calculateFinancialStats(transactions, savings)
-    
-    // Construct the prompt
-    const prompt = `Analyze the following user financial data and provide exactly 2 short, human-friendly insights about spending and savings trends. Keep each insight under 50 words and focus on actionable advice.
+/**
+ * Build the two-insight prompt from key statistics and recent activity
+ * Transactions are cut down to PROMPT_TRANSACTION_FIELDS and amounts written with $ so redaction can coarsen them.
+ */
+const buildInsightsPrompt = (transactions, savings) => {
+  const stats = calculateFinancialStats(transactions, savings)
+  const recentTransactions = minimizeTransactions((transactions || []).slice(0, 5))
+    .map(t => `- ${t.date ? new Date(t.date).toLocaleDateString() : 'unknown date'} | ${t.type || 'unknown'} | ${t.category || 'uncategorized'} | ${t.description || ''} | $${Number(t.amount) || 0}`)
+    .join('\n') || 'None'
+  const savingsHistory = (Array.isArray(savings) ? savings : [])
+    .map(s => `- ${[s.month, s.year].filter(Boolean).join(' ')}: $${Number(s.amount) || 0}`)
+    .join('\n') || 'None'
+
+  return `Analyze the following user financial data and provide exactly 2 short, human-friendly insights about spending and savings trends. Keep each insight under 50 words and focus on actionable advice.
 
 Financial Data:
 - Total Income: $${stats.totalIncome}
@@ -41,89 +70,15 @@ Financial Data:
 - Average Monthly Savings: $${stats.avgSavings}
 - Savings Trend: ${stats.savingsTrend}
 
-Recent Transactions: ${JSON.stringify(transactions.slice(0, 5))}
-Savings History: ${JSON.stringify(savings)}
+Recent Transactions:
+${recentTransactions}
+
+Savings History:
+${savingsHistory}
 
 Provide 2 concise insights in this format:
 1. [First insight about spending patterns]
 2. [Second insight about savings or financial health]`
-
-    // Define free models in order of preference
-    const freeModels = [
-      'meta-llama/llama-3.1-8b-instruct',
-      'microsoft/phi-3-mini-128k-instruct',
-      'google/gemini-2.5-flash'
-    ]
-
-    // Use preferred model if provided, otherwise try free models
-    const modelsToTry = model ? [model, ...freeModels] : freeModels
-
-    let lastError = null
-    for (const modelToTry of modelsToTry) {
-      try {
-        console.log(`Trying OpenRouter model: ${modelToTry}`)
-        const response = await fetch(OPENROUTER_API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.origin,
-            'X-Title': 'RetroVault Financial AI'
-          },
-          body: JSON.stringify({
-            model: modelToTry,
-            messages: [
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-          })
-        })
-
-        if (response.ok) {
-          console.log(`Success with OpenRouter model: ${modelToTry}`)
-          const data = await response.json()
-          const content = data.choices?.[0]?.message?.content
-
-          if (!content) {
-            throw new Error('No content received from AI model')
-          }
-
-          // Parse the insights from the response
-          const insights = parseAIResponse(content)
-          return insights
-        } else {
-          const errorText = await response.text()
-          console.warn(`OpenRouter model ${modelToTry} failed:`, response.status, errorText)
-          lastError = new Error(`OpenRouter model ${modelToTry} failed: ${response.status}`)
-          continue
-        }
-      } catch (error) {
-        console.warn(`OpenRouter model ${modelToTry} error:`, error)
-        lastError = error
-        continue
-      }
-    }
-
-    // If all OpenRouter models failed, throw the last error
-    throw lastError || new Error('All OpenRouter models failed')
-
-  } catch (error) {
-    console.error('Error generating AI insights:', error)
-    
-    // Return fallback insights on error with additional error handling
-    try {
-      return getFallbackInsights(transactions, savings)
-    } catch (fallbackError) {
-      console.error('Fallback insights also failed:', fallbackError)
-      // Ultimate fallback - return safe default insights
-      return [
-        "Your financial data is being analyzed. Please check back later for personalized insights.",
-        "We're working on generating insights from your financial patterns. Thank you for your patience."
-      ]
-    }
-  }
 }
 
 /**
@@ -145,9 +100,9 @@ const calculateFinancialStats = (transactions, savings) => {
   
     const netBalance = totalIncome - totalExpenses
     
-    // Calculate top spending category
+    // Calculate top spending category (split transactions count per allocation)
     const categoryTotals = {}
-    tx
+    expandSplitTransactions(tx.filter(Boolean))
       .filter(t => t && typeof t === 'object' && t.type === 'expense')
       .forEach(t => {
         const cat = t.category || 'Other'
@@ -219,117 +174,6 @@ const parseAIResponse = (content) => {
   return sentences.slice(0, 2).map(s => s.trim())
 }
 
-/**
- * Generate insights using Google Gemini as fallback
- */
-const getFinancialInsightsWithGemini = async (transactions, savings) => {
-  const geminiApiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
-  
-  if (!geminiApiKey || geminiApiKey === 'your_google_gemini_api_key_here') {
-    throw new Error('Google Gemini API key not configured')
-  }
-
-  // Calculate key statistics
-  const stats = calculateFinancialStats(transactions, savings)
-  
-  // Construct the prompt
-  const prompt = `Analyze the following user financial data and provide exactly 2 short, human-friendly insights about spending and savings trends. Keep each insight under 50 words and focus on actionable advice.
-
-Financial Data:
-- Total Income: $${stats.totalIncome}
-- Total Expenses: $${stats.totalExpenses}
-- Net Balance: $${stats.netBalance}
-- Top Spending Category: ${stats.topCategory} ($${stats.topCategoryAmount})
-- Average Monthly Savings: $${stats.avgSavings}
-- Savings Trend: ${stats.savingsTrend}
-
-Recent Transactions: ${JSON.stringify(transactions.slice(0, 5))}
-Savings History: ${JSON.stringify(savings)}
-
-Provide 2 concise insights in this format:
-1. [First insight about spending patterns]
-2. [Second insight about savings or financial health]`
-
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${geminiApiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 400,
-        topP: 0.8,
-        topK: 10
-      }
-    })
-  })
-
-  if (!response.ok) {
-    throw new Error(`Google Gemini API error: ${response.status}`)
-  }
-
-  const data = await response.json()
-  const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-  if (!content) {
-    throw new Error('No content received from Google Gemini')
-  }
-
-  // Parse the insights from the response
-  const insights = parseAIResponse(content)
-  return insights
-}
-
-/**
- * Run a prompt through Google Gemini as fallback
- */
-const runPromptWithGemini = async (prompt) => {
-  const geminiApiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
-  
-  if (!geminiApiKey || geminiApiKey === 'your_google_gemini_api_key_here') {
-    throw new Error('Google Gemini API key not configured')
-  }
-
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${geminiApiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 1000,
-        topP: 0.8,
-        topK: 10
-      }
-    })
-  })
-
-  if (!response.ok) {
-    throw new Error(`Google Gemini API error: ${response.status}`)
-  }
-
-  const data = await response.json()
-  const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-  if (!content) {
-    throw new Error('No content received from Google Gemini')
-  }
-
-  return content
-}
-
 /**
  * Generate fallback insights when AI is unavailable
  */
@@ -357,98 +201,3 @@ const getFallbackInsights = (transactions, savings) => {
   
   return insights
 }
-
-/**
- * Get available AI models
- */
-export const getAvailableModels = () => {
-  return [
-    { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 8B', free: true },
-    { id: 'microsoft/phi-3-mini-128k-instruct', name: 'Phi-3 Mini', free: true },
-    { id: 'google/gemini-flash-1.5', name: 'Gemini Flash 1.5', free: true },
-    { id: 'google/gemini-1.5-pro', name: 'Google Gemini 1.5 Pro', free: false },
-    { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', free: false },
-    { id: 'openai/gpt-4o', name: 'GPT-4o', free: false }
-  ]
-}
-
-/**
- * Run a raw prompt through OpenRouter and return the model's content string
- * @param {string} prompt - The prompt to send to the model
- * @param {string} model - The model id to use
- * @returns {Promise<string>} The content returned by the model
- */
-export const runOpenRouterPrompt = async (prompt, preferredModel = null) => {
-  try {
-    // Try Google Gemini first
-    try {
-      console.log('Attempting Google Gemini first...')
-      return await runPromptWithGemini(prompt)
-    } catch (geminiError) {
-      console.log('Google Gemini failed, trying OpenRouter free models...')
-    }
-
-    // Fallback to OpenRouter free models
-    const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
-    if (!apiKey || apiKey === 'your_openrouter_api_key_here') {
-      throw new Error('OpenRouter API key not configured')
-    }
-
-    // Define free models in order of preference
-    const freeModels = [
-      'meta-llama/llama-3.1-8b-instruct',
-      'microsoft/phi-3-mini-128k-instruct',
-      'google/gemini-2.5-flash'
-    ]
-
-    // Use preferred model if provided, otherwise try free models
-    const modelsToTry = preferredModel ? [preferredModel, ...freeModels] : freeModels
-
-    let lastError = null
-    for (const model of modelsToTry) {
-      try {
-        console.log(`Trying OpenRouter model: ${model}`)
-        const response = await fetch(OPENROUTER_API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.origin,
-            'X-Title': 'RetroVault Financial AI'
-          },
-          body: JSON.stringify({
-            model,
-            messages: [
-              { role: 'user', content: prompt }
-            ]
-          })
-        })
-
-        if (response.ok) {
-          console.log(`Success with OpenRouter model: ${model}`)
-          const data = await response.json()
-          const content = data.choices?.[0]?.message?.content
-          if (!content) throw new Error('No content received from AI model')
-          return content
-        } else {
-          const errorText = await response.text()
-          console.warn(`OpenRouter model ${model} failed:`, response.status, errorText)
-          lastError = new Error(`OpenRouter model ${model} failed: ${response.status}`)
-          continue
-        }
-      } catch (error) {
-        console.warn(`OpenRouter model ${model} error:`, error)
-        lastError = error
-        continue
-      }
-    }
-
-    // If all OpenRouter models failed, provide a helpful fallback
-    console.warn('All OpenRouter models failed, using fallback response')
-    return `I apologize, but I'm currently unable to process your request. All AI models are temporarily unavailable. Please try again later or contact support if the issue persists.`
-  } catch (error) {
-    console.error('runOpenRouterPrompt error:', error)
-    // Return a graceful fallback instead of throwing
-    return `I apologize, but I'm currently unable to process your request due to a technical issue. Please try again later.`
-  }
-}
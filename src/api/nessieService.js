@@ -1,5 +1,8 @@
 // Capital One Nessie API Service
 // Updated to use the correct Nessie API endpoint: api.nessieisreal.com
+import { DEFAULT_CATEGORIES, calculateCategoryBreakdown } from '../utils/categories.js'
+import { excludeTransfers } from '../utils/transfers.js'
+
 const NESSIE_API_BASE = 'https://api.nessieisreal.com'
 
 /**
@@ -311,7 +314,7 @@ export const transformNessieTransactions = (nessieTransactions) => {
  * @param {string} description - Transaction description
  * @returns {string} Category name
  */
-const categorizeTransaction = (description) => {
+export const categorizeTransaction = (description) => {
   const desc = description.toLowerCase()
   
   if (desc.includes('grocery') || desc.includes('food') || desc.includes('restaurant') || desc.includes('dining')) {
@@ -351,7 +354,7 @@ export const calculateSavingsFromTransactions = (transactions) => {
   // Group transactions by month
   const monthlyData = {}
   
-  transactions.forEach(transaction => {
+  excludeTransfers(transactions).forEach(transaction => {
     const date = new Date(transaction.date)
     const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
     
@@ -381,50 +384,11 @@ export const calculateSavingsFromTransactions = (transactions) => {
 /**
  * Calculate spending breakdown from transactions
  * @param {Array} transactions - Formatted transaction data
+ * @param {Array} categories - Category list (defaults when omitted)
  * @returns {Array} Spending breakdown for charts
  */
-export const calculateSpendingBreakdown = (transactions) => {
-  const breakdown = {}
-  
-  // Initialize categories
-  const categories = ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Healthcare', 'Education', 'Travel', 'Other']
-  categories.forEach(category => {
-    breakdown[category] = 0
-  })
-  
-  // Sum up expenses by category
-  transactions.forEach(transaction => {
-    if (transaction.type === 'expense' && breakdown.hasOwnProperty(transaction.category)) {
-      breakdown[transaction.category] += transaction.amount
-    }
-  })
-  
-  // Convert to array format for charts
-  return Object.entries(breakdown)
-    .map(([name, value]) => ({
-      name,
-      value,
-      color: getCategoryColor(name)
-    }))
-    .filter(item => item.value > 0)
-}
-
-/**
- * Get color for category
- */
-const getCategoryColor = (category) => {
-  const colors = {
-    'Food': '#FF6B6B',
-    'Transport': '#4ECDC4',
-    'Entertainment': '#45B7D1',
-    'Shopping': '#96CEB4',
-    'Bills': '#FFEAA7',
-    'Healthcare': '#DDA0DD',
-    'Education': '#98D8C8',
-    'Travel': '#F7DC6F',
-    'Other': '#95A5A6'
-  }
-  return colors[category] || '#95A5A6'
+export const calculateSpendingBreakdown = (transactions, categories = DEFAULT_CATEGORIES) => {
+  return calculateCategoryBreakdown(transactions, categories)
 }
 
 /**
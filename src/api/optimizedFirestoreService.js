@@ -2,6 +2,7 @@
 // Streamlined database structure for better performance and form integration
 
 import { db } from '../firebaseClient'
+import { DEFAULT_CATEGORIES } from '../utils/categories'
 import { 
   collection, 
   doc, 
@@ -57,7 +58,7 @@ export const createUserProfile = async (userId, userData) => {
       preferences: {
         currency: 'USD',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        categories: ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Healthcare', 'Education', 'Travel', 'Other']
+        categories: DEFAULT_CATEGORIES.map(category => category.name)
       }
     }
     
@@ -0,0 +1,333 @@
+// Bank Statement Parser for RetroVault
+// Turns OFX/QFX and QIF statement files into RetroVault transactions
+
+import { categorizeTransaction } from './nessieService'
+import {
+  createAccount,
+  batchCreateTransactions,
+  getExistingExternalIds,
+  getUserCategoryRules
+} from './unifiedFirestoreService'
+import { applyCategorizationRules } from '../utils/categorizationRules'
+
+/**
+ * File extensions handled by this parser
+ */
+export const STATEMENT_EXTENSIONS = ['ofx', 'qfx', 'qif']
+
+const OFX_ACCOUNT_TYPES = {
+  CHECKING: 'Checking',
+  SAVINGS: 'Savings',
+  MONEYMRKT: 'Savings',
+  CREDITLINE: 'Credit Card',
+  CD: 'Savings'
+}
+
+/**
+ * Detect statement format from file name and content
+ * @param {string} text - Raw file contents
+ * @param {string} fileName - Original file name
+ * @returns {string|null} 'ofx', 'qif' or null if unsupported
+ */
+export const detectStatementFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase()
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx'
+  if (extension === 'qif') return 'qif'
+
+  if (/<OFX>/i.test(text) || /OFXHEADER/i.test(text)) return 'ofx'
+  if (/^!Type:/im.test(text)) return 'qif'
+  return null
+}
+
+/**
+ * Read a leaf element value from an OFX block (works for SGML and XML OFX)
+ * @param {string} block - OFX aggregate text
+ * @param {string} tag - Element name
+ * @returns {string} Decoded value or ''
+ */
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))
+  if (!match) return ''
+  return match[1]
+    .trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][TZ]) to ISO
+ * @param {string} value - OFX date
+ * @returns {string|null} ISO date string
+ */
+const parseOfxDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/)
+  if (!match) return null
+  const [, year, month, day] = match.map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).toISOString()
+}
+
+/**
+ * Parse an OFX/QFX statement
+ * @param {string} text - Raw OFX contents
+ * @returns {Object} { accounts, transactions }
+ */
+export const parseOFX = (text) => {
+  const accounts = []
+  const transactions = []
+  const statementPattern = /<(CC)?STMTRS>([\s\S]*?)<\/(CC)?STMTRS>/gi
+  let statement
+
+  while ((statement = statementPattern.exec(text)) !== null) {
+    const isCreditCard = Boolean(statement[1])
+    const body = statement[2]
+    const accountId = readOfxTag(body, 'ACCTID')
+    const balance = parseFloat(readOfxTag(body.match(/<LEDGERBAL>[\s\S]*?(<\/LEDGERBAL>|$)/i)?.[0] || '', 'BALAMT'))
+
+    accounts.push({
+      externalAccountId: accountId,
+      bankId: readOfxTag(body, 'BANKID'),
+      name: `${isCreditCard ? 'Credit Card' : 'Account'} ****${accountId.slice(-4)}`,
+      type: isCreditCard ? 'Credit Card' : (OFX_ACCOUNT_TYPES[readOfxTag(body, 'ACCTTYPE').toUpperCase()] || 'Checking'),
+      balance: isNaN(balance) ? 0 : balance,
+      institution: readOfxTag(text, 'ORG') || 'Unknown'
+    })
+
+    const transactionBlocks = body.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || []
+    transactionBlocks.forEach(block => {
+      const amount = parseFloat(readOfxTag(block, 'TRNAMT'))
+      const name = readOfxTag(block, 'NAME') || readOfxTag(block, 'PAYEE')
+      const memo = readOfxTag(block, 'MEMO')
+      const description = name || memo || 'Transaction'
+
+      transactions.push({
+        externalId: readOfxTag(block, 'FITID'),
+        externalAccountId: accountId,
+        date: parseOfxDate(readOfxTag(block, 'DTPOSTED')),
+        amount: isNaN(amount) ? 0 : Math.abs(amount),
+        type: amount < 0 ? 'expense' : 'income',
+        description,
+        merchant: name || 'Unknown',
+        category: categorizeTransaction(`${description} ${memo}`),
+        notes: memo || null
+      })
+    })
+  }
+
+  return { accounts, transactions }
+}
+
+/**
+ * Convert a QIF date (M/D/YY, M/D'YY or M/D/YYYY) to ISO
+ * @param {string} value - QIF date
+ * @returns {string|null} ISO date string
+ */
+const parseQifDate = (value) => {
+  const parts = (value || '').replace(/'/g, '/').replace(/\s/g, '').split(/[/\-.]/).map(Number)
+  if (parts.length < 3 || parts.some(isNaN)) return null
+
+  let [month, day, year] = parts
+  if (year < 100) year += year > 50 ? 1900 : 2000
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Parse a QIF statement
+ * QIF has no transaction IDs, so a stable ID is derived from date, amount,
+ * payee and how many identical entries precede it in the file.
+ * @param {string} text - Raw QIF contents
+ * @returns {Object} { accounts, transactions }
+ */
+export const parseQIF = (text) => {
+  const accounts = []
+  const transactions = []
+  const seen = {}
+  let currentAccount = { externalAccountId: 'qif-default', name: 'QIF Import', type: 'Checking', balance: 0, institution: 'Unknown' }
+  let inAccountHeader = false
+  let record = {}
+
+  const pushAccount = (account) => {
+    if (!accounts.some(existing => existing.externalAccountId === account.externalAccountId)) {
+      accounts.push(account)
+    }
+  }
+
+  const flushRecord = () => {
+    if (record.D === undefined && record.T === undefined) return
+
+    const amount = parseFloat((record.T || record.U || '0').replace(/,/g, ''))
+    const date = parseQifDate(record.D)
+    const payee = record.P || ''
+    const description = payee || record.M || 'Transaction'
+    const key = `${date ? date.split('T')[0] : record.D}:${amount}:${payee}`
+    seen[key] = (seen[key] || 0) + 1
+
+    pushAccount(currentAccount)
+    transactions.push({
+      externalId: `qif:${key}:${seen[key]}`,
+      externalAccountId: currentAccount.externalAccountId,
+      date,
+      amount: isNaN(amount) ? 0 : Math.abs(amount),
+      type: amount < 0 ? 'expense' : 'income',
+      description,
+      merchant: payee || 'Unknown',
+      category: record.L && !record.L.startsWith('[') ? record.L.split(':')[0] : categorizeTransaction(`${description} ${record.M || ''}`),
+      notes: record.M || null
+    })
+  }
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim()
+    if (!line) return
+
+    if (line.startsWith('!')) {
+      inAccountHeader = /^!Account/i.test(line)
+      if (/^!Type:CCard/i.test(line)) currentAccount = { ...currentAccount, type: 'Credit Card' }
+      return
+    }
+
+    if (line === '^') {
+      if (!inAccountHeader) flushRecord()
+      record = {}
+      return
+    }
+
+    const code = line[0]
+    const value = line.slice(1).trim()
+
+    if (inAccountHeader) {
+      if (code === 'N') {
+        currentAccount = { externalAccountId: value, name: value, type: 'Checking', balance: 0, institution: 'Unknown' }
+      } else if (code === 'T' && /ccard/i.test(value)) {
+        currentAccount.type = 'Credit Card'
+      }
+      return
+    }
+
+    record[code] = record[code] === undefined ? value : record[code]
+  })
+  flushRecord()
+
+  return { accounts, transactions }
+}
+
+/**
+ * Parse any supported statement file
+ * @param {string} text - Raw file contents
+ * @param {string} fileName - Original file name
+ * @returns {Object} { format, accounts, transactions }
+ */
+export const parseStatementFile = (text, fileName = '') => {
+  const format = detectStatementFormat(text, fileName)
+  if (!format) {
+    throw new Error('Unsupported statement format. Use OFX, QFX or QIF.')
+  }
+
+  const parsed = format === 'ofx' ? parseOFX(text) : parseQIF(text)
+  return { format, ...parsed }
+}
+
+/**
+ * Find the RetroVault account that matches a statement account
+ * @param {Object} statementAccount - Parsed statement account
+ * @param {Array} accounts - Existing user accounts
+ * @returns {Object|undefined} Matching account
+ */
+const findMatchingAccount = (statementAccount, accounts) => {
+  const last4 = statementAccount.externalAccountId.slice(-4)
+  const hasAccountNumber = /^\d{4}$/.test(last4)
+
+  return accounts.find(account => hasAccountNumber
+    ? account.accountNumber?.endsWith(last4)
+    : account.name === statementAccount.name
+  )
+}
+
+/**
+ * Import a parsed statement: create missing accounts and skip already-imported transactions
+ * @param {string} userId - User ID
+ * @param {Object} statement - Result of parseStatementFile
+ * @param {Array} existingAccounts - User's current accounts
+ * @returns {Promise<Object>} { imported, duplicates, createdAccounts }
+ */
+export const importStatement = async (userId, statement, existingAccounts = []) => {
+  try {
+    const accountIdMap = {}
+    const createdAccounts = []
+
+    for (const statementAccount of statement.accounts) {
+      let account = findMatchingAccount(statementAccount, [...existingAccounts, ...createdAccounts])
+      const last4 = statementAccount.externalAccountId.slice(-4)
+
+      if (!account) {
+        account = await createAccount({
+          userId,
+          name: statementAccount.name,
+          type: statementAccount.type,
+          // The statement's balance as-is, so an overdrawn checking account opens overdrawn
+          balance: statementAccount.balance,
+          institution: statementAccount.institution,
+          accountNumber: /^\d{4}$/.test(last4) ? `****${last4}` : null,
+          syncSource: `${statement.format}-import`
+        })
+        createdAccounts.push(account)
+      }
+
+      accountIdMap[statementAccount.externalAccountId] = account.id
+    }
+
+    const rules = await getUserCategoryRules(userId)
+    const toImport = []
+    let duplicates = 0
+
+    for (const [externalAccountId, accountId] of Object.entries(accountIdMap)) {
+      const accountTransactions = statement.transactions.filter(t =>
+        t.externalAccountId === externalAccountId && t.date && t.amount > 0
+      )
+      const externalIds = [...new Set(accountTransactions.map(t => t.externalId).filter(Boolean))]
+      const existing = externalIds.length > 0
+        ? await getExistingExternalIds(userId, accountId, externalIds)
+        : new Set()
+
+      accountTransactions.forEach(transaction => {
+        if (transaction.externalId && existing.has(transaction.externalId)) {
+          duplicates++
+          return
+        }
+        if (transaction.externalId) existing.add(transaction.externalId)
+
+        toImport.push(applyCategorizationRules({
+          userId,
+          accountId,
+          externalId: transaction.externalId || null,
+          amount: transaction.amount,
+          type: transaction.type,
+          category: transaction.category,
+          description: transaction.description,
+          merchant: transaction.merchant,
+          date: transaction.date,
+          notes: transaction.notes,
+          syncSource: `${statement.format}-import`
+        }, rules))
+      })
+    }
+
+    if (toImport.length > 0) {
+      // Accounts opened from an OFX ledger balance already include the statement's transactions
+      await batchCreateTransactions(toImport, {
+        balanceIncludedAccountIds: statement.format === 'ofx' ? createdAccounts.map(account => account.id) : []
+      })
+    }
+
+    console.log(`✅ Imported ${toImport.length} ${statement.format.toUpperCase()} transactions (${duplicates} duplicates skipped)`)
+    return { imported: toImport.length, duplicates, createdAccounts }
+
+  } catch (error) {
+    console.error('❌ Error importing statement:', error)
+    throw error
+  }
+}
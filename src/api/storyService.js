@@ -1,5 +1,16 @@
 // Story Mode Service for generating financial narratives
-import { getFinancialInsights, OPENROUTER_API_URL } from './aiService'
+import { getFinancialInsights } from './aiService'
+import { runAIPrompt } from './aiProviders'
+import { expandSplitTransactions } from '../utils/splitTransactions'
+
+// User data the story prompt carries, recorded in the AI audit log
+const STORY_DATA_FIELDS = [
+  'current balance',
+  'AI insight',
+  'top spending category',
+  'savings trend',
+  'transaction date, type, category and amount (50 most recent)'
+]
 
 /**
  * Generate a financial story narrative from user data
@@ -41,7 +52,7 @@ export const generateFinancialStory = async (transactions, savings, aiInsight, b
 const analyzeFinancialData = (transactions, savings, balance) => {
   // Calculate top spending category
   const categoryTotals = {}
-  transactions
+  expandSplitTransactions(transactions)
     .filter(t => t.type === 'expense')
     .forEach(t => {
       categoryTotals[t.category] = (categoryTotals[t.category] || 0) + t.amount
@@ -105,71 +116,8 @@ const generateStaticStory = async (storyData, balance, aiInsight, transactions =
 
     const prompt = `Write a short, engaging 100-word story about a person's financial journey. Make it sound like a nostalgic simulation game narrative. Use the following data:\n\nFinancial Data:\n- Current Balance: $${balance.toLocaleString()}\n- Recent Insight: "${aiInsight}"\n- Top Spending Category: ${storyData.topCategory}\n- Savings Trend: ${storyData.savingsTrend}\n- Recent Achievement: ${storyData.recentAchievement}\n\nTransaction History (most recent 50):\n${formattedTransactions}\n\nWrite in second person ("You") and make it sound like a retro computer game story with vivid descriptions and details. Include specific details about their financial habits, achievements, and future potential. Keep it professional and nostalgic, like an old RPG game gameplay. Generate only the story and not text like "loading saved file" or "story:"`
 
-    // Try Google Gemini first
-    try {
-      console.log('Attempting Google Gemini first for story generation...')
-      return await runPromptWithGemini(prompt)
-    } catch (geminiError) {
-      console.log('Google Gemini failed, trying OpenRouter free models...')
-    }
-
-    // Fallback to OpenRouter free models
-    const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
-    if (!apiKey || apiKey === 'your_openrouter_api_key_here') {
-      throw new Error('OpenRouter API key not configured')
-    }
-
-    // Define free models in order of preference (same as aiService.js)
-    const freeModels = [
-      'meta-llama/llama-3.1-8b-instruct',
-      'microsoft/phi-3-mini-128k-instruct',
-      'google/gemini-2.5-flash'
-    ]
-
-    // Use preferred model if provided, otherwise try free models
-    const modelsToTry = preferredModel ? [preferredModel, ...freeModels] : freeModels
-
-    let lastError = null
-    for (const model of modelsToTry) {
-      try {
-        console.log(`Trying OpenRouter model for story generation: ${model}`)
-        const response = await fetch(OPENROUTER_API_URL, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.origin,
-            'X-Title': 'RetroVault Financial AI'
-          },
-          body: JSON.stringify({
-            model,
-            messages: [
-              { role: 'user', content: prompt }
-            ]
-          })
-        })
-
-        if (response.ok) {
-          console.log(`Success with OpenRouter model: ${model}`)
-          const data = await response.json()
-          const content = data.choices?.[0]?.message?.content
-          if (!content) throw new Error('No content received from AI model')
-          return content
-        } else {
-          const errorText = await response.text()
-          console.warn(`OpenRouter model ${model} failed:`, response.status, errorText)
-          lastError = new Error(`OpenRouter model ${model} failed: ${response.status}`)
-          continue
-        }
-      } catch (error) {
-        console.warn(`OpenRouter model ${model} error:`, error)
-        lastError = error
-        continue
-      }
-    }
-
-    // If all OpenRouter models failed, throw the last error
-    throw lastError || new Error('All models failed')
+    // Uses the model chosen for Story Mode, then falls through the provider order
+    return await runAIPrompt(prompt, { feature: 'story', model: preferredModel, dataFields: STORY_DATA_FIELDS })
 
   } catch (error) {
     console.error('generateStaticStory error:', error)
@@ -177,50 +125,6 @@ const generateStaticStory = async (storyData, balance, aiInsight, transactions =
   }
 }
 
-/**
- * Run a prompt through Google Gemini as fallback (same as aiService.js)
- */
-const runPromptWithGemini = async (prompt) => {
-  const geminiApiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
-  
-  if (!geminiApiKey || geminiApiKey === 'your_google_gemini_api_key_here') {
-    throw new Error('Google Gemini API key not configured')
-  }
-
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${geminiApiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 1000,
-        topP: 0.8,
-        topK: 10
-      }
-    })
-  })
-
-  if (!response.ok) {
-    throw new Error(`Google Gemini API error: ${response.status}`)
-  }
-
-  const data = await response.json()
-  const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-  if (!content) {
-    throw new Error('No content received from Google Gemini')
-  }
-
-  return content
-}
-
 /**
  * Generate fallback story
  */
@@ -14,6 +14,12 @@ import {
   calculateSavingsFromTransactions,
   calculateSpendingBreakdown 
 } from './nessieService.js'
+import { applyCategorizationRules } from '../utils/categorizationRules.js'
+import { DEFAULT_CATEGORIES } from '../utils/categories.js'
+import { calculateNetWorth } from '../utils/accounts.js'
+
+// Firestore rejects batches with more than 500 writes
+const BATCH_LIMIT = 500
 
 /**
  * Sync Nessie API data to Firestore for a specific user
@@ -103,7 +109,14 @@ const fetchNessieData = async () => {
     }
     
     const primaryAccount = accounts[0]
-    const rawTransactions = await getTransactions(primaryAccount._id)
+    
+    // Pull every account's history; one failing account should not drop the others
+    const results = await Promise.allSettled(accounts.map(account => getTransactions(account._id)))
+    const rawTransactions = results.flatMap((result, index) => {
+      if (result.status === 'fulfilled') return result.value || []
+      console.warn(`Could not fetch transactions for account ${accounts[index]._id}:`, result.reason?.message)
+      return []
+    })
     const transactions = transformNessieTransactions(rawTransactions)
     
     return {
@@ -122,12 +135,12 @@ const fetchNessieData = async () => {
  */
 const storeNessieData = async (userId, userInfo, nessieData) => {
   try {
-    const { accounts, transactions, primaryAccount } = nessieData
+    const { accounts, transactions } = nessieData
     
     // Calculate derived data
     const savings = calculateSavingsFromTransactions(transactions)
     const spendingBreakdown = calculateSpendingBreakdown(transactions)
-    const balance = primaryAccount.balance || 0
+    const balance = calculateNetWorth(accounts)
     
     // Calculate financial summary
     let totalIncome = 0
@@ -176,10 +189,7 @@ const storeNessieData = async (userId, userInfo, nessieData) => {
       preferences: {
         currency: 'USD',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        categories: [
-          'Food', 'Transport', 'Entertainment', 'Shopping', 
-          'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-        ],
+        categories: DEFAULT_CATEGORIES.map(category => category.name),
         notifications: {
           budgetAlerts: true,
           goalReminders: true,
@@ -199,10 +209,12 @@ const storeNessieData = async (userId, userInfo, nessieData) => {
     // Create user document in unified structure
     await db.collection('users').doc(userId).set(userProfile)
     
-    // Store accounts in flat structure
+    // Store accounts in flat structure, remembering which Firestore doc each Nessie account became
+    const accountIdsByNessieId = {}
     const accountsBatch = db.batch()
     for (const account of accounts) {
       const accountRef = db.collection('accounts').doc()
+      accountIdsByNessieId[account._id] = accountRef.id
       const newAccount = {
         userId: userId,
         nessieId: account._id,
@@ -224,35 +236,42 @@ const storeNessieData = async (userId, userInfo, nessieData) => {
     }
     await accountsBatch.commit()
     
+    // Apply the user's categorization rules on top of the keyword categorizer
+    const rulesSnapshot = await db.collection('categoryRules').where('userId', '==', userId).get()
+    const rules = rulesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    
     // Store transactions in flat structure
-    const transactionsBatch = db.batch()
-    for (const transaction of transactions) {
-      const transactionRef = db.collection('transactions').doc()
-      const newTransaction = {
-        userId: userId,
-        accountId: transaction.accountId || 'default',
-        nessieId: transaction.id,
-        amount: transaction.amount,
-        type: transaction.type,
-        category: transaction.category,
-        subcategory: null,
-        description: transaction.description,
-        merchant: transaction.merchant,
-        date: transaction.date,
-        isRecurring: false,
-        tags: [],
-        metadata: {
-          location: null,
-          paymentMethod: null,
-          notes: null,
-          syncSource: 'nessie'
-        },
-        createdAt: new Date(),
-        lastUpdated: new Date()
+    for (let start = 0; start < transactions.length; start += BATCH_LIMIT) {
+      const transactionsBatch = db.batch()
+      for (const transaction of transactions.slice(start, start + BATCH_LIMIT)) {
+        const transactionRef = db.collection('transactions').doc()
+        const categorized = applyCategorizationRules(transaction, rules)
+        const newTransaction = {
+          userId: userId,
+          accountId: accountIdsByNessieId[transaction.accountId] || transaction.accountId || 'default',
+          nessieId: transaction.id,
+          amount: transaction.amount,
+          type: transaction.type,
+          category: categorized.category,
+          subcategory: null,
+          description: transaction.description,
+          merchant: transaction.merchant,
+          date: transaction.date,
+          isRecurring: false,
+          tags: categorized.tags || [],
+          metadata: {
+            location: null,
+            paymentMethod: null,
+            notes: null,
+            syncSource: 'nessie'
+          },
+          createdAt: new Date(),
+          lastUpdated: new Date()
+        }
+        transactionsBatch.set(transactionRef, newTransaction)
       }
-      transactionsBatch.set(transactionRef, newTransaction)
+      await transactionsBatch.commit()
     }
-    await transactionsBatch.commit()
     
     console.log(`Successfully synced Nessie data for user ${userId}`)
     return {
@@ -277,11 +296,11 @@ const storeNessieData = async (userId, userInfo, nessieData) => {
 const updateExistingUserData = async (userId) => {
   try {
     const nessieData = await fetchNessieData()
-    const { accounts, transactions, primaryAccount } = nessieData
+    const { accounts, transactions } = nessieData
     
-    // Update user balance
+    // Update user balance (net worth across every account)
     await usersCollection().doc(userId).update({
-      balance: primaryAccount.balance || 0,
+      balance: calculateNetWorth(accounts),
       lastSync: admin.firestore.FieldValue.serverTimestamp()
     })
     
@@ -373,10 +392,7 @@ const cloneSampleProfile = async (userId, userInfo, sampleProfile) => {
       preferences: {
         currency: 'USD',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        categories: [
-          'Food', 'Transport', 'Entertainment', 'Shopping', 
-          'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-        ],
+        categories: DEFAULT_CATEGORIES.map(category => category.name),
         notifications: {
           budgetAlerts: true,
           goalReminders: true,
@@ -395,11 +411,13 @@ const cloneSampleProfile = async (userId, userInfo, sampleProfile) => {
     // Create user document in unified structure
     await db.collection('users').doc(userId).set(userProfile)
     
-    // Clone accounts in flat structure
+    // Clone accounts in flat structure, remembering which Firestore doc each sample account became
+    const accountIdsBySampleId = {}
     if (sampleProfile.accounts) {
       const accountsBatch = db.batch()
       for (const account of sampleProfile.accounts) {
         const accountRef = db.collection('accounts').doc()
+        accountIdsBySampleId[account.id] = accountRef.id
         const newAccount = {
           userId: userId,
           nessieId: account.id,
@@ -429,7 +447,7 @@ const cloneSampleProfile = async (userId, userInfo, sampleProfile) => {
         const transactionRef = db.collection('transactions').doc()
         const newTransaction = {
           userId: userId,
-          accountId: transaction.accountId || 'default',
+          accountId: accountIdsBySampleId[transaction.accountId] || transaction.accountId || 'default',
           nessieId: transaction.id,
           amount: transaction.amount,
           type: transaction.type,
@@ -521,10 +539,7 @@ const createUserWithMockData = async (userId, userInfo) => {
       preferences: {
         currency: 'USD',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        categories: [
-          'Food', 'Transport', 'Entertainment', 'Shopping', 
-          'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-        ],
+        categories: DEFAULT_CATEGORIES.map(category => category.name),
         notifications: {
           budgetAlerts: true,
           goalReminders: true,
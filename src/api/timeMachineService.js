@@ -1,5 +1,8 @@
 // Enhanced Time Machine Service with Advanced Financial Projections
-import { getFinancialInsights, runOpenRouterPrompt } from './aiService'
+import { getFinancialInsights } from './aiService'
+import { runAIPrompt, prepareSpeechText } from './aiProviders'
+import { runMonteCarlo, runRetirementMonteCarlo, simulateLifetime } from '../utils/monteCarlo'
+import { HISTORICAL_RETURNS, PORTFOLIO_MIXES } from '../data/historicalReturns'
 
 import { ElevenLabsClient, play } from '@elevenlabs/elevenlabs-js';
 
@@ -14,7 +17,7 @@ export const playStoryAudio = async (story) => {
   
   try {
     const audio = await elevenlabs.textToSpeech.convert("EXAVITQu4vr4xnSDxMaL", {
-      text: story,
+      text: prepareSpeechText(story, { feature: 'forecast' }),
       modelId: "eleven_multilingual_v2",
     });
 
@@ -271,6 +274,7 @@ export const FINANCIAL_SCENARIOS = {
   CONSERVATIVE: {
     name: 'Conservative',
     annualReturn: 0.03,
+    volatility: 0.05,
     inflation: 0.02,
     color: '#4A90E2',
     description: 'Low risk, steady growth'
@@ -278,6 +282,7 @@ export const FINANCIAL_SCENARIOS = {
   MODERATE: {
     name: 'Moderate',
     annualReturn: 0.06,
+    volatility: 0.12,
     inflation: 0.025,
     color: '#7B68EE',
     description: 'Balanced risk and return'
@@ -285,12 +290,16 @@ export const FINANCIAL_SCENARIOS = {
   AGGRESSIVE: {
     name: 'Aggressive',
     annualReturn: 0.09,
+    volatility: 0.18,
     inflation: 0.03,
     color: '#FF6B6B',
     description: 'Higher risk, higher potential return'
   }
 }
 
+// Fixed default seed so Monte Carlo results are reproducible until the user picks another
+export const DEFAULT_MONTE_CARLO_SEED = 20240101
+
 /**
  * Calculate compound interest with proper financial formulas
  * @param {number} principal - Starting balance
@@ -298,9 +307,10 @@ export const FINANCIAL_SCENARIOS = {
  * @param {number} annualRate - Annual interest rate
  * @param {number} years - Number of years to project
  * @param {number} inflation - Annual inflation rate
+ * @param {Object} options - { contributionSchedule, events } from a custom scenario
  * @returns {Object} Comprehensive projection data
  */
-export const calculateAdvancedProjections = (principal, monthlyContribution, annualRate, years = 30, inflation = 0.025) => {
+export const calculateAdvancedProjections = (principal, monthlyContribution, annualRate, years = 30, inflation = 0.025, { contributionSchedule = [], events = [] } = {}) => {
   try {
     // Validate inputs with more comprehensive checks
     if (typeof principal !== 'number' || isNaN(principal) || !isFinite(principal) || principal < 0) {
@@ -331,17 +341,34 @@ export const calculateAdvancedProjections = (principal, monthlyContribution, ann
     const monthlyInflation = inflation / 12
     const totalMonths = years * 12
     
+    // Scenario contribution changes and one-off events keyed by month offset
+    const scheduleSteps = contributionSchedule
+      .map(step => ({ month: getMonthOffset(step.startDate), monthlyContribution: Number(step.monthlyContribution) || 0 }))
+      .filter(step => step.month !== null)
+      .sort((a, b) => a.month - b.month)
+    const eventsByMonth = {}
+    // Past events are already in today's balance; this month's land on the opening balance
+    events.forEach(event => {
+      const month = getMonthOffset(event.date, { clamp: false })
+      if (month === null || month < 0 || month > totalMonths) return
+      eventsByMonth[month] = (eventsByMonth[month] || 0) + (Number(event.amount) || 0)
+    })
+    
     const projections = []
     let balance = principal
     let totalContributions = 0
     let totalInterest = 0
+    let totalEvents = 0
     
     for (let month = 0; month <= totalMonths; month++) {
       const year = Math.floor(month / 12)
       const monthInYear = (month % 12) + 1
       
+      // Contributions follow the scenario's schedule (in today's dollars) once a step starts
+      const baseContribution = scheduleSteps.filter(step => step.month <= month).pop()?.monthlyContribution ?? monthlyContribution
+      
       // Calculate inflation-adjusted contribution
-      const inflationAdjustedContribution = monthlyContribution * Math.pow(1 + monthlyInflation, month)
+      const inflationAdjustedContribution = baseContribution * Math.pow(1 + monthlyInflation, month)
       
       // Add contribution first
       if (month > 0) {
@@ -349,6 +376,11 @@ export const calculateAdvancedProjections = (principal, monthlyContribution, ann
         totalContributions += inflationAdjustedContribution
       }
       
+      // One-off events (down payments, windfalls) land in their month
+      const eventAmount = eventsByMonth[month] || 0
+      balance += eventAmount
+      totalEvents += eventAmount
+      
       // Apply compound interest to the balance (including contributions)
       if (month > 0) {
         const interestEarned = balance * monthlyRate
@@ -370,6 +402,7 @@ export const calculateAdvancedProjections = (principal, monthlyContribution, ann
         interest: month > 0 ? Math.round(balance * monthlyRate) : 0,
         totalContributions: Math.round(totalContributions),
         totalInterest: Math.round(totalInterest),
+        eventAmount: Math.round(eventAmount),
         date: new Date(Date.now() + month * 30 * 24 * 60 * 60 * 1000)
       })
     }
@@ -381,6 +414,7 @@ export const calculateAdvancedProjections = (principal, monthlyContribution, ann
         finalRealValue: Math.round(balance / Math.pow(1 + monthlyInflation, totalMonths)),
         totalContributions: Math.round(totalContributions),
         totalInterest: Math.round(totalInterest),
+        totalEvents: Math.round(totalEvents),
         years
       }
     }
@@ -394,12 +428,50 @@ export const calculateAdvancedProjections = (principal, monthlyContribution, ann
         finalRealValue: principal,
         totalContributions: 0,
         totalInterest: 0,
+        totalEvents: 0,
         years: 0
       }
     }
   }
 }
 
+/**
+ * Months from now until a 'YYYY-MM' date (null if unparseable); earlier months count as 0 unless clamp is off
+ */
+const getMonthOffset = (yearMonth, { clamp = true } = {}) => {
+  const [year, month] = String(yearMonth || '').split('-').map(Number)
+  if (!year || !month) return null
+  const now = new Date()
+  const offset = (year - now.getFullYear()) * 12 + (month - 1 - now.getMonth())
+  return clamp ? Math.max(0, offset) : offset
+}
+
+/**
+ * Look up a scenario by key among the built-in and the user's custom scenarios
+ * @param {string|Object} scenario - Scenario key or scenario object
+ * @param {Object} customScenarios - Custom scenarios keyed by id
+ * @returns {Object} Scenario (Moderate if the key is unknown)
+ */
+export const resolveScenario = (scenario, customScenarios = {}) => {
+  if (scenario && typeof scenario === 'object') return scenario
+  return FINANCIAL_SCENARIOS[scenario] || customScenarios[scenario] || FINANCIAL_SCENARIOS.MODERATE
+}
+
+/**
+ * Project a scenario, including a custom scenario's contribution schedule and one-off events
+ * @param {Object} scenario - Scenario ({ annualReturn, inflation, contributionSchedule, events })
+ * @param {number} principal - Starting balance
+ * @param {number} monthlyContribution - Monthly savings before any scheduled change
+ * @param {number} years - Number of years to project
+ * @returns {Object} Projection data from calculateAdvancedProjections
+ */
+export const projectScenario = (scenario, principal, monthlyContribution, years) => {
+  return calculateAdvancedProjections(principal, monthlyContribution, scenario.annualReturn, years, scenario.inflation, {
+    contributionSchedule: scenario.contributionSchedule || [],
+    events: scenario.events || []
+  })
+}
+
 /**
  * Generate comprehensive milestone predictions
  * @param {number} currentBalance - Current balance
@@ -499,17 +571,72 @@ export const calculateRetirementReadiness = (currentAge, retirementAge, currentB
   }
 }
 
+/**
+ * Model the withdrawal phase after retirement with expected (average) returns
+ * Uses the same monthly compounding as calculateAdvancedProjections, then withdraws each year's
+ * spending (less any Social Security or pension income) until life expectancy.
+ * @param {Object} params - { currentAge, retirementAge, lifeExpectancy, principal, monthlyContribution,
+ *   annualReturn, inflation, strategy, withdrawalRate, incomeStreams }
+ * @returns {Object} { schedule, initialWithdrawal, depletionAge, endingBalance, lastsToLifeExpectancy }
+ */
+export const calculateRetirementDrawdown = (params) => {
+  try {
+    const { currentAge, retirementAge, lifeExpectancy, annualReturn } = params
+    if (!(retirementAge > currentAge) || !(lifeExpectancy > retirementAge)) {
+      throw new Error('Ages must satisfy current age < retirement age < life expectancy')
+    }
+    if (typeof annualReturn !== 'number' || !isFinite(annualReturn)) {
+      throw new Error('Invalid annual return')
+    }
+
+    const monthlyRate = annualReturn / 12
+    const schedule = []
+    const { balance, depletionAge } = simulateLifetime(params, () => monthlyRate, (year) => {
+      schedule.push({
+        age: year.age,
+        balance: Math.round(year.balance),
+        spending: Math.round(year.spending),
+        income: Math.round(year.income),
+        withdrawal: Math.round(year.withdrawal)
+      })
+    })
+
+    const firstRetiredYear = schedule.find(year => year.age > retirementAge)
+    return {
+      schedule,
+      initialWithdrawal: firstRetiredYear?.spending || 0,
+      depletionAge,
+      endingBalance: Math.round(balance),
+      lastsToLifeExpectancy: depletionAge === null
+    }
+  } catch (error) {
+    console.error('Error in calculateRetirementDrawdown:', error)
+    // Return safe fallback data
+    return {
+      schedule: [],
+      initialWithdrawal: 0,
+      depletionAge: null,
+      endingBalance: 0,
+      lastsToLifeExpectancy: false,
+      error: error.message
+    }
+  }
+}
+
+// User data the forecast prompt carries, recorded in the AI audit log
+const FORECAST_DATA_FIELDS = ['current balance', 'savings change', 'projected balance', 'milestone predictions']
+
 /**
  * Generate AI-powered financial forecast
  * @param {Object} projections - Projection data
  * @param {number} currentBalance - Current balance
  * @param {number} savingsIncrease - Percentage increase in savings
- * @param {string} scenario - Financial scenario
+ * @param {string|Object} scenario - Financial scenario key, or a custom scenario
  * @returns {Promise<string>} AI-generated forecast
  */
 export const generateTimeMachineForecast = async (projections, currentBalance, savingsIncrease, scenario = 'MODERATE') => {
   try {
-    const scenarioData = FINANCIAL_SCENARIOS[scenario]
+    const scenarioData = resolveScenario(scenario)
     // Try to include milestone predictions so the AI forecast aligns with analytic milestones
     const monthlySavings = (projections && (projections.newMonthlySavings ?? projections.currentMonthlySavings)) || 0
     const milestones = generateAdvancedMilestones(currentBalance, monthlySavings, scenarioData.annualReturn, scenarioData.inflation)
@@ -540,9 +667,8 @@ Financial Data:
 \n${milestoneText}Write a futuristic forecast (3-4 sentences) that sounds like it's from a time-traveling financial advisor. Include specific amounts, dates, and reference the milestone predictions above so the forecast remains consistent with those analytic milestones. Make it sound exciting and achievable.`
 
     try {
-      // Send our carefully-crafted prompt to OpenRouter and return the model's content
-      // runOpenRouterPrompt will try free models first, then fall back to Google Gemini
-      const content = await runOpenRouterPrompt(prompt)
+      // Send our carefully-crafted prompt through the provider registry and return the model's content
+      const content = await runAIPrompt(prompt, { feature: 'forecast', dataFields: FORECAST_DATA_FIELDS })
       // Prefer returning the model content directly as the forecast
       return content
     } catch (error) {
@@ -560,7 +686,7 @@ Financial Data:
  * Generate static forecast when AI is unavailable
  */
 const generateStaticForecast = (projections, currentBalance, savingsIncrease, scenario) => {
-  const scenarioData = FINANCIAL_SCENARIOS[scenario]
+  const scenarioData = resolveScenario(scenario)
   const futureDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
   const monthYear = futureDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
   
@@ -585,44 +711,358 @@ const generateStaticForecast = (projections, currentBalance, savingsIncrease, sc
   return scenarioForecasts[randomIndex]
 }
 
+/**
+ * Replay a contribution plan through every historical window of the same length
+ * Each window starts in a different year and compounds monthly at that year's actual mix return;
+ * contributions rise with that year's actual inflation. Real values are in starting-year dollars.
+ * @param {number} principal - Starting balance
+ * @param {number} monthlyContribution - Monthly savings before any scheduled change
+ * @param {number} years - Window length in years
+ * @param {Object} options - { mix, contributionSchedule, events } with mix a PORTFOLIO_MIXES key
+ * @returns {Object} { windows, best, worst, median, maxDrawdown, averageAnnualReturn, firstYear, lastYear }
+ *   where each window is { startYear, endYear, finalBalance, realFinalBalance, annualizedReturn, maxDrawdown, path }
+ */
+export const runHistoricalBacktest = (principal, monthlyContribution, years = 10, { mix = 'balanced', contributionSchedule = [], events = [] } = {}) => {
+  try {
+    if (typeof principal !== 'number' || !isFinite(principal)) {
+      throw new Error('Invalid principal amount: must be a finite number')
+    }
+    if (typeof monthlyContribution !== 'number' || !isFinite(monthlyContribution)) {
+      throw new Error('Invalid monthly contribution: must be a finite number')
+    }
+    if (!Number.isInteger(years) || years < 1 || years > HISTORICAL_RETURNS.length) {
+      throw new Error(`Invalid years: must be between 1 and ${HISTORICAL_RETURNS.length}`)
+    }
+    const weights = PORTFOLIO_MIXES[mix]
+    if (!weights) {
+      throw new Error(`Unknown portfolio mix: ${mix}`)
+    }
+
+    const scheduleSteps = contributionSchedule
+      .map(step => ({ month: getMonthOffset(step.startDate), monthlyContribution: Number(step.monthlyContribution) || 0 }))
+      .filter(step => step.month !== null)
+      .sort((a, b) => a.month - b.month)
+    const eventsByMonth = {}
+    events.forEach(event => {
+      const month = getMonthOffset(event.date, { clamp: false })
+      if (month === null || month < 0) return
+      eventsByMonth[month] = (eventsByMonth[month] || 0) + (Number(event.amount) || 0)
+    })
+
+    const windows = []
+    for (let start = 0; start + years <= HISTORICAL_RETURNS.length; start++) {
+      // This month's events apply to the opening balance
+      let balance = principal + (eventsByMonth[0] || 0)
+      let priceLevel = 1
+      let growthIndex = 1
+      let peakIndex = 1
+      let maxDrawdown = 0
+      const path = [{ year: HISTORICAL_RETURNS[start].year, balance: Math.round(balance) }]
+
+      for (let offset = 0; offset < years; offset++) {
+        const history = HISTORICAL_RETURNS[start + offset]
+        const annualReturn = weights.stocks * history.stocks + weights.bonds * history.bonds + weights.cash * history.cash
+        // Geometric monthly rates so twelve months compound to the actual annual figures
+        const monthlyRate = Math.pow(1 + annualReturn, 1 / 12) - 1
+        const monthlyInflation = Math.pow(1 + history.inflation, 1 / 12) - 1
+
+        for (let monthInYear = 0; monthInYear < 12; monthInYear++) {
+          const month = offset * 12 + monthInYear + 1
+          priceLevel *= 1 + monthlyInflation
+          const baseContribution = scheduleSteps.filter(step => step.month <= month).pop()?.monthlyContribution ?? monthlyContribution
+          balance += baseContribution * priceLevel + (eventsByMonth[month] || 0)
+          balance += balance * monthlyRate
+        }
+
+        // Drawdown of the mix itself, so contributions don't hide market losses
+        growthIndex *= 1 + annualReturn
+        peakIndex = Math.max(peakIndex, growthIndex)
+        maxDrawdown = Math.max(maxDrawdown, 1 - growthIndex / peakIndex)
+        path.push({ year: history.year + 1, balance: Math.round(balance) })
+      }
+
+      windows.push({
+        startYear: HISTORICAL_RETURNS[start].year,
+        endYear: HISTORICAL_RETURNS[start + years - 1].year,
+        finalBalance: Math.round(balance),
+        realFinalBalance: Math.round(balance / priceLevel),
+        annualizedReturn: Math.pow(growthIndex, 1 / years) - 1,
+        maxDrawdown,
+        path
+      })
+    }
+
+    const ranked = [...windows].sort((a, b) => a.realFinalBalance - b.realFinalBalance)
+    const worstDrawdown = windows.reduce((worst, window) => window.maxDrawdown > worst.maxDrawdown ? window : worst, windows[0])
+
+    return {
+      mix,
+      years,
+      windows,
+      best: ranked[ranked.length - 1],
+      worst: ranked[0],
+      median: ranked[Math.floor(ranked.length / 2)],
+      maxDrawdown: { value: worstDrawdown.maxDrawdown, startYear: worstDrawdown.startYear },
+      averageAnnualReturn: windows.reduce((sum, window) => sum + window.annualizedReturn, 0) / windows.length,
+      firstYear: HISTORICAL_RETURNS[0].year,
+      lastYear: HISTORICAL_RETURNS[HISTORICAL_RETURNS.length - 1].year
+    }
+  } catch (error) {
+    console.error('Error in runHistoricalBacktest:', error)
+    // Return safe fallback data
+    return {
+      mix,
+      years,
+      windows: [],
+      best: null,
+      worst: null,
+      median: null,
+      maxDrawdown: null,
+      averageAnnualReturn: 0,
+      firstYear: null,
+      lastYear: null,
+      error: error.message
+    }
+  }
+}
+
 /**
  * Calculate Monte Carlo simulation for risk analysis
+ * Seeded, so the same inputs and seed always give the same result.
  * @param {number} principal - Starting balance
  * @param {number} monthlyContribution - Monthly savings
  * @param {number} meanReturn - Mean annual return
  * @param {number} volatility - Annual volatility
  * @param {number} years - Number of years
  * @param {number} simulations - Number of simulations
- * @returns {Object} Monte Carlo results
+ * @param {Object} options - { seed, goalAmount }
+ * @returns {Object} Monte Carlo results with final percentiles, per-year bands and probability of reaching goalAmount
  */
-export const monteCarloSimulation = (principal, monthlyContribution, meanReturn, volatility, years = 30, simulations = 1000) => {
-  const results = []
-  
-  for (let sim = 0; sim < simulations; sim++) {
-    let balance = principal
-    const monthlyReturn = meanReturn / 12
-    const monthlyVolatility = volatility / Math.sqrt(12)
-    
-    for (let month = 0; month < years * 12; month++) {
-      // Generate random return using Box-Muller transform for proper normal distribution
-      const u1 = Math.random()
-      const u2 = Math.random()
-      const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2)
-      const randomReturn = z0 * monthlyVolatility + monthlyReturn
-      balance = balance * (1 + randomReturn) + monthlyContribution
+export const monteCarloSimulation = (principal, monthlyContribution, meanReturn, volatility, years = 30, simulations = 1000, { seed = DEFAULT_MONTE_CARLO_SEED, goalAmount = null } = {}) => {
+  return runMonteCarlo({ principal, monthlyContribution, meanReturn, volatility, years, simulations, seed, goalAmount })
+}
+
+/**
+ * Run a Monte Carlo simulation in a Web Worker
+ * Falls back to the main thread where workers are unavailable.
+ * @param {Object} params - runMonteCarlo inputs ({ principal, monthlyContribution, meanReturn, volatility, years, simulations, seed, goalAmount }),
+ *   or runRetirementMonteCarlo inputs for kind 'retirement'
+ * @param {Object} options - { kind: 'accumulation' | 'retirement', signal } where signal is an AbortSignal that terminates the worker
+ * @returns {Promise<Object>} Monte Carlo results
+ */
+export const runMonteCarloInWorker = (params, { kind = 'accumulation', signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(kind === 'retirement' ? runRetirementMonteCarlo(params) : runMonteCarlo(params))
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' })
+
+    const abort = () => {
+      worker.terminate()
+      reject(new DOMException('Monte Carlo simulation cancelled', 'AbortError'))
     }
-    
-    results.push(balance)
+    if (signal?.aborted) {
+      abort()
+      return
+    }
+    signal?.addEventListener('abort', abort, { once: true })
+
+    worker.onmessage = (event) => {
+      signal?.removeEventListener('abort', abort)
+      worker.terminate()
+      if (event.data.error) {
+        reject(new Error(event.data.error))
+      } else {
+        resolve(event.data.result)
+      }
+    }
+    worker.onerror = (event) => {
+      signal?.removeEventListener('abort', abort)
+      worker.terminate()
+      reject(new Error(event.message || 'Monte Carlo worker failed'))
+    }
+
+    worker.postMessage({ kind, params })
+  })
+}
+
+/**
+ * Debt payoff strategies
+ */
+export const DEBT_STRATEGIES = {
+  avalanche: { label: 'Avalanche', description: 'Highest APR first - least interest' },
+  snowball: { label: 'Snowball', description: 'Smallest balance first - quickest wins' },
+  custom: { label: 'Custom', description: 'Your own payoff order' }
+}
+
+// Stop simulating after 50 years; a plan that runs this long never pays off
+const MAX_DEBT_MONTHS = 600
+
+/**
+ * Order debts for a payoff strategy
+ * @param {Array} debts - Debts ({ id, balance, apr })
+ * @param {string} strategy - 'avalanche', 'snowball' or 'custom'
+ * @param {Array} customOrder - Debt ids in the user's order (custom strategy)
+ * @returns {Array} Debts in the order extra payments go to
+ */
+export const orderDebtsForStrategy = (debts, strategy = 'avalanche', customOrder = []) => {
+  const ordered = [...debts]
+  if (strategy === 'snowball') {
+    return ordered.sort((a, b) => a.balance - b.balance || b.apr - a.apr)
   }
-  
-  results.sort((a, b) => a - b)
-  
-  return {
-    median: results[Math.floor(simulations / 2)],
-    p10: results[Math.floor(simulations * 0.1)],
-    p25: results[Math.floor(simulations * 0.25)],
-    p75: results[Math.floor(simulations * 0.75)],
-    p90: results[Math.floor(simulations * 0.9)],
-    mean: results.reduce((sum, val) => sum + val, 0) / simulations
+  if (strategy === 'custom') {
+    const position = (debt) => {
+      const index = customOrder.indexOf(debt.id)
+      return index === -1 ? customOrder.length : index
+    }
+    return ordered.sort((a, b) => position(a) - position(b))
+  }
+  return ordered.sort((a, b) => b.apr - a.apr || a.balance - b.balance)
+}
+
+/**
+ * Simulate paying off debts month by month
+ * Each month interest compounds on every balance, every debt gets its minimum payment,
+ * and whatever is left of the monthly budget (extra payment plus minimums freed up by
+ * paid-off debts) goes to the first unpaid debt in strategy order.
+ * @param {Array} debts - Debts ({ id, name, balance, apr, minimumPayment }) with apr as a decimal
+ * @param {string} strategy - 'avalanche', 'snowball' or 'custom'
+ * @param {number} extraPayment - Monthly amount on top of the minimums
+ * @param {Array} customOrder - Debt ids in payoff order (custom strategy)
+ * @returns {Object} { strategy, months, payoffDate, totalInterest, totalPaid, isPayable, debts, schedule }
+ */
+export const calculateDebtPayoffPlan = (debts, strategy = 'avalanche', extraPayment = 0, customOrder = []) => {
+  try {
+    if (!Array.isArray(debts) || debts.length === 0) {
+      throw new Error('Add at least one debt')
+    }
+    debts.forEach(debt => {
+      if (typeof debt.balance !== 'number' || !isFinite(debt.balance) || debt.balance < 0) {
+        throw new Error(`Invalid balance for ${debt.name}: must be a finite non-negative number`)
+      }
+      if (typeof debt.apr !== 'number' || !isFinite(debt.apr) || debt.apr < 0 || debt.apr > 1) {
+        throw new Error(`Invalid APR for ${debt.name}: must be between 0% and 100%`)
+      }
+      if (typeof debt.minimumPayment !== 'number' || !isFinite(debt.minimumPayment) || debt.minimumPayment < 0) {
+        throw new Error(`Invalid minimum payment for ${debt.name}`)
+      }
+    })
+    if (typeof extraPayment !== 'number' || !isFinite(extraPayment) || extraPayment < 0) {
+      throw new Error('Invalid extra payment: must be a finite non-negative number')
+    }
+
+    const ordered = orderDebtsForStrategy(debts, strategy, customOrder)
+    const monthlyBudget = debts.reduce((sum, debt) => sum + debt.minimumPayment, 0) + extraPayment
+    const balances = Object.fromEntries(debts.map(debt => [debt.id, debt.balance]))
+    const interestPaid = Object.fromEntries(debts.map(debt => [debt.id, 0]))
+    const payoffMonths = {}
+    const startDate = new Date()
+
+    const monthDate = (month) => new Date(startDate.getFullYear(), startDate.getMonth() + month, 1)
+    const totalBalance = () => Object.values(balances).reduce((sum, balance) => sum + balance, 0)
+    const snapshot = (month) => ({
+      month,
+      label: monthDate(month).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+      totalBalance: Math.round(totalBalance()),
+      ...Object.fromEntries(debts.map(debt => [debt.id, Math.round(balances[debt.id])]))
+    })
+
+    const schedule = [snapshot(0)]
+    let totalInterest = 0
+    let totalPaid = 0
+    let month = 0
+
+    while (totalBalance() > 0.005 && month < MAX_DEBT_MONTHS) {
+      month++
+
+      // Apply compound interest to every open balance
+      ordered.forEach(debt => {
+        if (balances[debt.id] <= 0) return
+        const interest = balances[debt.id] * (debt.apr / 12)
+        balances[debt.id] += interest
+        interestPaid[debt.id] += interest
+        totalInterest += interest
+      })
+
+      // Minimum payments first
+      let available = monthlyBudget
+      ordered.forEach(debt => {
+        const payment = Math.min(debt.minimumPayment, balances[debt.id], available)
+        balances[debt.id] -= payment
+        available -= payment
+        totalPaid += payment
+      })
+
+      // Everything left goes to debts in strategy order
+      ordered.forEach(debt => {
+        if (available <= 0) return
+        const payment = Math.min(balances[debt.id], available)
+        balances[debt.id] -= payment
+        available -= payment
+        totalPaid += payment
+      })
+
+      ordered.forEach(debt => {
+        if (balances[debt.id] <= 0.005 && payoffMonths[debt.id] === undefined) {
+          balances[debt.id] = 0
+          payoffMonths[debt.id] = month
+        }
+      })
+
+      schedule.push(snapshot(month))
+    }
+
+    const isPayable = totalBalance() <= 0.005
+
+    return {
+      strategy,
+      months: isPayable ? month : null,
+      payoffDate: isPayable ? monthDate(month).toISOString() : null,
+      totalInterest: Math.round(totalInterest),
+      totalPaid: Math.round(totalPaid),
+      monthlyBudget,
+      isPayable,
+      debts: ordered.map((debt, index) => ({
+        id: debt.id,
+        name: debt.name,
+        order: index + 1,
+        payoffMonth: payoffMonths[debt.id] ?? null,
+        payoffDate: payoffMonths[debt.id] !== undefined ? monthDate(payoffMonths[debt.id]).toISOString() : null,
+        interestPaid: Math.round(interestPaid[debt.id])
+      })),
+      schedule
+    }
+  } catch (error) {
+    console.error('Error in calculateDebtPayoffPlan:', error)
+    // Return safe fallback data
+    return {
+      strategy,
+      months: null,
+      payoffDate: null,
+      totalInterest: 0,
+      totalPaid: 0,
+      monthlyBudget: 0,
+      isPayable: false,
+      debts: [],
+      schedule: [],
+      error: error.message
+    }
   }
 }
+
+/**
+ * Run every payoff strategy on the same debts for side-by-side comparison
+ * @param {Array} debts - Debts
+ * @param {number} extraPayment - Monthly amount on top of the minimums
+ * @param {Array} customOrder - Debt ids in payoff order (custom strategy)
+ * @returns {Object} Plans keyed by strategy
+ */
+export const compareDebtStrategies = (debts, extraPayment = 0, customOrder = []) => {
+  return Object.fromEntries(
+    Object.keys(DEBT_STRATEGIES).map(strategy => [
+      strategy,
+      calculateDebtPayoffPlan(debts, strategy, extraPayment, customOrder)
+    ])
+  )
+}
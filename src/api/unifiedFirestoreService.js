@@ -2,6 +2,12 @@
 // Comprehensive data management with consistent structure and optimal performance
 
 import { db } from '../firebaseClient'
+import { applyCategorizationRules } from '../utils/categorizationRules'
+import { DEFAULT_CATEGORIES, mergeCategories } from '../utils/categories'
+import { isSplitTransaction, normalizeSplits, validateSplits } from '../utils/splitTransactions'
+import { TRANSFER_CATEGORY, isTransferTransaction } from '../utils/transfers'
+import { getSignedAmount, calculateNetWorth, calculateNetWorthBreakdown } from '../utils/accounts'
+import { toDate } from '../utils/timestampUtils'
 import { 
   collection, 
   doc, 
@@ -15,6 +21,7 @@ import {
   orderBy, 
   limit,
   writeBatch,
+  runTransaction,
   serverTimestamp,
   increment,
   onSnapshot,
@@ -33,6 +40,11 @@ export const collections = {
   budgets: () => collection(db, 'budgets'),
   goals: () => collection(db, 'goals'),
   categories: () => collection(db, 'categories'),
+  categoryRules: () => collection(db, 'categoryRules'),
+  netWorthSnapshots: () => collection(db, 'netWorthSnapshots'),
+  notifications: () => collection(db, 'notifications'),
+  timeMachineScenarios: () => collection(db, 'timeMachineScenarios'),
+  aiAuditLog: () => collection(db, 'aiAuditLog'),
   reports: () => collection(db, 'reports')
 }
 
@@ -79,10 +91,7 @@ export const createUserProfile = async (userId, userData) => {
       preferences: {
         currency: 'USD',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        categories: [
-          'Food', 'Transport', 'Entertainment', 'Shopping', 
-          'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-        ],
+        categories: DEFAULT_CATEGORIES.map(category => category.name),
         notifications: {
           budgetAlerts: true,
           goalReminders: true,
@@ -184,7 +193,10 @@ export const updateFinancialSummary = async (userId) => {
     }, { totalIncome: 0, totalExpenses: 0 })
     
     summary.totalSavings = summary.totalIncome - summary.totalExpenses
-    summary.totalBalance = summary.totalSavings // Simplified for now
+    
+    // Net worth comes from the accounts themselves, not lifetime income minus expenses
+    const accounts = await getUserAccounts(userId, { activeOnly: true })
+    summary.totalBalance = accounts.length > 0 ? calculateNetWorth(accounts) : summary.totalSavings
     
     // Update user document
     const userRef = doc(collections.users(), userId)
@@ -247,6 +259,7 @@ export const createAccount = async (accountData) => {
     
     // Update user's account count
     await updateUserAccountCount(accountData.userId)
+    await recordNetWorthSnapshot(accountData.userId)
     
     console.log(`✅ Created account: ${account.name}`)
     return { id: accountRef.id, ...account }
@@ -296,6 +309,11 @@ export const updateAccountBalance = async (accountId, newBalance) => {
       'metadata.lastSync': serverTimestamp()
     })
     
+    const account = await getDoc(accountRef)
+    if (account.exists()) {
+      await recordNetWorthSnapshot(account.data().userId)
+    }
+    
     console.log(`✅ Updated account balance for ${accountId}`)
   } catch (error) {
     console.error('❌ Error updating account balance:', error)
@@ -303,6 +321,95 @@ export const updateAccountBalance = async (accountId, newBalance) => {
   }
 }
 
+/**
+ * Shift an account balance by a signed amount (skips accounts that no longer exist)
+ */
+export const adjustAccountBalance = async (accountId, delta) => {
+  if (!accountId || !delta) return
+  
+  const accountDoc = await getDoc(doc(collections.accounts(), accountId))
+  if (!accountDoc.exists()) return
+  
+  await updateAccountBalance(accountId, (accountDoc.data().balance || 0) + delta)
+}
+
+// ============================================================================
+// NET WORTH SNAPSHOTS - Daily & Monthly History
+// ============================================================================
+
+const toPeriodKey = (date, period) => {
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+  return period === 'monthly' ? month : `${month}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Record today's net worth (and this month's) from current account balances
+ * One document per user per day and per month; later writes in the same period overwrite it.
+ * Never throws - a missed snapshot should not fail the balance change that triggered it.
+ */
+export const recordNetWorthSnapshot = async (userId) => {
+  try {
+    if (!userId) return null
+    
+    const accounts = await getUserAccounts(userId, { activeOnly: true })
+    const { assets, liabilities, netWorth } = calculateNetWorthBreakdown(accounts)
+    const now = new Date()
+    
+    const snapshot = {
+      userId,
+      assets,
+      liabilities,
+      netWorth,
+      accountBalances: Object.fromEntries(accounts.map(account => [account.id, Number(account.balance) || 0])),
+      recordedAt: serverTimestamp()
+    }
+    
+    const batch = writeBatch(db)
+    ;['daily', 'monthly'].forEach(period => {
+      const periodKey = toPeriodKey(now, period)
+      batch.set(doc(collections.netWorthSnapshots(), `${userId}_${period}_${periodKey}`), {
+        ...snapshot,
+        period,
+        periodKey
+      })
+    })
+    await batch.commit()
+    
+    console.log(`✅ Recorded net worth snapshot for ${userId}: $${netWorth.toFixed(2)}`)
+    return { assets, liabilities, netWorth }
+    
+  } catch (error) {
+    console.error('❌ Error recording net worth snapshot:', error)
+    return null
+  }
+}
+
+/**
+ * Get net worth history, oldest first
+ * @param {Object} options - { period: 'daily' | 'monthly', limitCount }
+ */
+export const getNetWorthHistory = async (userId, options = {}) => {
+  try {
+    const { period = 'daily', limitCount = 90 } = options
+    
+    const q = query(
+      collections.netWorthSnapshots(),
+      where('userId', '==', userId),
+      where('period', '==', period)
+    )
+    
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.periodKey.localeCompare(b.periodKey))
+      .slice(-limitCount)
+    
+  } catch (error) {
+    console.error('❌ Error getting net worth history:', error)
+    return []
+  }
+}
+
 // ============================================================================
 // TRANSACTION MANAGEMENT - Optimized Transaction Structure
 // ============================================================================
@@ -324,6 +431,7 @@ export const createTransaction = async (transactionData) => {
       type: transactionData.type, // 'income', 'expense', 'transfer'
       category: transactionData.category,
       subcategory: transactionData.subcategory || null,
+      splits: isSplitTransaction(transactionData) ? normalizeSplits(transactionData.splits) : null,
       
       // Transaction details
       description: transactionData.description,
@@ -347,6 +455,9 @@ export const createTransaction = async (transactionData) => {
     
     await setDoc(transactionRef, transaction)
     
+    // Keep the account balance in step with manually entered transactions
+    await adjustAccountBalance(transaction.accountId, getSignedAmount(transaction))
+    
     // Update financial summary
     await updateFinancialSummary(transactionData.userId)
     
@@ -438,15 +549,18 @@ export const getUserTransactions = async (userId, options = {}) => {
 export const updateTransaction = async (transactionId, updateData) => {
   try {
     const transactionRef = doc(collections.transactions(), transactionId)
+    const before = await getDoc(transactionRef)
     await updateDoc(transactionRef, {
       ...updateData,
       lastUpdated: serverTimestamp()
     })
     
-    // Update financial summary if amount or type changed
-    if (updateData.amount !== undefined || updateData.type !== undefined) {
+    // Move the balance effect if amount, type or account changed
+    if (updateData.amount !== undefined || updateData.type !== undefined || updateData.accountId !== undefined) {
       const transaction = await getDoc(transactionRef)
-      if (transaction.exists()) {
+      if (before.exists() && transaction.exists()) {
+        await adjustAccountBalance(before.data().accountId, -getSignedAmount(before.data()))
+        await adjustAccountBalance(transaction.data().accountId, getSignedAmount(transaction.data()))
         await updateFinancialSummary(transaction.data().userId)
       }
     }
@@ -466,9 +580,16 @@ export const deleteTransaction = async (transactionId) => {
     const transactionRef = doc(collections.transactions(), transactionId)
     const transaction = await getDoc(transactionRef)
     
+    // Transfer legs are always removed together so balances stay consistent
+    if (transaction.exists() && isTransferTransaction(transaction.data())) {
+      await deleteTransfer(transactionId)
+      return
+    }
+    
     if (transaction.exists()) {
       const userId = transaction.data().userId
       await deleteDoc(transactionRef)
+      await adjustAccountBalance(transaction.data().accountId, -getSignedAmount(transaction.data()))
       
       // Update financial summary
       await updateFinancialSummary(userId)
@@ -482,6 +603,166 @@ export const deleteTransaction = async (transactionId) => {
   }
 }
 
+/**
+ * Build one leg of a transfer pair
+ */
+const buildTransferLeg = (transferData, direction, linkedTransactionId) => {
+  const isOutgoing = direction === 'out'
+  return {
+    userId: transferData.userId,
+    accountId: isOutgoing ? transferData.fromAccountId : transferData.toAccountId,
+    nessieId: null,
+    
+    // Core transaction data
+    amount: transferData.amount,
+    type: 'transfer',
+    category: TRANSFER_CATEGORY,
+    subcategory: null,
+    splits: null,
+    
+    // Transfer linkage
+    transferId: transferData.transferId,
+    transferDirection: direction,
+    linkedTransactionId,
+    counterpartyAccountId: isOutgoing ? transferData.toAccountId : transferData.fromAccountId,
+    
+    // Transaction details
+    description: transferData.description,
+    merchant: null,
+    date: transferData.date,
+    
+    // Metadata
+    isRecurring: false,
+    tags: [],
+    metadata: {
+      location: null,
+      paymentMethod: null,
+      notes: transferData.notes || null,
+      syncSource: 'manual'
+    },
+    
+    // Timestamps
+    createdAt: serverTimestamp(),
+    lastUpdated: serverTimestamp()
+  }
+}
+
+/**
+ * Move money between two of the user's accounts
+ * Writes a linked outgoing/incoming pair and adjusts both account balances.
+ * @returns {Promise<Object>} { transferId, outgoing, incoming }
+ */
+export const createTransfer = async (transferData) => {
+  try {
+    const { userId, fromAccountId, toAccountId, amount } = transferData
+    
+    if (!fromAccountId || !toAccountId || fromAccountId === toAccountId) {
+      throw new Error('A transfer needs two different accounts')
+    }
+    if (!(amount > 0)) {
+      throw new Error('Transfer amount must be greater than 0')
+    }
+    
+    const [fromAccount, toAccount] = await Promise.all([
+      getDoc(doc(collections.accounts(), fromAccountId)),
+      getDoc(doc(collections.accounts(), toAccountId))
+    ])
+    if (!fromAccount.exists() || !toAccount.exists()) {
+      throw new Error('Transfer account not found')
+    }
+    
+    const outgoingRef = doc(collections.transactions())
+    const incomingRef = doc(collections.transactions())
+    const legData = {
+      ...transferData,
+      transferId: outgoingRef.id,
+      description: transferData.description?.trim() || `Transfer to ${toAccount.data().name}`
+    }
+    const outgoing = buildTransferLeg(legData, 'out', incomingRef.id)
+    const incoming = buildTransferLeg(legData, 'in', outgoingRef.id)
+    
+    const batch = writeBatch(db)
+    batch.set(outgoingRef, outgoing)
+    batch.set(incomingRef, incoming)
+    await batch.commit()
+    
+    await updateAccountBalance(fromAccountId, (fromAccount.data().balance || 0) - amount)
+    await updateAccountBalance(toAccountId, (toAccount.data().balance || 0) + amount)
+    await updateUserTransactionCount(userId)
+    
+    console.log(`✅ Created transfer of $${amount} from ${fromAccountId} to ${toAccountId}`)
+    return {
+      transferId: outgoingRef.id,
+      outgoing: { id: outgoingRef.id, ...outgoing },
+      incoming: { id: incomingRef.id, ...incoming }
+    }
+    
+  } catch (error) {
+    console.error('❌ Error creating transfer:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete both legs of a transfer and reverse the balance changes
+ */
+export const deleteTransfer = async (transactionId) => {
+  try {
+    const legDoc = await getDoc(doc(collections.transactions(), transactionId))
+    if (!legDoc.exists()) return
+    
+    const leg = legDoc.data()
+    const linkedRef = leg.linkedTransactionId ? doc(collections.transactions(), leg.linkedTransactionId) : null
+    const linkedDoc = linkedRef ? await getDoc(linkedRef) : null
+    
+    const batch = writeBatch(db)
+    batch.delete(legDoc.ref)
+    if (linkedDoc?.exists()) batch.delete(linkedRef)
+    await batch.commit()
+    
+    // Put the money back: the outgoing account regains it, the incoming account gives it up
+    const legs = [leg, linkedDoc?.exists() ? linkedDoc.data() : null].filter(Boolean)
+    for (const transferLeg of legs) {
+      await adjustAccountBalance(transferLeg.accountId, -getSignedAmount(transferLeg))
+    }
+    
+    await updateUserTransactionCount(leg.userId)
+    
+    console.log(`✅ Deleted transfer ${leg.transferId || transactionId}`)
+  } catch (error) {
+    console.error('❌ Error deleting transfer:', error)
+    throw error
+  }
+}
+
+/**
+ * Find which external IDs (e.g. OFX FITIDs) already exist for an account
+ * @returns {Promise<Set>} Set of external IDs already stored
+ */
+export const getExistingExternalIds = async (userId, accountId, externalIds) => {
+  try {
+    const existing = new Set()
+    const IN_QUERY_LIMIT = 30
+    
+    for (let start = 0; start < externalIds.length; start += IN_QUERY_LIMIT) {
+      const q = query(
+        collections.transactions(),
+        where('userId', '==', userId),
+        where('accountId', '==', accountId),
+        where('externalId', 'in', externalIds.slice(start, start + IN_QUERY_LIMIT))
+      )
+      const querySnapshot = await getDocs(q)
+      querySnapshot.docs.forEach(doc => existing.add(doc.data().externalId))
+    }
+    
+    return existing
+    
+  } catch (error) {
+    console.error('❌ Error checking existing external IDs:', error)
+    throw error
+  }
+}
+
 // ============================================================================
 // BUDGET MANAGEMENT - Category-based Budgeting
 // ============================================================================
@@ -497,7 +778,12 @@ export const createBudget = async (budgetData) => {
       userId: budgetData.userId,
       category: budgetData.category,
       amount: budgetData.amount,
-      period: budgetData.period || 'monthly', // 'weekly', 'monthly', 'yearly'
+      period: budgetData.period || 'monthly', // 'weekly', 'biweekly', 'monthly', 'quarterly', 'annual'
+      anchorDate: budgetData.anchorDate || null, // YYYY-MM-DD start of a bi-weekly period
+      // Envelope settings: per-period assignments keyed by period (YYYY-MM) and balance rollover
+      allocations: budgetData.allocations || {},
+      rollover: budgetData.rollover || false,
+      rolloverStartKey: budgetData.rolloverStartKey || null,
       isActive: true,
       createdAt: serverTimestamp(),
       lastUpdated: serverTimestamp()
@@ -590,6 +876,16 @@ export const createGoal = async (goalData) => {
       targetDate: goalData.targetDate,
       category: goalData.category || 'Savings',
       priority: goalData.priority || 'Medium',
+      // Linked goals track progress from an account or tag, counting from startingAmount at linkedSince
+      linkedAccountId: goalData.linkedAccountId || null,
+      linkedTag: goalData.linkedTag || null,
+      linkedSince: goalData.linkedSince || null,
+      startingAmount: goalData.startingAmount || 0,
+      // Debt payoff goals keep their plan inputs
+      debt: goalData.debt || null,
+      // Scheduled contributions ({ amount, daysOfMonth, startDate }) and what happened to each due date
+      contributionRule: goalData.contributionRule || null,
+      contributionLog: goalData.contributionLog || {},
       isCompleted: false,
       createdAt: serverTimestamp(),
       lastUpdated: serverTimestamp()
@@ -663,149 +959,987 @@ export const deleteGoal = async (goalId) => {
 }
 
 // ============================================================================
-// BATCH OPERATIONS - Performance Optimization
+// CATEGORY MANAGEMENT - Global Defaults + Per-user Custom Categories
 // ============================================================================
 
 /**
- * Batch create transactions
+ * Get the merged category list for a user (global defaults plus their custom categories)
  */
-export const batchCreateTransactions = async (transactions) => {
+export const getCategories = async (userId) => {
   try {
-    const batch = writeBatch(db)
+    const [defaultsSnapshot, customSnapshot] = await Promise.all([
+      getDocs(query(collections.categories(), where('isDefault', '==', true))),
+      userId
+        ? getDocs(query(collections.categories(), where('userId', '==', userId)))
+        : Promise.resolve({ docs: [] })
+    ])
     
-    transactions.forEach(transactionData => {
-      const transactionRef = doc(collections.transactions())
-      const transaction = {
-        ...transactionData,
-        createdAt: serverTimestamp()
-      }
-      batch.set(transactionRef, transaction)
-    })
+    const defaults = defaultsSnapshot.docs.map(doc => ({ id: doc.id, parent: null, ...doc.data() }))
+    const custom = customSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
     
-    await batch.commit()
-    console.log(`✅ Batch created ${transactions.length} transactions`)
+    return mergeCategories(defaults, custom)
     
-    // Update financial summary for the user
-    if (transactions.length > 0) {
-      await updateFinancialSummary(transactions[0].userId)
+  } catch (error) {
+    console.error('❌ Error getting categories:', error)
+    return mergeCategories(DEFAULT_CATEGORIES, [])
+  }
+}
+
+/**
+ * Create a custom category for a user
+ */
+export const createUserCategory = async (categoryData) => {
+  try {
+    const categoryRef = doc(collections.categories())
+    
+    const category = {
+      userId: categoryData.userId,
+      name: categoryData.name,
+      color: categoryData.color || null,
+      icon: categoryData.icon || null,
+      parent: categoryData.parent || null,
+      isDefault: false,
+      createdAt: serverTimestamp(),
+      lastUpdated: serverTimestamp()
     }
     
+    await setDoc(categoryRef, category)
+    console.log(`✅ Created category: ${category.name}`)
+    return { id: categoryRef.id, ...category }
+    
   } catch (error) {
-    console.error('❌ Error batch creating transactions:', error)
+    console.error('❌ Error creating category:', error)
     throw error
   }
 }
 
 /**
- * Batch update financial summary
+ * Update a custom category
  */
-export const batchUpdateFinancialSummary = async (userId, transactions) => {
+export const updateUserCategory = async (categoryId, categoryData) => {
   try {
-    const summary = transactions.reduce((acc, transaction) => {
-      if (transaction.type === 'income' || transaction.type === 'deposit') {
-        acc.totalIncome += Math.abs(Number(transaction.amount) || 0)
-      } else if (transaction.type === 'expense' || transaction.type === 'withdrawal') {
-        acc.totalExpenses += Math.abs(Number(transaction.amount) || 0)
-      }
-      return acc
-    }, { totalIncome: 0, totalExpenses: 0 })
-    
-    summary.totalSavings = summary.totalIncome - summary.totalExpenses
-    summary.totalBalance = summary.totalSavings
+    const categoryRef = doc(collections.categories(), categoryId)
+    await updateDoc(categoryRef, {
+      ...categoryData,
+      lastUpdated: serverTimestamp()
+    })
     
-    const userRef = doc(collections.users(), userId)
-    await updateDoc(userRef, {
-      'financialSummary.totalIncome': summary.totalIncome,
-      'financialSummary.totalExpenses': summary.totalExpenses,
-      'financialSummary.totalSavings': summary.totalSavings,
-      'financialSummary.totalBalance': summary.totalBalance,
-      'financialSummary.lastUpdated': serverTimestamp(),
-      'metadata.lastDataUpdate': serverTimestamp()
+    console.log(`✅ Updated category: ${categoryId}`)
+  } catch (error) {
+    console.error('❌ Error updating category:', error)
+    throw error
+  }
+}
+
+/**
+ * Rename a custom category and everything that refers to it by name:
+ * its subcategories, transactions (including split allocations), categorization rules and budgets
+ * @param {string} userId - User ID
+ * @param {string} categoryId - Category being renamed
+ * @param {string} oldName - Current name
+ * @param {Object} categoryData - New category fields, including the new name
+ * @returns {Object} How many documents of each kind were updated
+ */
+export const renameUserCategory = async (userId, categoryId, oldName, categoryData) => {
+  try {
+    const newName = categoryData.name
+    const [childrenSnapshot, transactionsSnapshot, rulesSnapshot, budgetsSnapshot] = await Promise.all([
+      getDocs(query(collections.categories(), where('userId', '==', userId), where('parent', '==', oldName))),
+      // Split allocations aren't queryable, so transactions are matched here
+      getDocs(query(collections.transactions(), where('userId', '==', userId))),
+      getDocs(query(collections.categoryRules(), where('userId', '==', userId), where('actions.category', '==', oldName))),
+      getDocs(query(collections.budgets(), where('userId', '==', userId), where('category', '==', oldName)))
+    ])
+    
+    const updates = [[doc(collections.categories(), categoryId), categoryData]]
+    childrenSnapshot.docs.forEach(childDoc => updates.push([childDoc.ref, { parent: newName }]))
+    
+    const transactionDocs = transactionsSnapshot.docs.filter(transactionDoc => {
+      const transaction = transactionDoc.data()
+      return transaction.category === oldName || (transaction.splits || []).some(split => split.category === oldName)
+    })
+    transactionDocs.forEach(transactionDoc => {
+      const transaction = transactionDoc.data()
+      updates.push([transactionDoc.ref, {
+        category: transaction.category === oldName ? newName : transaction.category,
+        ...(transaction.splits
+          ? { splits: transaction.splits.map(split => split.category === oldName ? { ...split, category: newName } : split) }
+          : {})
+      }])
     })
     
-    console.log(`✅ Batch updated financial summary for ${userId}`)
+    rulesSnapshot.docs.forEach(ruleDoc => updates.push([ruleDoc.ref, { 'actions.category': newName }]))
+    budgetsSnapshot.docs.forEach(budgetDoc => updates.push([budgetDoc.ref, { category: newName }]))
+    
+    for (let i = 0; i < updates.length; i += 500) {
+      const batch = writeBatch(db)
+      updates.slice(i, i + 500).forEach(([ref, data]) => {
+        batch.update(ref, { ...data, lastUpdated: serverTimestamp() })
+      })
+      await batch.commit()
+    }
+    
+    console.log(`✅ Renamed category ${oldName} to ${newName}`)
+    return {
+      subcategories: childrenSnapshot.size,
+      transactions: transactionDocs.length,
+      rules: rulesSnapshot.size,
+      budgets: budgetsSnapshot.size
+    }
     
   } catch (error) {
-    console.error('❌ Error batch updating financial summary:', error)
+    console.error('❌ Error renaming category:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a custom category
+ */
+export const deleteUserCategory = async (categoryId) => {
+  try {
+    await deleteDoc(doc(collections.categories(), categoryId))
+    console.log(`✅ Deleted category: ${categoryId}`)
+  } catch (error) {
+    console.error('❌ Error deleting category:', error)
     throw error
   }
 }
 
 // ============================================================================
-// DATA INTEGRITY HELPERS
+// CATEGORIZATION RULES - User-defined Auto-categorization
 // ============================================================================
 
 /**
- * Update user account count
+ * Create categorization rule
  */
-const updateUserAccountCount = async (userId) => {
+export const createCategoryRule = async (ruleData) => {
   try {
-    const accounts = await getUserAccounts(userId)
-    const userRef = doc(collections.users(), userId)
-    await updateDoc(userRef, {
-      'metadata.accountsCount': accounts.length,
-      'metadata.lastDataUpdate': serverTimestamp()
-    })
+    const ruleRef = doc(collections.categoryRules())
+    
+    const rule = {
+      userId: ruleData.userId,
+      name: ruleData.name,
+      priority: ruleData.priority ?? 100,
+      isActive: ruleData.isActive ?? true,
+      conditions: {
+        field: ruleData.conditions?.field || 'either',
+        matchType: ruleData.conditions?.matchType || 'contains',
+        pattern: ruleData.conditions?.pattern || '',
+        minAmount: ruleData.conditions?.minAmount ?? null,
+        maxAmount: ruleData.conditions?.maxAmount ?? null,
+        accountId: ruleData.conditions?.accountId || null,
+        type: ruleData.conditions?.type || null
+      },
+      actions: {
+        category: ruleData.actions?.category || null,
+        tags: ruleData.actions?.tags || []
+      },
+      createdAt: serverTimestamp(),
+      lastUpdated: serverTimestamp()
+    }
+    
+    await setDoc(ruleRef, rule)
+    console.log(`✅ Created categorization rule: ${rule.name}`)
+    return { id: ruleRef.id, ...rule }
+    
   } catch (error) {
-    console.error('❌ Error updating account count:', error)
+    console.error('❌ Error creating categorization rule:', error)
+    throw error
   }
 }
 
 /**
- * Update user transaction count
+ * Get user categorization rules in evaluation order
  */
-const updateUserTransactionCount = async (userId) => {
+export const getUserCategoryRules = async (userId) => {
   try {
-    const transactions = await getUserTransactions(userId, { limit: 1000 })
-    const userRef = doc(collections.users(), userId)
-    await updateDoc(userRef, {
-      'metadata.transactionsCount': transactions.length,
-      'metadata.lastDataUpdate': serverTimestamp()
-    })
+    const q = query(
+      collections.categoryRules(),
+      where('userId', '==', userId),
+      orderBy('priority', 'asc')
+    )
+    
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    
   } catch (error) {
-    console.error('❌ Error updating transaction count:', error)
+    console.error('❌ Error getting categorization rules:', error)
+    return []
   }
 }
 
-// ============================================================================
-// REAL-TIME DATA LISTENERS
-// ============================================================================
+/**
+ * Update categorization rule
+ */
+export const updateCategoryRule = async (ruleId, ruleData) => {
+  try {
+    const ruleRef = doc(collections.categoryRules(), ruleId)
+    await updateDoc(ruleRef, {
+      ...ruleData,
+      lastUpdated: serverTimestamp()
+    })
+    
+    console.log(`✅ Updated categorization rule: ${ruleId}`)
+  } catch (error) {
+    console.error('❌ Error updating categorization rule:', error)
+    throw error
+  }
+}
 
 /**
- * Listen to user financial data changes
+ * Delete categorization rule
  */
-export const listenToUserData = (userId, callback) => {
-  const userRef = doc(collections.users(), userId)
-  return onSnapshot(userRef, (doc) => {
-    if (doc.exists()) {
-      callback({ id: doc.id, ...doc.data() })
-    } else {
-      callback(null)
-    }
-  })
+export const deleteCategoryRule = async (ruleId) => {
+  try {
+    await deleteDoc(doc(collections.categoryRules(), ruleId))
+    console.log(`✅ Deleted categorization rule: ${ruleId}`)
+  } catch (error) {
+    console.error('❌ Error deleting categorization rule:', error)
+    throw error
+  }
 }
 
 /**
- * Listen to user transactions
+ * Re-run the user's rules over their whole transaction history
+ * @returns {Promise<number>} Number of transactions that changed
  */
-export const listenToUserTransactions = (userId, callback, options = {}) => {
-  const { limitCount = 50 } = options
-  
-  const q = query(
-    collections.transactions(),
-    where('userId', '==', userId),
-    orderBy('date', 'desc'),
-    limit(limitCount)
-  )
-  
-  return onSnapshot(q, (snapshot) => {
-    const transactions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
-    callback(transactions)
-  })
+export const reapplyCategoryRules = async (userId) => {
+  try {
+    const rules = await getUserCategoryRules(userId)
+    const querySnapshot = await getDocs(query(collections.transactions(), where('userId', '==', userId)))
+    
+    const changes = []
+    querySnapshot.docs.forEach(transactionDoc => {
+      const transaction = transactionDoc.data()
+      if (isTransferTransaction(transaction)) return
+      // Split transactions keep their allocations; rules only add tags to them
+      const categorized = applyCategorizationRules(transaction, rules, { keepCategory: isSplitTransaction(transaction) })
+      const tagsChanged = (categorized.tags || []).length !== (transaction.tags || []).length
+      
+      if (categorized.category !== transaction.category || tagsChanged) {
+        changes.push({
+          ref: transactionDoc.ref,
+          data: {
+            category: categorized.category,
+            tags: categorized.tags,
+            matchedRuleId: categorized.matchedRuleId,
+            lastUpdated: serverTimestamp()
+          }
+        })
+      }
+    })
+    
+    const BATCH_LIMIT = 500
+    for (let start = 0; start < changes.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db)
+      changes.slice(start, start + BATCH_LIMIT).forEach(change => batch.update(change.ref, change.data))
+      await batch.commit()
+    }
+    
+    console.log(`✅ Re-applied rules to ${changes.length} transactions`)
+    return changes.length
+    
+  } catch (error) {
+    console.error('❌ Error re-applying categorization rules:', error)
+    throw error
+  }
 }
 
 // ============================================================================
-// DATA VALIDATION HELPERS
+// IMPORT PRESETS - Saved CSV Column Mappings per Bank
+// ============================================================================
+
+/**
+ * Get saved import presets for a user, keyed by bank name
+ */
+export const getImportPresets = async (userId) => {
+  try {
+    const presetsRef = doc(db, 'users', userId, 'settings', 'importPresets')
+    const presetsDoc = await getDoc(presetsRef)
+    
+    return presetsDoc.exists() ? (presetsDoc.data().presets || {}) : {}
+    
+  } catch (error) {
+    console.error('❌ Error getting import presets:', error)
+    return {}
+  }
+}
+
+/**
+ * Save (or overwrite) the import preset for a bank
+ */
+export const saveImportPreset = async (userId, bankName, preset) => {
+  try {
+    const presetsRef = doc(db, 'users', userId, 'settings', 'importPresets')
+    
+    await setDoc(presetsRef, {
+      presets: {
+        [bankName]: {
+          mapping: preset.mapping,
+          dateFormat: preset.dateFormat || 'YYYY-MM-DD',
+          updatedAt: new Date().toISOString()
+        }
+      },
+      lastUpdated: serverTimestamp()
+    }, { merge: true })
+    
+    console.log(`✅ Saved import preset: ${bankName}`)
+    
+  } catch (error) {
+    console.error('❌ Error saving import preset:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// RECURRING SERIES - Subscription & Bill Review State
+// ============================================================================
+
+/**
+ * Get the user's review status for detected recurring series, keyed by series key
+ */
+export const getRecurringSeriesStatuses = async (userId) => {
+  try {
+    const recurringRef = doc(db, 'users', userId, 'settings', 'recurring')
+    const recurringDoc = await getDoc(recurringRef)
+    
+    return recurringDoc.exists() ? (recurringDoc.data().series || {}) : {}
+    
+  } catch (error) {
+    console.error('❌ Error getting recurring series statuses:', error)
+    return {}
+  }
+}
+
+/**
+ * Confirm, ignore or cancel-track a recurring series
+ */
+export const setRecurringSeriesStatus = async (userId, seriesKey, status, seriesName = null) => {
+  try {
+    const recurringRef = doc(db, 'users', userId, 'settings', 'recurring')
+    
+    await setDoc(recurringRef, {
+      series: {
+        [seriesKey]: {
+          status,
+          name: seriesName,
+          updatedAt: new Date().toISOString()
+        }
+      },
+      lastUpdated: serverTimestamp()
+    }, { merge: true })
+    
+    console.log(`✅ Marked recurring series ${seriesName || seriesKey} as ${status}`)
+    
+  } catch (error) {
+    console.error('❌ Error updating recurring series status:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// BUDGET SETTINGS - Budgeting Mode Preferences
+// ============================================================================
+
+/**
+ * Get the user's budgeting preferences (zero-based mode)
+ */
+export const getBudgetSettings = async (userId) => {
+  try {
+    const settingsRef = doc(db, 'users', userId, 'settings', 'budgeting')
+    const settingsDoc = await getDoc(settingsRef)
+    
+    return {
+      zeroBased: false,
+      ...(settingsDoc.exists() ? settingsDoc.data() : {})
+    }
+    
+  } catch (error) {
+    console.error('❌ Error getting budget settings:', error)
+    return { zeroBased: false }
+  }
+}
+
+/**
+ * Save budgeting preferences
+ */
+export const saveBudgetSettings = async (userId, settings) => {
+  try {
+    const settingsRef = doc(db, 'users', userId, 'settings', 'budgeting')
+    
+    await setDoc(settingsRef, {
+      ...settings,
+      lastUpdated: serverTimestamp()
+    }, { merge: true })
+    
+    console.log('✅ Saved budget settings')
+    
+  } catch (error) {
+    console.error('❌ Error saving budget settings:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// DEBT PLANNER - Saved Debts & Payoff Strategy
+// ============================================================================
+
+/**
+ * Get the user's saved debt planner inputs
+ */
+export const getDebtPlan = async (userId) => {
+  try {
+    const planRef = doc(db, 'users', userId, 'settings', 'debtPlanner')
+    const planDoc = await getDoc(planRef)
+    
+    return {
+      debts: [],
+      strategy: 'avalanche',
+      extraPayment: 0,
+      customOrder: [],
+      ...(planDoc.exists() ? planDoc.data() : {})
+    }
+    
+  } catch (error) {
+    console.error('❌ Error getting debt plan:', error)
+    return { debts: [], strategy: 'avalanche', extraPayment: 0, customOrder: [] }
+  }
+}
+
+/**
+ * Save debt planner inputs (debts, strategy, extra payment, custom order)
+ */
+export const saveDebtPlan = async (userId, plan) => {
+  try {
+    const planRef = doc(db, 'users', userId, 'settings', 'debtPlanner')
+    
+    await setDoc(planRef, {
+      debts: plan.debts || [],
+      strategy: plan.strategy || 'avalanche',
+      extraPayment: plan.extraPayment || 0,
+      customOrder: plan.customOrder || [],
+      lastUpdated: serverTimestamp()
+    })
+    
+    console.log('✅ Saved debt plan')
+    
+  } catch (error) {
+    console.error('❌ Error saving debt plan:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// TIME MACHINE - Custom Scenarios & Saved Settings
+// ============================================================================
+
+/**
+ * Create a custom Time Machine scenario
+ */
+export const createTimeMachineScenario = async (scenarioData) => {
+  try {
+    const scenarioRef = doc(collections.timeMachineScenarios())
+    
+    const scenario = {
+      userId: scenarioData.userId,
+      name: scenarioData.name,
+      description: scenarioData.description || '',
+      color: scenarioData.color || '#2ECC71',
+      annualReturn: scenarioData.annualReturn,
+      volatility: scenarioData.volatility,
+      inflation: scenarioData.inflation,
+      // [{ startDate: 'YYYY-MM', monthlyContribution }] - contribution changes from that month on
+      contributionSchedule: scenarioData.contributionSchedule || [],
+      // [{ date: 'YYYY-MM', amount, label }] - one-off deposits (positive) or withdrawals (negative)
+      events: scenarioData.events || [],
+      createdAt: serverTimestamp(),
+      lastUpdated: serverTimestamp()
+    }
+    
+    await setDoc(scenarioRef, scenario)
+    console.log(`✅ Created Time Machine scenario: ${scenario.name}`)
+    return { id: scenarioRef.id, ...scenario }
+    
+  } catch (error) {
+    console.error('❌ Error creating Time Machine scenario:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the user's custom Time Machine scenarios, oldest first
+ */
+export const getUserTimeMachineScenarios = async (userId) => {
+  try {
+    const q = query(
+      collections.timeMachineScenarios(),
+      where('userId', '==', userId)
+    )
+    
+    // Sorted here rather than with orderBy so no composite index is needed
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.createdAt?.seconds || 0) - (b.createdAt?.seconds || 0))
+    
+  } catch (error) {
+    console.error('❌ Error getting Time Machine scenarios:', error)
+    return []
+  }
+}
+
+/**
+ * Update a custom Time Machine scenario
+ */
+export const updateTimeMachineScenario = async (scenarioId, scenarioData) => {
+  try {
+    const scenarioRef = doc(collections.timeMachineScenarios(), scenarioId)
+    await updateDoc(scenarioRef, {
+      ...scenarioData,
+      lastUpdated: serverTimestamp()
+    })
+    
+    console.log(`✅ Updated Time Machine scenario: ${scenarioId}`)
+  } catch (error) {
+    console.error('❌ Error updating Time Machine scenario:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete a custom Time Machine scenario
+ */
+export const deleteTimeMachineScenario = async (scenarioId) => {
+  try {
+    await deleteDoc(doc(collections.timeMachineScenarios(), scenarioId))
+    console.log(`✅ Deleted Time Machine scenario: ${scenarioId}`)
+  } catch (error) {
+    console.error('❌ Error deleting Time Machine scenario:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the user's saved Time Machine settings (scenario, time range, ages, retirement inputs)
+ * @returns {Promise<Object|null>} Saved settings, or null if nothing has been saved
+ */
+export const getTimeMachineSettings = async (userId) => {
+  try {
+    const settingsRef = doc(db, 'users', userId, 'settings', 'timeMachine')
+    const settingsDoc = await getDoc(settingsRef)
+    return settingsDoc.exists() ? settingsDoc.data() : null
+    
+  } catch (error) {
+    console.error('❌ Error getting Time Machine settings:', error)
+    return null
+  }
+}
+
+/**
+ * Save Time Machine settings
+ */
+export const saveTimeMachineSettings = async (userId, settings) => {
+  try {
+    const settingsRef = doc(db, 'users', userId, 'settings', 'timeMachine')
+    
+    await setDoc(settingsRef, {
+      ...settings,
+      lastUpdated: serverTimestamp()
+    }, { merge: true })
+    
+  } catch (error) {
+    console.error('❌ Error saving Time Machine settings:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// NOTIFICATIONS - In-app Alerts
+// ============================================================================
+
+// One document per user and alert, so re-evaluating the same state never duplicates an alert
+const notificationId = (userId, dedupeKey) => `${userId}_${String(dedupeKey).replace(/[^A-Za-z0-9_:.-]/g, '-')}`
+
+/**
+ * Whether the user has notifications switched on in Settings (on by default)
+ */
+export const areNotificationsEnabled = async (userId) => {
+  try {
+    const preferencesDoc = await getDoc(doc(db, 'users', userId, 'settings', 'preferences'))
+    return !preferencesDoc.exists() || preferencesDoc.data().notifications !== false
+    
+  } catch (error) {
+    console.error('❌ Error reading notification preference:', error)
+    return true
+  }
+}
+
+/**
+ * Store a notification unless one with the same dedupeKey already exists
+ * @returns {Object|null} The new notification, or null if it was already raised
+ */
+export const createNotification = async (userId, notification) => {
+  try {
+    const notificationRef = doc(collections.notifications(), notificationId(userId, notification.dedupeKey))
+    const newNotification = {
+      userId,
+      type: notification.type,
+      severity: notification.severity || 'info',
+      title: notification.title,
+      message: notification.message || '',
+      dedupeKey: notification.dedupeKey,
+      read: false,
+      createdAt: serverTimestamp()
+    }
+    
+    // Check and write together so two tabs raising the same alert can't both create it
+    const created = await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(notificationRef)
+      if (existing.exists()) return false
+      transaction.set(notificationRef, newNotification)
+      return true
+    })
+    if (!created) return null
+    
+    console.log(`✅ Created notification: ${newNotification.title}`)
+    return { id: notificationRef.id, ...newNotification, createdAt: new Date() }
+    
+  } catch (error) {
+    console.error('❌ Error creating notification:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a user's notifications that haven't been dismissed, newest first
+ */
+export const getUserNotifications = async (userId, options = {}) => {
+  try {
+    const { limitCount = 50 } = options
+    
+    const q = query(
+      collections.notifications(),
+      where('userId', '==', userId)
+    )
+    
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(notification => !notification.dismissed)
+      .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0))
+      .slice(0, limitCount)
+    
+  } catch (error) {
+    console.error('❌ Error getting notifications:', error)
+    return []
+  }
+}
+
+/**
+ * Mark one notification as read
+ */
+export const markNotificationRead = async (notificationId) => {
+  try {
+    await updateDoc(doc(collections.notifications(), notificationId), {
+      read: true,
+      readAt: serverTimestamp()
+    })
+    
+  } catch (error) {
+    console.error('❌ Error marking notification read:', error)
+    throw error
+  }
+}
+
+/**
+ * Mark all of a user's unread notifications as read
+ */
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    const q = query(
+      collections.notifications(),
+      where('userId', '==', userId),
+      where('read', '==', false)
+    )
+    const querySnapshot = await getDocs(q)
+    
+    for (let i = 0; i < querySnapshot.docs.length; i += 500) {
+      const batch = writeBatch(db)
+      querySnapshot.docs.slice(i, i + 500).forEach(notificationDoc => {
+        batch.update(notificationDoc.ref, { read: true, readAt: serverTimestamp() })
+      })
+      await batch.commit()
+    }
+    
+    console.log(`✅ Marked ${querySnapshot.size} notifications as read`)
+    
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error)
+    throw error
+  }
+}
+
+/**
+ * Dismiss a notification. The document stays behind as the dedupe record,
+ * so the same alert isn't raised again on the next check
+ */
+export const markNotificationDismissed = async (notificationId) => {
+  try {
+    await updateDoc(doc(collections.notifications(), notificationId), {
+      dismissed: true,
+      read: true,
+      dismissedAt: serverTimestamp()
+    })
+    console.log(`✅ Dismissed notification: ${notificationId}`)
+    
+  } catch (error) {
+    console.error('❌ Error dismissing notification:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// AI AUDIT LOG - What was sent to which AI provider
+// ============================================================================
+
+/**
+ * Append a record of one AI request (entries are never edited or deleted)
+ * @param {string} userId - User ID
+ * @param {Object} entry - { feature, provider, providerName, hosted, model, status, privacyLevel, dataFields, redactions,
+ *   messageCount, characters }
+ */
+export const createAIAuditEntry = async (userId, entry) => {
+  try {
+    const auditRef = doc(collections.aiAuditLog())
+    await setDoc(auditRef, {
+      userId,
+      feature: entry.feature,
+      provider: entry.provider,
+      providerName: entry.providerName || entry.provider,
+      hosted: entry.hosted !== false,
+      model: entry.model,
+      status: entry.status,
+      privacyLevel: entry.privacyLevel,
+      dataFields: entry.dataFields || [],
+      redactions: entry.redactions || {},
+      messageCount: entry.messageCount || 0,
+      characters: entry.characters || 0,
+      createdAt: serverTimestamp()
+    })
+    return auditRef.id
+    
+  } catch (error) {
+    console.error('❌ Error writing AI audit entry:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a user's AI audit log, newest first
+ */
+export const getUserAIAuditLog = async (userId, options = {}) => {
+  try {
+    const { limitCount = 50 } = options
+    
+    const q = query(
+      collections.aiAuditLog(),
+      where('userId', '==', userId)
+    )
+    
+    const querySnapshot = await getDocs(q)
+    return querySnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0))
+      .slice(0, limitCount)
+    
+  } catch (error) {
+    console.error('❌ Error getting AI audit log:', error)
+    return []
+  }
+}
+
+// ============================================================================
+// BATCH OPERATIONS - Performance Optimization
+// ============================================================================
+
+/**
+ * Batch create transactions (committed in chunks to stay under Firestore's 500 write limit)
+ * Account balances move with the imported transactions, one increment per account in each chunk's batch.
+ * @param {Array} transactions - Transaction documents
+ * @param {Object} options - { adjustBalances, balanceIncludedAccountIds }: skip the adjustment entirely, or for
+ *   accounts whose balance already includes these transactions (e.g. opened from a statement's closing balance)
+ */
+export const batchCreateTransactions = async (transactions, options = {}) => {
+  try {
+    const { adjustBalances = true, balanceIncludedAccountIds = [] } = options
+    const BATCH_LIMIT = 500
+    
+    // Only accounts that exist can be incremented; an update to a missing document would fail the whole batch
+    const accountIds = adjustBalances
+      ? [...new Set(transactions.map(transaction => transaction.accountId))]
+        .filter(accountId => accountId && !balanceIncludedAccountIds.includes(accountId))
+      : []
+    const accountDocs = await Promise.all(accountIds.map(accountId => getDoc(doc(collections.accounts(), accountId))))
+    const adjustableAccountIds = new Set(accountDocs.filter(accountDoc => accountDoc.exists()).map(accountDoc => accountDoc.id))
+    
+    // Leave room in each batch for one balance update per account
+    const chunkSize = Math.max(1, BATCH_LIMIT - adjustableAccountIds.size)
+    
+    for (let start = 0; start < transactions.length; start += chunkSize) {
+      const batch = writeBatch(db)
+      const deltas = {}
+      
+      transactions.slice(start, start + chunkSize).forEach(transactionData => {
+        const transactionRef = doc(collections.transactions())
+        const transaction = {
+          ...transactionData,
+          createdAt: serverTimestamp()
+        }
+        batch.set(transactionRef, transaction)
+        
+        if (adjustableAccountIds.has(transaction.accountId)) {
+          deltas[transaction.accountId] = (deltas[transaction.accountId] || 0) + getSignedAmount(transaction)
+        }
+      })
+      
+      Object.entries(deltas).filter(([, delta]) => delta).forEach(([accountId, delta]) => {
+        batch.update(doc(collections.accounts(), accountId), {
+          balance: increment(delta),
+          lastUpdated: serverTimestamp()
+        })
+      })
+      
+      await batch.commit()
+    }
+    console.log(`✅ Batch created ${transactions.length} transactions`)
+    
+    // Update financial summary and net worth history for the user
+    if (transactions.length > 0) {
+      await updateFinancialSummary(transactions[0].userId)
+      if (adjustableAccountIds.size > 0) {
+        await recordNetWorthSnapshot(transactions[0].userId)
+      }
+    }
+    
+  } catch (error) {
+    console.error('❌ Error batch creating transactions:', error)
+    throw error
+  }
+}
+
+/**
+ * Batch update financial summary
+ */
+export const batchUpdateFinancialSummary = async (userId, transactions) => {
+  try {
+    const summary = transactions.reduce((acc, transaction) => {
+      if (transaction.type === 'income' || transaction.type === 'deposit') {
+        acc.totalIncome += Math.abs(Number(transaction.amount) || 0)
+      } else if (transaction.type === 'expense' || transaction.type === 'withdrawal') {
+        acc.totalExpenses += Math.abs(Number(transaction.amount) || 0)
+      }
+      return acc
+    }, { totalIncome: 0, totalExpenses: 0 })
+    
+    summary.totalSavings = summary.totalIncome - summary.totalExpenses
+    
+    const accounts = await getUserAccounts(userId, { activeOnly: true })
+    summary.totalBalance = accounts.length > 0 ? calculateNetWorth(accounts) : summary.totalSavings
+    
+    const userRef = doc(collections.users(), userId)
+    await updateDoc(userRef, {
+      'financialSummary.totalIncome': summary.totalIncome,
+      'financialSummary.totalExpenses': summary.totalExpenses,
+      'financialSummary.totalSavings': summary.totalSavings,
+      'financialSummary.totalBalance': summary.totalBalance,
+      'financialSummary.lastUpdated': serverTimestamp(),
+      'metadata.lastDataUpdate': serverTimestamp()
+    })
+    
+    console.log(`✅ Batch updated financial summary for ${userId}`)
+    
+  } catch (error) {
+    console.error('❌ Error batch updating financial summary:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// DATA INTEGRITY HELPERS
+// ============================================================================
+
+/**
+ * Update user account count
+ */
+const updateUserAccountCount = async (userId) => {
+  try {
+    const accounts = await getUserAccounts(userId)
+    const userRef = doc(collections.users(), userId)
+    await updateDoc(userRef, {
+      'metadata.accountsCount': accounts.length,
+      'metadata.lastDataUpdate': serverTimestamp()
+    })
+  } catch (error) {
+    console.error('❌ Error updating account count:', error)
+  }
+}
+
+/**
+ * Update user transaction count
+ */
+const updateUserTransactionCount = async (userId) => {
+  try {
+    const transactions = await getUserTransactions(userId, { limit: 1000 })
+    const userRef = doc(collections.users(), userId)
+    await updateDoc(userRef, {
+      'metadata.transactionsCount': transactions.length,
+      'metadata.lastDataUpdate': serverTimestamp()
+    })
+  } catch (error) {
+    console.error('❌ Error updating transaction count:', error)
+  }
+}
+
+// ============================================================================
+// REAL-TIME DATA LISTENERS
+// ============================================================================
+
+/**
+ * Listen to user financial data changes
+ */
+export const listenToUserData = (userId, callback) => {
+  const userRef = doc(collections.users(), userId)
+  return onSnapshot(userRef, (doc) => {
+    if (doc.exists()) {
+      callback({ id: doc.id, ...doc.data() })
+    } else {
+      callback(null)
+    }
+  })
+}
+
+/**
+ * Listen to user transactions
+ */
+export const listenToUserTransactions = (userId, callback, options = {}) => {
+  const { limitCount = 50 } = options
+  
+  const q = query(
+    collections.transactions(),
+    where('userId', '==', userId),
+    orderBy('date', 'desc'),
+    limit(limitCount)
+  )
+  
+  return onSnapshot(q, (snapshot) => {
+    const transactions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    callback(transactions)
+  })
+}
+
+// ============================================================================
+// DATA VALIDATION HELPERS
 // ============================================================================
 
 /**
@@ -834,6 +1968,10 @@ export const validateTransaction = (transactionData) => {
     errors.push('Type must be income, expense, or transfer')
   }
   
+  if (isSplitTransaction(transactionData)) {
+    errors.push(...validateSplits(transactionData.amount, transactionData.splits).errors)
+  }
+  
   return {
     isValid: errors.length === 0,
     errors
@@ -915,12 +2053,20 @@ export default {
   createAccount,
   getUserAccounts,
   updateAccountBalance,
+  adjustAccountBalance,
+  
+  // Net worth snapshots
+  recordNetWorthSnapshot,
+  getNetWorthHistory,
   
   // Transaction management
   createTransaction,
   getUserTransactions,
   updateTransaction,
   deleteTransaction,
+  createTransfer,
+  deleteTransfer,
+  getExistingExternalIds,
   
   // Budget management
   createBudget,
@@ -930,6 +2076,56 @@ export default {
   createGoal,
   getUserGoals,
   
+  // Category management
+  getCategories,
+  createUserCategory,
+  updateUserCategory,
+  renameUserCategory,
+  deleteUserCategory,
+  
+  // Categorization rules
+  createCategoryRule,
+  getUserCategoryRules,
+  updateCategoryRule,
+  deleteCategoryRule,
+  reapplyCategoryRules,
+  
+  // Import presets
+  getImportPresets,
+  saveImportPreset,
+  
+  // Recurring series
+  getRecurringSeriesStatuses,
+  setRecurringSeriesStatus,
+  
+  // Budget settings
+  getBudgetSettings,
+  saveBudgetSettings,
+  
+  // Debt planner
+  getDebtPlan,
+  saveDebtPlan,
+  
+  // Time Machine
+  createTimeMachineScenario,
+  getUserTimeMachineScenarios,
+  updateTimeMachineScenario,
+  deleteTimeMachineScenario,
+  getTimeMachineSettings,
+  saveTimeMachineSettings,
+  
+  // Notifications
+  areNotificationsEnabled,
+  createNotification,
+  getUserNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  markNotificationDismissed,
+  
+  // AI audit log
+  createAIAuditEntry,
+  getUserAIAuditLog,
+  
   // Batch operations
   batchCreateTransactions,
   batchUpdateFinancialSummary,
@@ -1,37 +1,187 @@
 import { useState } from 'react'
-import { getAvailableModels } from '../api/aiService'
+import {
+  AI_FEATURES,
+  getAIProvider,
+  getAISettings,
+  saveAISettings,
+  getAvailableModels,
+  discoverLocalModels
+} from '../api/aiProviders'
+import { PRIVACY_LEVELS } from '../utils/aiRedaction'
+import { play as playSound } from '../utils/soundPlayer'
 
-const AIModelSelector = ({ selectedModel, onModelChange }) => {
+const AIModelSelector = ({ feature = 'insights', onModelChange }) => {
   const [isOpen, setIsOpen] = useState(false)
+  const [settings, setSettings] = useState(getAISettings)
+  const [localUrl, setLocalUrl] = useState(settings.localBaseUrl)
+  const [isDiscovering, setIsDiscovering] = useState(false)
+  const [message, setMessage] = useState('')
   const models = getAvailableModels()
 
+  const selected = settings.featureModels[feature] || null
+  const selectedModel = selected && models.find(model => model.provider === selected.provider && model.id === selected.model)
+  const providerOrder = [
+    ...settings.providerOrder.filter(getAIProvider),
+    ...[...new Set(models.map(model => model.provider))].filter(id => !settings.providerOrder.includes(id))
+  ]
+
+  const selectModel = (model) => {
+    const featureModels = { ...settings.featureModels }
+    if (model) {
+      featureModels[feature] = { provider: model.provider, model: model.id }
+    } else {
+      delete featureModels[feature]
+    }
+    setSettings(saveAISettings({ featureModels }))
+    playSound('click1')
+    onModelChange?.(model ? featureModels[feature] : null)
+    setIsOpen(false)
+  }
+
+  const showMessage = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(''), 3000)
+  }
+
+  const discoverModels = async () => {
+    setIsDiscovering(true)
+    try {
+      const baseUrl = localUrl.trim()
+      saveAISettings({ localBaseUrl: baseUrl })
+      const found = await discoverLocalModels(baseUrl || undefined)
+      setSettings(getAISettings())
+      playSound('success')
+      showMessage(found.length > 0 ? `✅ Found ${found.length} local model(s)` : '❌ The server has no models loaded')
+    } catch (error) {
+      console.error('❌ Error discovering local models:', error)
+      setSettings(getAISettings())
+      playSound('error')
+      showMessage('❌ Could not reach the local server')
+    } finally {
+      setIsDiscovering(false)
+    }
+  }
+
+  const toggleLocalOnly = () => {
+    setSettings(saveAISettings({ localOnly: !settings.localOnly }))
+    playSound('click1')
+  }
+
+  const selectPrivacyLevel = (privacyLevel) => {
+    setSettings(saveAISettings({ privacyLevel }))
+    playSound('click1')
+  }
+
+  const moveProvider = (index, direction) => {
+    const order = [...providerOrder]
+    const target = index + direction
+    if (target < 0 || target >= order.length) return
+    ;[order[index], order[target]] = [order[target], order[index]]
+    setSettings(saveAISettings({ providerOrder: order }))
+    playSound('click1')
+  }
+
   return (
     <div className="relative">
       <button
         className="sound-button text-xs"
         onClick={() => setIsOpen(!isOpen)}
+        title={`Model for ${AI_FEATURES[feature]?.label || feature}`}
       >
-        🧠 {selectedModel || 'Select AI Model'}
+        🧠 {selectedModel ? selectedModel.name : 'Auto'}
       </button>
-      
+
       {isOpen && (
-        <div className="absolute top-full right-0 mt-1 bg-white border-2 border-gray-400 shadow-lg z-10 min-w-48">
+        <div className="absolute top-full right-0 mt-1 bg-white border-2 border-gray-400 shadow-lg z-10 min-w-56 max-h-96 overflow-y-auto">
           <div className="p-2 bg-gray-200 border-b border-gray-400 text-xs font-bold">
-            AI Models
+            AI Model: {AI_FEATURES[feature]?.label || feature}
           </div>
-          {models.map((model) => (
+          <button
+            className={`w-full text-left px-2 py-1 text-xs hover:bg-gray-100 ${!selectedModel ? 'bg-blue-100' : ''}`}
+            onClick={() => selectModel(null)}
+          >
+            Auto (provider order)
+          </button>
+          {providerOrder.map(providerId => {
+            const providerModels = models.filter(model => model.provider === providerId)
+            if (providerModels.length === 0) return null
+            return (
+              <div key={providerId}>
+                <div className="px-2 pt-2 text-xs font-bold text-gray-600">
+                  {providerModels[0].providerName}
+                  {!providerModels[0].allowed ? ' (off: local only)' : !providerModels[0].configured && ' (not configured)'}
+                </div>
+                {providerModels.map(model => (
+                  <button
+                    key={`${model.provider}:${model.id}`}
+                    className={`w-full text-left px-2 py-1 text-xs hover:bg-gray-100 disabled:text-gray-400 ${
+                      selectedModel === model ? 'bg-blue-100' : ''
+                    }`}
+                    disabled={!model.configured || !model.allowed}
+                    onClick={() => selectModel(model)}
+                  >
+                    {model.name}{model.free && ' · free'}
+                  </button>
+                ))}
+              </div>
+            )
+          })}
+
+          {/* Privacy */}
+          <div className="p-2 mt-2 bg-gray-200 border-t border-b border-gray-400 text-xs font-bold">
+            Privacy
+          </div>
+          <div className="p-2 text-xs">
+            <select
+              value={settings.privacyLevel}
+              onChange={(e) => selectPrivacyLevel(e.target.value)}
+              className="retro-input text-xs w-full"
+            >
+              {Object.entries(PRIVACY_LEVELS).map(([level, config]) => (
+                <option key={level} value={level}>{config.label}</option>
+              ))}
+            </select>
+            <div className="text-gray-600 mt-1">{PRIVACY_LEVELS[settings.privacyLevel]?.description}</div>
+          </div>
+
+          {/* Local Server */}
+          <div className="p-2 mt-2 bg-gray-200 border-t border-b border-gray-400 text-xs font-bold">
+            Local Server
+          </div>
+          <div className="p-2 space-y-2 text-xs">
+            <input
+              type="text"
+              value={localUrl}
+              onChange={(e) => setLocalUrl(e.target.value)}
+              placeholder={import.meta.env.VITE_LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'}
+              className="retro-input text-xs w-full"
+            />
             <button
-              key={model.id}
-              className={`w-full text-left px-2 py-1 text-xs hover:bg-gray-100 ${
-                selectedModel === model.id ? 'bg-blue-100' : ''
-              }`}
-              onClick={() => {
-                onModelChange(model.id)
-                setIsOpen(false)
-              }}
+              className="retro-button text-xs px-2 w-full"
+              onClick={discoverModels}
+              disabled={isDiscovering}
             >
-              {model.name}
+              {isDiscovering ? 'Discovering...' : '🔍 Discover Models'}
             </button>
+            <label className="flex items-center space-x-1">
+              <input type="checkbox" checked={settings.localOnly} onChange={toggleLocalOnly} />
+              <span>Local only (disable hosted providers)</span>
+            </label>
+            {message && <div>{message}</div>}
+          </div>
+
+          {/* Provider Order */}
+          <div className="p-2 mt-2 bg-gray-200 border-t border-b border-gray-400 text-xs font-bold">
+            Fallback Order
+          </div>
+          {providerOrder.map((providerId, index) => (
+            <div key={providerId} className="flex items-center justify-between px-2 py-1 text-xs">
+              <span>{index + 1}. {getAIProvider(providerId)?.name || providerId}</span>
+              <span className="space-x-1">
+                <button className="retro-button text-xs px-1" disabled={index === 0} onClick={() => moveProvider(index, -1)}>▲</button>
+                <button className="retro-button text-xs px-1" disabled={index === providerOrder.length - 1} onClick={() => moveProvider(index, 1)}>▼</button>
+              </span>
+            </div>
           ))}
         </div>
       )}
@@ -38,7 +38,7 @@ const WeeklyBalanceTooltip = ({ active, payload, label }) => {
   return null
 }
 
-const MainPanel = ({ data, dataSource = 'Firestore' }) => {
+const MainPanel = ({ data, dataSource = 'Firestore', onSelectAccount }) => {
   if (!data) {
     return (
       <div className="flex-1 flex items-center justify-center">
@@ -55,20 +55,45 @@ const MainPanel = ({ data, dataSource = 'Firestore' }) => {
   const spendingData = data.spendingBreakdown || []
   const savingsData = data.savings || []
   const balanceData = data.weeklyBalance || []
+  const netWorthData = data.netWorthHistory || []
   
   // Use the calculated totals from financial data
   const totalIncome = data.totalIncome || 0
   const totalExpenses = data.totalExpenses || 0
   
   const recentTransactions = data.recentTransactions || []
+  const accountBalances = data.accountBalances || []
+  const isAllAccounts = !data.selectedAccountId || data.selectedAccountId === 'all'
+  const upcomingBills = data.upcomingBills || []
+  const budgetSummary = data.budgetSummary || []
+  const monthlyBudgetTotal = budgetSummary.reduce((sum, budget) => sum + budget.monthlyLimit, 0)
+  const upcomingBillsTotal = upcomingBills
+    .filter(bill => bill.type === 'expense')
+    .reduce((sum, bill) => sum + bill.amount, 0)
 
   return (
     <div className="flex-1 space-y-4 retro-dashboard-fade">
       {/* Balance Summary */}
       <div className="retro-info retro-fade-in">
         <div className="text-center">
-          <div className="text-2xl font-bold text-green-600 mb-2 retro-text-reveal">
-            Balance: ${data.balance.toLocaleString()}
+          {accountBalances.length > 1 && onSelectAccount && (
+            <div className="mb-2">
+              <select
+                value={data.selectedAccountId || 'all'}
+                onChange={(e) => onSelectAccount(e.target.value)}
+                className="retro-input text-sm"
+              >
+                <option value="all">All Accounts</option>
+                {accountBalances.map(account => (
+                  <option key={account.id} value={account.id}>
+                    {account.name} (${account.balance.toLocaleString()})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className={`text-2xl font-bold mb-2 retro-text-reveal ${data.balance < 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {isAllAccounts && accountBalances.length > 0 ? 'Net Worth' : 'Balance'}: ${data.balance.toLocaleString()}
           </div>
           <div className="text-sm text-gray-600 mb-2 retro-fade-in-delay-1">
             Last updated: {safeTimestamp(data.lastUpdated)}
@@ -124,18 +149,42 @@ const MainPanel = ({ data, dataSource = 'Firestore' }) => {
         </div>
       </div>
 
-      {/* Weekly Balance Chart */}
-      <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.4s'}}>
-        <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.5s'}}>WEEKLY BALANCE</div>
-        <ResponsiveContainer width="100%" height={150}>
-          <BarChart data={balanceData}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="day" />
-            <YAxis />
-            <Tooltip content={<WeeklyBalanceTooltip />} />
-            <Bar dataKey="balance" fill="#4A90E2" />
-          </BarChart>
-        </ResponsiveContainer>
+      {/* Balance Charts Row */}
+      <div className={`grid grid-cols-1 ${netWorthData.length > 0 ? 'lg:grid-cols-2' : ''} gap-4`}>
+        {/* Weekly Balance Chart */}
+        <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.4s'}}>
+          <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.5s'}}>WEEKLY BALANCE</div>
+          <ResponsiveContainer width="100%" height={150}>
+            <BarChart data={balanceData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis />
+              <Tooltip content={<WeeklyBalanceTooltip />} />
+              <Bar dataKey="balance" fill="#4A90E2" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Net Worth Over Time (assets minus liabilities, from daily snapshots) */}
+        {netWorthData.length > 0 && (
+          <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.45s'}}>
+            <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.5s'}}>
+              NET WORTH OVER TIME
+              {data.liabilities > 0 && (
+                <span className="text-xs font-normal text-gray-600"> • Assets ${(data.assets || 0).toLocaleString()} / Debts ${data.liabilities.toLocaleString()}</span>
+              )}
+            </div>
+            <ResponsiveContainer width="100%" height={150}>
+              <LineChart data={netWorthData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis />
+                <Tooltip formatter={(value) => [`$${Number(value).toLocaleString()}`, 'Net Worth']} />
+                <Line type="monotone" dataKey="netWorth" stroke="#9B59B6" strokeWidth={2} dot={netWorthData.length < 15} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
       </div>
 
       {/* AI Insight */}
@@ -165,6 +214,61 @@ const MainPanel = ({ data, dataSource = 'Firestore' }) => {
         </div>
       </div>
 
+      {/* Upcoming Bills (confirmed recurring series) */}
+      {upcomingBills.length > 0 && (
+        <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.5s'}}>
+          <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.6s'}}>
+            UPCOMING BILLS • NEXT 30 DAYS: ${upcomingBillsTotal.toFixed(2)}
+          </div>
+          <div className="space-y-1">
+            {upcomingBills.slice(0, 6).map((bill, index) => (
+              <div key={`${bill.key}-${bill.dueDate}`} className="flex justify-between items-center p-2 bg-gray-50 border border-gray-300 retro-transaction-slide" style={{animationDelay: `${index * 0.1}s`}}>
+                <div>
+                  <div className="text-sm font-medium">{bill.name}</div>
+                  <div className="text-xs text-gray-600">{bill.category} • due {safeTimestamp(bill.dueDate, 'Unknown date')}</div>
+                </div>
+                <div className={`text-sm font-bold ${bill.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                  {bill.type === 'income' ? '+' : '-'}${bill.amount.toFixed(2)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Budgets (each in its own period, totals prorated to a month) */}
+      {budgetSummary.length > 0 && (
+        <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.55s'}}>
+          <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.6s'}}>
+            BUDGETS • ${monthlyBudgetTotal.toFixed(2)} / MONTH
+          </div>
+          <div className="space-y-2">
+            {budgetSummary.slice(0, 6).map(budget => (
+              <div key={budget.category} className="p-2 bg-gray-50 border border-gray-300">
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-medium">
+                    {budget.category}
+                    <span className="text-gray-600"> • {budget.periodLabel}</span>
+                  </span>
+                  <span className={budget.percentage >= 100 ? 'text-red-600 font-bold' : budget.percentage >= 80 ? 'text-yellow-600' : ''}>
+                    ${budget.spent.toFixed(2)} / ${budget.limit.toFixed(2)}
+                    {budget.period !== 'monthly' && (
+                      <span className="text-gray-600"> (${budget.monthlyLimit.toFixed(2)}/mo)</span>
+                    )}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 h-2 border border-gray-400">
+                  <div
+                    className={`h-full ${budget.percentage >= 100 ? 'bg-red-500' : budget.percentage >= 80 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                    style={{ width: `${Math.min(budget.percentage, 100)}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Recent Transactions */}
       <div className="retro-chart retro-chart-animate retro-card-hover" style={{animationDelay: '0.6s'}}>
         <div className="text-center font-bold mb-2 text-sm retro-text-reveal" style={{animationDelay: '0.7s'}}>RECENT TRANSACTIONS</div>
@@ -178,9 +282,13 @@ const MainPanel = ({ data, dataSource = 'Firestore' }) => {
                 </div>
               </div>
               <div className={`text-sm font-bold retro-text-reveal ${
-                transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                transaction.type === 'income' ? 'text-green-600'
+                  : transaction.type === 'transfer' ? 'text-blue-600'
+                  : 'text-red-600'
               }`} style={{animationDelay: `${index * 0.1 + 0.5}s`}}>
-                {transaction.type === 'income' ? '+' : '-'}${transaction.amount}
+                {transaction.type === 'transfer'
+                  ? (transaction.transferDirection === 'in' ? '+' : '-')
+                  : transaction.type === 'income' ? '+' : '-'}${transaction.amount}
               </div>
             </div>
           ))}
@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import { useUnifiedData } from '../contexts/UnifiedDataContext'
+import { NOTIFICATION_TYPES } from '../utils/notifications'
+import { safeTimestamp } from '../utils/timestampUtils'
+import { play as playSound } from '../utils/soundPlayer'
+
+const SEVERITY_STYLES = {
+  info: 'border-blue-400',
+  warning: 'border-yellow-500',
+  critical: 'border-red-600'
+}
+
+const NotificationCenter = ({ onClose }) => {
+  const {
+    notifications,
+    unreadNotificationCount,
+    notificationsEnabled,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+    dismissNotification
+  } = useUnifiedData()
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const visibleNotifications = showUnreadOnly
+    ? notifications.filter(notification => !notification.read)
+    : notifications
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action()
+      if (successMessage) {
+        setMessage(successMessage)
+        setTimeout(() => setMessage(''), 3000)
+      }
+    } catch (error) {
+      console.error('Error updating notifications:', error)
+      setMessage('❌ Failed to update notifications')
+      playSound('error')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-2 md:p-4">
+      <div className="retro-window max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="title-bar">
+          <div className="title-bar-text">🔔 Notifications {unreadNotificationCount > 0 ? `(${unreadNotificationCount} unread)` : ''}</div>
+          <div className="title-bar-controls">
+            <button aria-label="Close" onClick={onClose}></button>
+          </div>
+        </div>
+        <div className="window-body p-2">
+          {!notificationsEnabled && (
+            <div className="retro-info mb-3 text-sm text-center">
+              Notifications are turned off. Turn them on in Settings to get new alerts.
+            </div>
+          )}
+
+          {/* Inbox Controls */}
+          <div className="flex justify-between items-center mb-3">
+            <label className="text-xs flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={showUnreadOnly}
+                onChange={(e) => { playSound('click1'); setShowUnreadOnly(e.target.checked) }}
+              />
+              <span>Unread only</span>
+            </label>
+            <button
+              className="retro-button text-xs px-3 py-1"
+              disabled={unreadNotificationCount === 0}
+              onClick={() => { playSound('click1'); runAction(markAllNotificationsAsRead, '✅ All notifications marked as read') }}
+            >
+              Mark all read
+            </button>
+          </div>
+
+          {/* Inbox */}
+          {visibleNotifications.length === 0 ? (
+            <div className="text-center p-8 text-gray-600 text-sm">
+              {showUnreadOnly ? 'No unread notifications' : 'No notifications yet. Budget, large transaction, goal and sync alerts will show up here.'}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {visibleNotifications.map(notification => (
+                <div
+                  key={notification.id}
+                  className={`retro-chart p-2 border-l-4 ${SEVERITY_STYLES[notification.severity] || SEVERITY_STYLES.info} ${notification.read ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex justify-between items-start">
+                    <div className="flex-1">
+                      <div className={`text-sm ${notification.read ? '' : 'font-bold'}`}>
+                        {NOTIFICATION_TYPES[notification.type]?.icon || '📣'} {notification.title}
+                      </div>
+                      <div className="text-xs text-gray-600">{notification.message}</div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {NOTIFICATION_TYPES[notification.type]?.label || 'Alert'} • {safeTimestamp(notification.createdAt, 'Just now')}
+                      </div>
+                    </div>
+                    <div className="flex space-x-1 ml-2">
+                      {!notification.read && (
+                        <button
+                          className="retro-button text-xs px-2 py-1"
+                          onClick={() => { playSound('click2'); runAction(() => markNotificationAsRead(notification.id)) }}
+                        >
+                          Read
+                        </button>
+                      )}
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        onClick={() => { playSound('click2'); runAction(() => dismissNotification(notification.id)) }}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Message */}
+          {message && (
+            <div className="text-center mt-4 text-sm font-bold">
+              {message}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NotificationCenter
@@ -0,0 +1,268 @@
+import { useState } from 'react'
+import { play as playSound } from '../utils/soundPlayer'
+
+const toPercentString = (value) => (value === undefined || value === null ? '' : String(Math.round(value * 10000) / 100))
+
+// 'YYYY-MM' for this month, the earliest an event can be dated
+const getCurrentMonth = () => {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`
+}
+
+const ScenarioEditor = ({ scenario, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    name: scenario?.name || '',
+    description: scenario?.description || '',
+    color: scenario?.color || '#2ECC71',
+    annualReturn: toPercentString(scenario?.annualReturn ?? 0.06),
+    volatility: toPercentString(scenario?.volatility ?? 0.12),
+    inflation: toPercentString(scenario?.inflation ?? 0.025)
+  })
+  const [contributionSchedule, setContributionSchedule] = useState(scenario?.contributionSchedule || [])
+  const [events, setEvents] = useState(scenario?.events || [])
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const currentMonth = getCurrentMonth()
+
+  const updateRow = (setRows, index, field, value) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, [field]: value } : row))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const annualReturn = parseFloat(form.annualReturn) / 100
+    const volatility = parseFloat(form.volatility) / 100
+    const inflation = parseFloat(form.inflation) / 100
+    if (!form.name.trim()) {
+      setMessage('❌ Scenario name is required')
+      return
+    }
+    if (isNaN(annualReturn) || annualReturn < -1 || annualReturn > 1) {
+      setMessage('❌ Annual return must be between -100% and 100%')
+      return
+    }
+    if (isNaN(volatility) || volatility < 0 || volatility > 1) {
+      setMessage('❌ Volatility must be between 0% and 100%')
+      return
+    }
+    if (isNaN(inflation) || inflation < -0.5 || inflation > 0.5) {
+      setMessage('❌ Inflation must be between -50% and 50%')
+      return
+    }
+    // Past events are already part of today's balance
+    const pastEvent = events.find(event => event.date && parseFloat(event.amount) && event.date < currentMonth)
+    if (pastEvent) {
+      setMessage(`❌ ${pastEvent.label?.trim() || 'Event'} is dated in the past; events must be this month or later`)
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      await onSave({
+        name: form.name.trim(),
+        description: form.description.trim(),
+        color: form.color,
+        annualReturn,
+        volatility,
+        inflation,
+        contributionSchedule: contributionSchedule
+          .filter(step => step.startDate)
+          .map(step => ({ startDate: step.startDate, monthlyContribution: parseFloat(step.monthlyContribution) || 0 })),
+        events: events
+          .filter(event => event.date && parseFloat(event.amount))
+          .map(event => ({ date: event.date, amount: parseFloat(event.amount), label: event.label?.trim() || 'Event' }))
+      })
+      playSound('success')
+    } catch (error) {
+      console.error('Error saving scenario:', error)
+      setMessage('❌ Failed to save scenario')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-2 md:p-4">
+      <div className="retro-window max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="title-bar">
+          <div className="title-bar-text">{scenario ? '✏️ Edit Scenario' : '➕ New Scenario'}</div>
+          <div className="title-bar-controls">
+            <button aria-label="Close" onClick={onClose}></button>
+          </div>
+        </div>
+        <div className="window-body p-2">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-bold mb-1">Name:</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="retro-input w-full text-sm"
+                  placeholder="e.g., Buy a house"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-bold mb-1">Color:</label>
+                <input
+                  type="color"
+                  value={form.color}
+                  onChange={(e) => setForm({ ...form, color: e.target.value })}
+                  className="retro-input w-full h-8"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-bold mb-1">Annual Return (%):</label>
+                <input
+                  type="number"
+                  value={form.annualReturn}
+                  onChange={(e) => setForm({ ...form, annualReturn: e.target.value })}
+                  className="retro-input w-full text-sm"
+                  step="0.1"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-bold mb-1">Volatility (%):</label>
+                <input
+                  type="number"
+                  value={form.volatility}
+                  onChange={(e) => setForm({ ...form, volatility: e.target.value })}
+                  className="retro-input w-full text-sm"
+                  step="0.1"
+                  min="0"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-bold mb-1">Inflation (%):</label>
+                <input
+                  type="number"
+                  value={form.inflation}
+                  onChange={(e) => setForm({ ...form, inflation: e.target.value })}
+                  className="retro-input w-full text-sm"
+                  step="0.1"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-bold mb-1">Description:</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  className="retro-input w-full text-sm"
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+
+            {/* Contribution Schedule */}
+            <div>
+              <div className="text-xs font-bold mb-1">CONTRIBUTION SCHEDULE (today's dollars)</div>
+              <div className="text-xs text-gray-600 mb-2">Before the first change, your current monthly savings are used.</div>
+              {contributionSchedule.map((step, index) => (
+                <div key={index} className="flex items-center space-x-2 mb-2 text-xs">
+                  <span>From</span>
+                  <input
+                    type="month"
+                    value={step.startDate}
+                    onChange={(e) => updateRow(setContributionSchedule, index, 'startDate', e.target.value)}
+                    className="retro-input text-xs"
+                  />
+                  <span>save $</span>
+                  <input
+                    type="number"
+                    value={step.monthlyContribution}
+                    onChange={(e) => updateRow(setContributionSchedule, index, 'monthlyContribution', e.target.value)}
+                    className="retro-input text-xs w-24"
+                  />
+                  <span>/month</span>
+                  <button
+                    type="button"
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => setContributionSchedule(prev => prev.filter((_, i) => i !== index))}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="retro-button text-xs px-3 py-1"
+                onClick={() => { playSound('click1'); setContributionSchedule(prev => [...prev, { startDate: '', monthlyContribution: '' }]) }}
+              >
+                ➕ Contribution Change
+              </button>
+            </div>
+
+            {/* One-off Events */}
+            <div>
+              <div className="text-xs font-bold mb-1">ONE-OFF EVENTS</div>
+              <div className="text-xs text-gray-600 mb-2">Use a negative amount for spending (e.g. -60000 for a down payment).</div>
+              {events.map((event, index) => (
+                <div key={index} className="flex items-center space-x-2 mb-2 text-xs">
+                  <input
+                    type="text"
+                    value={event.label}
+                    onChange={(e) => updateRow(setEvents, index, 'label', e.target.value)}
+                    className="retro-input text-xs w-32"
+                    placeholder="Buy house"
+                  />
+                  <input
+                    type="month"
+                    min={currentMonth}
+                    value={event.date}
+                    onChange={(e) => updateRow(setEvents, index, 'date', e.target.value)}
+                    className="retro-input text-xs"
+                  />
+                  <span>$</span>
+                  <input
+                    type="number"
+                    value={event.amount}
+                    onChange={(e) => updateRow(setEvents, index, 'amount', e.target.value)}
+                    className="retro-input text-xs w-24"
+                    placeholder="-60000"
+                  />
+                  <button
+                    type="button"
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => setEvents(prev => prev.filter((_, i) => i !== index))}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="retro-button text-xs px-3 py-1"
+                onClick={() => { playSound('click1'); setEvents(prev => [...prev, { label: '', date: '', amount: '' }]) }}
+              >
+                ➕ Event
+              </button>
+            </div>
+
+            <div className="flex space-x-4 justify-center">
+              <button type="submit" className="retro-button px-6 py-2" disabled={isSaving} onClick={() => playSound('click1')}>
+                {isSaving ? '⏳ Saving...' : '💾 Save Scenario'}
+              </button>
+              <button type="button" className="retro-button px-6 py-2" onClick={() => { playSound('click1'); onClose() }}>
+                ✕ Cancel
+              </button>
+            </div>
+          </form>
+
+          {/* Message */}
+          {message && (
+            <div className="text-center mt-4 text-sm font-bold">
+              {message}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ScenarioEditor
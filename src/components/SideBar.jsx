@@ -9,10 +9,16 @@ import SettingsTool from './tools/SettingsTool'
 import ReportsTool from './tools/ReportsTool'
 import SyncTool from './tools/SyncTool'
 import ElizaTool from './tools/ElizaTool'
+import RulesTool from './tools/RulesTool'
+import CategoriesTool from './tools/CategoriesTool'
+import SubscriptionsTool from './tools/SubscriptionsTool'
+import AccountsTool from './tools/AccountsTool'
+import CashFlowTool from './tools/CashFlowTool'
 import { play as playSound } from '../utils/soundPlayer'
+import { buildSyncFailureAlert } from '../utils/notifications'
 
 const SideBar = () => {
-  const { financialData, transactions, accounts, user, refreshData } = useUnifiedData()
+  const { financialData, transactions, accounts, categories, recurringStatuses, goals, user, refreshData, refreshCategories, refreshRecurring, refreshBudgets, refreshGoals, refreshAccounts, refreshNotifications, raiseNotification } = useUnifiedData()
   const [activeTool, setActiveTool] = useState(null)
   const [isToolOpen, setIsToolOpen] = useState(false)
 
@@ -23,12 +29,22 @@ const SideBar = () => {
     settings: SettingsTool,
     reports: ReportsTool,
     sync: SyncTool,
-    eliza: ElizaTool
+    eliza: ElizaTool,
+    rules: RulesTool,
+    categories: CategoriesTool,
+    subscriptions: SubscriptionsTool,
+    accounts: AccountsTool,
+    cashflow: CashFlowTool
   }
 
   const sidebarItems = [
     { icon: '■', label: 'Budget', action: 'budget' },
     { icon: '◆', label: 'Transaction', action: 'expenses' },
+    { icon: '▣', label: 'Accounts', action: 'accounts' },
+    { icon: '◎', label: 'Subscriptions & Bills', action: 'subscriptions' },
+    { icon: '◇', label: 'Cash Flow', action: 'cashflow' },
+    { icon: '◘', label: 'Rules', action: 'rules' },
+    { icon: '◙', label: 'Categories', action: 'categories' },
     { icon: '▲', label: 'Goals', action: 'goals' },
     { icon: '●', label: 'Eliza AI', action: 'eliza' },
     { icon: '★', label: 'Settings', action: 'settings' },
@@ -114,9 +130,19 @@ const SideBar = () => {
                     financialData: financialData,
                     transactions: transactions,
                     accounts: accounts,
+                    categories: categories,
+                    recurringStatuses: recurringStatuses,
+                    goals: goals,
                     user: user,
                     onClose: closeTool,
-                    onDataUpdate: handleDataUpdate
+                    onDataUpdate: handleDataUpdate,
+                    onCategoriesUpdate: refreshCategories,
+                    onRecurringUpdate: refreshRecurring,
+                    onBudgetsUpdate: refreshBudgets,
+                    onGoalsUpdate: refreshGoals,
+                    onAccountsUpdate: refreshAccounts,
+                    onNotificationsUpdate: refreshNotifications,
+                    onSyncFailure: (error) => raiseNotification(buildSyncFailureAlert('Account', error))
                   })}
                 </ErrorBoundary>
               )}
@@ -1,10 +1,14 @@
 import { useState } from 'react'
 import { setMuted, play as playSound } from '../utils/soundPlayer'
 import { Link, useLocation } from 'react-router-dom'
+import { useUnifiedData } from '../contexts/UnifiedDataContext'
+import NotificationCenter from './NotificationCenter'
 
 const TopNav = () => {
   const [isMuted, setIsMuted] = useState(false)
+  const [isInboxOpen, setIsInboxOpen] = useState(false)
   const location = useLocation()
+  const { user, unreadNotificationCount } = useUnifiedData()
 
   const tabs = [
     { name: 'Dashboard', path: '/dashboard' },
@@ -48,7 +52,31 @@ const TopNav = () => {
             {isMuted ? '🔇 Mute' : '🔊 Sound'}
           </button>
         </div>
+
+        {/* Notification Inbox */}
+        {user && (
+          <div className="p-2">
+            <button
+              className="sound-button"
+              onClick={() => {
+                playSound('click1')
+                setIsInboxOpen(true)
+              }}
+            >
+              🔔 {unreadNotificationCount > 0 ? `${unreadNotificationCount} new` : 'Inbox'}
+            </button>
+          </div>
+        )}
       </div>
+
+      {isInboxOpen && (
+        <NotificationCenter
+          onClose={() => {
+            playSound('click2')
+            setIsInboxOpen(false)
+          }}
+        />
+      )}
     </div>
   )
 }
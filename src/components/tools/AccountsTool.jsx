@@ -0,0 +1,296 @@
+import { useState } from 'react'
+import { createAccount } from '../../api/unifiedFirestoreService'
+import {
+  ACCOUNT_TYPES,
+  isLiabilityAccount,
+  calculateNetWorthBreakdown,
+  buildAccountLedger
+} from '../../utils/accounts'
+import { isTransferTransaction, describeTransfer } from '../../utils/transfers'
+import { safeTimestamp } from '../../utils/timestampUtils'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const LEDGER_PAGE_SIZE = 50
+
+const createEmptyAccount = () => ({
+  name: '',
+  type: ACCOUNT_TYPES[0].value,
+  balance: '',
+  institution: ''
+})
+
+const formatMoney = (amount) => amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const AccountsTool = ({ transactions, accounts = [], user, onClose, onDataUpdate, onAccountsUpdate }) => {
+  const [selectedAccountId, setSelectedAccountId] = useState(accounts[0]?.id || null)
+  const [visibleRows, setVisibleRows] = useState(LEDGER_PAGE_SIZE)
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [newAccount, setNewAccount] = useState(createEmptyAccount)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const selectedAccount = accounts.find(account => account.id === selectedAccountId) || null
+  const ledger = buildAccountLedger(transactions || [], selectedAccount, accounts)
+  const { assets, liabilities, netWorth } = calculateNetWorthBreakdown(accounts)
+  const newAccountIsLiability = isLiabilityAccount(newAccount)
+
+  const handleSelectAccount = (accountId) => {
+    playSound('click1')
+    setSelectedAccountId(accountId)
+    setVisibleRows(LEDGER_PAGE_SIZE)
+  }
+
+  const handleAddAccount = async () => {
+    if (!user) {
+      setMessage('❌ User not authenticated')
+      return
+    }
+
+    const amount = parseFloat(newAccount.balance) || 0
+    if (!newAccount.name.trim()) {
+      setMessage('❌ Please enter an account name')
+      playSound('error')
+      return
+    }
+    if (amount < 0) {
+      setMessage(newAccountIsLiability ? '❌ Enter the amount owed as a positive number' : '❌ Balance cannot be negative')
+      playSound('error')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      // Liabilities are entered as the amount owed and stored as a negative balance
+      await createAccount({
+        userId: user.uid,
+        name: newAccount.name.trim(),
+        type: newAccount.type,
+        balance: newAccountIsLiability ? -amount : amount,
+        institution: newAccount.institution.trim() || 'Unknown'
+      })
+      await onAccountsUpdate?.()
+      onDataUpdate?.()
+      setNewAccount(createEmptyAccount())
+      setShowAddForm(false)
+      setMessage(`✅ Added ${newAccount.name.trim()}`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error creating account:', error)
+      setMessage('❌ Failed to add account')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-4">
+      <div className="text-center font-bold text-lg mb-6 text-retro-dark">
+        🏦 ACCOUNTS & LEDGERS
+      </div>
+
+      {/* Net Worth */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Assets</div>
+          <div className="text-xl font-bold text-green-600">${formatMoney(assets)}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Liabilities</div>
+          <div className="text-xl font-bold text-red-600">${formatMoney(liabilities)}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Net Worth</div>
+          <div className={`text-xl font-bold ${netWorth < 0 ? 'text-red-600' : 'text-green-600'}`}>
+            ${formatMoney(netWorth)}
+          </div>
+        </div>
+      </div>
+
+      {/* Add Account */}
+      <div className="text-center mb-4">
+        <button
+          className="retro-button text-sm px-4 py-2"
+          onClick={() => { playSound('click1'); setShowAddForm(!showAddForm) }}
+        >
+          {showAddForm ? 'Cancel' : '+ Add Account'}
+        </button>
+      </div>
+
+      {showAddForm && (
+        <div className="retro-chart p-3 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-bold mb-1">Name</label>
+              <input
+                type="text"
+                value={newAccount.name}
+                onChange={(e) => setNewAccount({ ...newAccount, name: e.target.value })}
+                className="retro-input w-full"
+                placeholder="e.g., Visa Rewards"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">Type</label>
+              <select
+                value={newAccount.type}
+                onChange={(e) => setNewAccount({ ...newAccount, type: e.target.value })}
+                className="retro-input w-full"
+              >
+                {ACCOUNT_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>
+                    {type.value}{type.isLiability ? ' (liability)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">
+                {newAccountIsLiability ? 'Amount Owed' : 'Current Balance'}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={newAccount.balance}
+                onChange={(e) => setNewAccount({ ...newAccount, balance: e.target.value })}
+                className="retro-input w-full"
+                placeholder="0.00"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">Institution</label>
+              <input
+                type="text"
+                value={newAccount.institution}
+                onChange={(e) => setNewAccount({ ...newAccount, institution: e.target.value })}
+                className="retro-input w-full"
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+          <div className="text-center mt-3">
+            <button
+              className="retro-button px-4 py-2 font-bold"
+              disabled={isSaving}
+              onClick={handleAddAccount}
+            >
+              {isSaving ? 'Saving...' : 'Save Account'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Account List */}
+      {accounts.length === 0 ? (
+        <div className="text-center p-8 text-gray-600">
+          No accounts yet. Add one above, import a statement or sync with Nessie.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+          {accounts.map(account => (
+            <button
+              key={account.id}
+              className={`retro-chart p-3 text-left ${account.id === selectedAccountId ? 'border-2 border-blue-500' : ''}`}
+              onClick={() => handleSelectAccount(account.id)}
+            >
+              <div className="font-bold text-sm">{account.name}</div>
+              <div className="text-xs text-gray-600">
+                {account.type} • {account.institution || 'Unknown'}{isLiabilityAccount(account) ? ' • LIABILITY' : ''}
+              </div>
+              <div className={`font-bold mt-1 ${(account.balance || 0) < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                ${formatMoney(Number(account.balance) || 0)}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Ledger */}
+      {selectedAccount && (
+        <div className="retro-chart p-3 mb-6">
+          <div className="text-center font-bold text-sm mb-2">
+            📒 {selectedAccount.name.toUpperCase()} LEDGER
+          </div>
+          {ledger.length === 0 ? (
+            <div className="text-center p-4 text-gray-600 text-sm">No transactions for this account</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="border-b border-gray-400">
+                    <th className="text-left p-1">Date</th>
+                    <th className="text-left p-1">Description</th>
+                    <th className="text-left p-1">Category</th>
+                    <th className="text-right p-1">Amount</th>
+                    <th className="text-right p-1">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.slice(0, visibleRows).map(entry => (
+                    <tr key={entry.id} className="border-b border-gray-200">
+                      <td className="p-1 whitespace-nowrap">{safeTimestamp(entry.date, 'Unknown date')}</td>
+                      <td className="p-1">{entry.description}</td>
+                      <td className="p-1">
+                        {isTransferTransaction(entry) ? describeTransfer(entry, accounts) : entry.category}
+                      </td>
+                      <td className={`p-1 text-right ${entry.signedAmount >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {entry.signedAmount >= 0 ? '+' : '-'}${Math.abs(entry.signedAmount).toFixed(2)}
+                      </td>
+                      <td className={`p-1 text-right font-bold ${entry.runningBalance < 0 ? 'text-red-600' : ''}`}>
+                        ${entry.runningBalance.toFixed(2)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {ledger.length > visibleRows && (
+            <div className="text-center mt-2">
+              <button
+                className="retro-button text-xs px-3 py-1"
+                onClick={() => { playSound('click1'); setVisibleRows(visibleRows + LEDGER_PAGE_SIZE) }}
+              >
+                Show more ({ledger.length - visibleRows} older)
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Action Buttons */}
+      <div className="flex space-x-4 justify-center">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className="text-center mt-4 text-sm font-bold">
+          {message}
+        </div>
+      )}
+
+      {/* Account Tips */}
+      <div className="retro-info mt-6">
+        <div className="text-center">
+          <div className="text-lg font-bold mb-2">Account Tips</div>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>• Running balances count back from each account's current balance</div>
+            <div>• Use the dashboard switcher to focus charts on one account</div>
+            <div>• Record moves between accounts as transfers to keep both ledgers right</div>
+            <div>• Credit cards, loans and mortgages count against net worth as liabilities</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AccountsTool
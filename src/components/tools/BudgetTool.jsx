@@ -3,20 +3,51 @@ import {
   createBudget,
   getUserBudgets,
   updateBudget as updateBudgetInDB,
-  deleteBudget
+  getBudgetSettings,
+  saveBudgetSettings
 } from '../../api/unifiedFirestoreService'
+import { DEFAULT_CATEGORIES } from '../../utils/categories'
+import {
+  BUDGET_PERIODS,
+  getPeriodRange,
+  getBudgetPeriodRange,
+  shiftPeriod,
+  calculatePeriodSpending,
+  getAssignedAmount,
+  calculateEnvelope,
+  calculateReadyToAssign
+} from '../../utils/budgets'
 import { play as playSound } from '../../utils/soundPlayer'
 
-const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }) => {
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Date used to pick each envelope's period while viewing a month:
+ * today for the current month, otherwise the month's last (past) or first (future) day
+ */
+const getReferenceDate = (month) => {
+  const today = new Date()
+  if (today >= month.start && today < month.end) return today
+  return month.end <= today ? new Date(month.end.getTime() - DAY_MS) : month.start
+}
+
+const BudgetTool = ({ financialData, transactions, categories: categoryList = DEFAULT_CATEGORIES, user, onClose, onDataUpdate, onBudgetsUpdate }) => {
+  // Draft assignments, rollover flags and period settings for the selected month, keyed by category
   const [budgets, setBudgets] = useState({})
+  const [rollovers, setRollovers] = useState({})
+  const [periods, setPeriods] = useState({})
+  const [anchors, setAnchors] = useState({})
+  const [savedBudgets, setSavedBudgets] = useState({})
+  const [selectedPeriod, setSelectedPeriod] = useState(() => getPeriodRange())
+  const [zeroBased, setZeroBased] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [message, setMessage] = useState('')
 
-  const categories = [
-    'Food', 'Transport', 'Entertainment', 'Shopping', 
-    'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-  ]
+  const categories = categoryList.map(category => category.name)
+  const currentPeriod = getPeriodRange()
+  const isCurrentPeriod = selectedPeriod.key === currentPeriod.key
+  const referenceDate = getReferenceDate(selectedPeriod)
 
   useEffect(() => {
     if (user) {
@@ -24,30 +55,64 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
     }
   }, [user, financialData])
 
+  useEffect(() => {
+    if (Object.keys(savedBudgets).length > 0) {
+      applySavedBudgets(savedBudgets, selectedPeriod)
+    }
+  }, [selectedPeriod])
+
+  /**
+   * Fill the editable drafts from saved budgets for one period
+   */
+  const applySavedBudgets = (budgetMap, month) => {
+    const assigned = {}
+    const rolloverFlags = {}
+    const periodTypes = {}
+    const anchorDates = {}
+    Object.values(budgetMap).forEach(budget => {
+      const range = getBudgetPeriodRange(budget, getReferenceDate(month))
+      assigned[budget.category] = getAssignedAmount(budget, range.key)
+      rolloverFlags[budget.category] = Boolean(budget.rollover)
+      periodTypes[budget.category] = budget.period || 'monthly'
+      if (budget.anchorDate) anchorDates[budget.category] = budget.anchorDate
+    })
+    setBudgets(assigned)
+    setRollovers(rolloverFlags)
+    setPeriods(periodTypes)
+    setAnchors(anchorDates)
+  }
+
   const loadBudgets = async () => {
     if (!user?.uid) return
     
     try {
       setIsLoading(true)
-      const userBudgets = await getUserBudgets(user.uid)
+      const [userBudgets, settings] = await Promise.all([
+        getUserBudgets(user.uid),
+        getBudgetSettings(user.uid)
+      ])
+      setZeroBased(Boolean(settings.zeroBased))
       
       if (userBudgets.length > 0) {
-        // Convert array to object format for display
-        const budgetsObj = {}
+        const budgetMap = {}
         userBudgets.forEach(budget => {
-          budgetsObj[budget.category] = budget.amount
+          budgetMap[budget.category] = budget
         })
-        setBudgets(budgetsObj)
+        setSavedBudgets(budgetMap)
+        applySavedBudgets(budgetMap, selectedPeriod)
       } else {
-        // Initialize with default budgets based on current spending
+        // Initialize with default budgets based on last month's spending
+        const lastMonth = shiftPeriod(currentPeriod, -1)
         const defaultBudgets = {}
         categories.forEach(category => {
-          const categorySpending = transactions
-            ?.filter(t => t.type === 'expense' && t.category === category)
-            ?.reduce((sum, t) => sum + t.amount, 0) || 0
+          const categorySpending = calculatePeriodSpending(transactions || [], category, categoryList, lastMonth)
           defaultBudgets[category] = Math.max(categorySpending * 1.2, 100) // 20% buffer
         })
+        setSavedBudgets({})
         setBudgets(defaultBudgets)
+        setRollovers({})
+        setPeriods({})
+        setAnchors({})
       }
     } catch (error) {
       console.error('Error loading budgets:', error)
@@ -64,6 +129,69 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
     }))
   }
 
+  const toggleRollover = (category) => {
+    setRollovers(prev => ({
+      ...prev,
+      [category]: !prev[category]
+    }))
+  }
+
+  const updatePeriod = (category, period) => {
+    setPeriods(prev => ({
+      ...prev,
+      [category]: period
+    }))
+    if (period === 'biweekly' && !anchors[category]) {
+      // Start from the bi-weekly period containing today until the user picks their payday
+      updateAnchor(category, getPeriodRange(new Date(), 'biweekly').key)
+    }
+  }
+
+  const updateAnchor = (category, anchorDate) => {
+    setAnchors(prev => ({
+      ...prev,
+      [category]: anchorDate
+    }))
+  }
+
+  /**
+   * Draft budget settings for a category, and whether its period changed from the saved one
+   * Changing the period (or bi-weekly anchor) starts a fresh assignment and rollover history.
+   */
+  const getDraftPeriod = (category) => {
+    const saved = savedBudgets[category]
+    const period = periods[category] || 'monthly'
+    const anchorDate = period === 'biweekly' ? anchors[category] || null : null
+    const periodChanged = Boolean(saved) &&
+      ((saved.period || 'monthly') !== period || (period === 'biweekly' && (saved.anchorDate || null) !== anchorDate))
+    return {
+      period,
+      anchorDate,
+      periodChanged,
+      range: getPeriodRange(referenceDate, period, { anchorDate })
+    }
+  }
+
+  const changePeriod = (offset) => {
+    playSound('click1')
+    setSelectedPeriod(shiftPeriod(selectedPeriod, offset))
+  }
+
+  const toggleZeroBased = async () => {
+    const enabled = !zeroBased
+    setZeroBased(enabled)
+    playSound('click1')
+    if (!user) return
+    
+    try {
+      await saveBudgetSettings(user.uid, { zeroBased: enabled })
+    } catch (error) {
+      console.error('Error saving budget settings:', error)
+      setMessage('❌ Failed to save budgeting mode')
+      playSound('error')
+    }
+  }
+
   const saveBudgets = async () => {
     if (!user) {
       setMessage('❌ User not authenticated')
@@ -74,10 +202,10 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
       setIsSaving(true)
       setMessage('')
       
-      // Validate budgets before saving
+      // Validate budgets before saving; existing envelopes may be assigned 0 for a period
       const validBudgets = Object.entries(budgets).filter(([category, amount]) => {
         const numAmount = parseFloat(amount)
-        return numAmount > 0 && !isNaN(numAmount)
+        return !isNaN(numAmount) && (numAmount > 0 || savedBudgets[category])
       })
       
       if (validBudgets.length === 0) {
@@ -97,11 +225,26 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
       
       // Save or update each budget
       for (const [category, amount] of validBudgets) {
+        const existing = existingBudgetMap[category]
+        const rollover = Boolean(rollovers[category])
+        const { period, anchorDate, periodChanged, range } = getDraftPeriod(category)
+        const history = existing && !periodChanged ? existing : null
         const budgetData = {
           userId: user.uid,
           category: category,
-          amount: parseFloat(amount),
-          period: 'monthly',
+          // The flat amount tracks the current period's assignment
+          amount: isCurrentPeriod || !history ? parseFloat(amount) : existing.amount,
+          period,
+          anchorDate,
+          allocations: {
+            ...(history?.allocations || {}),
+            [range.key]: parseFloat(amount)
+          },
+          rollover,
+          // Balances carry forward from the period rollover was switched on
+          rolloverStartKey: rollover
+            ? (history?.rollover && history.rolloverStartKey) || range.key
+            : null,
           isActive: true
         }
         
@@ -122,9 +265,12 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
         ? `✅ ${savedCount} budgets created successfully!`
         : `✅ ${updatedCount} budgets updated successfully!`
         
-      setMessage(message)
+      setMessage(zeroBased && Math.abs(readyToAssign) >= 0.01
+        ? `${message} ⚠️ $${readyToAssign.toFixed(2)} still to assign`
+        : message)
       setTimeout(() => setMessage(''), 3000)
       onDataUpdate()
+      onBudgetsUpdate?.()
   playSound('success')
     } catch (error) {
       console.error('Error saving budgets:', error)
@@ -135,12 +281,34 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
     }
   }
 
-  const getCategorySpending = (category) => {
-    return transactions
-      ?.filter(t => t.type === 'expense' && t.category === category)
-      ?.reduce((sum, t) => sum + t.amount, 0) || 0
+  /**
+   * Envelope for a category in its period around the selected month, using the unsaved drafts
+   */
+  const getEnvelope = (category) => {
+    const { period, anchorDate, periodChanged, range } = getDraftPeriod(category)
+    const saved = savedBudgets[category] && !periodChanged ? savedBudgets[category] : { category }
+    return calculateEnvelope(
+      {
+        ...saved,
+        period,
+        anchorDate,
+        allocations: { ...(saved.allocations || {}), [range.key]: budgets[category] || 0 },
+        rollover: Boolean(rollovers[category]),
+        rolloverStartKey: saved.rollover ? saved.rolloverStartKey : range.key
+      },
+      transactions || [],
+      categoryList,
+      range
+    )
   }
 
+  const envelopes = categories.map(getEnvelope)
+  const { income: periodIncome, assigned: totalAssigned, readyToAssign } = calculateReadyToAssign(
+    transactions || [],
+    envelopes,
+    selectedPeriod
+  )
+
   const clearAllBudgets = () => {
     if (confirm('Are you sure you want to clear all budget amounts? This will reset all budgets to 0.')) {
       const clearedBudgets = {}
@@ -153,12 +321,12 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
     }
   }
 
-  const getBudgetStatus = (category) => {
-    const spending = getCategorySpending(category)
-    const budget = budgets[category] || 0
+  const getBudgetStatus = (envelope) => {
+    const spending = envelope.spent
+    const budget = envelope.assigned + envelope.carriedOver
     
     // Handle zero budget case
-    if (budget === 0) {
+    if (budget <= 0) {
       if (spending > 0) {
         return { status: 'no-budget', color: 'text-orange-600' }
       }
@@ -190,25 +358,84 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
       {/* Budget Overview */}
       <div className="retro-info mb-6">
         <div className="text-center mb-4">
-          <div className="text-lg font-bold mb-2">Monthly Budget Overview</div>
+          <div className="text-lg font-bold mb-2">Budget Overview</div>
           <div className="text-sm text-gray-600">
-            Set spending limits for each category to control your finances
+            Assign money to each category envelope; spending is counted within each budget's own period
+          </div>
+        </div>
+
+        {/* Month Picker */}
+        <div className="flex justify-center items-center space-x-3">
+          <button className="retro-button text-xs px-3 py-1" onClick={() => changePeriod(-1)}>◀</button>
+          <div className="font-bold text-sm w-40 text-center">
+            {selectedPeriod.label}{isCurrentPeriod ? ' (current)' : ''}
           </div>
+          <button className="retro-button text-xs px-3 py-1" onClick={() => changePeriod(1)}>▶</button>
+          {!isCurrentPeriod && (
+            <button
+              className="retro-button text-xs px-3 py-1"
+              onClick={() => { playSound('click1'); setSelectedPeriod(currentPeriod) }}
+            >
+              Today
+            </button>
+          )}
+        </div>
+
+        <div className="text-center mt-3">
+          <label className="text-xs font-bold">
+            <input
+              type="checkbox"
+              checked={zeroBased}
+              onChange={toggleZeroBased}
+              className="mr-1"
+            />
+            Zero-based mode (assign every dollar of income)
+          </label>
         </div>
       </div>
 
+      {/* Zero-based Summary */}
+      {zeroBased && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="retro-chart p-3 text-center">
+            <div className="text-xs text-gray-600">Income This Month</div>
+            <div className="text-xl font-bold text-green-600">${periodIncome.toFixed(2)}</div>
+          </div>
+          <div className="retro-chart p-3 text-center">
+            <div className="text-xs text-gray-600">Assigned (monthly share)</div>
+            <div className="text-xl font-bold">${totalAssigned.toFixed(2)}</div>
+          </div>
+          <div className="retro-chart p-3 text-center">
+            <div className="text-xs text-gray-600">Ready to Assign</div>
+            <div className={`text-xl font-bold ${
+              Math.abs(readyToAssign) < 0.01 ? 'text-green-600' : readyToAssign > 0 ? 'text-yellow-600' : 'text-red-600'
+            }`}>
+              ${readyToAssign.toFixed(2)}
+            </div>
+            <div className="text-xs text-gray-600">
+              {Math.abs(readyToAssign) < 0.01
+                ? 'Every dollar has a job'
+                : readyToAssign > 0 ? 'Assign the rest to an envelope' : 'Assigned more than you earned'}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Budget Categories */}
       <div className="space-y-4 mb-6">
         {categories.map((category, index) => {
-          const spending = getCategorySpending(category)
-          const budget = budgets[category] || 0
-          const status = getBudgetStatus(category)
-          const remaining = budget - spending
+          const envelope = envelopes[index]
+          const spending = envelope.spent
+          const budget = envelope.assigned + envelope.carriedOver
+          const status = getBudgetStatus(envelope)
+          const remaining = envelope.available
 
           return (
-            <div key={category} className="retro-chart p-4">
+            <div key={category} className={`retro-chart p-4 ${categoryList[index]?.parent ? 'ml-6' : ''}`}>
               <div className="flex justify-between items-center mb-2">
-                <div className="font-bold text-sm">{category}</div>
+                <div className="font-bold text-sm">
+                  {categoryList[index]?.icon ? `${categoryList[index].icon} ` : ''}{category}
+                </div>
                 <div className={`text-xs ${status.color}`}>
                   {status.status === 'over' ? 'OVER BUDGET' : 
                    status.status === 'warning' ? 'WARNING' : 
@@ -216,12 +443,37 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
                 </div>
               </div>
               
+              <div className="flex items-center space-x-2 mb-2 text-xs">
+                <label className="font-bold">Period:</label>
+                <select
+                  value={periods[category] || 'monthly'}
+                  onChange={(e) => updatePeriod(category, e.target.value)}
+                  className="retro-input text-xs"
+                >
+                  {Object.entries(BUDGET_PERIODS).map(([value, period]) => (
+                    <option key={value} value={value}>{period.label}</option>
+                  ))}
+                </select>
+                {periods[category] === 'biweekly' && (
+                  <>
+                    <label className="font-bold">Starting:</label>
+                    <input
+                      type="date"
+                      value={anchors[category] || ''}
+                      onChange={(e) => updateAnchor(category, e.target.value)}
+                      className="retro-input text-xs"
+                    />
+                  </>
+                )}
+                <span className="text-gray-600">{envelope.label}</span>
+              </div>
+
               <div className="grid grid-cols-2 gap-4 mb-3">
                 <div>
-                  <label className="block text-xs font-bold mb-1">Budget Limit:</label>
+                  <label className="block text-xs font-bold mb-1">Assigned:</label>
                   <input
                     type="number"
-                    value={budget}
+                    value={budgets[category] || 0}
                     onChange={(e) => updateBudget(category, e.target.value)}
                     className="retro-input w-full text-sm"
                     placeholder="0.00"
@@ -230,15 +482,29 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
                   />
                 </div>
                 <div>
-                  <label className="block text-xs font-bold mb-1">Current Spending:</label>
+                  <label className="block text-xs font-bold mb-1">Spent This Period:</label>
                   <div className="retro-input w-full text-sm bg-gray-100">
                     ${spending.toFixed(2)}
                   </div>
                 </div>
               </div>
 
-              <div className="flex justify-between text-xs">
-                <span>Remaining: ${remaining.toFixed(2)}</span>
+              <div className="flex justify-between items-center text-xs">
+                <span className={remaining < 0 ? 'text-red-600 font-bold' : ''}>
+                  Available: ${remaining.toFixed(2)}
+                  {envelope.carriedOver !== 0 && (
+                    <span className="text-gray-600"> (incl. ${envelope.carriedOver.toFixed(2)} rolled over)</span>
+                  )}
+                </span>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(rollovers[category])}
+                    onChange={() => toggleRollover(category)}
+                    className="mr-1"
+                  />
+                  Roll over
+                </label>
                 <span>Usage: {budget > 0 ? ((spending / budget) * 100).toFixed(1) + '%' : 'N/A'}</span>
               </div>
               
@@ -301,7 +567,9 @@ const BudgetTool = ({ financialData, transactions, user, onClose, onDataUpdate }
           <div className="text-lg font-bold mb-2">💡 Budget Tips</div>
           <div className="text-sm text-gray-600 space-y-1">
             <div>• Set realistic budgets based on your income</div>
-            <div>• Review and adjust budgets monthly</div>
+            <div>• Turn on roll over to carry leftover (or overspent) money into the next period</div>
+            <div>• Match bi-weekly budgets to your payday, and budget annual bills like insurance yearly</div>
+            <div>• Use the month picker to review past months or plan ahead</div>
             <div>• Use the 50/30/20 rule: 50% needs, 30% wants, 20% savings</div>
             <div>• Track your spending regularly to stay on target</div>
           </div>
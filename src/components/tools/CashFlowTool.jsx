@@ -0,0 +1,211 @@
+import { useState, useMemo } from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine
+} from 'recharts'
+import { ALL_ACCOUNTS, isLiabilityAccount } from '../../utils/accounts'
+import { detectRecurringSeries, applySeriesStatuses } from '../../utils/recurringDetection'
+import {
+  FORECAST_HORIZONS,
+  DEFAULT_LOW_BALANCE_THRESHOLD,
+  buildCashFlowForecast,
+  summarizeForecast
+} from '../../utils/cashFlowForecast'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const ITEM_ICONS = { income: '💰', bill: '🧾', goal: '🎯' }
+
+const formatDay = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const CashFlowTool = ({ transactions = [], accounts = [], recurringStatuses = {}, goals = [] }) => {
+  const [horizon, setHorizon] = useState(30)
+  const [accountId, setAccountId] = useState(ALL_ACCOUNTS)
+  const [threshold, setThreshold] = useState(String(DEFAULT_LOW_BALANCE_THRESHOLD))
+
+  const lowBalanceThreshold = parseFloat(threshold) || 0
+  const forecastableAccounts = accounts.filter(account => !isLiabilityAccount(account))
+
+  // Always project the longest horizon so switching between 30/60/90 days is instant
+  const forecast = useMemo(() => buildCashFlowForecast({
+    accounts,
+    transactions,
+    recurringSeries: applySeriesStatuses(detectRecurringSeries(transactions), recurringStatuses),
+    goals,
+    days: FORECAST_HORIZONS[FORECAST_HORIZONS.length - 1],
+    accountId,
+    lowBalanceThreshold
+  }), [accounts, transactions, recurringStatuses, goals, accountId, lowBalanceThreshold])
+
+  const summary = summarizeForecast(forecast, horizon)
+  const visibleDays = forecast.days.slice(0, horizon)
+  const chartData = visibleDays.map(day => ({
+    date: formatDay(day.date),
+    balance: day.balance,
+    lowBalance: day.isLow ? day.balance : null
+  }))
+  const scheduledDays = visibleDays.filter(day => day.items.length > 0)
+
+  return (
+    <div className="p-4">
+      <div className="text-center font-bold text-lg mb-6 text-retro-dark">
+        📅 CASH-FLOW FORECAST
+      </div>
+
+      {/* Controls */}
+      <div className="flex flex-wrap items-center justify-center gap-3 mb-6 text-xs">
+        <div className="flex space-x-1">
+          {FORECAST_HORIZONS.map(days => (
+            <button
+              key={days}
+              className={`retro-button text-xs px-3 py-1 ${horizon === days ? 'font-bold' : ''}`}
+              onClick={() => { playSound('click1'); setHorizon(days) }}
+            >
+              {days} Days
+            </button>
+          ))}
+        </div>
+        <select
+          value={accountId}
+          onChange={(e) => setAccountId(e.target.value)}
+          className="retro-input text-xs"
+        >
+          <option value={ALL_ACCOUNTS}>Checking & Cash</option>
+          {forecastableAccounts.map(account => (
+            <option key={account.id} value={account.id}>{account.name}</option>
+          ))}
+        </select>
+        <label className="flex items-center space-x-1">
+          <span className="font-bold">Warn below $</span>
+          <input
+            type="number"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="retro-input text-xs w-20"
+            step="50"
+          />
+        </label>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Today</div>
+          <div className="text-xl font-bold">{formatMoney(forecast.startingBalance)}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Lowest Point</div>
+          <div className={`text-xl font-bold ${summary.lowestBalance < lowBalanceThreshold ? 'text-red-600' : ''}`}>
+            {formatMoney(summary.lowestBalance)}
+          </div>
+          {summary.lowestBalanceDate && (
+            <div className="text-xs text-gray-600">{formatDay(summary.lowestBalanceDate)}</div>
+          )}
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">In {horizon} Days</div>
+          <div className="text-xl font-bold">{formatMoney(summary.endingBalance)}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Low-Balance Days</div>
+          <div className={`text-xl font-bold ${summary.lowBalanceDays.length > 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {summary.lowBalanceDays.length}
+          </div>
+        </div>
+      </div>
+
+      {/* Warning */}
+      {summary.firstLowBalanceDate && (
+        <div className="retro-chart p-3 mb-6 text-xs font-bold text-red-600">
+          ⚠️ {summary.goesNegative
+            ? `Projected to go negative on ${formatDay(visibleDays.find(day => day.balance < 0).date)}.`
+            : `Projected to drop below ${formatMoney(lowBalanceThreshold)} on ${formatDay(summary.firstLowBalanceDate)}.`}
+          {' '}Consider moving a bill, pausing a goal contribution or topping up before then.
+        </div>
+      )}
+
+      {/* Balance Chart */}
+      <div className="retro-chart p-3 mb-6">
+        <div className="font-bold text-sm mb-2">PROJECTED BALANCE</div>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+            <YAxis tick={{ fontSize: 10 }} />
+            <Tooltip formatter={(value, name) => [formatMoney(Number(value)), name]} />
+            <ReferenceLine y={lowBalanceThreshold} stroke="#FF6B6B" strokeDasharray="4 4" />
+            <Line type="monotone" dataKey="balance" name="Balance" stroke="#4A90E2" strokeWidth={2} dot={false} />
+            <Line dataKey="lowBalance" name="Low balance" stroke="#FF6B6B" strokeWidth={0} dot={{ r: 3, fill: '#FF6B6B' }} legendType="none" />
+          </LineChart>
+        </ResponsiveContainer>
+        <div className="text-xs text-gray-600 mt-2">
+          {forecast.accounts.length > 0
+            ? `Following ${forecast.accounts.map(account => account.name).join(', ')}.`
+            : 'No checking or cash accounts yet, so this follows your overall balance.'}
+          {' '}Red dots mark days below {formatMoney(lowBalanceThreshold)}.
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {[
+          { label: 'Recurring Income', value: summary.totals.income, color: 'text-green-600' },
+          { label: 'Bills', value: -summary.totals.bills, color: 'text-red-600' },
+          { label: 'Goal Contributions', value: -summary.totals.goalContributions, color: 'text-blue-600' },
+          { label: 'Everyday Spending', value: -summary.totals.discretionary, color: 'text-orange-600' }
+        ].map(total => (
+          <div key={total.label} className="retro-chart p-3 text-center">
+            <div className="text-xs text-gray-600">{total.label}</div>
+            <div className={`text-lg font-bold ${total.color}`}>{formatMoney(total.value)}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Scheduled Items */}
+      <div className="retro-chart p-3 mb-6">
+        <div className="font-bold text-sm mb-2">SCHEDULED</div>
+        {scheduledDays.length === 0 ? (
+          <div className="text-xs text-gray-600">
+            No recurring income, bills or goal contributions expected. Review detected series in Subscriptions & Bills.
+          </div>
+        ) : (
+          <div className="space-y-1 text-xs max-h-64 overflow-y-auto">
+            {scheduledDays.map(day => (
+              <div key={day.date} className={`flex justify-between border-b border-gray-200 pb-1 ${day.isLow ? 'text-red-600' : ''}`}>
+                <div>
+                  <span className="font-bold mr-2">{formatDay(day.date)}</span>
+                  {day.items.map((item, index) => (
+                    <span key={index} className="mr-2">
+                      {ITEM_ICONS[item.kind]} {item.name} {formatMoney(item.amount)}
+                    </span>
+                  ))}
+                </div>
+                <div className="font-bold">{formatMoney(day.balance)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Weekday Spending */}
+      <div className="retro-chart p-3">
+        <div className="font-bold text-sm mb-2">EVERYDAY SPENDING BY WEEKDAY</div>
+        <div className="grid grid-cols-7 gap-2 text-center text-xs">
+          {forecast.weekdaySpending.map((amount, day) => (
+            <div key={WEEKDAYS[day]}>
+              <div className="text-gray-600">{WEEKDAYS[day]}</div>
+              <div className="font-bold">{formatMoney(amount)}</div>
+            </div>
+          ))}
+        </div>
+        <div className="text-xs text-gray-600 mt-2">
+          Average of the last 90 days, leaving out recurring bills and transfers.
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CashFlowTool
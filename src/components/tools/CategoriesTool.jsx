@@ -0,0 +1,313 @@
+import { useState } from 'react'
+import {
+  createUserCategory,
+  updateUserCategory,
+  renameUserCategory,
+  deleteUserCategory
+} from '../../api/unifiedFirestoreService'
+import {
+  DEFAULT_CATEGORIES,
+  findCategory,
+  getCategoryColor,
+  getCategoryIcon,
+  getTopLevelCategoryNames
+} from '../../utils/categories'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const emptyCategory = {
+  name: '',
+  color: '#6C5CE7',
+  icon: '',
+  parent: ''
+}
+
+const CategoriesTool = ({
+  transactions,
+  categories = DEFAULT_CATEGORIES,
+  user,
+  onClose,
+  onDataUpdate,
+  onCategoriesUpdate,
+  onBudgetsUpdate
+}) => {
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [editingCategory, setEditingCategory] = useState(null)
+  const [newCategory, setNewCategory] = useState(emptyCategory)
+
+  const parentOptions = getTopLevelCategoryNames(categories).filter(name => name !== editingCategory?.name)
+
+  const resetForm = () => {
+    setNewCategory(emptyCategory)
+    setShowAddForm(false)
+    setEditingCategory(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!user) {
+      setMessage('❌ User not authenticated')
+      return
+    }
+
+    const name = newCategory.name.trim()
+    if (!name) {
+      setMessage('❌ Category name is required')
+      return
+    }
+    const clash = categories.find(category =>
+      category.name.toLowerCase() === name.toLowerCase() && category.id !== editingCategory?.id
+    )
+    if (clash) {
+      setMessage(`❌ A category named "${clash.name}" already exists`)
+      return
+    }
+    if (newCategory.parent && editingCategory && categories.some(category => category.parent === editingCategory.name)) {
+      setMessage('❌ A category with subcategories cannot become a subcategory')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const categoryData = {
+        name,
+        color: newCategory.color,
+        icon: newCategory.icon.trim() || null,
+        parent: newCategory.parent || null
+      }
+
+      if (editingCategory && editingCategory.name !== name) {
+        // Subcategories, transactions, rules and budgets refer to categories by name
+        const renamed = await renameUserCategory(user.uid, editingCategory.id, editingCategory.name, categoryData)
+        setMessage(`✅ Category renamed! Updated ${renamed.transactions} transactions, ${renamed.subcategories} subcategories, ${renamed.rules} rules and ${renamed.budgets} budgets`)
+        onDataUpdate?.()
+        onBudgetsUpdate?.()
+      } else if (editingCategory) {
+        await updateUserCategory(editingCategory.id, categoryData)
+        setMessage('✅ Category updated successfully!')
+      } else {
+        await createUserCategory({ userId: user.uid, ...categoryData })
+        setMessage('✅ Category created successfully!')
+      }
+      playSound('success')
+
+      resetForm()
+      await onCategoriesUpdate?.()
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error saving category:', error)
+      setMessage('❌ Failed to save category')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleEdit = (category) => {
+    setEditingCategory(category)
+    setNewCategory({
+      name: category.name,
+      color: category.color || getCategoryColor(category.name, categories),
+      icon: category.icon || '',
+      parent: category.parent || ''
+    })
+    setShowAddForm(true)
+  }
+
+  const handleDelete = async (category) => {
+    const children = categories.filter(c => c.parent === category.name)
+    const warning = children.length > 0
+      ? `Delete "${category.name}"? Its ${children.length} subcategories will become top-level categories.`
+      : `Delete "${category.name}"? Existing transactions keep the name but will show as uncategorized colors.`
+    if (!confirm(warning)) return
+
+    try {
+      for (const child of children) {
+        await updateUserCategory(child.id, { parent: null })
+      }
+      await deleteUserCategory(category.id)
+      setMessage('✅ Category deleted successfully!')
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+      await onCategoriesUpdate?.()
+    } catch (error) {
+      console.error('Error deleting category:', error)
+      setMessage('❌ Failed to delete category')
+      playSound('error')
+    }
+  }
+
+  const getUsageCount = (name) => (transactions || []).filter(t => t.category === name).length
+
+  return (
+    <div className="p-4">
+      <div className="text-center font-bold text-lg mb-6 text-retro-dark">
+        🗂️ CATEGORY MANAGEMENT
+      </div>
+
+      <div className="text-center mb-6">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={() => { playSound('click1'); setEditingCategory(null); setNewCategory(emptyCategory); setShowAddForm(true) }}
+        >
+          ➕ Add Category
+        </button>
+      </div>
+
+      {/* Add/Edit Form */}
+      {showAddForm && (
+        <div className="retro-chart mb-6 p-4">
+          <div className="text-center font-bold mb-4">
+            {editingCategory ? '✏️ Edit Category' : '➕ Add New Category'}
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-bold mb-1">Name:</label>
+                <input
+                  type="text"
+                  value={newCategory.name}
+                  onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+                  className="retro-input w-full"
+                  placeholder="e.g. Pets"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Parent Category:</label>
+                <select
+                  value={newCategory.parent}
+                  onChange={(e) => setNewCategory({ ...newCategory, parent: e.target.value })}
+                  className="retro-input w-full"
+                >
+                  <option value="">None (top-level)</option>
+                  {parentOptions.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Color:</label>
+                <input
+                  type="color"
+                  value={newCategory.color}
+                  onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+                  className="retro-input w-full h-8"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Icon (emoji):</label>
+                <input
+                  type="text"
+                  value={newCategory.icon}
+                  onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+                  className="retro-input w-full"
+                  placeholder="🐾"
+                  maxLength={4}
+                />
+              </div>
+            </div>
+
+            <div className="flex space-x-4 justify-center">
+              <button
+                type="submit"
+                className="retro-button px-6 py-2"
+                disabled={isSaving}
+                onClick={() => playSound('click1')}
+              >
+                {isSaving ? '⏳ Saving...' : '💾 Save Category'}
+              </button>
+              <button
+                type="button"
+                className="retro-button px-6 py-2"
+                onClick={() => { playSound('click1'); resetForm() }}
+              >
+                ✕ Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Categories List */}
+      <div className="space-y-2 mb-6">
+        <div className="text-center font-bold text-sm mb-4">YOUR CATEGORIES</div>
+        {categories.map(category => (
+          <div
+            key={category.id || category.name}
+            className={`retro-chart p-3 ${category.parent && findCategory(category.parent, categories) ? 'ml-6' : ''}`}
+          >
+            <div className="flex justify-between items-center">
+              <div className="flex items-center space-x-2">
+                <span
+                  className="w-3 h-3 rounded-full"
+                  style={{ backgroundColor: getCategoryColor(category.name, categories) }}
+                />
+                <span>{getCategoryIcon(category.name, categories)}</span>
+                <span className="font-bold text-sm">{category.name}</span>
+                {category.isDefault && (
+                  <span className="text-xs px-2 py-1 rounded bg-gray-100">DEFAULT</span>
+                )}
+                <span className="text-xs text-gray-600">{getUsageCount(category.name)} transactions</span>
+              </div>
+
+              {!category.isDefault && (
+                <div className="flex space-x-1">
+                  <button
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleEdit(category) }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleDelete(category) }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex space-x-4 justify-center">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className="text-center mt-4 text-sm font-bold">
+          {message}
+        </div>
+      )}
+
+      {/* Category Tips */}
+      <div className="retro-info mt-6">
+        <div className="text-center">
+          <div className="text-lg font-bold mb-2">Category Tips</div>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>• Custom categories appear in every tool, chart and report</div>
+            <div>• Subcategories roll up into their parent on the dashboard and in budgets</div>
+            <div>• Default categories are shared and cannot be edited</div>
+            <div>• Pair new categories with rules to fill them automatically</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CategoriesTool
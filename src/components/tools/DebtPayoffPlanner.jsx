@@ -0,0 +1,394 @@
+import { useState, useEffect } from 'react'
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts'
+import { createGoal, getDebtPlan, saveDebtPlan } from '../../api/unifiedFirestoreService'
+import { DEBT_STRATEGIES, compareDebtStrategies } from '../../api/timeMachineService'
+import { isLiabilityAccount } from '../../utils/accounts'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const DEBT_COLORS = ['#E74C3C', '#F39C12', '#9B59B6', '#3498DB', '#1ABC9C', '#95A5A6']
+
+const createEmptyDebt = () => ({
+  id: `debt-${Date.now()}`,
+  name: '',
+  balance: '',
+  apr: '',
+  minimumPayment: '',
+  linkedAccountId: null
+})
+
+const formatMonth = (isoDate) => isoDate
+  ? new Date(isoDate).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+  : 'Never'
+
+const DebtPayoffPlanner = ({ accounts = [], goals = [], user, onGoalsCreated }) => {
+  const [debts, setDebts] = useState([])
+  const [strategy, setStrategy] = useState('avalanche')
+  const [extraPayment, setExtraPayment] = useState('')
+  const [customOrder, setCustomOrder] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    if (user) {
+      loadPlan()
+    }
+  }, [user])
+
+  const loadPlan = async () => {
+    const plan = await getDebtPlan(user.uid)
+    setDebts(plan.debts.map(debt => ({
+      ...debt,
+      balance: String(debt.balance),
+      apr: String(debt.apr * 100),
+      minimumPayment: String(debt.minimumPayment)
+    })))
+    setStrategy(plan.strategy)
+    setExtraPayment(plan.extraPayment ? String(plan.extraPayment) : '')
+    setCustomOrder(plan.customOrder)
+  }
+
+  // Planner inputs as numbers (APR entered as a percentage, simulated as a decimal)
+  const parsedDebts = debts
+    .filter(debt => debt.name.trim() && parseFloat(debt.balance) > 0)
+    .map(debt => ({
+      id: debt.id,
+      name: debt.name.trim(),
+      balance: parseFloat(debt.balance) || 0,
+      apr: (parseFloat(debt.apr) || 0) / 100,
+      minimumPayment: parseFloat(debt.minimumPayment) || 0,
+      linkedAccountId: debt.linkedAccountId || null
+    }))
+
+  const plans = parsedDebts.length > 0
+    ? compareDebtStrategies(parsedDebts, parseFloat(extraPayment) || 0, customOrder)
+    : null
+  const selectedPlan = plans?.[strategy]
+
+  const liabilityAccounts = accounts.filter(account =>
+    isLiabilityAccount(account) && !debts.some(debt => debt.linkedAccountId === account.id)
+  )
+
+  const updateDebt = (debtId, field, value) => {
+    setDebts(prev => prev.map(debt => debt.id === debtId ? { ...debt, [field]: value } : debt))
+  }
+
+  const addDebt = () => {
+    playSound('click1')
+    setDebts(prev => [...prev, createEmptyDebt()])
+  }
+
+  const removeDebt = (debtId) => {
+    playSound('click1')
+    setDebts(prev => prev.filter(debt => debt.id !== debtId))
+    setCustomOrder(prev => prev.filter(id => id !== debtId))
+  }
+
+  const importLiabilityAccounts = () => {
+    playSound('click1')
+    setDebts(prev => [
+      ...prev,
+      ...liabilityAccounts.map(account => ({
+        id: `account-${account.id}`,
+        name: account.name,
+        balance: String(Math.abs(Number(account.balance) || 0)),
+        apr: '',
+        minimumPayment: '',
+        linkedAccountId: account.id
+      }))
+    ])
+  }
+
+  // Custom order starts from the current avalanche order the first time it is edited
+  const moveDebt = (debtId, direction) => {
+    playSound('click1')
+    const order = plans.custom.debts.map(debt => debt.id)
+    const index = order.indexOf(debtId)
+    const target = index + direction
+    if (index === -1 || target < 0 || target >= order.length) return
+    ;[order[index], order[target]] = [order[target], order[index]]
+    setCustomOrder(order)
+  }
+
+  const handleSavePlan = async () => {
+    if (!user) {
+      setMessage('❌ User not authenticated')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      await saveDebtPlan(user.uid, {
+        debts: parsedDebts,
+        strategy,
+        extraPayment: parseFloat(extraPayment) || 0,
+        customOrder
+      })
+      setMessage('✅ Debt plan saved')
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error saving debt plan:', error)
+      setMessage('❌ Failed to save debt plan')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleCreateGoals = async () => {
+    if (!user || !selectedPlan?.isPayable) return
+
+    // One payoff goal per debt; skip debts that already have one
+    const newDebts = parsedDebts.filter(debt => !goals.some(goal =>
+      goal.category === 'Debt Payoff' &&
+      ((debt.linkedAccountId && goal.linkedAccountId === debt.linkedAccountId) || goal.title === `Pay off ${debt.name}`)
+    ))
+    if (newDebts.length === 0) {
+      setMessage('❌ Every debt already has a payoff goal')
+      playSound('error')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const startDate = new Date().toISOString()
+      for (const debt of newDebts) {
+        const payoff = selectedPlan.debts.find(item => item.id === debt.id)
+        await createGoal({
+          userId: user.uid,
+          title: `Pay off ${debt.name}`,
+          description: `${DEBT_STRATEGIES[strategy].label} plan: payment #${payoff.order}, ${(debt.apr * 100).toFixed(2)}% APR`,
+          targetAmount: debt.balance,
+          currentAmount: 0,
+          targetDate: payoff.payoffDate,
+          category: 'Debt Payoff',
+          priority: payoff.order === 1 ? 'High' : 'Medium',
+          linkedAccountId: debt.linkedAccountId,
+          debt: {
+            apr: debt.apr,
+            minimumPayment: debt.minimumPayment,
+            startingBalance: debt.balance,
+            strategy,
+            startDate
+          }
+        })
+      }
+      setMessage(`✅ Created ${newDebts.length} payoff goal${newDebts.length === 1 ? '' : 's'}`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+      onGoalsCreated?.()
+    } catch (error) {
+      console.error('Error creating payoff goals:', error)
+      setMessage('❌ Failed to create payoff goals')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="retro-chart mb-6 p-4">
+      <div className="text-center font-bold mb-4">💳 DEBT PAYOFF PLANNER</div>
+
+      {/* Debts */}
+      <div className="space-y-2 mb-4">
+        {debts.length === 0 && (
+          <div className="text-center text-sm text-gray-600 p-2">
+            Add each debt's balance, APR and minimum payment to compare payoff strategies.
+          </div>
+        )}
+        {debts.map(debt => (
+          <div key={debt.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+            <div>
+              <label className="block text-xs font-bold mb-1">Debt:</label>
+              <input
+                type="text"
+                value={debt.name}
+                onChange={(e) => updateDebt(debt.id, 'name', e.target.value)}
+                className="retro-input w-full text-sm"
+                placeholder="e.g., Visa"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">Balance:</label>
+              <input
+                type="number"
+                value={debt.balance}
+                onChange={(e) => updateDebt(debt.id, 'balance', e.target.value)}
+                className="retro-input w-full text-sm"
+                placeholder="5000"
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">APR %:</label>
+              <input
+                type="number"
+                value={debt.apr}
+                onChange={(e) => updateDebt(debt.id, 'apr', e.target.value)}
+                className="retro-input w-full text-sm"
+                placeholder="19.99"
+                min="0"
+                max="100"
+                step="0.01"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-bold mb-1">Minimum:</label>
+              <input
+                type="number"
+                value={debt.minimumPayment}
+                onChange={(e) => updateDebt(debt.id, 'minimumPayment', e.target.value)}
+                className="retro-input w-full text-sm"
+                placeholder="150"
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <div className="flex items-center space-x-1">
+              {debt.linkedAccountId && <span className="text-xs text-gray-600">🔗 linked</span>}
+              <button className="retro-button text-xs px-2 py-1" onClick={() => removeDebt(debt.id)}>
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-2 mb-4">
+        <button className="retro-button text-xs px-3 py-1" onClick={addDebt}>
+          ➕ Add Debt
+        </button>
+        {liabilityAccounts.length > 0 && (
+          <button className="retro-button text-xs px-3 py-1" onClick={importLiabilityAccounts}>
+            Import {liabilityAccounts.length} liability account{liabilityAccounts.length === 1 ? '' : 's'}
+          </button>
+        )}
+        <label className="text-xs font-bold flex items-center space-x-1">
+          <span>Extra per month:</span>
+          <input
+            type="number"
+            value={extraPayment}
+            onChange={(e) => setExtraPayment(e.target.value)}
+            className="retro-input text-xs w-24"
+            placeholder="0"
+            min="0"
+            step="0.01"
+          />
+        </label>
+      </div>
+
+      {plans && (
+        <>
+          {/* Strategy Comparison */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
+            {Object.entries(DEBT_STRATEGIES).map(([key, info]) => {
+              const plan = plans[key]
+              return (
+                <button
+                  key={key}
+                  className={`retro-chart p-2 text-left ${strategy === key ? 'border-2 border-blue-500' : ''}`}
+                  onClick={() => { playSound('click1'); setStrategy(key) }}
+                >
+                  <div className="font-bold text-sm">{info.label}</div>
+                  <div className="text-xs text-gray-600 mb-1">{info.description}</div>
+                  {plan.isPayable ? (
+                    <>
+                      <div className="text-xs">Debt-free: <span className="font-bold">{formatMonth(plan.payoffDate)}</span> ({plan.months} months)</div>
+                      <div className="text-xs">Interest: <span className="font-bold text-red-600">${plan.totalInterest.toLocaleString()}</span></div>
+                    </>
+                  ) : (
+                    <div className="text-xs text-red-600 font-bold">
+                      {plan.error || 'Payments do not cover the interest'}
+                    </div>
+                  )}
+                </button>
+              )
+            })}
+          </div>
+
+          {/* Custom Order */}
+          {strategy === 'custom' && (
+            <div className="mb-4">
+              <div className="text-xs font-bold mb-1">Payoff order:</div>
+              {plans.custom.debts.map((debt, index) => (
+                <div key={debt.id} className="flex items-center space-x-2 text-xs mb-1">
+                  <span className="w-6">{index + 1}.</span>
+                  <span className="flex-1">{debt.name}</span>
+                  <button className="retro-button text-xs px-2" disabled={index === 0} onClick={() => moveDebt(debt.id, -1)}>▲</button>
+                  <button className="retro-button text-xs px-2" disabled={index === plans.custom.debts.length - 1} onClick={() => moveDebt(debt.id, 1)}>▼</button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Schedule Chart */}
+          {selectedPlan?.isPayable && (
+            <>
+              <div className="text-center font-bold text-sm mb-2">
+                {DEBT_STRATEGIES[strategy].label.toUpperCase()} PAYOFF SCHEDULE
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <AreaChart data={selectedPlan.schedule}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <Tooltip formatter={(value, name) => [`$${Number(value).toLocaleString()}`, name]} />
+                  <Legend />
+                  {selectedPlan.debts.map((debt, index) => (
+                    <Area
+                      key={debt.id}
+                      type="monotone"
+                      dataKey={debt.id}
+                      name={debt.name}
+                      stackId="debts"
+                      stroke={DEBT_COLORS[index % DEBT_COLORS.length]}
+                      fill={DEBT_COLORS[index % DEBT_COLORS.length]}
+                    />
+                  ))}
+                </AreaChart>
+              </ResponsiveContainer>
+
+              <div className="space-y-1 text-xs mt-3">
+                {selectedPlan.debts.map(debt => (
+                  <div key={debt.id} className="flex justify-between">
+                    <span>{debt.order}. {debt.name}</span>
+                    <span>
+                      Paid off {formatMonth(debt.payoffDate)} • Interest ${debt.interestPaid.toLocaleString()}
+                    </span>
+                  </div>
+                ))}
+                <div className="text-gray-600">
+                  Monthly payment: ${selectedPlan.monthlyBudget.toFixed(2)} • Total paid: ${selectedPlan.totalPaid.toLocaleString()}
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-2 mt-4">
+        <button className="retro-button text-xs px-3 py-1" disabled={isSaving} onClick={() => { playSound('click1'); handleSavePlan() }}>
+          💾 Save Plan
+        </button>
+        <button
+          className="retro-button text-xs px-3 py-1"
+          disabled={isSaving || !selectedPlan?.isPayable}
+          onClick={() => { playSound('click1'); handleCreateGoals() }}
+        >
+          🎯 Create Payoff Goals
+        </button>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className="text-center mt-4 text-sm font-bold">
+          {message}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DebtPayoffPlanner
@@ -1,17 +1,49 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { useUnifiedData } from '../../contexts/UnifiedDataContext'
-import { getFinancialInsights, getAvailableModels } from '../../api/aiService'
-import { formatDataForAI } from '../../utils/financialDataHelpers'
+import { getFinancialInsights } from '../../api/aiService'
+import { runAIChat, runAIToolChat, getAISettings, isSpeechAllowed, prepareSpeechText } from '../../api/aiProviders'
+import AIModelSelector from '../AIModelSelector'
+import { formatDataForAI, AI_CONTEXT_DATA_FIELDS } from '../../utils/financialDataHelpers'
+import {
+  ELIZA_TOOLS,
+  ELIZA_ACTION_TOOLS,
+  createElizaToolRunner,
+  describeToolCall,
+  describeElizaAction,
+  getProposedActions,
+  getActionAmount,
+  withActionAmount,
+  restoreTypedAmount
+} from '../../utils/elizaTools'
+import {
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  createGoal,
+  deleteGoal,
+  createTransaction,
+  deleteTransaction
+} from '../../api/unifiedFirestoreService'
 import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js'
 import { play as playSound } from '../../utils/soundPlayer'
 
-const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onClose, onDataUpdate }) => {
+const ElizaTool = ({
+  financialData,
+  transactions,
+  accounts,
+  user: userProp,
+  onClose,
+  onDataUpdate,
+  onBudgetsUpdate,
+  onGoalsUpdate,
+  onAccountsUpdate
+}) => {
   const [messages, setMessages] = useState([])
   const [inputMessage, setInputMessage] = useState('')
   const [isTyping, setIsTyping] = useState(false)
   const [conversationHistory, setConversationHistory] = useState([])
   const messagesEndRef = useRef(null)
-  const { user } = useUnifiedData()
+  const { user, budgets, goals, categories } = useUnifiedData()
   const audioRef = useRef(null)
   const currentAudioUrlRef = useRef(null)
 
@@ -64,8 +96,8 @@ const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onCl
 
   // Play Eliza's message via ElevenLabs (on-demand)
   const playElizaAudio = async (text) => {
-    if (!elevenlabs.current) {
-      console.warn('ElevenLabs API key not configured — skipping TTS')
+    if (!elevenlabs.current || !isSpeechAllowed()) {
+      console.warn('Text-to-speech unavailable (no ElevenLabs key or AI set to local only) — skipping TTS')
       return
     }
 
@@ -74,7 +106,7 @@ const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onCl
       stopPlayback()
 
       const audioIterable = await elevenlabs.current.textToSpeech.convert('EXAVITQu4vr4xnSDxMaL', {
-        text,
+        text: prepareSpeechText(text, { feature: 'eliza' }),
         modelId: 'eleven_multilingual_v2'
       })
 
@@ -116,7 +148,7 @@ const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onCl
         {
           id: 1,
           type: 'bot',
-          content: `👋 Hello! I'm Eliza, your advanced AI financial assistant. I have comprehensive access to all your financial data and can provide:\n\n• 📊 Deep financial analysis with health scoring\n• 💰 Personalized budget recommendations\n• 📈 Advanced spending pattern analysis\n• 🎯 Smart goal setting and tracking advice\n• 💡 Data-driven money-saving strategies\n• 📋 Transaction pattern insights\n• 🔍 Unusual spending detection\n• 📈 Income trend analysis\n• 💾 Savings optimization tips\n\nI can analyze your complete financial picture and provide specific, actionable advice. What would you like to explore?`,
+          content: `👋 Hello! I'm Eliza, your advanced AI financial assistant. I have comprehensive access to all your financial data and can provide:\n\n• 📊 Deep financial analysis with health scoring\n• 💰 Personalized budget recommendations\n• 📈 Advanced spending pattern analysis\n• 🎯 Smart goal setting and tracking advice\n• 💡 Data-driven money-saving strategies\n• 📋 Transaction pattern insights\n• 🔧 Exact lookups, like how much you spent at coffee shops in March\n• ✍️ Budgets, goals and transactions from chat, like "log $12.50 lunch yesterday" (you confirm first)\n• 🔍 Unusual spending detection\n• 📈 Income trend analysis\n• 💾 Savings optimization tips\n\nI can analyze your complete financial picture and provide specific, actionable advice. What would you like to explore?`,
           timestamp: new Date()
         }
       ])
@@ -146,22 +178,18 @@ const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onCl
       })
       
       if (!insights.currentBalance && !insights.totalIncome && !insights.totalExpenses) {
-        return "I don't have access to your financial data yet. Please ensure your account is properly connected and try again."
+        return { content: "I don't have access to your financial data yet. Please ensure your account is properly connected and try again." }
       }
 
-      // Try Google Gemini first
+      // Uses the model chosen for Eliza, then falls through the provider order
       try {
-        console.log('Attempting Google Gemini first...')
-        const geminiResponse = await callGoogleGemini(userMessage, insights)
-        return geminiResponse
-      } catch (geminiError) {
-        console.log('Google Gemini failed, trying OpenRouter...')
+        return await callAIWithTools(userMessage, insights)
+      } catch (toolError) {
+        // Models without tool support still get the full summary
+        console.warn('Tool calling unavailable, answering from the summary:', toolError)
+        return { content: await callAI(userMessage, insights) }
       }
 
-      // Fallback to OpenRouter AI service
-      const response = await callOpenRouterAI(userMessage, insights)
-      return response
-
     } catch (error) {
       console.error('Error generating AI response:', error)
       
@@ -174,189 +202,64 @@ const ElizaTool = ({ financialData, transactions, accounts, user: userProp, onCl
         )
         
         if (fallbackInsights && fallbackInsights.length > 0) {
-          return `🤖 Based on your financial data: ${fallbackInsights.join(' ')}`
+          return { content: `🤖 Based on your financial data: ${fallbackInsights.join(' ')}` }
         }
       } catch (fallbackError) {
         console.error('Fallback AI service also failed:', fallbackError)
       }
       
       // Final fallback to contextual response
-      return generateFallbackResponse(userMessage, financialData)
+      return { content: generateFallbackResponse(userMessage, financialData) }
     }
   }
 
-  const callOpenRouterAI = async (userMessage, insights) => {
-    const apiKey = import.meta.env.VITE_OPENROUTER_API_KEY
-    
-    if (!apiKey || apiKey === 'your_openrouter_api_key_here') {
-      console.warn('OpenRouter API key not configured, using fallback response')
-      return generateFallbackResponse(userMessage, financialData)
-    }
-
-    // Debug API key format
-    console.log('OpenRouter API Key format check:', {
-      hasKey: !!apiKey,
-      keyLength: apiKey?.length,
-      keyPrefix: apiKey?.substring(0, 10) + '...',
-      keySuffix: '...' + apiKey?.substring(apiKey.length - 10)
-    })
-
-    // Validate API key format (OpenRouter keys typically start with 'sk-or-')
-    if (!apiKey.startsWith('sk-or-')) {
-      console.warn('OpenRouter API key format may be incorrect. Expected format: sk-or-...')
-    }
-
-    // Test API key with a simple request first
-    try {
-      const testResponse = await fetch('https://openrouter.ai/api/v1/models', {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'RetroVault Eliza AI'
-        }
-      })
-      
-      if (!testResponse.ok) {
-        console.error('API key test failed:', testResponse.status, testResponse.statusText)
-        throw new Error(`API key validation failed: ${testResponse.status}`)
-      }
-      
-      console.log('API key validation successful')
-    } catch (testError) {
-      console.error('API key test error:', testError)
-      throw new Error('OpenRouter API key is invalid or expired')
-    }
-
-    // Format comprehensive financial data for AI
-    const formattedData = formatDataForAI(insights, {
-      ...financialData,
-      transactions: transactions || [],
-      accounts: accounts || [],
-      user: userProp
-    })
-
-    // Build conversation context
-    const chatContext = conversationHistory
-      .slice(-6) // Last 3 exchanges (6 messages)
-      .map(msg => `${msg.type === 'user' ? 'User' : 'Eliza'}: ${msg.content}`)
-      .join('\n')
-
-    const prompt = `You are Eliza, an intelligent financial AI assistant with comprehensive access to the user's financial data. You should provide helpful, personalized advice based on their complete financial picture.
-
-${formattedData}
+  const callAIWithTools = async (userMessage, insights) => {
+    const today = new Date()
+    const systemPrompt = `You are Eliza, an intelligent financial AI assistant for RetroVault. Today is ${today.toDateString()}.
 
-${chatContext ? `Previous conversation context:
-${chatContext}
-
-` : ''}Current question: "${userMessage}"
+Overview:
+- Current Balance: $${insights.currentBalance.toLocaleString()}
+- Total Income: $${insights.totalIncome.toLocaleString()}
+- Total Expenses: $${insights.totalExpenses.toLocaleString()}
+- Transactions: ${insights.transactionCount}
+- Categories: ${(categories || []).map(category => category.name).join(', ')}
+- Budgets: ${(budgets || []).length}, Goals: ${(goals || []).length}
 
 Instructions:
-1. Be conversational and friendly like a personal financial advisor
-2. Use the specific financial data provided above to give personalized insights
-3. Reference exact numbers, trends, and patterns from their account
-4. Provide actionable advice based on their spending patterns, income trends, and savings behavior
-5. If they ask about specific categories, spending, or financial health, use the detailed analysis provided
-6. Keep responses informative but concise (2-4 sentences)
-7. Use emojis appropriately to make responses engaging
-8. Focus on actionable insights they can implement immediately
-9. If their financial health score is low, suggest specific improvements
-10. If they have unusual spending patterns, address them constructively
-11. Reference previous conversation topics when relevant to build continuity
-12. Provide clean, well-formatted responses without markdown or special formatting
-
-Respond as Eliza with specific, data-driven advice:`
-
-    // Try multiple free models in order of preference
-    const freeModels = [
-      'meta-llama/llama-3.1-8b-instruct',
-      'microsoft/phi-3-mini-128k-instruct',
-      'google/gemini-2.5-flash'
-    ]
+1. Use the tools to look up transactions, category totals, budgets, goals and projections instead of guessing
+2. Resolve relative dates ("in March", "last week") against today's date before calling a tool
+3. Quote the exact numbers the tools return; if a tool finds nothing, say so
+4. When the user asks to set a budget, create a goal or log a transaction, call the matching propose tool; it only shows the user a confirmation dialog, so never say it is saved, say it is ready for them to confirm
+5. Only propose actions the user asked for; if a required detail is missing, ask for it instead
+6. Be conversational and friendly like a personal financial advisor
+7. Keep responses informative but concise (2-4 sentences) with actionable advice
+8. Use emojis appropriately, without markdown or special formatting`
 
-    let lastError = null
-    for (const model of freeModels) {
-      try {
-        console.log(`Trying model: ${model}`)
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.origin,
-            'X-Title': 'RetroVault Eliza AI'
-          },
-          body: JSON.stringify({
-            model: model,
-            messages: [
-              {
-                role: 'user',
-                content: prompt
-              }
-            ]
-          })
-        })
-
-        if (response.ok) {
-          console.log(`Success with model: ${model}`)
-          const data = await response.json()
-          const content = data.choices?.[0]?.message?.content
-
-          if (!content) {
-            throw new Error('No response from AI')
-          }
-
-          return content.trim()
-        } else {
-          const errorText = await response.text()
-          console.warn(`Model ${model} failed:`, response.status, errorText)
-          lastError = new Error(`Model ${model} failed: ${response.status}`)
-          continue
-        }
-      } catch (error) {
-        console.warn(`Model ${model} error:`, error)
-        lastError = error
-        continue
-      }
-    }
-
-    // If all models failed, throw the last error
-    throw lastError || new Error('All free models failed')
-  }
-
-  const callGoogleGemini = async (userMessage, insights) => {
-    const geminiApiKey = import.meta.env.VITE_GOOGLE_GEMINI_API_KEY
-    
-    if (!geminiApiKey || geminiApiKey === 'your_google_gemini_api_key_here') {
-      console.warn('Google Gemini API key not configured, skipping Gemini fallback')
-      throw new Error('Google Gemini API key not configured')
-    }
-
-    console.log('Google Gemini API Key format check:', {
-      hasKey: !!geminiApiKey,
-      keyLength: geminiApiKey?.length,
-      keyPrefix: geminiApiKey?.substring(0, 10) + '...'
+    const chatContext = conversationHistory
+      .slice(-6)
+      .map(msg => ({ role: msg.type === 'user' ? 'user' : 'assistant', content: msg.content }))
+
+    const { content, toolCalls } = await runAIToolChat([
+      { role: 'system', content: systemPrompt },
+      ...chatContext,
+      { role: 'user', content: userMessage }
+    ], {
+      feature: 'eliza',
+      tools: [...ELIZA_TOOLS, ...ELIZA_ACTION_TOOLS],
+      executeTool: createElizaToolRunner({
+        transactions: transactions || [],
+        categories,
+        budgets,
+        goals,
+        accounts: accounts || [],
+        balance: insights.currentBalance
+      }),
+      dataFields: ['balance, income and expense totals', 'category names', 'budget and goal counts', 'chat history (last 6 messages)']
     })
+    return { content, toolCalls }
+  }
 
-    // Validate Gemini API key format (Google API keys typically start with 'AIza')
-    if (!geminiApiKey.startsWith('AIza')) {
-      console.warn('Google Gemini API key format may be incorrect. Expected format: AIza...')
-    }
-
-    // Test Gemini API key with a simple request first
-    try {
-      const testResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${geminiApiKey}`)
-      
-      if (!testResponse.ok) {
-        console.error('Gemini API key test failed:', testResponse.status, testResponse.statusText)
-        throw new Error(`Gemini API key validation failed: ${testResponse.status}`)
-      }
-      
-      console.log('Gemini API key validation successful')
-    } catch (testError) {
-      console.error('Gemini API key test error:', testError)
-      throw new Error('Google Gemini API key is invalid or expired')
-    }
-
+  const callAI = async (userMessage, insights) => {
     // Format comprehensive financial data for AI
     const formattedData = formatDataForAI(insights, {
       ...financialData,
@@ -365,21 +268,10 @@ Respond as Eliza with specific, data-driven advice:`
       user: userProp
     })
 
-    // Build conversation context
-    const chatContext = conversationHistory
-      .slice(-6) // Last 3 exchanges (6 messages)
-      .map(msg => `${msg.type === 'user' ? 'User' : 'Eliza'}: ${msg.content}`)
-      .join('\n')
-
-    const prompt = `You are Eliza, an intelligent financial AI assistant with comprehensive access to the user's financial data. You should provide helpful, personalized advice based on their complete financial picture.
+    const systemPrompt = `You are Eliza, an intelligent financial AI assistant with comprehensive access to the user's financial data. You should provide helpful, personalized advice based on their complete financial picture.
 
 ${formattedData}
 
-${chatContext ? `Previous conversation context:
-${chatContext}
-
-` : ''}Current question: "${userMessage}"
-
 Instructions:
 1. Be conversational and friendly like a personal financial advisor
 2. Use the specific financial data provided above to give personalized insights
@@ -392,46 +284,19 @@ Instructions:
 9. If their financial health score is low, suggest specific improvements
 10. If they have unusual spending patterns, address them constructively
 11. Reference previous conversation topics when relevant to build continuity
-12. Provide clean, well-formatted responses without markdown or special formatting
-
-Respond as Eliza with specific, data-driven advice:`
+12. Provide clean, well-formatted responses without markdown or special formatting`
 
-    console.log('Calling Google Gemini API...')
-    
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${geminiApiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 400,
-          topP: 0.8,
-          topK: 10
-        }
-      })
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('Google Gemini API Error:', response.status, errorText)
-      throw new Error(`Google Gemini API error: ${response.status}`)
-    }
-
-    const data = await response.json()
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-    if (!content) {
-      throw new Error('No response from Google Gemini')
-    }
-
-    return content.trim()
+    // Last 3 exchanges (6 messages) as conversation turns
+    const chatContext = conversationHistory
+      .slice(-6)
+      .map(msg => ({ role: msg.type === 'user' ? 'user' : 'assistant', content: msg.content }))
+
+    const { content } = await runAIChat([
+      { role: 'system', content: systemPrompt },
+      ...chatContext,
+      { role: 'user', content: userMessage }
+    ], { feature: 'eliza', dataFields: [...AI_CONTEXT_DATA_FIELDS, 'chat history (last 6 messages)'] })
+    return content
   }
 
   const generateFallbackResponse = (userMessage, financialData) => {
@@ -458,7 +323,11 @@ Respond as Eliza with specific, data-driven advice:`
       spendingBreakdown[a] > spendingBreakdown[b] ? a : b, 'None'
     )
 
-    if (userMessage.toLowerCase().includes('balance') || userMessage.toLowerCase().includes('money')) {
+    const forecast = financialData?.cashFlowForecast
+    if (forecast?.days?.length && /forecast|payday|negative|overdraft|cash ?flow|next (month|\d+ days)/.test(userMessage.toLowerCase())) {
+      const lowestDay = new Date(`${forecast.lowestBalanceDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+      return `📅 Over the next ${forecast.days.length} days your balance is projected to bottom out at $${forecast.lowestBalance.toLocaleString()} on ${lowestDay} and end at $${forecast.endingBalance.toLocaleString()}. ${forecast.firstLowBalanceDate ? `Watch out: it drops below $${forecast.threshold} on ${forecast.firstLowBalanceDate}${forecast.goesNegative ? ' and goes negative' : ''}. Consider moving a bill or pausing a goal contribution.` : 'No low-balance days ahead. Nice cushion!'}`
+    } else if (userMessage.toLowerCase().includes('balance') || userMessage.toLowerCase().includes('money')) {
       return `💰 Your current balance is $${balance.toLocaleString()}. Your net position is $${netBalance.toLocaleString()} (income - expenses). ${netBalance > 0 ? 'Great job maintaining positive cash flow!' : 'Consider reviewing your spending to improve your financial position.'}`
     } else if (userMessage.toLowerCase().includes('income') || userMessage.toLowerCase().includes('earn')) {
       return `📈 Your total income is $${totalIncome.toLocaleString()}. This shows your earning capacity. ${totalIncome > 0 ? `Your average income per transaction is $${(totalIncome / (transactions?.filter(t => t.type === 'income').length || 1)).toFixed(2)}.` : 'No income transactions found.'}`
@@ -502,11 +371,19 @@ Respond as Eliza with specific, data-driven advice:`
     // Simulate AI thinking time
     setTimeout(async () => {
       const botResponse = await generateContextualResponse(inputMessage)
+      // Rounded and bucketed prompts hide exact amounts from the model, so proposals take them from the message
+      const amountsCoarsened = getAISettings().privacyLevel !== 'standard'
       
       const botMessage = {
         id: Date.now() + 1,
         type: 'bot',
-        content: botResponse,
+        content: botResponse.content,
+        toolCalls: botResponse.toolCalls || [],
+        // Proposed actions wait in the transcript until the user confirms or cancels them
+        actions: getProposedActions(botResponse.toolCalls).map(action => ({
+          ...(amountsCoarsened ? restoreTypedAmount(action, inputMessage) : action),
+          status: 'pending'
+        })),
         timestamp: new Date()
       }
 
@@ -518,6 +395,99 @@ Respond as Eliza with specific, data-driven advice:`
     }, 1500)
   }
 
+  const updateAction = (messageId, index, changes) => {
+    setMessages(prev => prev.map(message => message.id === messageId
+      ? { ...message, actions: message.actions.map((action, i) => i === index ? { ...action, ...changes } : action) }
+      : message))
+  }
+
+  // Note the outcome in the chat (and the model's history) so follow-up questions know what was saved
+  const addActionNote = (content) => {
+    const note = { id: Date.now(), type: 'bot', content, timestamp: new Date() }
+    setMessages(prev => [...prev, note])
+    setConversationHistory(prev => [...prev, note])
+  }
+
+  const refreshAfterAction = (action) => {
+    onDataUpdate?.()
+    if (action.kind === 'budget') onBudgetsUpdate?.()
+    if (action.kind === 'goal') onGoalsUpdate?.()
+    if (action.kind === 'transaction') onAccountsUpdate?.()
+  }
+
+  // The amount can be corrected in the dialog before confirming
+  const resolveAction = (action) => {
+    return action.amountInput === undefined ? action : withActionAmount(action, action.amountInput)
+  }
+
+  const confirmAction = async (messageId, index, pendingAction) => {
+    if (!user?.uid) return
+    const action = resolveAction(pendingAction)
+    if (!(getActionAmount(action) > 0)) {
+      playSound('error')
+      return
+    }
+    updateAction(messageId, index, { ...action, amountInput: undefined, status: 'saving' })
+    try {
+      let savedId
+      if (action.kind === 'budget') {
+        savedId = action.budgetId
+          ? (await updateBudget(action.budgetId, action.data)).id
+          : (await createBudget({ ...action.data, userId: user.uid })).id
+      } else if (action.kind === 'goal') {
+        savedId = (await createGoal({ ...action.data, userId: user.uid })).id
+      } else if (action.kind === 'transaction') {
+        savedId = (await createTransaction({ ...action.data, userId: user.uid })).id
+      } else {
+        throw new Error(`Unknown action: ${action.kind}`)
+      }
+
+      updateAction(messageId, index, { status: 'confirmed', savedId })
+      addActionNote(`✅ Done: ${describeElizaAction(action)}`)
+      playSound('success')
+      refreshAfterAction(action)
+    } catch (error) {
+      console.error('❌ Error saving Eliza action:', error)
+      updateAction(messageId, index, { ...pendingAction, status: 'pending' })
+      addActionNote(`❌ I couldn't save that: ${describeElizaAction(action)}`)
+      playSound('error')
+    }
+  }
+
+  const cancelAction = (messageId, index, action) => {
+    updateAction(messageId, index, { status: 'cancelled' })
+    addActionNote(`✕ Cancelled: ${describeElizaAction(action)}`)
+    playSound('click2')
+  }
+
+  // Updated budgets go back to their previous settings; anything created is deleted
+  const undoAction = async (messageId, index, action) => {
+    updateAction(messageId, index, { status: 'saving' })
+    try {
+      if (action.kind === 'budget') {
+        if (action.budgetId) {
+          await updateBudget(action.budgetId, action.previous)
+        } else {
+          await deleteBudget(action.savedId)
+        }
+      } else if (action.kind === 'goal') {
+        await deleteGoal(action.savedId)
+      } else if (action.kind === 'transaction') {
+        await deleteTransaction(action.savedId)
+      }
+
+      updateAction(messageId, index, { status: 'undone' })
+      addActionNote(`↩ Undone: ${describeElizaAction(action)}`)
+      playSound('logoff')
+      refreshAfterAction(action)
+    } catch (error) {
+      console.error('❌ Error undoing Eliza action:', error)
+      updateAction(messageId, index, { status: 'confirmed' })
+      addActionNote(`❌ I couldn't undo that: ${describeElizaAction(action)}`)
+      playSound('error')
+    }
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -535,7 +505,7 @@ Respond as Eliza with specific, data-driven advice:`
       {
         id: 1,
         type: 'bot',
-        content: `👋 Hello! I'm Eliza, your advanced AI financial assistant. I have comprehensive access to all your financial data and can provide:\n\n• 📊 Deep financial analysis with health scoring\n• 💰 Personalized budget recommendations\n• 📈 Advanced spending pattern analysis\n• 🎯 Smart goal setting and tracking advice\n• 💡 Data-driven money-saving strategies\n• 📋 Transaction pattern insights\n• 🔍 Unusual spending detection\n• 📈 Income trend analysis\n• 💾 Savings optimization tips\n\nI can analyze your complete financial picture and provide specific, actionable advice. What would you like to explore?`,
+        content: `👋 Hello! I'm Eliza, your advanced AI financial assistant. I have comprehensive access to all your financial data and can provide:\n\n• 📊 Deep financial analysis with health scoring\n• 💰 Personalized budget recommendations\n• 📈 Advanced spending pattern analysis\n• 🎯 Smart goal setting and tracking advice\n• 💡 Data-driven money-saving strategies\n• 📋 Transaction pattern insights\n• 🔧 Exact lookups, like how much you spent at coffee shops in March\n• ✍️ Budgets, goals and transactions from chat, like "log $12.50 lunch yesterday" (you confirm first)\n• 🔍 Unusual spending detection\n• 📈 Income trend analysis\n• 💾 Savings optimization tips\n\nI can analyze your complete financial picture and provide specific, actionable advice. What would you like to explore?`,
         timestamp: new Date()
       }
     ])
@@ -559,6 +529,7 @@ Respond as Eliza with specific, data-driven advice:`
         </div>
         </div>
         <div className="flex items-center space-x-2">
+          <AIModelSelector feature="eliza" />
           <button
             onClick={clearConversation}
             className="px-3 py-1 text-xs bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
@@ -582,9 +553,76 @@ Respond as Eliza with specific, data-driven advice:`
                   ? 'bg-blue-500 text-white'
                   : 'bg-white border border-gray-200 shadow-sm'
               }`}>
+              {/* Tool calls behind this answer, with their results so it can be checked */}
+              {message.toolCalls?.some(call => call.result?.status !== 'awaiting_confirmation') && (
+                <div className="mb-2 space-y-1">
+                  {message.toolCalls.filter(call => call.result?.status !== 'awaiting_confirmation').map((call, index) => (
+                    <details key={index} className="text-xs bg-gray-100 border border-gray-300 px-2 py-1">
+                      <summary className="cursor-pointer">🔧 {describeToolCall(call)}</summary>
+                      <pre className="whitespace-pre-wrap overflow-x-auto max-h-40 mt-1">{JSON.stringify(call.result, null, 2)}</pre>
+                    </details>
+                  ))}
+                </div>
+              )}
+              {/* Proposed actions: nothing is saved until the user confirms */}
+              {message.actions?.map((action, index) => (
+                <div key={index} className="window mb-2 text-xs">
+                  <div className="title-bar">
+                    <div className="title-bar-text">
+                      {action.status === 'confirmed' ? '✅ Saved' : action.status === 'undone' ? '↩ Undone' : action.status === 'cancelled' ? '✕ Cancelled' : '⚠️ Confirm Action'}
+                    </div>
+                  </div>
+                  <div className="window-body">
+                    <p className="mb-2">{describeElizaAction(resolveAction(action))}</p>
+                    {action.status === 'pending' && (
+                      <label className="flex items-center space-x-1 mb-2">
+                        <span>Amount $</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={action.amountInput ?? getActionAmount(action)}
+                          onChange={(e) => updateAction(message.id, index, { amountInput: e.target.value })}
+                          className="retro-input text-xs w-24"
+                        />
+                        {action.amountFromMessage && <span className="text-gray-600">(from your message)</span>}
+                      </label>
+                    )}
+                    {(action.status === 'pending' || (action.status === 'saving' && !action.savedId)) && (
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          className="retro-button text-xs"
+                          onClick={() => confirmAction(message.id, index, action)}
+                          disabled={action.status === 'saving'}
+                        >
+                          {action.status === 'saving' ? 'Saving...' : '✅ Confirm'}
+                        </button>
+                        <button
+                          className="retro-button text-xs"
+                          onClick={() => cancelAction(message.id, index, action)}
+                          disabled={action.status === 'saving'}
+                        >
+                          ✕ Cancel
+                        </button>
+                      </div>
+                    )}
+                    {(action.status === 'confirmed' || (action.status === 'saving' && action.savedId)) && (
+                      <div className="flex justify-end">
+                        <button
+                          className="retro-button text-xs"
+                          onClick={() => undoAction(message.id, index, action)}
+                          disabled={action.status === 'saving'}
+                        >
+                          {action.status === 'saving' ? 'Undoing...' : '↩ Undo'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
               <div className="flex items-start space-x-2">
                 <div className="flex-1 whitespace-pre-wrap text-sm">{message.content}</div>
-                {message.type === 'bot' && (
+                {message.type === 'bot' && isSpeechAllowed() && (
                   <button
                     onClick={() => { stopPlayback(); playSound('click1'); playElizaAudio(message.content) }}
                     title="Play audio"
@@ -4,30 +4,62 @@ import {
   getUserTransactions,
   updateTransaction,
   deleteTransaction,
-  validateTransaction
+  createTransfer,
+  validateTransaction,
+  batchCreateTransactions,
+  getImportPresets,
+  saveImportPreset,
+  getUserCategoryRules
 } from '../../api/unifiedFirestoreService'
+import { applyCategorizationRules } from '../../utils/categorizationRules'
+import { DEFAULT_CATEGORIES, getCategoryColor } from '../../utils/categories'
+import {
+  isSplitTransaction,
+  normalizeSplits,
+  getUnallocatedAmount,
+  getPrimarySplitCategory
+} from '../../utils/splitTransactions'
+import { isTransferTransaction, describeTransfer } from '../../utils/transfers'
+import {
+  IMPORT_FIELDS,
+  IMPORT_DATE_FORMATS,
+  parseCSV,
+  guessColumnMapping,
+  mapCsvRows
+} from '../../utils/csvImport'
+import { detectStatementFormat, parseStatementFile, importStatement } from '../../api/statementParser'
 import { safeTimestamp } from '../../utils/timestampUtils'
 import { play as playSound } from '../../utils/soundPlayer'
 
-const ExpensesTool = ({ financialData, transactions: contextTransactions, accounts, user, onClose, onDataUpdate }) => {
+const createEmptyTransaction = () => ({
+  description: '',
+  amount: '',
+  category: 'Other',
+  type: 'expense',
+  date: new Date().toISOString().split('T')[0],
+  splits: [],
+  accountId: '',
+  fromAccountId: '',
+  toAccountId: ''
+})
+
+const ExpensesTool = ({ financialData, transactions: contextTransactions, accounts, categories = DEFAULT_CATEGORIES, user, onClose, onDataUpdate }) => {
   const [transactions, setTransactions] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [message, setMessage] = useState('')
   const [showAddForm, setShowAddForm] = useState(false)
   const [editingTransaction, setEditingTransaction] = useState(null)
-  const [newTransaction, setNewTransaction] = useState({
-    description: '',
-    amount: '',
-    category: 'Other',
-    type: 'expense',
-    date: new Date().toISOString().split('T')[0]
-  })
-
-  const categories = [
-    'Food', 'Transport', 'Entertainment', 'Shopping', 
-    'Bills', 'Healthcare', 'Education', 'Travel', 'Other'
-  ]
+  const [newTransaction, setNewTransaction] = useState(createEmptyTransaction)
+  const [showImport, setShowImport] = useState(false)
+  const [csvData, setCsvData] = useState(null)
+  const [statementData, setStatementData] = useState(null)
+  const [csvFileName, setCsvFileName] = useState('')
+  const [columnMapping, setColumnMapping] = useState({})
+  const [importDateFormat, setImportDateFormat] = useState('YYYY-MM-DD')
+  const [importPresets, setImportPresets] = useState({})
+  const [bankName, setBankName] = useState('')
+  const [isImporting, setIsImporting] = useState(false)
 
   useEffect(() => {
     if (user) {
@@ -62,13 +94,20 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
       return
     }
     
+    if (newTransaction.type === 'transfer') {
+      await handleTransferSubmit()
+      return
+    }
+    
     // Validate form data using unified service
+    const splits = newTransaction.splits.length > 0 ? normalizeSplits(newTransaction.splits) : null
     const validation = validateTransaction({
       description: newTransaction.description,
       amount: parseFloat(newTransaction.amount),
       date: newTransaction.date,
-      category: newTransaction.category,
-      type: newTransaction.type
+      category: splits ? getPrimarySplitCategory(splits) : newTransaction.category,
+      type: newTransaction.type,
+      splits
     })
     
     console.log('🔍 [EXPENSES] Validation result:', validation)
@@ -83,16 +122,20 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
       setIsSaving(true)
       console.log('🔍 [EXPENSES] Starting save process...')
       
-      const transactionData = {
+      // Rules only pick the category when the user left it on the default (never for splits)
+      const rules = await getUserCategoryRules(user.uid)
+      const transactionData = applyCategorizationRules({
         userId: user.uid,
-        accountId: accounts[0]?.id || 'default',
+        accountId: newTransaction.accountId || accounts[0]?.id || 'default',
         amount: parseFloat(newTransaction.amount),
         type: newTransaction.type,
-        category: newTransaction.category,
+        category: splits ? getPrimarySplitCategory(splits) : newTransaction.category,
+        splits,
         description: newTransaction.description,
         merchant: newTransaction.description,
-        date: new Date(newTransaction.date).toISOString()
-      }
+        date: new Date(newTransaction.date).toISOString(),
+        tags: editingTransaction?.tags || []
+      }, rules, { keepCategory: Boolean(splits) || newTransaction.category !== 'Other' })
       
       console.log('🔍 [EXPENSES] Transaction data:', transactionData)
 
@@ -113,13 +156,7 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
       }
       
       // Reset form
-      setNewTransaction({
-        description: '',
-        amount: '',
-        category: 'Other',
-        type: 'expense',
-        date: new Date().toISOString().split('T')[0]
-      })
+      setNewTransaction(createEmptyTransaction())
       setShowAddForm(false)
       setEditingTransaction(null)
       
@@ -134,6 +171,201 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
     }
   }
 
+  const handleTransferSubmit = async () => {
+    const amount = parseFloat(newTransaction.amount)
+    if (!newTransaction.fromAccountId || !newTransaction.toAccountId) {
+      setMessage('❌ Choose both accounts for the transfer')
+      return
+    }
+    if (newTransaction.fromAccountId === newTransaction.toAccountId) {
+      setMessage('❌ Transfer accounts must be different')
+      return
+    }
+    if (!amount || amount <= 0) {
+      setMessage('❌ Amount must be greater than 0')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      await createTransfer({
+        userId: user.uid,
+        fromAccountId: newTransaction.fromAccountId,
+        toAccountId: newTransaction.toAccountId,
+        amount,
+        description: newTransaction.description,
+        date: new Date(newTransaction.date).toISOString()
+      })
+      setMessage('✅ Transfer recorded successfully!')
+      playSound('success')
+
+      setNewTransaction(createEmptyTransaction())
+      setShowAddForm(false)
+
+      setTimeout(() => setMessage(''), 3000)
+      onDataUpdate()
+    } catch (error) {
+      console.error('Error saving transfer:', error)
+      setMessage(`❌ Failed to save transfer: ${error.message}`)
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const resetImport = () => {
+    setShowImport(false)
+    setCsvData(null)
+    setStatementData(null)
+    setCsvFileName('')
+    setColumnMapping({})
+    setBankName('')
+  }
+
+  const openImport = async () => {
+    setShowImport(true)
+    setShowAddForm(false)
+    if (user?.uid) {
+      setImportPresets(await getImportPresets(user.uid))
+    }
+  }
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    try {
+      const text = await file.text()
+
+      if (detectStatementFormat(text, file.name) && !file.name.toLowerCase().endsWith('.csv')) {
+        const statement = parseStatementFile(text, file.name)
+        setStatementData(statement)
+        setCsvData(null)
+        setCsvFileName(file.name)
+        console.log(`🔍 [EXPENSES] Parsed ${statement.format.toUpperCase()}: ${statement.transactions.length} transactions`)
+        return
+      }
+
+      const parsed = parseCSV(text)
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setMessage('❌ The CSV file has no data rows')
+        playSound('error')
+        return
+      }
+
+      const preset = importPresets[bankName]
+      const presetFits = preset && Object.values(preset.mapping).every(header => !header || parsed.headers.includes(header))
+
+      setCsvData(parsed)
+      setStatementData(null)
+      setCsvFileName(file.name)
+      setColumnMapping(presetFits ? preset.mapping : guessColumnMapping(parsed.headers))
+      if (presetFits) setImportDateFormat(preset.dateFormat)
+      console.log(`🔍 [EXPENSES] Parsed CSV: ${parsed.rows.length} rows`, parsed.headers)
+    } catch (error) {
+      console.error('Error reading import file:', error)
+      setMessage(`❌ Failed to read ${file.name}`)
+      playSound('error')
+    }
+  }
+
+  const handlePresetSelect = (name) => {
+    setBankName(name)
+    const preset = importPresets[name]
+    if (!preset) return
+
+    setImportDateFormat(preset.dateFormat)
+    if (csvData) {
+      setColumnMapping(preset.mapping)
+    }
+  }
+
+  const handleSavePreset = async () => {
+    if (!bankName.trim()) {
+      setMessage('❌ Enter a bank name to save the mapping')
+      playSound('error')
+      return
+    }
+
+    try {
+      const preset = { mapping: columnMapping, dateFormat: importDateFormat }
+      await saveImportPreset(user.uid, bankName.trim(), preset)
+      setImportPresets({ ...importPresets, [bankName.trim()]: preset })
+      setMessage(`✅ Mapping saved for ${bankName.trim()}`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error saving import preset:', error)
+      setMessage('❌ Failed to save mapping preset')
+      playSound('error')
+    }
+  }
+
+  const previewRows = csvData ? mapCsvRows(csvData, columnMapping, { dateFormat: importDateFormat }) : []
+  const validImportRows = previewRows.filter(row => row.errors.length === 0)
+
+  const handleStatementImport = async () => {
+    if (!user?.uid || !statementData) return
+
+    try {
+      setIsImporting(true)
+      const result = await importStatement(user.uid, statementData, accounts)
+
+      const createdNote = result.createdAccounts.length > 0 ? `, ${result.createdAccounts.length} new account(s)` : ''
+      setMessage(`✅ Imported ${result.imported} transactions (${result.duplicates} duplicates skipped${createdNote})`)
+      playSound('success')
+      resetImport()
+      setTimeout(() => setMessage(''), 3000)
+      onDataUpdate()
+    } catch (error) {
+      console.error('Error importing statement:', error)
+      setMessage('❌ Failed to import statement')
+      playSound('error')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const handleImport = async () => {
+    if (statementData) {
+      await handleStatementImport()
+      return
+    }
+    if (!user?.uid || validImportRows.length === 0) return
+
+    try {
+      setIsImporting(true)
+      const rules = await getUserCategoryRules(user.uid)
+      const transactionData = validImportRows.map(({ transaction }) => applyCategorizationRules({
+        userId: user.uid,
+        accountId: accounts[0]?.id || 'default',
+        amount: transaction.amount,
+        type: transaction.type,
+        category: transaction.category,
+        description: transaction.description,
+        merchant: transaction.merchant,
+        date: transaction.date,
+        syncSource: 'csv-import'
+      }, rules, { keepCategory: Boolean(columnMapping.category) }))
+
+      console.log(`🔍 [EXPENSES] Importing ${transactionData.length} transactions from ${csvFileName}`)
+      await batchCreateTransactions(transactionData)
+
+      const skipped = previewRows.length - validImportRows.length
+      setMessage(`✅ Imported ${transactionData.length} transactions${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`)
+      playSound('success')
+      resetImport()
+      setTimeout(() => setMessage(''), 3000)
+      onDataUpdate()
+    } catch (error) {
+      console.error('Error importing transactions:', error)
+      setMessage('❌ Failed to import transactions')
+      playSound('error')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
   const handleEdit = (transaction) => {
     setEditingTransaction(transaction)
     setNewTransaction({
@@ -141,13 +373,57 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
       amount: transaction.amount.toString(),
       category: transaction.category,
       type: transaction.type,
-      date: new Date(transaction.date).toISOString().split('T')[0]
+      date: new Date(transaction.date).toISOString().split('T')[0],
+      accountId: transaction.accountId || '',
+      splits: isSplitTransaction(transaction)
+        ? transaction.splits.map(split => ({ ...split, amount: split.amount.toString(), note: split.note || '' }))
+        : []
     })
     setShowAddForm(true)
   }
 
+  const handleStartSplit = () => {
+    // Seed two allocations: the current category with the full amount, plus an empty one
+    setNewTransaction({
+      ...newTransaction,
+      splits: [
+        { category: newTransaction.category, amount: newTransaction.amount, note: '' },
+        { category: 'Other', amount: '', note: '' }
+      ]
+    })
+  }
+
+  const handleSplitChange = (index, field, value) => {
+    setNewTransaction({
+      ...newTransaction,
+      splits: newTransaction.splits.map((split, i) => i === index ? { ...split, [field]: value } : split)
+    })
+  }
+
+  const handleAddSplit = () => {
+    const remaining = getUnallocatedAmount(newTransaction.amount, newTransaction.splits)
+    setNewTransaction({
+      ...newTransaction,
+      splits: [...newTransaction.splits, { category: 'Other', amount: remaining > 0 ? remaining.toFixed(2) : '', note: '' }]
+    })
+  }
+
+  const handleRemoveSplit = (index) => {
+    const splits = newTransaction.splits.filter((_, i) => i !== index)
+    // A single allocation is just a regular transaction again
+    setNewTransaction({
+      ...newTransaction,
+      category: splits.length === 1 ? splits[0].category : newTransaction.category,
+      splits: splits.length === 1 ? [] : splits
+    })
+  }
+
   const handleDelete = async (transactionId) => {
-    if (!confirm('Are you sure you want to delete this transaction?')) return
+    const transaction = transactions.find(t => t.id === transactionId)
+    const prompt = isTransferTransaction(transaction)
+      ? 'Delete this transfer? Both sides will be removed and account balances restored.'
+      : 'Are you sure you want to delete this transaction?'
+    if (!confirm(prompt)) return
     
     try {
       await deleteTransaction(transactionId)
@@ -162,21 +438,6 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
     }
   }
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Food': '#FF6B6B',
-      'Transport': '#4ECDC4',
-      'Entertainment': '#45B7D1',
-      'Shopping': '#96CEB4',
-      'Bills': '#FFEAA7',
-      'Healthcare': '#DDA0DD',
-      'Education': '#98D8C8',
-      'Travel': '#F7DC6F',
-      'Other': '#95A5A6'
-    }
-    return colors[category] || '#95A5A6'
-  }
-
   if (isLoading) {
     return (
       <div className="text-center p-8">
@@ -193,15 +454,194 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
       </div>
 
       {/* Add Transaction Button */}
-      <div className="text-center mb-6">
+      <div className="flex space-x-4 justify-center mb-6">
         <button
           className="retro-button px-6 py-3 text-lg font-bold"
-          onClick={() => { playSound('click1'); setShowAddForm(true) }}
+          onClick={() => { playSound('click1'); setShowAddForm(true); setShowImport(false) }}
         >
           ➕ Add New Transaction
         </button>
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={() => { playSound('click1'); openImport() }}
+        >
+          📂 Import CSV
+        </button>
       </div>
 
+      {/* CSV Import Wizard */}
+      {showImport && (
+        <div className="retro-chart mb-6 p-4">
+          <div className="text-center font-bold mb-4">📂 Import Bank Statement (CSV, OFX, QFX, QIF)</div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-bold mb-1">Bank:</label>
+              <input
+                type="text"
+                list="import-presets"
+                value={bankName}
+                onChange={(e) => handlePresetSelect(e.target.value)}
+                className="retro-input w-full"
+                placeholder="e.g. Capital One"
+              />
+              <datalist id="import-presets">
+                {Object.keys(importPresets).map(name => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </div>
+
+            <div>
+              <label className="block text-sm font-bold mb-1">Statement File:</label>
+              <input
+                type="file"
+                accept=".csv,.ofx,.qfx,.qif,text/csv"
+                onChange={handleImportFile}
+                className="retro-input w-full"
+              />
+            </div>
+          </div>
+
+          {csvData && (
+            <>
+              <div className="text-center font-bold mb-2 text-sm">COLUMN MAPPING</div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs font-bold mb-1">
+                      {field.label}{field.required ? ' *' : ''}:
+                    </label>
+                    <select
+                      value={columnMapping[field.key] || ''}
+                      onChange={(e) => setColumnMapping({ ...columnMapping, [field.key]: e.target.value })}
+                      className="retro-input w-full text-xs"
+                    >
+                      <option value="">
+                        {field.key === 'type' ? '(use amount sign)' : field.key === 'category' ? '(auto-categorize)' : '(not mapped)'}
+                      </option>
+                      {csvData.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-xs font-bold mb-1">Date Format:</label>
+                  <select
+                    value={importDateFormat}
+                    onChange={(e) => setImportDateFormat(e.target.value)}
+                    className="retro-input w-full text-xs"
+                  >
+                    {IMPORT_DATE_FORMATS.map(format => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="text-center font-bold mb-2 text-sm">
+                PREVIEW — {validImportRows.length} of {previewRows.length} rows ready from {csvFileName}
+              </div>
+              <div className="overflow-x-auto mb-4" style={{ maxHeight: '240px' }}>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left">
+                      <th className="p-1">Row</th>
+                      <th className="p-1">Date</th>
+                      <th className="p-1">Description</th>
+                      <th className="p-1">Amount</th>
+                      <th className="p-1">Type</th>
+                      <th className="p-1">Category</th>
+                      <th className="p-1">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.slice(0, 50).map(row => (
+                      <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-100' : ''}>
+                        <td className="p-1">{row.rowNumber}</td>
+                        <td className="p-1">{row.transaction.date ? row.transaction.date.split('T')[0] : '—'}</td>
+                        <td className="p-1">{row.transaction.description}</td>
+                        <td className="p-1">${row.transaction.amount.toFixed(2)}</td>
+                        <td className="p-1">{row.transaction.type}</td>
+                        <td className="p-1">{row.transaction.category}</td>
+                        <td className="p-1">{row.errors.length > 0 ? `❌ ${row.errors.join(', ')}` : '✅'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {previewRows.length > 50 && (
+                  <div className="text-center text-xs text-gray-600 mt-2">
+                    Showing first 50 of {previewRows.length} rows
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
+          {statementData && (
+            <>
+              <div className="text-center font-bold mb-2 text-sm">
+                {statementData.format.toUpperCase()} PREVIEW — {statementData.transactions.length} transactions from {csvFileName}
+              </div>
+              <div className="text-xs text-gray-600 mb-2 text-center">
+                Accounts: {statementData.accounts.map(account => `${account.name} (${account.type})`).join(', ') || 'None'}
+              </div>
+              <div className="overflow-x-auto mb-4" style={{ maxHeight: '240px' }}>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left">
+                      <th className="p-1">Date</th>
+                      <th className="p-1">Description</th>
+                      <th className="p-1">Amount</th>
+                      <th className="p-1">Type</th>
+                      <th className="p-1">Category</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {statementData.transactions.slice(0, 50).map((transaction, index) => (
+                      <tr key={`${transaction.externalId}-${index}`}>
+                        <td className="p-1">{transaction.date ? transaction.date.split('T')[0] : '—'}</td>
+                        <td className="p-1">{transaction.description}</td>
+                        <td className="p-1">${transaction.amount.toFixed(2)}</td>
+                        <td className="p-1">{transaction.type}</td>
+                        <td className="p-1">{transaction.category}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="text-xs text-gray-600 mb-4 text-center">
+                Transactions already imported from this file are skipped automatically.
+              </div>
+            </>
+          )}
+
+          <div className="flex space-x-4 justify-center">
+            <button
+              className="retro-button px-6 py-2"
+              disabled={isImporting || (statementData ? statementData.transactions.length === 0 : (!csvData || validImportRows.length === 0))}
+              onClick={() => { playSound('click1'); handleImport() }}
+            >
+              {isImporting ? '⏳ Importing...' : `📥 Import ${statementData ? statementData.transactions.length : validImportRows.length} Transactions`}
+            </button>
+            <button
+              className="retro-button px-6 py-2"
+              disabled={!csvData}
+              onClick={() => { playSound('click1'); handleSavePreset() }}
+            >
+              💾 Save Mapping
+            </button>
+            <button
+              className="retro-button px-6 py-2"
+              onClick={() => { playSound('click1'); resetImport() }}
+            >
+              ✕ Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Add/Edit Form */}
       {showAddForm && (
         <div className="retro-chart mb-6 p-4">
@@ -218,8 +658,8 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
                   value={newTransaction.description}
                   onChange={(e) => setNewTransaction({...newTransaction, description: e.target.value})}
                   className="retro-input w-full"
-                  placeholder="Enter transaction description"
-                  required
+                  placeholder={newTransaction.type === 'transfer' ? 'Optional, e.g. Monthly savings' : 'Enter transaction description'}
+                  required={newTransaction.type !== 'transfer'}
                 />
               </div>
               
@@ -241,28 +681,99 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
                 <label className="block text-sm font-bold mb-1">Type:</label>
                 <select
                   value={newTransaction.type}
-                  onChange={(e) => setNewTransaction({...newTransaction, type: e.target.value})}
+                  onChange={(e) => setNewTransaction({...newTransaction, type: e.target.value, splits: e.target.value === 'transfer' ? [] : newTransaction.splits})}
                   className="retro-input w-full"
+                  disabled={Boolean(editingTransaction)}
                 >
                   <option value="expense">Expense</option>
                   <option value="income">Income</option>
+                  <option value="transfer">Transfer</option>
                 </select>
               </div>
               
-              <div>
-                <label className="block text-sm font-bold mb-1">Category:</label>
-                <select
-                  value={newTransaction.category}
-                  onChange={(e) => setNewTransaction({...newTransaction, category: e.target.value})}
-                  className="retro-input w-full"
-                >
-                  {categories.map(category => (
-                    <option key={category} value={category}>{category}</option>
-                  ))}
-                </select>
-              </div>
+              {newTransaction.type === 'transfer' ? (
+                <div>
+                  <label className="block text-sm font-bold mb-1">Accounts:</label>
+                  {(accounts || []).length < 2 ? (
+                    <div className="retro-input w-full text-gray-600">
+                      Transfers need at least two accounts
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={newTransaction.fromAccountId}
+                        onChange={(e) => setNewTransaction({...newTransaction, fromAccountId: e.target.value})}
+                        className="retro-input w-full"
+                        required
+                      >
+                        <option value="">From...</option>
+                        {accounts.map(account => (
+                          <option key={account.id} value={account.id}>{account.name}</option>
+                        ))}
+                      </select>
+                      <span>→</span>
+                      <select
+                        value={newTransaction.toAccountId}
+                        onChange={(e) => setNewTransaction({...newTransaction, toAccountId: e.target.value})}
+                        className="retro-input w-full"
+                        required
+                      >
+                        <option value="">To...</option>
+                        {accounts.filter(account => account.id !== newTransaction.fromAccountId).map(account => (
+                          <option key={account.id} value={account.id}>{account.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-bold mb-1">Category:</label>
+                  {newTransaction.splits.length > 0 ? (
+                    <div className="retro-input w-full text-gray-600">
+                      Split across {newTransaction.splits.length} categories
+                    </div>
+                  ) : (
+                    <div className="flex space-x-2">
+                      <select
+                        value={newTransaction.category}
+                        onChange={(e) => setNewTransaction({...newTransaction, category: e.target.value})}
+                        className="retro-input w-full"
+                      >
+                        {categories.map(category => (
+                          <option key={category.name} value={category.name}>
+                            {category.parent ? `  └ ${category.name}` : category.name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        className="retro-button text-xs px-2 py-1"
+                        onClick={() => { playSound('click1'); handleStartSplit() }}
+                      >
+                        Split
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {newTransaction.type !== 'transfer' && (accounts || []).length > 1 && (
+                <div>
+                  <label className="block text-sm font-bold mb-1">Account:</label>
+                  <select
+                    value={newTransaction.accountId || accounts[0].id}
+                    onChange={(e) => setNewTransaction({...newTransaction, accountId: e.target.value})}
+                    className="retro-input w-full"
+                  >
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>{account.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               
-              <div className="md:col-span-2">
+              <div className={newTransaction.type !== 'transfer' && (accounts || []).length > 1 ? '' : 'md:col-span-2'}>
                 <label className="block text-sm font-bold mb-1">Date:</label>
                 <input
                   type="date"
@@ -273,6 +784,72 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
                 />
               </div>
             </div>
+
+            {/* Split Allocations */}
+            {newTransaction.splits.length > 0 && (
+              <div className="retro-info p-3">
+                <div className="font-bold text-sm mb-2">✂️ Split Allocations</div>
+                <div className="space-y-2">
+                  {newTransaction.splits.map((split, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-7 gap-2 items-center">
+                      <select
+                        value={split.category}
+                        onChange={(e) => handleSplitChange(index, 'category', e.target.value)}
+                        className="retro-input w-full md:col-span-2"
+                      >
+                        {categories.map(category => (
+                          <option key={category.name} value={category.name}>
+                            {category.parent ? `  └ ${category.name}` : category.name}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        value={split.amount}
+                        onChange={(e) => handleSplitChange(index, 'amount', e.target.value)}
+                        className="retro-input w-full md:col-span-2"
+                        placeholder="0.00"
+                        step="0.01"
+                        min="0"
+                      />
+                      <input
+                        type="text"
+                        value={split.note}
+                        onChange={(e) => handleSplitChange(index, 'note', e.target.value)}
+                        className="retro-input w-full md:col-span-2"
+                        placeholder="Note (optional)"
+                      />
+                      <button
+                        type="button"
+                        className="retro-button text-xs px-2 py-1"
+                        onClick={() => { playSound('click1'); handleRemoveSplit(index) }}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-between items-center mt-2">
+                  <button
+                    type="button"
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleAddSplit() }}
+                  >
+                    ➕ Add Allocation
+                  </button>
+                  {(() => {
+                    const remaining = getUnallocatedAmount(newTransaction.amount, newTransaction.splits)
+                    return (
+                      <span className={`text-xs font-bold ${remaining === 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {remaining === 0
+                          ? '✅ Fully allocated'
+                          : `${remaining > 0 ? 'Unallocated' : 'Over-allocated'}: $${Math.abs(remaining).toFixed(2)}`}
+                      </span>
+                    )
+                  })()}
+                </div>
+              </div>
+            )}
             
             <div className="flex space-x-4 justify-center">
               <button
@@ -286,7 +863,7 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
               <button
                 type="button"
                 className="retro-button px-6 py-2"
-                onClick={() => { playSound('click1'); setShowAddForm(false); setEditingTransaction(null); setNewTransaction({ description: '', amount: '', category: 'Other', type: 'expense', date: new Date().toISOString().split('T')[0] }) }}
+                onClick={() => { playSound('click1'); setShowAddForm(false); setEditingTransaction(null); setNewTransaction(createEmptyTransaction()) }}
               >
                 ✕ Cancel
               </button>
@@ -310,33 +887,59 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
                   <div className="flex items-center space-x-2 mb-1">
                     <span 
                       className="w-3 h-3 rounded-full"
-                      style={{ backgroundColor: getCategoryColor(transaction.category) }}
+                      style={{ backgroundColor: getCategoryColor(transaction.category, categories) }}
                     />
                     <span className="font-bold text-sm">{transaction.description}</span>
                     <span className={`text-xs px-2 py-1 rounded ${
-                      transaction.type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      transaction.type === 'income' ? 'bg-green-100 text-green-800'
+                        : isTransferTransaction(transaction) ? 'bg-blue-100 text-blue-800'
+                        : 'bg-red-100 text-red-800'
                     }`}>
                       {transaction.type.toUpperCase()}
                     </span>
+                    {isSplitTransaction(transaction) && (
+                      <span className="text-xs px-2 py-1 rounded bg-gray-100">SPLIT</span>
+                    )}
                   </div>
                   <div className="text-xs text-gray-600">
-                    {transaction.category} • {safeTimestamp(transaction.date, 'Unknown date')}
+                    {isTransferTransaction(transaction)
+                      ? describeTransfer(transaction, accounts)
+                      : isSplitTransaction(transaction) ? `${transaction.splits.length} categories` : transaction.category} • {safeTimestamp(transaction.date, 'Unknown date')}
                   </div>
+                  {isSplitTransaction(transaction) && (
+                    <div className="text-xs text-gray-600 ml-4 mt-1 space-y-1">
+                      {transaction.splits.map((split, i) => (
+                        <div key={i} className="flex items-center space-x-2">
+                          <span
+                            className="w-2 h-2 rounded-full"
+                            style={{ backgroundColor: getCategoryColor(split.category, categories) }}
+                          />
+                          <span>└ {split.category}: ${Number(split.amount).toFixed(2)}{split.note ? ` (${split.note})` : ''}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 
                 <div className="text-right">
                   <div className={`font-bold ${
-                    transaction.type === 'income' ? 'text-green-600' : 'text-red-600'
+                    transaction.type === 'income' ? 'text-green-600'
+                      : isTransferTransaction(transaction) ? 'text-blue-600'
+                      : 'text-red-600'
                   }`}>
-                    {transaction.type === 'income' ? '+' : '-'}${transaction.amount.toFixed(2)}
+                    {isTransferTransaction(transaction)
+                      ? (transaction.transferDirection === 'in' ? '+' : '-')
+                      : transaction.type === 'income' ? '+' : '-'}${transaction.amount.toFixed(2)}
                   </div>
                   <div className="flex space-x-1 mt-1">
-                    <button
-                      className="retro-button text-xs px-2 py-1"
-                      onClick={() => { playSound('click1'); handleEdit(transaction) }}
-                    >
-                      Edit
-                    </button>
+                    {!isTransferTransaction(transaction) && (
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        onClick={() => { playSound('click1'); handleEdit(transaction) }}
+                      >
+                        Edit
+                      </button>
+                    )}
                     <button
                       className="retro-button text-xs px-2 py-1"
                       onClick={() => { playSound('click1'); handleDelete(transaction.id) }}
@@ -377,6 +980,9 @@ const ExpensesTool = ({ financialData, transactions: contextTransactions, accoun
             <div>• Use specific categories for better tracking</div>
             <div>• Review your spending patterns regularly</div>
             <div>• Set up recurring transactions for bills</div>
+            <div>• Save a column mapping per bank to speed up CSV imports</div>
+            <div>• Split mixed receipts so each part counts toward the right budget</div>
+            <div>• Record moves between your accounts as transfers so they don't count as spending</div>
           </div>
         </div>
       </div>
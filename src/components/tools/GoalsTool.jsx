@@ -5,24 +5,41 @@ import {
   updateGoal,
   deleteGoal
 } from '../../api/unifiedFirestoreService'
+import {
+  GOAL_TRACKING_MODES,
+  getGoalTrackingMode,
+  calculateLinkedGoalAmount,
+  parseContributionDays,
+  getPendingContributions,
+  projectGoalCompletion
+} from '../../utils/goals'
+import DebtPayoffPlanner from './DebtPayoffPlanner'
 import { play as playSound } from '../../utils/soundPlayer'
 
-const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
+const EMPTY_GOAL = {
+  title: '',
+  description: '',
+  targetAmount: '',
+  currentAmount: '',
+  targetDate: '',
+  category: 'Savings',
+  priority: 'Medium',
+  trackingMode: 'manual',
+  linkedAccountId: '',
+  linkedTag: '',
+  contributionAmount: '',
+  contributionDays: ''
+}
+
+const GoalsTool = ({ financialData, transactions = [], accounts = [], user, onClose, onDataUpdate, onGoalsUpdate }) => {
   const [goals, setGoals] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [message, setMessage] = useState('')
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showDebtPlanner, setShowDebtPlanner] = useState(false)
   const [editingGoal, setEditingGoal] = useState(null)
-  const [newGoal, setNewGoal] = useState({
-    title: '',
-    description: '',
-    targetAmount: '',
-    currentAmount: '',
-    targetDate: '',
-    category: 'Savings',
-    priority: 'Medium'
-  })
+  const [newGoal, setNewGoal] = useState(EMPTY_GOAL)
 
   const goalCategories = [
     'Savings', 'Emergency Fund', 'Vacation', 'Education', 
@@ -31,6 +48,8 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
 
   const priorities = ['Low', 'Medium', 'High']
 
+  const knownTags = [...new Set(transactions.flatMap(transaction => transaction.tags || []))].sort()
+
   useEffect(() => {
     if (user) {
       loadGoals()
@@ -43,7 +62,7 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
     try {
       setIsLoading(true)
       const goalsData = await getUserGoals(user.uid)
-      setGoals(goalsData)
+      setGoals(await syncLinkedGoalProgress(goalsData))
     } catch (error) {
       console.error('Error loading goals:', error)
       setMessage('Failed to load goals')
@@ -52,6 +71,26 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
     }
   }
 
+  // Goals linked to an account or tag track real transactions instead of manual updates
+  const syncLinkedGoalProgress = async (goalsData) => {
+    return Promise.all(goalsData.map(async (goal) => {
+      const linkedAmount = calculateLinkedGoalAmount(goal, transactions, accounts)
+      if (linkedAmount === null) return goal
+
+      // Payments beyond a debt's starting balance went to interest
+      const currentAmount = goal.debt ? Math.min(linkedAmount, goal.targetAmount) : linkedAmount
+      const isCompleted = currentAmount >= goal.targetAmount
+      if (currentAmount === goal.currentAmount && isCompleted === goal.isCompleted) return goal
+
+      try {
+        await updateGoal(goal.id, { currentAmount, isCompleted })
+      } catch (error) {
+        console.error('Error syncing linked goal progress:', error)
+      }
+      return { ...goal, currentAmount, isCompleted }
+    }))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!user) {
@@ -76,17 +115,52 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
       setMessage('❌ Target date must be in the future')
       return
     }
+    if (newGoal.trackingMode === 'account' && !newGoal.linkedAccountId) {
+      setMessage('❌ Choose an account to link')
+      return
+    }
+    if (newGoal.trackingMode === 'tag' && !newGoal.linkedTag.trim()) {
+      setMessage('❌ Enter a tag to track')
+      return
+    }
+    const contributionAmount = parseFloat(newGoal.contributionAmount) || 0
+    const daysOfMonth = parseContributionDays(newGoal.contributionDays)
+    if (contributionAmount > 0 && daysOfMonth.length === 0) {
+      setMessage('❌ Contribution days must be days of the month, e.g. 1, 15')
+      return
+    }
     
     try {
       setIsSaving(true)
+      const now = new Date().toISOString()
+      const { trackingMode, contributionAmount: _amount, contributionDays: _days, ...goalFields } = newGoal
+      const linkedAccountId = trackingMode === 'account' ? newGoal.linkedAccountId : null
+      const linkedTag = trackingMode === 'tag' ? newGoal.linkedTag.trim() : null
+      const linkChanged = !editingGoal ||
+        (editingGoal.linkedAccountId || null) !== linkedAccountId ||
+        (editingGoal.linkedTag || null) !== linkedTag
+      const previousRule = editingGoal?.contributionRule
+      const ruleUnchanged = previousRule &&
+        previousRule.amount === contributionAmount &&
+        previousRule.daysOfMonth.join(',') === daysOfMonth.join(',')
+
       const goalData = {
-        ...newGoal,
+        ...goalFields,
         targetAmount: parseFloat(newGoal.targetAmount),
         currentAmount: parseFloat(newGoal.currentAmount) || 0,
         targetDate: new Date(newGoal.targetDate).toISOString(),
-        createdAt: new Date().toISOString(),
+        createdAt: now,
         userId: user.uid,
-        isCompleted: false
+        isCompleted: false,
+        linkedAccountId,
+        linkedTag,
+        // A new or changed link counts transactions from now on top of what is already saved
+        linkedSince: linkChanged ? now : (editingGoal.linkedSince || null),
+        startingAmount: linkChanged ? (parseFloat(newGoal.currentAmount) || 0) : (editingGoal.startingAmount || 0),
+        // A new or changed schedule only generates contributions from today
+        contributionRule: contributionAmount > 0
+          ? { amount: contributionAmount, daysOfMonth, startDate: ruleUnchanged ? previousRule.startDate : now }
+          : null
       }
 
       if (editingGoal) {
@@ -102,19 +176,13 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
       }
 
       // Reset form
-      setNewGoal({
-        title: '',
-        description: '',
-        targetAmount: '',
-        currentAmount: '',
-        targetDate: '',
-        category: 'Savings',
-        priority: 'Medium'
-      })
+      setNewGoal(EMPTY_GOAL)
       setShowAddForm(false)
       setEditingGoal(null)
       
       setTimeout(() => setMessage(''), 3000)
+      loadGoals()
+      onGoalsUpdate?.()
       onDataUpdate()
     } catch (error) {
       console.error('Error saving goal:', error)
@@ -134,7 +202,12 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
       currentAmount: goal.currentAmount.toString(),
       targetDate: new Date(goal.targetDate).toISOString().split('T')[0],
       category: goal.category,
-      priority: goal.priority
+      priority: goal.priority,
+      trackingMode: getGoalTrackingMode(goal),
+      linkedAccountId: goal.linkedAccountId || '',
+      linkedTag: goal.linkedTag || '',
+      contributionAmount: goal.contributionRule ? goal.contributionRule.amount.toString() : '',
+      contributionDays: goal.contributionRule ? goal.contributionRule.daysOfMonth.join(', ') : ''
     })
     setShowAddForm(true)
   }
@@ -143,10 +216,11 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
     if (!confirm('Are you sure you want to delete this goal?')) return
     
     try {
-      await deleteDoc(doc(db, 'users', user.uid, 'goals', goalId))
+      await deleteGoal(goalId)
   setMessage('Goal deleted successfully!')
   playSound('success')
       setTimeout(() => setMessage(''), 3000)
+      onGoalsUpdate?.()
       onDataUpdate()
     } catch (error) {
       console.error('Error deleting goal:', error)
@@ -157,12 +231,13 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
 
   const updateProgress = async (goalId, newAmount) => {
     try {
-      await updateDoc(doc(db, 'users', user.uid, 'goals', goalId), {
+      await updateGoal(goalId, {
         currentAmount: parseFloat(newAmount),
         isCompleted: parseFloat(newAmount) >= goals.find(g => g.id === goalId)?.targetAmount
       })
       setMessage('Progress updated!')
       setTimeout(() => setMessage(''), 3000)
+      onGoalsUpdate?.()
       onDataUpdate()
     } catch (error) {
       console.error('Error updating progress:', error)
@@ -170,6 +245,32 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
     }
   }
 
+  // Record a scheduled contribution as applied or skipped; applying adds it to manually tracked goals
+  const resolveContribution = async (goal, contribution, status) => {
+    try {
+      const updates = {
+        contributionLog: {
+          ...(goal.contributionLog || {}),
+          [contribution.key]: { status, amount: contribution.amount }
+        }
+      }
+      if (status === 'applied' && getGoalTrackingMode(goal) === 'manual') {
+        updates.currentAmount = (Number(goal.currentAmount) || 0) + contribution.amount
+        updates.isCompleted = updates.currentAmount >= goal.targetAmount
+      }
+
+      await updateGoal(goal.id, updates)
+      setGoals(prev => prev.map(g => g.id === goal.id ? { ...g, ...updates } : g))
+      setMessage(status === 'applied' ? '✅ Contribution applied' : 'Contribution skipped')
+      playSound(status === 'applied' ? 'success' : 'click2')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error updating contribution:', error)
+      setMessage('❌ Failed to update contribution')
+      playSound('error')
+    }
+  }
+
   const getProgressPercentage = (goal) => {
     return Math.min((goal.currentAmount / goal.targetAmount) * 100, 100)
   }
@@ -214,8 +315,24 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
         >
           ➕ Add New Goal
         </button>
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold ml-4"
+          onClick={() => { playSound('click1'); setShowDebtPlanner(!showDebtPlanner) }}
+        >
+          💳 Debt Payoff Planner
+        </button>
       </div>
 
+      {/* Debt Payoff Planner */}
+      {showDebtPlanner && (
+        <DebtPayoffPlanner
+          accounts={accounts}
+          goals={goals}
+          user={user}
+          onGoalsCreated={() => { loadGoals(); onGoalsUpdate?.() }}
+        />
+      )}
+
       {/* Add/Edit Form */}
       {showAddForm && (
         <div className="retro-chart mb-6 p-4">
@@ -301,6 +418,77 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
                 </select>
               </div>
               
+              <div>
+                <label className="block text-sm font-bold mb-1">Track Progress:</label>
+                <select
+                  value={newGoal.trackingMode}
+                  onChange={(e) => setNewGoal({...newGoal, trackingMode: e.target.value})}
+                  className="retro-input w-full"
+                >
+                  {Object.entries(GOAL_TRACKING_MODES).map(([mode, info]) => (
+                    <option key={mode} value={mode}>{info.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                {newGoal.trackingMode === 'account' && (
+                  <>
+                    <label className="block text-sm font-bold mb-1">Linked Account:</label>
+                    <select
+                      value={newGoal.linkedAccountId}
+                      onChange={(e) => setNewGoal({...newGoal, linkedAccountId: e.target.value})}
+                      className="retro-input w-full"
+                    >
+                      <option value="">Choose an account...</option>
+                      {accounts.map(account => (
+                        <option key={account.id} value={account.id}>{account.name} ({account.type})</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                {newGoal.trackingMode === 'tag' && (
+                  <>
+                    <label className="block text-sm font-bold mb-1">Tag:</label>
+                    <input
+                      type="text"
+                      list="goal-tags"
+                      value={newGoal.linkedTag}
+                      onChange={(e) => setNewGoal({...newGoal, linkedTag: e.target.value})}
+                      className="retro-input w-full"
+                      placeholder="e.g., vacation-fund"
+                    />
+                    <datalist id="goal-tags">
+                      {knownTags.map(tag => <option key={tag} value={tag} />)}
+                    </datalist>
+                  </>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Scheduled Contribution:</label>
+                <input
+                  type="number"
+                  value={newGoal.contributionAmount}
+                  onChange={(e) => setNewGoal({...newGoal, contributionAmount: e.target.value})}
+                  className="retro-input w-full"
+                  placeholder="200 (optional)"
+                  step="0.01"
+                  min="0"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">On Days of Month:</label>
+                <input
+                  type="text"
+                  value={newGoal.contributionDays}
+                  onChange={(e) => setNewGoal({...newGoal, contributionDays: e.target.value})}
+                  className="retro-input w-full"
+                  placeholder="1, 15"
+                />
+              </div>
+              
               <div className="md:col-span-2">
                 <label className="block text-sm font-bold mb-1">Description:</label>
                 <textarea
@@ -324,7 +512,7 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
               <button
                 type="button"
                 className="retro-button px-6 py-2"
-                onClick={() => { playSound('click1'); setShowAddForm(false); setEditingGoal(null); setNewGoal({ title: '', description: '', targetAmount: '', currentAmount: '', targetDate: '', category: 'Savings', priority: 'Medium' }) }}
+                onClick={() => { playSound('click1'); setShowAddForm(false); setEditingGoal(null); setNewGoal(EMPTY_GOAL) }}
               >
                 ✕ Cancel
               </button>
@@ -346,6 +534,10 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
             const daysRemaining = getDaysRemaining(goal.targetDate)
             const isOverdue = daysRemaining < 0
             const isCompleted = goal.isCompleted || progress >= 100
+            const trackingMode = getGoalTrackingMode(goal)
+            const linkedAccount = accounts.find(account => account.id === goal.linkedAccountId)
+            const pendingContributions = getPendingContributions(goal)
+            const projection = projectGoalCompletion(goal, transactions, accounts)
 
             return (
               <div key={goal.id} className="retro-chart p-4">
@@ -392,21 +584,78 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
 
                 {/* Progress Update */}
                 <div className="flex items-center space-x-2 mb-3">
-                  <span className="text-xs font-bold">Update Progress:</span>
-                  <input
-                    type="number"
-                    defaultValue={goal.currentAmount}
-                    className="retro-input text-xs w-20"
-                    step="0.01"
-                    min="0"
-                    onBlur={(e) => updateProgress(goal.id, e.target.value)}
-                  />
+                  {trackingMode === 'account' && (
+                    <span className="text-xs font-bold">
+                      🔗 Tracked {goal.debt ? 'payments to' : 'deposits to'} {linkedAccount?.name || 'linked account'}
+                      {goal.debt?.apr !== undefined && ` • ${(goal.debt.apr * 100).toFixed(2)}% APR`}
+                    </span>
+                  )}
+                  {trackingMode === 'tag' && (
+                    <span className="text-xs font-bold">🏷️ Tracked transactions tagged "{goal.linkedTag}"</span>
+                  )}
+                  {trackingMode === 'manual' && (
+                    <>
+                      <span className="text-xs font-bold">Update Progress:</span>
+                      <input
+                        type="number"
+                        defaultValue={goal.currentAmount}
+                        className="retro-input text-xs w-20"
+                        step="0.01"
+                        min="0"
+                        onBlur={(e) => updateProgress(goal.id, e.target.value)}
+                      />
+                    </>
+                  )}
                   <span className="text-xs text-gray-600">
                     {isOverdue ? `${Math.abs(daysRemaining)} days overdue` : 
                      `${daysRemaining} days remaining`}
                   </span>
                 </div>
 
+                {/* Projected Completion */}
+                {projection.status !== 'completed' && (
+                  <div className="text-xs mb-3">
+                    {projection.status === 'stalled' ? (
+                      <span className="text-gray-600">📈 No contributions in the last 90 days - no projected completion yet</span>
+                    ) : (
+                      <span className={projection.status === 'behind' ? 'text-red-600' : 'text-green-600'}>
+                        📈 ${projection.monthlyPace.toFixed(0)}/month pace • Projected {new Date(projection.projectedDate).toLocaleDateString()}
+                        {projection.daysAhead !== null && (projection.daysAhead >= 0
+                          ? ` (${projection.daysAhead} days ahead of target)`
+                          : ` (${Math.abs(projection.daysAhead)} days behind target)`)}
+                      </span>
+                    )}
+                  </div>
+                )}
+
+                {/* Scheduled Contributions */}
+                {goal.contributionRule && (
+                  <div className="text-xs mb-3">
+                    <div className="text-gray-600 mb-1">
+                      🗓️ ${goal.contributionRule.amount.toFixed(2)} on day {goal.contributionRule.daysOfMonth.join(' & ')} of each month
+                    </div>
+                    {pendingContributions.map(contribution => (
+                      <div key={contribution.key} className="flex items-center space-x-2 mb-1">
+                        <span className="flex-1">
+                          Pending: ${contribution.amount.toFixed(2)} due {contribution.date.toLocaleDateString()}
+                        </span>
+                        <button
+                          className="retro-button text-xs px-2 py-1"
+                          onClick={() => { playSound('click1'); resolveContribution(goal, contribution, 'applied') }}
+                        >
+                          {trackingMode === 'manual' ? 'Apply' : 'Mark received'}
+                        </button>
+                        <button
+                          className="retro-button text-xs px-2 py-1"
+                          onClick={() => { playSound('click1'); resolveContribution(goal, contribution, 'skipped') }}
+                        >
+                          Skip
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Action Buttons */}
                 <div className="flex space-x-2">
                   <button
@@ -454,6 +703,8 @@ const GoalsTool = ({ financialData, user, onClose, onDataUpdate }) => {
             <div>• Break large goals into smaller milestones</div>
             <div>• Review and adjust goals regularly</div>
             <div>• Celebrate progress along the way</div>
+            <div>• Link a savings account or tag so progress updates from real transactions</div>
+            <div>• Paying debts? Avalanche saves the most interest, snowball pays off a debt sooner</div>
           </div>
         </div>
       </div>
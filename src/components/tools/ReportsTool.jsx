@@ -2,8 +2,11 @@ import { useState, useEffect } from 'react'
 import { collection, getDocs, query, orderBy, where, addDoc } from 'firebase/firestore'
 import { db } from '../../firebaseClient'
 import { play } from '../../utils/soundPlayer'
+import { DEFAULT_CATEGORIES, getTopLevelCategory, getCategoryColor } from '../../utils/categories'
+import { expandSplitTransactions } from '../../utils/splitTransactions'
+import { excludeTransfers } from '../../utils/transfers'
 
-const ReportsTool = ({ financialData, transactions, user, onClose, onDataUpdate }) => {
+const ReportsTool = ({ financialData, transactions, categories = DEFAULT_CATEGORIES, user, onClose, onDataUpdate }) => {
   const [reports, setReports] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [isGenerating, setIsGenerating] = useState(false)
@@ -58,11 +61,11 @@ const ReportsTool = ({ financialData, transactions, user, onClose, onDataUpdate
       const startDate = new Date(dateRange.start)
       const endDate = new Date(dateRange.end)
       
-      // Filter transactions by date range
-      const filteredTransactions = financialData.transactions?.filter(transaction => {
+      // Filter transactions by date range (transfers between accounts are not income or spending)
+      const filteredTransactions = excludeTransfers(transactions || []).filter(transaction => {
         const transactionDate = new Date(transaction.date)
         return transactionDate >= startDate && transactionDate <= endDate
-      }) || []
+      })
 
       let reportData = {}
       
@@ -121,8 +124,8 @@ const ReportsTool = ({ financialData, transactions, user, onClose, onDataUpdate
     const totalSpending = expenses.reduce((sum, t) => sum + t.amount, 0)
     const categoryBreakdown = {}
     
-    expenses.forEach(transaction => {
-      const category = transaction.category || 'Other'
+    expandSplitTransactions(expenses).forEach(transaction => {
+      const category = getTopLevelCategory(transaction.category || 'Other', categories)
       categoryBreakdown[category] = (categoryBreakdown[category] || 0) + transaction.amount
     })
 
@@ -165,22 +168,30 @@ const ReportsTool = ({ financialData, transactions, user, onClose, onDataUpdate
   }
 
   const generateCategoryReport = (transactions) => {
-    const categoryBreakdown = {}
     const expenseCategories = {}
+    const expenseSubcategories = {}
     const incomeCategories = {}
     
-    transactions.forEach(transaction => {
+    expandSplitTransactions(transactions).forEach(transaction => {
       const category = transaction.category || 'Other'
+      const topLevel = getTopLevelCategory(category, categories)
       if (transaction.type === 'expense') {
-        expenseCategories[category] = (expenseCategories[category] || 0) + transaction.amount
+        expenseCategories[topLevel] = (expenseCategories[topLevel] || 0) + transaction.amount
+        if (topLevel !== category) {
+          expenseSubcategories[category] = (expenseSubcategories[category] || 0) + transaction.amount
+        }
       } else {
-        incomeCategories[category] = (incomeCategories[category] || 0) + transaction.amount
+        incomeCategories[topLevel] = (incomeCategories[topLevel] || 0) + transaction.amount
       }
     })
 
     return {
       expenseCategories,
+      expenseSubcategories,
       incomeCategories,
+      categoryColors: Object.fromEntries(
+        Object.keys({ ...expenseCategories, ...incomeCategories }).map(name => [name, getCategoryColor(name, categories)])
+      ),
       totalExpenses: Object.values(expenseCategories).reduce((sum, val) => sum + val, 0),
       totalIncome: Object.values(incomeCategories).reduce((sum, val) => sum + val, 0)
     }
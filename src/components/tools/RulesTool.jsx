@@ -0,0 +1,508 @@
+import { useState, useEffect } from 'react'
+import {
+  createCategoryRule,
+  getUserCategoryRules,
+  updateCategoryRule,
+  deleteCategoryRule,
+  reapplyCategoryRules
+} from '../../api/unifiedFirestoreService'
+import {
+  RULE_FIELDS,
+  RULE_MATCH_TYPES,
+  compileRulePattern,
+  matchesRule
+} from '../../utils/categorizationRules'
+import { DEFAULT_CATEGORIES } from '../../utils/categories'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const emptyRule = {
+  name: '',
+  field: 'either',
+  matchType: 'contains',
+  pattern: '',
+  minAmount: '',
+  maxAmount: '',
+  accountId: '',
+  type: '',
+  category: 'Other',
+  tags: '',
+  priority: '100'
+}
+
+const RulesTool = ({ financialData, transactions, accounts, categories = DEFAULT_CATEGORIES, user, onClose, onDataUpdate }) => {
+  const [rules, setRules] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isReapplying, setIsReapplying] = useState(false)
+  const [message, setMessage] = useState('')
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [newRule, setNewRule] = useState(emptyRule)
+
+  useEffect(() => {
+    if (user) {
+      loadRules()
+    }
+  }, [user])
+
+  const loadRules = async () => {
+    if (!user?.uid) return
+
+    try {
+      setIsLoading(true)
+      setRules(await getUserCategoryRules(user.uid))
+    } catch (error) {
+      console.error('Error loading rules:', error)
+      setMessage('Failed to load rules')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const toRuleData = (form) => ({
+    name: form.name.trim(),
+    priority: parseInt(form.priority, 10) || 100,
+    conditions: {
+      field: form.field,
+      matchType: form.matchType,
+      pattern: form.pattern.trim(),
+      minAmount: form.minAmount === '' ? null : parseFloat(form.minAmount),
+      maxAmount: form.maxAmount === '' ? null : parseFloat(form.maxAmount),
+      accountId: form.accountId || null,
+      type: form.type || null
+    },
+    actions: {
+      category: form.category,
+      tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    }
+  })
+
+  const resetForm = () => {
+    setNewRule(emptyRule)
+    setShowAddForm(false)
+    setEditingRule(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!user) {
+      setMessage('❌ User not authenticated')
+      return
+    }
+
+    if (!newRule.name.trim()) {
+      setMessage('❌ Rule name is required')
+      return
+    }
+    if (!newRule.pattern.trim() && newRule.minAmount === '' && newRule.maxAmount === '' && !newRule.accountId && !newRule.type) {
+      setMessage('❌ Add at least one condition')
+      return
+    }
+    if (newRule.matchType === 'regex' && newRule.pattern && !compileRulePattern(newRule.pattern)) {
+      setMessage('❌ Invalid regular expression')
+      return
+    }
+
+    try {
+      setIsSaving(true)
+      const ruleData = toRuleData(newRule)
+
+      if (editingRule) {
+        await updateCategoryRule(editingRule.id, ruleData)
+        setMessage('✅ Rule updated successfully!')
+      } else {
+        await createCategoryRule({ userId: user.uid, ...ruleData })
+        setMessage('✅ Rule created successfully!')
+      }
+      playSound('success')
+
+      resetForm()
+      await loadRules()
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error saving rule:', error)
+      setMessage('❌ Failed to save rule')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule)
+    setNewRule({
+      name: rule.name,
+      field: rule.conditions?.field || 'either',
+      matchType: rule.conditions?.matchType || 'contains',
+      pattern: rule.conditions?.pattern || '',
+      minAmount: rule.conditions?.minAmount ?? '',
+      maxAmount: rule.conditions?.maxAmount ?? '',
+      accountId: rule.conditions?.accountId || '',
+      type: rule.conditions?.type || '',
+      category: rule.actions?.category || 'Other',
+      tags: (rule.actions?.tags || []).join(', '),
+      priority: String(rule.priority ?? 100)
+    })
+    setShowAddForm(true)
+  }
+
+  const handleToggle = async (rule) => {
+    try {
+      await updateCategoryRule(rule.id, { isActive: rule.isActive === false })
+      await loadRules()
+    } catch (error) {
+      console.error('Error toggling rule:', error)
+      setMessage('❌ Failed to update rule')
+      playSound('error')
+    }
+  }
+
+  const handleDelete = async (ruleId) => {
+    if (!confirm('Are you sure you want to delete this rule?')) return
+
+    try {
+      await deleteCategoryRule(ruleId)
+      setMessage('Rule deleted successfully!')
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+      await loadRules()
+    } catch (error) {
+      console.error('Error deleting rule:', error)
+      setMessage('Failed to delete rule')
+      playSound('error')
+    }
+  }
+
+  const handleReapply = async () => {
+    if (!confirm('Re-apply all active rules to your full transaction history?')) return
+
+    try {
+      setIsReapplying(true)
+      const changed = await reapplyCategoryRules(user.uid)
+      setMessage(`✅ Rules re-applied: ${changed} transactions updated`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+      onDataUpdate()
+    } catch (error) {
+      console.error('Error re-applying rules:', error)
+      setMessage('❌ Failed to re-apply rules')
+      playSound('error')
+    } finally {
+      setIsReapplying(false)
+    }
+  }
+
+  const countMatches = (rule) => (transactions || []).filter(t => matchesRule(t, rule)).length
+
+  const describeRule = (rule) => {
+    const conditions = rule.conditions || {}
+    const parts = []
+    if (conditions.pattern) {
+      const field = RULE_FIELDS.find(f => f.value === conditions.field)?.label || 'Description'
+      parts.push(`${field} ${conditions.matchType === 'regex' ? 'matches' : 'contains'} "${conditions.pattern}"`)
+    }
+    if (conditions.minAmount !== null && conditions.minAmount !== undefined) parts.push(`amount ≥ $${conditions.minAmount}`)
+    if (conditions.maxAmount !== null && conditions.maxAmount !== undefined) parts.push(`amount ≤ $${conditions.maxAmount}`)
+    if (conditions.type) parts.push(`type is ${conditions.type}`)
+    if (conditions.accountId) {
+      parts.push(`account is ${accounts?.find(a => a.id === conditions.accountId)?.name || conditions.accountId}`)
+    }
+    return parts.join(' and ')
+  }
+
+  if (isLoading) {
+    return (
+      <div className="text-center p-8">
+        <div className="text-lg font-bold mb-4">Loading rules...</div>
+        <div className="text-sm text-gray-600">Please wait while we fetch your categorization rules</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-4">
+      <div className="text-center font-bold text-lg mb-6 text-retro-dark">
+        🏷️ CATEGORIZATION RULES
+      </div>
+
+      <div className="flex space-x-4 justify-center mb-6">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={() => { playSound('click1'); setEditingRule(null); setNewRule(emptyRule); setShowAddForm(true) }}
+        >
+          ➕ Add Rule
+        </button>
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={() => { playSound('click1'); handleReapply() }}
+          disabled={isReapplying || rules.length === 0}
+        >
+          {isReapplying ? '⏳ Applying...' : '🔁 Re-apply to History'}
+        </button>
+      </div>
+
+      {/* Add/Edit Form */}
+      {showAddForm && (
+        <div className="retro-chart mb-6 p-4">
+          <div className="text-center font-bold mb-4">
+            {editingRule ? '✏️ Edit Rule' : '➕ Add New Rule'}
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-bold mb-1">Rule Name:</label>
+                <input
+                  type="text"
+                  value={newRule.name}
+                  onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
+                  className="retro-input w-full"
+                  placeholder="e.g. Coffee shops"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Priority (lower runs first):</label>
+                <input
+                  type="number"
+                  value={newRule.priority}
+                  onChange={(e) => setNewRule({ ...newRule, priority: e.target.value })}
+                  className="retro-input w-full"
+                  step="1"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Match Field:</label>
+                <select
+                  value={newRule.field}
+                  onChange={(e) => setNewRule({ ...newRule, field: e.target.value })}
+                  className="retro-input w-full"
+                >
+                  {RULE_FIELDS.map(field => (
+                    <option key={field.value} value={field.value}>{field.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <label className="block text-sm font-bold mb-1">Match:</label>
+                  <select
+                    value={newRule.matchType}
+                    onChange={(e) => setNewRule({ ...newRule, matchType: e.target.value })}
+                    className="retro-input w-full"
+                  >
+                    {RULE_MATCH_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-bold mb-1">Pattern:</label>
+                  <input
+                    type="text"
+                    value={newRule.pattern}
+                    onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+                    className="retro-input w-full"
+                    placeholder={newRule.matchType === 'regex' ? '^STARBUCKS|DUNKIN' : 'starbucks'}
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-bold mb-1">Min Amount:</label>
+                  <input
+                    type="number"
+                    value={newRule.minAmount}
+                    onChange={(e) => setNewRule({ ...newRule, minAmount: e.target.value })}
+                    className="retro-input w-full"
+                    placeholder="Any"
+                    step="0.01"
+                    min="0"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-1">Max Amount:</label>
+                  <input
+                    type="number"
+                    value={newRule.maxAmount}
+                    onChange={(e) => setNewRule({ ...newRule, maxAmount: e.target.value })}
+                    className="retro-input w-full"
+                    placeholder="Any"
+                    step="0.01"
+                    min="0"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-bold mb-1">Account:</label>
+                  <select
+                    value={newRule.accountId}
+                    onChange={(e) => setNewRule({ ...newRule, accountId: e.target.value })}
+                    className="retro-input w-full"
+                  >
+                    <option value="">Any</option>
+                    {(accounts || []).map(account => (
+                      <option key={account.id} value={account.id}>{account.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-1">Type:</label>
+                  <select
+                    value={newRule.type}
+                    onChange={(e) => setNewRule({ ...newRule, type: e.target.value })}
+                    className="retro-input w-full"
+                  >
+                    <option value="">Any</option>
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Assign Category:</label>
+                <select
+                  value={newRule.category}
+                  onChange={(e) => setNewRule({ ...newRule, category: e.target.value })}
+                  className="retro-input w-full"
+                >
+                  {categories.map(category => (
+                    <option key={category.name} value={category.name}>
+                      {category.parent ? `  └ ${category.name}` : category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-1">Add Tags (comma separated):</label>
+                <input
+                  type="text"
+                  value={newRule.tags}
+                  onChange={(e) => setNewRule({ ...newRule, tags: e.target.value })}
+                  className="retro-input w-full"
+                  placeholder="coffee, work"
+                />
+              </div>
+            </div>
+
+            <div className="text-xs text-gray-600 text-center">
+              Matches {countMatches(toRuleData(newRule))} of your recent transactions
+            </div>
+
+            <div className="flex space-x-4 justify-center">
+              <button
+                type="submit"
+                className="retro-button px-6 py-2"
+                disabled={isSaving}
+                onClick={() => playSound('click1')}
+              >
+                {isSaving ? '⏳ Saving...' : '💾 Save Rule'}
+              </button>
+              <button
+                type="button"
+                className="retro-button px-6 py-2"
+                onClick={() => { playSound('click1'); resetForm() }}
+              >
+                ✕ Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Rules List */}
+      <div className="space-y-3 mb-6">
+        <div className="text-center font-bold text-sm mb-4">YOUR RULES</div>
+        {rules.length === 0 ? (
+          <div className="text-center p-8 text-gray-600">
+            No rules yet. Add a rule to categorize transactions automatically!
+          </div>
+        ) : (
+          rules.map(rule => (
+            <div key={rule.id} className={`retro-chart p-3 ${rule.isActive === false ? 'opacity-50' : ''}`}>
+              <div className="flex justify-between items-start">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="font-bold text-sm">{rule.name}</span>
+                    <span className="text-xs px-2 py-1 rounded bg-gray-100">#{rule.priority ?? 100}</span>
+                    {rule.isActive === false && (
+                      <span className="text-xs px-2 py-1 rounded bg-red-100 text-red-800">PAUSED</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    If {describeRule(rule) || 'any transaction'} → {rule.actions?.category || 'keep category'}
+                    {rule.actions?.tags?.length > 0 && ` + tags: ${rule.actions.tags.join(', ')}`}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Matches {countMatches(rule)} recent transactions
+                  </div>
+                </div>
+
+                <div className="flex space-x-1">
+                  <button
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleToggle(rule) }}
+                  >
+                    {rule.isActive === false ? 'Enable' : 'Pause'}
+                  </button>
+                  <button
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleEdit(rule) }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="retro-button text-xs px-2 py-1"
+                    onClick={() => { playSound('click1'); handleDelete(rule.id) }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex space-x-4 justify-center">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className="text-center mt-4 text-sm font-bold">
+          {message}
+        </div>
+      )}
+
+      {/* Rules Tips */}
+      <div className="retro-info mt-6">
+        <div className="text-center">
+          <div className="text-lg font-bold mb-2">Rules Tips</div>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>• Rules run on Nessie sync, statement imports and new transactions</div>
+            <div>• The first matching rule (lowest priority number) wins</div>
+            <div>• Use regex for merchants with changing store numbers</div>
+            <div>• Re-apply rules after editing them to fix older transactions</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RulesTool
@@ -3,8 +3,11 @@ import { doc, updateDoc, getDoc, setDoc } from 'firebase/firestore'
 import { db } from '../../firebaseClient'
 import { safeTimestamp } from '../../utils/timestampUtils'
 import { play as playSound } from '../../utils/soundPlayer'
+import { createBackup, validateBackup, diffBackup, restoreBackup } from '../../services/backupService'
+import { getUserAIAuditLog } from '../../api/unifiedFirestoreService'
+import { AI_FEATURES } from '../../api/aiProviders'
 
-const SettingsTool = ({ financialData, transactions, accounts, user, onClose, onDataUpdate }) => {
+const SettingsTool = ({ financialData, transactions, accounts, user, onClose, onDataUpdate, onNotificationsUpdate }) => {
   const [settings, setSettings] = useState({
     currency: 'USD',
     dateFormat: 'MM/DD/YYYY',
@@ -19,6 +22,10 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
   const [isLoading, setIsLoading] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [message, setMessage] = useState('')
+  const [pendingRestore, setPendingRestore] = useState(null)
+  const [restoreMode, setRestoreMode] = useState('merge')
+  const [isRestoring, setIsRestoring] = useState(false)
+  const [aiAuditLog, setAiAuditLog] = useState(null)
 
   const currencies = [
     { code: 'USD', symbol: '$', name: 'US Dollar' },
@@ -113,6 +120,7 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
         playSound('success')
       setTimeout(() => setMessage(''), 3000)
       onDataUpdate()
+      onNotificationsUpdate?.()
     } catch (error) {
       console.error('Error saving settings:', error)
       setMessage('❌ Failed to save settings')
@@ -141,27 +149,96 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
     }
   }
 
-  const exportData = () => {
-    const data = {
-      user: user,
-      transactions: transactions,
-      accounts: accounts,
-      settings: settings,
-      exportDate: new Date().toISOString()
+  const exportData = async () => {
+    if (!user) return
+
+    try {
+      setIsSaving(true)
+      const archive = await createBackup(user.uid)
+
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `retrovault-backup-${new Date().toISOString().split('T')[0]}.json`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      setMessage('✅ Backup exported successfully!')
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error exporting backup:', error)
+      setMessage('❌ Failed to export backup')
+      playSound('error')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || !user) return
+
+    try {
+      let archive
+      try {
+        archive = JSON.parse(await file.text())
+      } catch {
+        archive = null
+      }
+
+      const validation = validateBackup(archive)
+      if (!validation.isValid) {
+        setMessage(`❌ ${validation.errors.join(', ')}`)
+        playSound('error')
+        return
+      }
+
+      const diff = await diffBackup(user.uid, archive)
+      setPendingRestore({ archive, diff, fileName: file.name })
+      playSound('click1')
+    } catch (error) {
+      console.error('Error reading backup:', error)
+      setMessage('❌ Failed to read backup file')
+      playSound('error')
     }
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `retrovault-export-${new Date().toISOString().split('T')[0]}.json`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-    
-    setMessage('✅ Data exported successfully!')
-    setTimeout(() => setMessage(''), 3000)
+  }
+
+  const confirmRestore = async () => {
+    if (!pendingRestore) return
+    if (restoreMode === 'replace' && !confirm('Replace will delete any data that is not in the backup. Continue?')) return
+
+    try {
+      setIsRestoring(true)
+      const result = await restoreBackup(user.uid, pendingRestore.archive, restoreMode)
+      setPendingRestore(null)
+      setMessage(`✅ Backup restored (${result.written} written, ${result.deleted} deleted)`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+      await loadSettings()
+      onDataUpdate()
+      onNotificationsUpdate?.()
+    } catch (error) {
+      console.error('Error restoring backup:', error)
+      setMessage('❌ Failed to restore backup')
+      playSound('error')
+    } finally {
+      setIsRestoring(false)
+    }
+  }
+
+  const toggleAIAuditLog = async () => {
+    playSound('click1')
+    if (aiAuditLog) {
+      setAiAuditLog(null)
+      return
+    }
+    if (!user) return
+    setAiAuditLog(await getUserAIAuditLog(user.uid))
   }
 
   if (isLoading) {
@@ -274,7 +351,7 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
                 onChange={(e) => updateSetting('notifications', e.target.checked)}
                 className="retro-checkbox"
               />
-              <span className="text-sm font-bold">Enable Notifications</span>
+              <span className="text-sm font-bold">Enable Notifications (budget, large transaction, goal and sync alerts)</span>
             </label>
           </div>
         </div>
@@ -315,6 +392,51 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
             </select>
           </div>
         </div>
+
+        <div className="mt-4">
+          <button className="retro-button px-4 py-2 text-sm" onClick={toggleAIAuditLog}>
+            🔎 {aiAuditLog ? 'Hide' : 'View'} AI Data Log
+          </button>
+          {aiAuditLog && (
+            aiAuditLog.length === 0 ? (
+              <div className="text-xs text-gray-600 mt-2">Nothing has been sent to an AI provider yet.</div>
+            ) : (
+              <div className="max-h-64 overflow-y-auto mt-2">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left">
+                      <th className="p-1">When</th>
+                      <th className="p-1">Feature</th>
+                      <th className="p-1">Provider / Model</th>
+                      <th className="p-1">Status</th>
+                      <th className="p-1">Privacy</th>
+                      <th className="p-1">Fields Sent</th>
+                      <th className="p-1">Redacted</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {aiAuditLog.map(entry => (
+                      <tr key={entry.id} className="border-t border-gray-300 align-top">
+                        <td className="p-1">{safeTimestamp(entry.createdAt, 'Unknown')}</td>
+                        <td className="p-1">{AI_FEATURES[entry.feature]?.label || entry.feature}</td>
+                        <td className="p-1">
+                          {entry.providerName}{entry.hosted ? '' : ' (local)'}
+                          <div className="text-gray-600">{entry.model}</div>
+                        </td>
+                        <td className="p-1">{entry.status}</td>
+                        <td className="p-1">{entry.privacyLevel}</td>
+                        <td className="p-1">{(entry.dataFields || []).join(', ') || '—'}</td>
+                        <td className="p-1">
+                          {Object.entries(entry.redactions || {}).map(([kind, count]) => `${kind} ×${count}`).join(', ') || 'none'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          )}
+        </div>
       </div>
 
       {/* Sync Settings */}
@@ -338,14 +460,25 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
       <div className="retro-chart mb-6 p-4">
         <div className="text-center font-bold mb-4 text-sm">DATA MANAGEMENT</div>
         
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <button
             className="retro-button px-4 py-2"
             onClick={exportData}
+            disabled={isSaving}
           >
-            📤 Export Data
+            📤 Export Backup
           </button>
           
+          <label className="retro-button px-4 py-2 text-center cursor-pointer">
+            📥 Restore Backup
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleRestoreFile}
+              className="hidden"
+            />
+          </label>
+          
           <button
             className="retro-button px-4 py-2"
             onClick={resetSettings}
@@ -353,6 +486,72 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
             🔄 Reset Settings
           </button>
         </div>
+
+        {pendingRestore && (
+          <div className="retro-info mt-4 p-3">
+            <div className="text-center font-bold mb-2 text-sm">RESTORE PREVIEW</div>
+            <div className="text-xs text-gray-600 mb-2 text-center">
+              {pendingRestore.fileName} • v{pendingRestore.archive.version} • created {safeTimestamp(pendingRestore.archive.createdAt, 'Unknown')}
+            </div>
+            <table className="w-full text-xs mb-3">
+              <thead>
+                <tr className="text-left">
+                  <th className="p-1">Section</th>
+                  <th className="p-1">Backup</th>
+                  <th className="p-1">Current</th>
+                  <th className="p-1">New</th>
+                  <th className="p-1">Overwritten</th>
+                  <th className="p-1">Deleted on Replace</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pendingRestore.diff.map(row => (
+                  <tr key={row.section}>
+                    <td className="p-1 font-bold">{row.section}</td>
+                    <td className="p-1">{row.inBackup}</td>
+                    <td className="p-1">{row.current}</td>
+                    <td className="p-1">{row.added}</td>
+                    <td className="p-1">{row.updated}</td>
+                    <td className="p-1">{row.removedOnReplace}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center justify-center space-x-4 mb-3 text-sm">
+              <label className="flex items-center space-x-1">
+                <input
+                  type="radio"
+                  checked={restoreMode === 'merge'}
+                  onChange={() => setRestoreMode('merge')}
+                />
+                <span>Merge (overwrite matching entries, keep the rest)</span>
+              </label>
+              <label className="flex items-center space-x-1">
+                <input
+                  type="radio"
+                  checked={restoreMode === 'replace'}
+                  onChange={() => setRestoreMode('replace')}
+                />
+                <span>Replace (delete data not in backup)</span>
+              </label>
+            </div>
+            <div className="flex space-x-4 justify-center">
+              <button
+                className="retro-button px-4 py-2"
+                onClick={confirmRestore}
+                disabled={isRestoring}
+              >
+                {isRestoring ? '⏳ Restoring...' : '✅ Restore'}
+              </button>
+              <button
+                className="retro-button px-4 py-2"
+                onClick={() => { playSound('click1'); setPendingRestore(null) }}
+              >
+                ✕ Cancel
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Account Info */}
@@ -399,7 +598,7 @@ const SettingsTool = ({ financialData, transactions, accounts, user, onClose, on
           <div className="text-sm text-gray-600 space-y-1">
             <div>• Choose your preferred currency for accurate financial tracking</div>
             <div>• Enable notifications to stay updated on your finances</div>
-            <div>• Export your data regularly for backup purposes</div>
+            <div>• Export a backup before running migrations or switching projects</div>
             <div>• Adjust privacy settings based on your comfort level</div>
           </div>
         </div>
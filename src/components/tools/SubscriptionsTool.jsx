@@ -0,0 +1,252 @@
+import { useState } from 'react'
+import { setRecurringSeriesStatus } from '../../api/unifiedFirestoreService'
+import { DEFAULT_CATEGORIES, getCategoryColor } from '../../utils/categories'
+import {
+  RECURRING_INTERVALS,
+  RECURRING_STATUSES,
+  detectRecurringSeries,
+  applySeriesStatuses,
+  projectUpcomingBills
+} from '../../utils/recurringDetection'
+import { play as playSound } from '../../utils/soundPlayer'
+
+const STATUS_FILTERS = [
+  { id: RECURRING_STATUSES.detected, name: 'To Review', icon: '🔍' },
+  { id: RECURRING_STATUSES.confirmed, name: 'Confirmed', icon: '✅' },
+  { id: RECURRING_STATUSES.cancelled, name: 'Cancelled', icon: '🚫' },
+  { id: RECURRING_STATUSES.ignored, name: 'Ignored', icon: '🙈' }
+]
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+// Convert any interval to a monthly cost so weekly and annual charges can be totalled together
+const toMonthlyAmount = (series) => series.averageAmount * (RECURRING_INTERVALS.monthly.days / RECURRING_INTERVALS[series.interval].days)
+
+const SubscriptionsTool = ({ transactions, categories = DEFAULT_CATEGORIES, recurringStatuses = {}, user, onClose, onRecurringUpdate }) => {
+  const [activeFilter, setActiveFilter] = useState(RECURRING_STATUSES.detected)
+  const [savingKey, setSavingKey] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const series = applySeriesStatuses(detectRecurringSeries(transactions || []), recurringStatuses)
+  const visibleSeries = series.filter(item => item.status === activeFilter)
+  const confirmedSeries = series.filter(item => item.status === RECURRING_STATUSES.confirmed)
+  const upcomingBills = projectUpcomingBills(series, { days: 30 })
+  // The upcoming list also shows recurring income, so bills and income are totalled apart
+  const upcomingBillsTotal = upcomingBills.filter(bill => bill.type === 'expense').reduce((sum, bill) => sum + bill.amount, 0)
+  const upcomingIncomeTotal = upcomingBills.filter(bill => bill.type === 'income').reduce((sum, bill) => sum + bill.amount, 0)
+  const alerts = series.filter(item =>
+    item.chargedAfterCancel || (item.priceChanged && item.status !== RECURRING_STATUSES.ignored)
+  )
+
+  const monthlyBills = confirmedSeries
+    .filter(item => item.type === 'expense')
+    .reduce((sum, item) => sum + toMonthlyAmount(item), 0)
+
+  const handleStatusChange = async (item, status) => {
+    if (!user) {
+      setMessage('❌ User not authenticated')
+      return
+    }
+
+    try {
+      setSavingKey(item.key)
+      await setRecurringSeriesStatus(user.uid, item.key, status, item.name)
+      await onRecurringUpdate?.()
+      setMessage(`✅ ${item.name} marked as ${status}`)
+      playSound('success')
+      setTimeout(() => setMessage(''), 3000)
+    } catch (error) {
+      console.error('Error updating recurring series:', error)
+      setMessage('❌ Failed to update series')
+      playSound('error')
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  return (
+    <div className="p-4">
+      <div className="text-center font-bold text-lg mb-6 text-retro-dark">
+        🔁 SUBSCRIPTIONS & BILLS
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Confirmed Series</div>
+          <div className="text-xl font-bold">{confirmedSeries.length}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Monthly Bills</div>
+          <div className="text-xl font-bold text-red-600">${monthlyBills.toFixed(2)}</div>
+        </div>
+        <div className="retro-chart p-3 text-center">
+          <div className="text-xs text-gray-600">Bills Due in Next 30 Days</div>
+          <div className="text-xl font-bold text-red-600">${upcomingBillsTotal.toFixed(2)}</div>
+          {upcomingIncomeTotal > 0 && (
+            <div className="text-xs text-green-600">+${upcomingIncomeTotal.toFixed(2)} income expected</div>
+          )}
+        </div>
+      </div>
+
+      {/* Alerts */}
+      {alerts.length > 0 && (
+        <div className="retro-chart p-3 mb-6">
+          <div className="font-bold text-sm mb-2">⚠️ ALERTS</div>
+          <div className="space-y-1 text-xs">
+            {alerts.map(item => (
+              <div key={item.key} className={item.chargedAfterCancel ? 'text-red-600 font-bold' : 'text-orange-600'}>
+                {item.chargedAfterCancel
+                  ? `• ${item.name} charged $${item.lastAmount.toFixed(2)} on ${formatDate(item.lastDate)} after you cancelled it`
+                  : `• ${item.name} changed from $${item.previousAmount.toFixed(2)} to $${item.lastAmount.toFixed(2)} (${item.amountChange > 0 ? '+' : ''}${item.amountChangePercent.toFixed(1)}%)`}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Status Filter */}
+      <div className="flex flex-wrap justify-center gap-2 mb-4">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.id}
+            className={`retro-button text-xs px-3 py-1 ${activeFilter === filter.id ? 'font-bold' : ''}`}
+            onClick={() => { playSound('click1'); setActiveFilter(filter.id) }}
+          >
+            {filter.icon} {filter.name} ({series.filter(item => item.status === filter.id).length})
+          </button>
+        ))}
+      </div>
+
+      {/* Series List */}
+      <div className="space-y-2 mb-6">
+        {visibleSeries.length === 0 ? (
+          <div className="text-center p-8 text-gray-600">
+            {series.length === 0
+              ? 'No recurring charges found yet. Series appear after a few regular payments to the same merchant.'
+              : 'Nothing here right now.'}
+          </div>
+        ) : (
+          visibleSeries.map(item => (
+            <div key={item.key} className="retro-chart p-3">
+              <div className="flex justify-between items-start">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span
+                      className="w-3 h-3 rounded-full"
+                      style={{ backgroundColor: getCategoryColor(item.category, categories) }}
+                    />
+                    <span className="font-bold text-sm">{item.name}</span>
+                    <span className="text-xs px-2 py-1 rounded bg-gray-100">
+                      {RECURRING_INTERVALS[item.interval].label.toUpperCase()}
+                    </span>
+                    {item.priceChanged && (
+                      <span className="text-xs px-2 py-1 rounded bg-yellow-100 text-yellow-800">PRICE CHANGE</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    {item.category} • {item.occurrences} payments since {formatDate(item.firstDate)}
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    Last: {formatDate(item.lastDate)} • Next expected: {item.status === RECURRING_STATUSES.cancelled ? '—' : formatDate(item.nextExpectedDate)}
+                  </div>
+                </div>
+
+                <div className="text-right">
+                  <div className={`font-bold ${item.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                    ${item.averageAmount.toFixed(2)}
+                  </div>
+                  <div className="text-xs text-gray-600">average</div>
+                  <div className="flex space-x-1 mt-1">
+                    {item.status !== RECURRING_STATUSES.confirmed && (
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        disabled={savingKey === item.key}
+                        onClick={() => { playSound('click1'); handleStatusChange(item, RECURRING_STATUSES.confirmed) }}
+                      >
+                        Confirm
+                      </button>
+                    )}
+                    {item.status !== RECURRING_STATUSES.ignored && (
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        disabled={savingKey === item.key}
+                        onClick={() => { playSound('click1'); handleStatusChange(item, RECURRING_STATUSES.ignored) }}
+                      >
+                        Ignore
+                      </button>
+                    )}
+                    {item.status !== RECURRING_STATUSES.cancelled && item.type === 'expense' && (
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        disabled={savingKey === item.key}
+                        onClick={() => { playSound('click1'); handleStatusChange(item, RECURRING_STATUSES.cancelled) }}
+                      >
+                        Cancelled
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Upcoming Bills */}
+      {upcomingBills.length > 0 && (
+        <div className="retro-chart p-3 mb-6">
+          <div className="text-center font-bold text-sm mb-2">📅 NEXT 30 DAYS</div>
+          <div className="space-y-1 text-xs">
+            {upcomingBills.map(bill => (
+              <div key={`${bill.key}-${bill.dueDate}`} className="flex justify-between">
+                <span>{formatDate(bill.dueDate)} • {bill.name}</span>
+                <span className={bill.type === 'income' ? 'text-green-600' : 'text-red-600'}>
+                  {bill.type === 'income' ? '+' : '-'}${bill.amount.toFixed(2)}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs font-bold border-t border-gray-400 mt-2 pt-1">
+            <span>Net (income - bills)</span>
+            <span className={upcomingIncomeTotal >= upcomingBillsTotal ? 'text-green-600' : 'text-red-600'}>
+              {upcomingIncomeTotal >= upcomingBillsTotal ? '+' : '-'}${Math.abs(upcomingIncomeTotal - upcomingBillsTotal).toFixed(2)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Action Buttons */}
+      <div className="flex space-x-4 justify-center">
+        <button
+          className="retro-button px-6 py-3 text-lg font-bold"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className="text-center mt-4 text-sm font-bold">
+          {message}
+        </div>
+      )}
+
+      {/* Subscription Tips */}
+      <div className="retro-info mt-6">
+        <div className="text-center">
+          <div className="text-lg font-bold mb-2">Subscription Tips</div>
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>• Confirm real bills so they show up in your dashboard projections</div>
+            <div>• Mark a subscription as cancelled to get warned if it keeps charging</div>
+            <div>• Review price-change alerts before renewals</div>
+            <div>• Ignore series that only look regular, like weekly groceries</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SubscriptionsTool
@@ -3,7 +3,7 @@ import { play as playSound } from '../../utils/soundPlayer'
 import { doc, updateDoc, getDoc, setDoc } from 'firebase/firestore'
 import { db } from '../../firebaseClient'
 
-const SyncTool = ({ financialData, user, onClose, onDataUpdate }) => {
+const SyncTool = ({ financialData, user, onClose, onDataUpdate, onSyncFailure }) => {
   const [isSyncing, setIsSyncing] = useState(false)
   const [syncStatus, setSyncStatus] = useState('idle')
   const [message, setMessage] = useState('')
@@ -100,6 +100,7 @@ const SyncTool = ({ financialData, user, onClose, onDataUpdate }) => {
       setSyncStatus('error')
       setMessage('❌ Sync failed. Please try again.')
   playSound('error')
+      onSyncFailure?.(error)
       
       // Log failed sync
       const now = new Date().toISOString()
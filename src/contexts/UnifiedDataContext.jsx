@@ -1,7 +1,7 @@
 // Unified Data Context for RetroVault
 // Single source of truth for all financial data across the application
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react'
 import { onAuthStateChanged } from 'firebase/auth'
 import { auth } from '../firebaseClient'
 import { 
@@ -10,11 +10,43 @@ import {
   getUserTransactions,
   updateFinancialSummary,
   listenToUserData,
-  listenToUserTransactions
+  listenToUserTransactions,
+  getCategories,
+  getRecurringSeriesStatuses,
+  getNetWorthHistory,
+  getUserBudgets,
+  getUserGoals,
+  areNotificationsEnabled,
+  createNotification,
+  getUserNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  markNotificationDismissed
 } from '../api/unifiedFirestoreService'
 import { authService } from '../services/authService'
 import { dataSeedingService, seedUserData } from '../services/dataSeedingService'
 import { getFinancialInsights } from '../api/aiService'
+import { analyzeSpendingPatterns } from '../utils/financialDataHelpers'
+import {
+  NOTIFICATION_SOUNDS,
+  buildBudgetAlerts,
+  buildLargeTransactionAlerts,
+  buildGoalDeadlineAlerts,
+  buildLowBalanceAlerts,
+  buildSyncFailureAlert
+} from '../utils/notifications'
+import { play as playSound } from '../utils/soundPlayer'
+import {
+  DEFAULT_CATEGORIES,
+  calculateCategoryBreakdown,
+  getCategoryColor as getCategoryColorFromList
+} from '../utils/categories'
+import { detectRecurringSeries, applySeriesStatuses, projectUpcomingBills } from '../utils/recurringDetection'
+import { excludeTransfers } from '../utils/transfers'
+import { calculateEnvelope, prorateAmount } from '../utils/budgets'
+import { ALL_ACCOUNTS, calculateNetWorth, calculateNetWorthBreakdown, filterTransactionsByAccount } from '../utils/accounts'
+import { buildCashFlowForecast } from '../utils/cashFlowForecast'
+import { setRedactionContext } from '../utils/aiRedaction'
 
 const UnifiedDataContext = createContext()
 
@@ -32,6 +64,15 @@ export const UnifiedDataProvider = ({ children }) => {
   const [userProfile, setUserProfile] = useState(null)
   const [accounts, setAccounts] = useState([])
   const [transactions, setTransactions] = useState([])
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES)
+  const [recurringStatuses, setRecurringStatuses] = useState({})
+  const [netWorthHistory, setNetWorthHistory] = useState([])
+  const [budgets, setBudgets] = useState([])
+  const [goals, setGoals] = useState([])
+  const [notifications, setNotifications] = useState([])
+  const [notificationsEnabled, setNotificationsEnabled] = useState(true)
+  const isCheckingAlerts = useRef(false)
+  const [selectedAccountId, setSelectedAccountId] = useState(ALL_ACCOUNTS)
   
   // Loading and error states
   const [isLoading, setIsLoading] = useState(true)
@@ -58,6 +99,13 @@ export const UnifiedDataProvider = ({ children }) => {
         setUserProfile(null)
         setAccounts([])
         setTransactions([])
+        setCategories(DEFAULT_CATEGORIES)
+        setRecurringStatuses({})
+        setNetWorthHistory([])
+        setBudgets([])
+        setGoals([])
+        setNotifications([])
+        setSelectedAccountId(ALL_ACCOUNTS)
         setIsLoading(false)
         setError(null)
       }
@@ -78,7 +126,12 @@ export const UnifiedDataProvider = ({ children }) => {
         // Don't throw here to prevent app crashes
       }
     }
-  }, [userProfile, transactions]) // Fixed: Use actual data dependencies instead of function
+  }, [userProfile, transactions, categories]) // Fixed: Use actual data dependencies instead of function
+
+  // Keep the user's name, email and account numbers out of AI prompts (runs before insights are generated)
+  useEffect(() => {
+    setRedactionContext({ user, accounts })
+  }, [user, accounts])
 
   // Generate AI insights when transactions change
   useEffect(() => {
@@ -87,6 +140,13 @@ export const UnifiedDataProvider = ({ children }) => {
     }
   }, [transactions])
 
+  // Raise alerts when spending, budgets, goals or the cash-flow outlook change
+  useEffect(() => {
+    if (user && !isLoading && notificationsEnabled) {
+      checkForAlerts()
+    }
+  }, [user, isLoading, notificationsEnabled, transactions, budgets, goals, accounts, recurringStatuses])
+
   // Generate AI insights function
   const generateAiInsights = async () => {
     try {
@@ -138,18 +198,34 @@ export const UnifiedDataProvider = ({ children }) => {
       setLoadingMessage('Loading your financial data...')
       
       // Load accounts and transactions in parallel with proper error handling
-      const [userAccounts, userTransactions] = await Promise.allSettled([
+      const [userAccounts, userTransactions, userCategories, userRecurringStatuses, userNetWorthHistory, userBudgets, userGoals] = await Promise.allSettled([
         getUserAccounts(userId, { activeOnly: true }),
-        getUserTransactions(userId, { limitCount: 1000 }) // Increased to ensure we get all seeded transactions
+        getUserTransactions(userId, { limitCount: 1000 }), // Increased to ensure we get all seeded transactions
+        getCategories(userId),
+        getRecurringSeriesStatuses(userId),
+        getNetWorthHistory(userId),
+        getUserBudgets(userId),
+        getUserGoals(userId)
       ]).then(results => [
         results[0].status === 'fulfilled' ? results[0].value : [],
-        results[1].status === 'fulfilled' ? results[1].value : []
+        results[1].status === 'fulfilled' ? results[1].value : [],
+        results[2].status === 'fulfilled' ? results[2].value : DEFAULT_CATEGORIES,
+        results[3].status === 'fulfilled' ? results[3].value : {},
+        results[4].status === 'fulfilled' ? results[4].value : [],
+        results[5].status === 'fulfilled' ? results[5].value : [],
+        results[6].status === 'fulfilled' ? results[6].value : []
       ])
 
       // Update state
       setUserProfile(profile)
       setAccounts(userAccounts)
       setTransactions(userTransactions)
+      setCategories(userCategories)
+      setRecurringStatuses(userRecurringStatuses)
+      setNetWorthHistory(userNetWorthHistory)
+      setBudgets(userBudgets)
+      setGoals(userGoals)
+      loadNotifications(userId)
       
       console.log('✅ [UNIFIED] User data loaded successfully:', {
         accountsCount: userAccounts.length,
@@ -227,16 +303,26 @@ export const UnifiedDataProvider = ({ children }) => {
       setLoadingMessage('Refreshing your data...')
       
       // Reload all data
-      const [profile, userAccounts, userTransactions] = await Promise.all([
+      const [profile, userAccounts, userTransactions, userCategories, userRecurringStatuses, userNetWorthHistory, userBudgets, userGoals] = await Promise.all([
         getUserProfile(user.uid),
         getUserAccounts(user.uid, { activeOnly: true }),
-        getUserTransactions(user.uid, { limitCount: 1000 }) // Increased to ensure we get all transactions
+        getUserTransactions(user.uid, { limitCount: 1000 }), // Increased to ensure we get all transactions
+        getCategories(user.uid),
+        getRecurringSeriesStatuses(user.uid),
+        getNetWorthHistory(user.uid),
+        getUserBudgets(user.uid),
+        getUserGoals(user.uid).catch(() => [])
       ])
       
       // Update state
       setUserProfile(profile)
       setAccounts(userAccounts)
       setTransactions(userTransactions)
+      setCategories(userCategories)
+      setRecurringStatuses(userRecurringStatuses)
+      setNetWorthHistory(userNetWorthHistory)
+      setBudgets(userBudgets)
+      setGoals(userGoals)
       
       console.log('✅ [UNIFIED] Data refreshed successfully:', {
         accountsCount: userAccounts.length,
@@ -256,6 +342,142 @@ export const UnifiedDataProvider = ({ children }) => {
     }
   }
 
+  /**
+   * Reload the user's category list (after adding or editing custom categories)
+   */
+  const refreshCategories = async () => {
+    if (!user) return
+    setCategories(await getCategories(user.uid))
+  }
+
+  /**
+   * Reload recurring series review state (after confirming, ignoring or cancelling a series)
+   */
+  const refreshRecurring = async () => {
+    if (!user) return
+    setRecurringStatuses(await getRecurringSeriesStatuses(user.uid))
+  }
+
+  /**
+   * Reload accounts and net worth history (after adding an account or changing balances)
+   */
+  const refreshAccounts = async () => {
+    if (!user) return
+    const [userAccounts, userNetWorthHistory] = await Promise.all([
+      getUserAccounts(user.uid, { activeOnly: true }),
+      getNetWorthHistory(user.uid)
+    ])
+    setAccounts(userAccounts)
+    setNetWorthHistory(userNetWorthHistory)
+  }
+
+  /**
+   * Reload budgets (after saving assignments, periods or rollover settings)
+   */
+  const refreshBudgets = async () => {
+    if (!user) return
+    setBudgets(await getUserBudgets(user.uid))
+  }
+
+  /**
+   * Reload goals (after creating, editing or contributing to a goal)
+   */
+  const refreshGoals = async () => {
+    if (!user) return
+    setGoals(await getUserGoals(user.uid))
+  }
+
+  /**
+   * Load the notification inbox and the user's notifications preference
+   */
+  const loadNotifications = async (userId) => {
+    const [enabled, userNotifications] = await Promise.all([
+      areNotificationsEnabled(userId),
+      getUserNotifications(userId)
+    ])
+    setNotificationsEnabled(enabled)
+    setNotifications(userNotifications)
+  }
+
+  /**
+   * Reload notifications (after changing the notifications setting)
+   */
+  const refreshNotifications = async () => {
+    if (!user) return
+    await loadNotifications(user.uid)
+  }
+
+  /**
+   * Store new alerts, add them to the inbox and play the cue for the most severe one
+   * Alerts already raised (same dedupeKey) are skipped.
+   */
+  const deliverNotifications = async (alerts) => {
+    if (!user || !notificationsEnabled || alerts.length === 0) return []
+    
+    const known = new Set(notifications.map(notification => notification.dedupeKey))
+    const created = []
+    for (const alert of alerts.filter(alert => !known.has(alert.dedupeKey))) {
+      try {
+        const notification = await createNotification(user.uid, alert)
+        if (notification) created.push(notification)
+      } catch (error) {
+        console.warn('Failed to store notification:', error)
+      }
+    }
+    
+    if (created.length > 0) {
+      setNotifications(prev => [...created, ...prev])
+      const severity = ['critical', 'warning', 'info'].find(level => created.some(n => n.severity === level))
+      playSound(NOTIFICATION_SOUNDS[severity])
+    }
+    return created
+  }
+
+  /**
+   * Check budgets, recent large transactions, goal deadlines and projected low balances for new alerts
+   */
+  const checkForAlerts = async () => {
+    if (isCheckingAlerts.current) return
+    isCheckingAlerts.current = true
+    
+    try {
+      const { unusualSpending } = analyzeSpendingPatterns(excludeTransfers(transactions))
+      await deliverNotifications([
+        ...buildBudgetAlerts(buildBudgetSummary(budgets, transactions)),
+        ...buildLargeTransactionAlerts(unusualSpending),
+        ...buildGoalDeadlineAlerts(goals),
+        ...buildLowBalanceAlerts(buildForecast(ALL_ACCOUNTS))
+      ])
+    } catch (error) {
+      console.warn('Failed to check for alerts:', error)
+    } finally {
+      isCheckingAlerts.current = false
+    }
+  }
+
+  /**
+   * Raise a one-off alert from anywhere in the app (e.g. a failed sync)
+   */
+  const raiseNotification = async (alert) => {
+    return deliverNotifications([alert])
+  }
+
+  const markNotificationAsRead = async (notificationId) => {
+    await markNotificationRead(notificationId)
+    setNotifications(prev => prev.map(n => n.id === notificationId ? { ...n, read: true } : n))
+  }
+
+  const markAllNotificationsAsRead = async () => {
+    if (!user) return
+    await markAllNotificationsRead(user.uid)
+    setNotifications(prev => prev.map(n => ({ ...n, read: true })))
+  }
+
+  const dismissNotification = async (notificationId) => {
+    await markNotificationDismissed(notificationId)
+    setNotifications(prev => prev.filter(n => n.id !== notificationId))
+  }
+
   /**
    * Update financial summary
    */
@@ -284,6 +506,21 @@ export const UnifiedDataProvider = ({ children }) => {
     }
   }
 
+  /**
+   * Project daily balances for the next 90 days across the user's checking and cash accounts (or one account)
+   */
+  const buildForecast = (accountId = ALL_ACCOUNTS, recurringSeries = null) => {
+    return buildCashFlowForecast({
+      accounts,
+      transactions,
+      recurringSeries: recurringSeries || applySeriesStatuses(detectRecurringSeries(transactions), recurringStatuses),
+      goals,
+      days: 90,
+      accountId,
+      startingBalance: accounts.length > 0 ? calculateNetWorth(accounts) : userProfile?.financialSummary?.totalBalance || 0
+    })
+  }
+
   /**
    * Get computed financial data with error handling
    */
@@ -312,7 +549,7 @@ export const UnifiedDataProvider = ({ children }) => {
       if (!transactions || transactions.length === 0) {
         console.log('🔍 [FINANCIAL DATA] No transactions yet, using profile data')
         return {
-          balance: userProfile.financialSummary?.totalBalance || 0,
+          balance: accounts.length > 0 ? calculateNetWorth(accounts) : userProfile.financialSummary?.totalBalance || 0,
           totalIncome: userProfile.financialSummary?.totalIncome || 0,
           totalExpenses: userProfile.financialSummary?.totalExpenses || 0,
           totalSavings: userProfile.financialSummary?.totalSavings || 0,
@@ -322,9 +559,18 @@ export const UnifiedDataProvider = ({ children }) => {
         }
       }
 
+      // Scope everything to the account picked in the dashboard switcher
+      const selectedAccount = accounts.find(account => account.id === selectedAccountId) || null
+      const accountTransactions = filterTransactionsByAccount(
+        Array.isArray(transactions) ? transactions : [],
+        selectedAccount ? selectedAccount.id : ALL_ACCOUNTS,
+        accounts
+      )
+      
       // Calculate derived data - handle different transaction type formats
       // Add null/undefined checks to prevent runtime errors
-      const safeTransactions = Array.isArray(transactions) ? transactions : []
+      // Transfers only move money between the user's own accounts, so they never count as income or spending
+      const safeTransactions = excludeTransfers(accountTransactions)
       const incomeTransactions = safeTransactions.filter(t => 
         t && typeof t === 'object' && (t.type === 'income' || t.type === 'deposit')
       )
@@ -358,21 +604,37 @@ export const UnifiedDataProvider = ({ children }) => {
       })
       
       const totalSavings = totalIncome - totalExpenses
-      // Use calculated balance as single source of truth, with proper fallback logic
-      const calculatedBalance = totalSavings
-      const profileBalance = userProfile.financialSummary?.totalBalance || 0
-      // Use calculated balance if we have transactions, otherwise use profile balance
-      const balance = transactions && transactions.length > 0 ? calculatedBalance : profileBalance
+      const recurringSeries = applySeriesStatuses(detectRecurringSeries(transactions), recurringStatuses)
+      // Net worth is assets minus liabilities across accounts; income minus expenses is only a fallback
+      // for users whose data predates accounts
+      const breakdown = calculateNetWorthBreakdown(accounts)
+      const netWorth = accounts.length > 0 ? breakdown.netWorth : totalSavings
+      const balance = selectedAccount ? (Number(selectedAccount.balance) || 0) : netWorth
 
       return {
         balance,
+        netWorth,
+        assets: breakdown.assets,
+        liabilities: breakdown.liabilities,
+        netWorthHistory: buildNetWorthHistory(netWorthHistory, accounts.length > 0 ? netWorth : null),
+        selectedAccountId: selectedAccount ? selectedAccount.id : ALL_ACCOUNTS,
+        accountBalances: accounts.map(account => ({
+          id: account.id,
+          name: account.name,
+          type: account.type,
+          balance: Number(account.balance) || 0
+        })),
         totalIncome,
         totalExpenses,
         totalSavings,
-        savings: calculateSavingsFromTransactions(transactions),
-        spendingBreakdown: calculateSpendingBreakdown(transactions),
-        weeklyBalance: generateWeeklyBalance(transactions, balance),
-        recentTransactions: transactions.slice(0, 5), // Add recent transactions
+        savings: calculateSavingsFromTransactions(safeTransactions),
+        spendingBreakdown: calculateSpendingBreakdown(safeTransactions),
+        weeklyBalance: generateWeeklyBalance(safeTransactions, balance),
+        recentTransactions: accountTransactions.slice(0, 5), // Add recent transactions
+        upcomingBills: projectUpcomingBills(recurringSeries, { days: 30 })
+          .filter(bill => !selectedAccount || !bill.accountId || bill.accountId === selectedAccount.id),
+        cashFlowForecast: buildForecast(selectedAccount ? selectedAccount.id : ALL_ACCOUNTS, recurringSeries),
+        budgetSummary: buildBudgetSummary(budgets, transactions),
         geminiInsight: aiInsights
       }
     } catch (error) {
@@ -390,7 +652,57 @@ export const UnifiedDataProvider = ({ children }) => {
         geminiInsight: aiInsights
       }
     }
-  }, [userProfile, transactions])
+  }, [userProfile, transactions, accounts, categories, recurringStatuses, selectedAccountId, netWorthHistory, budgets, goals])
+
+  /**
+   * Current-period status for each budget, with a monthly equivalent so
+   * weekly, bi-weekly, quarterly and annual budgets can be compared side by side
+   */
+  const buildBudgetSummary = (userBudgets, allTransactions) => {
+    return userBudgets
+      .filter(budget => budget.isActive !== false)
+      .map(budget => {
+        const envelope = calculateEnvelope(budget, allTransactions, categories)
+        const limit = envelope.assigned + envelope.carriedOver
+        return {
+          category: budget.category,
+          period: envelope.period,
+          periodKey: envelope.periodKey,
+          periodLabel: envelope.label,
+          limit,
+          spent: envelope.spent,
+          available: envelope.available,
+          percentage: limit > 0 ? (envelope.spent / limit) * 100 : 0,
+          monthlyLimit: prorateAmount(envelope.assigned, envelope.period, 'monthly')
+        }
+      })
+      .sort((a, b) => b.percentage - a.percentage)
+  }
+
+  /**
+   * Shape daily snapshots for the net worth chart, ending with today's live value
+   */
+  const buildNetWorthHistory = (snapshots, currentNetWorth) => {
+    const points = snapshots.map(snapshot => ({
+      date: snapshot.periodKey,
+      netWorth: Number(snapshot.netWorth) || 0
+    }))
+    
+    if (currentNetWorth !== null) {
+      const now = new Date()
+      const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+      if (points.length > 0 && points[points.length - 1].date === today) {
+        points[points.length - 1] = { date: today, netWorth: currentNetWorth }
+      } else {
+        points.push({ date: today, netWorth: currentNetWorth })
+      }
+    }
+    
+    return points.map(point => ({
+      ...point,
+      label: new Date(`${point.date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    }))
+  }
 
   /**
    * Calculate savings from transactions
@@ -450,26 +762,7 @@ export const UnifiedDataProvider = ({ children }) => {
    * Calculate spending breakdown
    */
   const calculateSpendingBreakdown = (transactions) => {
-    const breakdown = {}
-    const categories = ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Healthcare', 'Education', 'Travel', 'Other']
-    
-    categories.forEach(category => {
-      breakdown[category] = 0
-    })
-    
-    transactions.forEach(transaction => {
-      if (transaction.type === 'expense' && breakdown.hasOwnProperty(transaction.category)) {
-        breakdown[transaction.category] += Math.abs(Number(transaction.amount) || 0)
-      }
-    })
-    
-    return Object.entries(breakdown)
-      .map(([name, value]) => ({
-        name,
-        value,
-        color: getCategoryColor(name)
-      }))
-      .filter(item => item.value > 0)
+    return calculateCategoryBreakdown(transactions, categories)
   }
 
   /**
@@ -540,18 +833,7 @@ export const UnifiedDataProvider = ({ children }) => {
    * Get category color
    */
   const getCategoryColor = (category) => {
-    const colors = {
-      'Food': '#FF6B6B',
-      'Transport': '#4ECDC4',
-      'Entertainment': '#45B7D1',
-      'Shopping': '#96CEB4',
-      'Bills': '#FFEAA7',
-      'Healthcare': '#DDA0DD',
-      'Education': '#98D8C8',
-      'Travel': '#F7DC6F',
-      'Other': '#95A5A6'
-    }
-    return colors[category] || '#95A5A6'
+    return getCategoryColorFromList(category, categories)
   }
 
   /**
@@ -589,6 +871,7 @@ export const UnifiedDataProvider = ({ children }) => {
     } catch (error) {
       console.error('❌ [UNIFIED] Error force seeding:', error)
       setError(error.message)
+      raiseNotification(buildSyncFailureAlert('Data', error))
     } finally {
       setIsLoading(false)
     }
@@ -601,6 +884,15 @@ export const UnifiedDataProvider = ({ children }) => {
     userProfile,
     accounts,
     transactions,
+    categories,
+    recurringStatuses,
+    netWorthHistory,
+    budgets,
+    goals,
+    notifications,
+    unreadNotificationCount: notifications.filter(notification => !notification.read).length,
+    notificationsEnabled,
+    selectedAccountId,
     
     // Loading states
     isLoading,
@@ -617,6 +909,17 @@ export const UnifiedDataProvider = ({ children }) => {
     updateSummary,
     signOut,
     forceDataSeeding,
+    refreshCategories,
+    refreshRecurring,
+    refreshBudgets,
+    refreshGoals,
+    refreshAccounts,
+    refreshNotifications,
+    raiseNotification,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+    dismissNotification,
+    setSelectedAccountId,
     
     // Computed data
     financialData: getFinancialData(),
@@ -0,0 +1,130 @@
+// Historical annual market data for Time Machine backtests
+// US large-cap stocks (S&P 500 with dividends), 10-year Treasury bonds and 3-month T-bills as annual total
+// returns, with December-to-December CPI inflation. Percent figures follow the widely used Damodaran
+// (NYU Stern) return series and BLS CPI-U, rounded; refresh by appending a row each January.
+
+/**
+ * One row per calendar year: [year, stocks %, bonds %, cash %, inflation %]
+ */
+const ANNUAL_DATA = [
+  [1928, 43.81, 0.84, 3.08, -1.0],
+  [1929, -8.30, 4.20, 3.16, 0.2],
+  [1930, -25.12, 4.54, 4.55, -6.0],
+  [1931, -43.84, -2.56, 2.31, -9.5],
+  [1932, -8.64, 8.79, 1.07, -10.3],
+  [1933, 49.98, 1.86, 0.96, 0.8],
+  [1934, -1.19, 7.96, 0.32, 1.5],
+  [1935, 46.74, 4.47, 0.18, 3.0],
+  [1936, 31.94, 5.02, 0.17, 1.4],
+  [1937, -35.34, 1.38, 0.30, 2.9],
+  [1938, 29.28, 4.21, 0.08, -2.8],
+  [1939, -1.10, 4.41, 0.04, 0.0],
+  [1940, -10.67, 5.40, 0.03, 0.7],
+  [1941, -12.77, -2.02, 0.08, 9.9],
+  [1942, 19.17, 2.29, 0.34, 9.0],
+  [1943, 25.06, 2.49, 0.38, 3.0],
+  [1944, 19.03, 2.58, 0.38, 2.3],
+  [1945, 35.82, 3.80, 0.38, 2.2],
+  [1946, -8.43, 3.13, 0.38, 18.1],
+  [1947, 5.20, 0.92, 0.57, 8.8],
+  [1948, 5.70, 1.95, 1.02, 3.0],
+  [1949, 18.30, 4.66, 1.10, -2.1],
+  [1950, 30.81, 0.43, 1.17, 5.9],
+  [1951, 23.68, -0.30, 1.48, 6.0],
+  [1952, 18.15, 2.27, 1.67, 0.8],
+  [1953, -1.21, 4.14, 1.89, 0.7],
+  [1954, 52.56, 3.29, 0.96, -0.7],
+  [1955, 32.60, -1.34, 1.66, 0.4],
+  [1956, 7.44, -2.26, 2.56, 3.0],
+  [1957, -10.46, 6.80, 3.23, 2.9],
+  [1958, 43.72, -2.10, 1.78, 1.8],
+  [1959, 12.06, -2.65, 3.26, 1.7],
+  [1960, 0.34, 11.64, 3.05, 1.4],
+  [1961, 26.64, 2.06, 2.27, 0.7],
+  [1962, -8.81, 5.69, 2.78, 1.3],
+  [1963, 22.61, 1.68, 3.11, 1.6],
+  [1964, 16.42, 3.73, 3.51, 1.0],
+  [1965, 12.40, 0.72, 3.90, 1.9],
+  [1966, -9.97, 2.91, 4.84, 3.5],
+  [1967, 23.80, -1.58, 4.33, 3.0],
+  [1968, 10.81, 3.27, 5.26, 4.7],
+  [1969, -8.24, -5.01, 6.56, 6.2],
+  [1970, 3.56, 16.75, 6.69, 5.6],
+  [1971, 14.22, 9.79, 4.54, 3.3],
+  [1972, 18.76, 2.82, 3.95, 3.4],
+  [1973, -14.31, 3.66, 6.73, 8.7],
+  [1974, -25.90, 1.99, 7.78, 12.3],
+  [1975, 37.00, 3.61, 5.99, 6.9],
+  [1976, 23.83, 15.98, 4.97, 4.9],
+  [1977, -6.98, 1.29, 5.13, 6.7],
+  [1978, 6.51, -0.78, 6.93, 9.0],
+  [1979, 18.52, 0.67, 9.94, 13.3],
+  [1980, 31.74, -2.99, 11.22, 12.5],
+  [1981, -4.70, 8.20, 14.30, 8.9],
+  [1982, 20.42, 32.81, 11.01, 3.8],
+  [1983, 22.34, 3.20, 8.45, 3.8],
+  [1984, 6.15, 13.73, 9.61, 3.9],
+  [1985, 31.24, 25.71, 7.49, 3.8],
+  [1986, 18.49, 24.28, 6.04, 1.1],
+  [1987, 5.81, -4.96, 5.72, 4.4],
+  [1988, 16.54, 8.22, 6.45, 4.4],
+  [1989, 31.48, 17.69, 8.11, 4.6],
+  [1990, -3.06, 6.24, 7.55, 6.1],
+  [1991, 30.23, 15.00, 5.61, 3.1],
+  [1992, 7.49, 9.36, 3.41, 2.9],
+  [1993, 9.97, 14.21, 2.98, 2.7],
+  [1994, 1.33, -8.04, 3.99, 2.7],
+  [1995, 37.20, 23.48, 5.52, 2.5],
+  [1996, 22.68, 1.43, 5.02, 3.3],
+  [1997, 33.10, 9.94, 5.05, 1.7],
+  [1998, 28.34, 14.92, 4.73, 1.6],
+  [1999, 20.89, -8.25, 4.51, 2.7],
+  [2000, -9.03, 16.66, 5.76, 3.4],
+  [2001, -11.85, 5.57, 3.67, 1.6],
+  [2002, -21.97, 15.12, 1.66, 2.4],
+  [2003, 28.36, 0.38, 1.03, 1.9],
+  [2004, 10.74, 4.49, 1.23, 3.3],
+  [2005, 4.83, 2.87, 3.01, 3.4],
+  [2006, 15.61, 1.96, 4.68, 2.5],
+  [2007, 5.48, 10.21, 4.64, 4.1],
+  [2008, -36.55, 20.10, 1.59, 0.1],
+  [2009, 25.94, -11.12, 0.14, 2.7],
+  [2010, 14.82, 8.46, 0.13, 1.5],
+  [2011, 2.10, 16.04, 0.03, 3.0],
+  [2012, 15.89, 2.97, 0.05, 1.7],
+  [2013, 32.15, -9.10, 0.07, 1.5],
+  [2014, 13.52, 10.75, 0.05, 0.8],
+  [2015, 1.38, 1.28, 0.21, 0.7],
+  [2016, 11.77, 0.69, 0.51, 2.1],
+  [2017, 21.61, 2.80, 1.39, 2.1],
+  [2018, -4.23, -0.02, 2.37, 1.9],
+  [2019, 31.21, 9.64, 1.55, 2.3],
+  [2020, 18.02, 11.33, 0.09, 1.4],
+  [2021, 28.47, -4.42, 0.06, 7.0],
+  [2022, -18.01, -17.83, 2.02, 6.5],
+  [2023, 26.06, 3.88, 5.07, 3.4]
+]
+
+/**
+ * Historical annual returns and inflation as decimals
+ * @type {Array<{ year: number, stocks: number, bonds: number, cash: number, inflation: number }>}
+ */
+export const HISTORICAL_RETURNS = ANNUAL_DATA.map(([year, stocks, bonds, cash, inflation]) => ({
+  year,
+  stocks: stocks / 100,
+  bonds: bonds / 100,
+  cash: cash / 100,
+  inflation: inflation / 100
+}))
+
+/**
+ * Portfolio mixes for backtests (weights sum to 1)
+ */
+export const PORTFOLIO_MIXES = {
+  allStocks: { label: '100% Stocks', stocks: 1, bonds: 0, cash: 0 },
+  growth: { label: '80/20 Stocks/Bonds', stocks: 0.8, bonds: 0.2, cash: 0 },
+  balanced: { label: '60/40 Stocks/Bonds', stocks: 0.6, bonds: 0.4, cash: 0 },
+  conservative: { label: '40/50/10 Stocks/Bonds/Cash', stocks: 0.4, bonds: 0.5, cash: 0.1 },
+  income: { label: '20/60/20 Stocks/Bonds/Cash', stocks: 0.2, bonds: 0.6, cash: 0.2 },
+  cash: { label: '100% Cash', stocks: 0, bonds: 0, cash: 1 }
+}
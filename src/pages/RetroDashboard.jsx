@@ -9,7 +9,7 @@ import { play as playSound } from '../utils/soundPlayer'
 import { useEffect } from 'react'
 
 const RetroDashboard = () => {
-  const { user, financialData, isLoading, error, loadingMessage, signOut, transactions, userProfile, refreshData, forceDataSeeding } = useUnifiedData()
+  const { user, financialData, isLoading, error, loadingMessage, signOut, transactions, userProfile, refreshData, forceDataSeeding, setSelectedAccountId } = useUnifiedData()
   const navigate = useNavigate()
 
   // Debug logging
@@ -182,6 +182,7 @@ const RetroDashboard = () => {
                     geminiInsight: ['Your financial data is being analyzed...', 'AI insights will be available shortly.']
                   }}
                   dataSource="Firestore"
+                  onSelectAccount={setSelectedAccountId}
                 />
               )}
             </ErrorBoundary>
@@ -2,8 +2,10 @@ import { useState, useEffect } from 'react'
 import TopNav from '../components/TopNav'
 import SideBar from '../components/SideBar'
 import ErrorBoundary from '../components/ErrorBoundary'
+import AIModelSelector from '../components/AIModelSelector'
 import { useUnifiedData } from '../contexts/UnifiedDataContext'
 import { generateFinancialStory, generateStoryMetadata } from '../api/storyService'
+import { isSpeechAllowed, prepareSpeechText } from '../api/aiProviders'
 import { ElevenLabsClient, play } from '@elevenlabs/elevenlabs-js';
 
 const StoryMode = () => {
@@ -27,7 +29,7 @@ const playStoryAudio = async (story) => {
   
   try {
      const audio = await elevenlabs.textToSpeech.convert("EXAVITQu4vr4xnSDxMaL", {
-       text: story,
+       text: prepareSpeechText(story, { feature: 'story' }),
        modelId: "eleven_multilingual_v2",
      });
 
@@ -316,7 +318,7 @@ const playStoryAudio = async (story) => {
                 </div>
               </div>
               
-              <div className="text-center">
+              <div className="flex justify-center items-center space-x-3">
                 <button
                   className="retro-button px-6 py-3 text-lg font-bold"
                   onClick={generateStory}
@@ -324,6 +326,7 @@ const playStoryAudio = async (story) => {
                 >
                   {isGenerating ? '⏳ Generating...' : '📚 Generate Story'}
                 </button>
+                <AIModelSelector feature="story" />
               </div>
             </div>
 
@@ -405,16 +408,18 @@ const playStoryAudio = async (story) => {
                   </div>
                 </div>
 
-                {/* Play Story Button */}
-                <div className="flex justify-center items-center my-8">
-                  <button
-                    className="retro-button px-8 py-4 text-xl font-bold min-w-48 shadow-lg hover:shadow-xl transition-all duration-200"
-                    onClick={playStory}
-                    disabled={isPlaying}
-                  >
-                    {isPlaying ? '🔊 Playing...' : '▶️ Play Story'}
-                  </button>
-                </div>
+                {/* Play Story Button (hidden while AI is local only, since the voice service is hosted) */}
+                {isSpeechAllowed() && (
+                  <div className="flex justify-center items-center my-8">
+                    <button
+                      className="retro-button px-8 py-4 text-xl font-bold min-w-48 shadow-lg hover:shadow-xl transition-all duration-200"
+                      onClick={playStory}
+                      disabled={isPlaying}
+                    >
+                      {isPlaying ? '🔊 Playing...' : '▶️ Play Story'}
+                    </button>
+                  </div>
+                )}
 
                 {/* Audio Visualization */}
                 {isPlaying && (
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
   BarChart, Bar, PieChart, Pie, Cell, AreaChart, Area, ComposedChart
@@ -6,22 +6,48 @@ import {
 import TopNav from '../components/TopNav'
 import SideBar from '../components/SideBar'
 import ErrorBoundary from '../components/ErrorBoundary'
+import ScenarioEditor from '../components/ScenarioEditor'
+import AIModelSelector from '../components/AIModelSelector'
 import { useUnifiedData } from '../contexts/UnifiedDataContext'
 import { 
   playStoryAudio,
   generateTimeMachineForecast, 
-  calculateAdvancedProjections as calculateProjectionsService, 
+  projectScenario,
+  resolveScenario,
   generateAdvancedMilestones,
   calculateRetirementReadiness,
-  monteCarloSimulation,
+  calculateRetirementDrawdown,
+  runHistoricalBacktest,
+  runMonteCarloInWorker,
+  DEFAULT_MONTE_CARLO_SEED,
   validateFinancialData,
   validateCalculationParameters,
   sanitizeFinancialData,
   FINANCIAL_SCENARIOS
 } from '../api/timeMachineService'
+import { isSpeechAllowed } from '../api/aiProviders'
+import {
+  createTimeMachineScenario,
+  getUserTimeMachineScenarios,
+  updateTimeMachineScenario,
+  deleteTimeMachineScenario,
+  getTimeMachineSettings,
+  saveTimeMachineSettings
+} from '../api/unifiedFirestoreService'
+import { WITHDRAWAL_STRATEGIES } from '../utils/monteCarlo'
+import { PORTFOLIO_MIXES } from '../data/historicalReturns'
+
+// Settings restored on reload; everything else is derived from them
+const SAVED_SETTING_KEYS = [
+  'savingsIncrease', 'selectedScenario', 'timeRange', 'currentAge', 'retirementAge', 'lifeExpectancy',
+  'withdrawalStrategy', 'withdrawalRate', 'incomeStreams', 'monteCarloSimulations', 'monteCarloSeed', 'comparedScenarios',
+  'backtestMix'
+]
+
+const COMPARISON_COLORS = ['#4A90E2', '#7B68EE', '#FF6B6B', '#2ECC71', '#F39C12', '#9B59B6']
 
 const TimeMachine = () => {
-  const { financialData, isLoading, error } = useUnifiedData()
+  const { financialData, user, isLoading, error } = useUnifiedData()
   
   // State management
   const [savingsIncrease, setSavingsIncrease] = useState(0)
@@ -33,6 +59,22 @@ const TimeMachine = () => {
   const [milestones, setMilestones] = useState([])
   const [retirementData, setRetirementData] = useState(null)
   const [monteCarloData, setMonteCarloData] = useState(null)
+  const [monteCarloInputs, setMonteCarloInputs] = useState(null)
+  const [monteCarloSimulations, setMonteCarloSimulations] = useState(10000)
+  const [monteCarloSeed, setMonteCarloSeed] = useState(DEFAULT_MONTE_CARLO_SEED)
+  const [monteCarloGoal, setMonteCarloGoal] = useState('')
+  const [isSimulating, setIsSimulating] = useState(false)
+  const [lifeExpectancy, setLifeExpectancy] = useState(90)
+  const [withdrawalStrategy, setWithdrawalStrategy] = useState('inflationAdjusted')
+  const [withdrawalRate, setWithdrawalRate] = useState(4) // percent
+  const [incomeStreams, setIncomeStreams] = useState([])
+  const [retirementMonteCarlo, setRetirementMonteCarlo] = useState(null)
+  const [isSimulatingRetirement, setIsSimulatingRetirement] = useState(false)
+  const [customScenarios, setCustomScenarios] = useState([])
+  const [editingScenario, setEditingScenario] = useState(null) // null, 'new' or a custom scenario
+  const [comparedScenarios, setComparedScenarios] = useState(['CONSERVATIVE', 'MODERATE', 'AGGRESSIVE'])
+  const [backtestMix, setBacktestMix] = useState('balanced')
+  const [settingsLoaded, setSettingsLoaded] = useState(false)
   const [aiForecast, setAiForecast] = useState('')
   const [showAiForecast, setShowAiForecast] = useState(false)
   const [isGeneratingForecast, setIsGeneratingForecast] = useState(false)
@@ -42,12 +84,219 @@ const TimeMachine = () => {
   const [dataValidation, setDataValidation] = useState({ isValid: true, errors: [], warnings: [] })
   const [calculationValidation, setCalculationValidation] = useState({ isValid: true, errors: [], warnings: [] })
 
+  const customScenarioMap = useMemo(
+    () => Object.fromEntries(customScenarios.map(scenario => [scenario.id, scenario])),
+    [customScenarios]
+  )
+  const allScenarios = { ...FINANCIAL_SCENARIOS, ...customScenarioMap }
+  const activeScenario = resolveScenario(selectedScenario, customScenarioMap)
+
+  // Restore the user's custom scenarios and last-used settings
+  useEffect(() => {
+    if (!user) return
+
+    const setters = {
+      savingsIncrease: setSavingsIncrease,
+      selectedScenario: setSelectedScenario,
+      timeRange: setTimeRange,
+      currentAge: setCurrentAge,
+      retirementAge: setRetirementAge,
+      lifeExpectancy: setLifeExpectancy,
+      withdrawalStrategy: setWithdrawalStrategy,
+      withdrawalRate: setWithdrawalRate,
+      incomeStreams: setIncomeStreams,
+      monteCarloSimulations: setMonteCarloSimulations,
+      monteCarloSeed: setMonteCarloSeed,
+      comparedScenarios: setComparedScenarios,
+      backtestMix: setBacktestMix
+    }
+
+    Promise.all([getUserTimeMachineScenarios(user.uid), getTimeMachineSettings(user.uid)])
+      .then(([scenarios, settings]) => {
+        setCustomScenarios(scenarios)
+        SAVED_SETTING_KEYS.forEach(key => {
+          if (settings?.[key] !== undefined) setters[key](settings[key])
+        })
+      })
+      .finally(() => setSettingsLoaded(true))
+  }, [user])
+
+  // Save settings a moment after the user stops changing them
+  useEffect(() => {
+    if (!user || !settingsLoaded) return
+
+    const timeoutId = setTimeout(() => {
+      saveTimeMachineSettings(user.uid, {
+        savingsIncrease, selectedScenario, timeRange, currentAge, retirementAge, lifeExpectancy,
+        withdrawalStrategy, withdrawalRate, incomeStreams, monteCarloSimulations, monteCarloSeed, comparedScenarios,
+        backtestMix
+      }).catch(() => {})
+    }, 1000)
+
+    return () => clearTimeout(timeoutId)
+  }, [user, settingsLoaded, savingsIncrease, selectedScenario, timeRange, currentAge, retirementAge, lifeExpectancy,
+    withdrawalStrategy, withdrawalRate, incomeStreams, monteCarloSimulations, monteCarloSeed, comparedScenarios, backtestMix])
+
   // Calculate projections when parameters change
   useEffect(() => {
     if (financialData) {
       calculateAdvancedProjections()
     }
-  }, [savingsIncrease, selectedScenario, timeRange, currentAge, retirementAge, financialData])
+  }, [savingsIncrease, selectedScenario, timeRange, currentAge, retirementAge, financialData, customScenarioMap])
+
+  // Run Monte Carlo in a worker; a newer run cancels the one still in flight
+  useEffect(() => {
+    if (!monteCarloInputs) return
+
+    const controller = new AbortController()
+    const goalAmount = parseFloat(monteCarloGoal) > 0 ? parseFloat(monteCarloGoal) : monteCarloInputs.projectedBalance
+    setIsSimulating(true)
+
+    runMonteCarloInWorker({
+      ...monteCarloInputs,
+      simulations: monteCarloSimulations,
+      seed: monteCarloSeed,
+      goalAmount
+    }, { signal: controller.signal })
+      .then(result => {
+        setMonteCarloData(result)
+        setIsSimulating(false)
+      })
+      .catch(monteCarloError => {
+        if (monteCarloError.name === 'AbortError') return
+        console.warn('Error calculating Monte Carlo simulation:', monteCarloError)
+        setMonteCarloData(null)
+        setIsSimulating(false)
+      })
+
+    return () => controller.abort()
+  }, [monteCarloInputs, monteCarloSimulations, monteCarloSeed, monteCarloGoal])
+
+  // Lifetime inputs for the withdrawal phase: save until retirement, then draw down until life expectancy
+  const retirementParams = useMemo(() => {
+    if (!monteCarloInputs || !(currentAge < retirementAge && retirementAge < lifeExpectancy)) return null
+    return {
+      currentAge,
+      retirementAge,
+      lifeExpectancy,
+      principal: monteCarloInputs.principal,
+      monthlyContribution: monteCarloInputs.monthlyContribution,
+      annualReturn: monteCarloInputs.meanReturn,
+      inflation: monteCarloInputs.inflation,
+      strategy: withdrawalStrategy,
+      withdrawalRate: withdrawalRate / 100,
+      incomeStreams
+    }
+  }, [monteCarloInputs, currentAge, retirementAge, lifeExpectancy, withdrawalStrategy, withdrawalRate, incomeStreams])
+
+  const drawdown = useMemo(() => retirementParams ? calculateRetirementDrawdown(retirementParams) : null, [retirementParams])
+
+  // Only simulate the withdrawal phase while the Retirement tab is open
+  useEffect(() => {
+    if (activeTab !== 'retirement' || !retirementParams) return
+
+    const controller = new AbortController()
+    setIsSimulatingRetirement(true)
+
+    runMonteCarloInWorker({
+      ...retirementParams,
+      meanReturn: monteCarloInputs.meanReturn,
+      volatility: monteCarloInputs.volatility,
+      simulations: monteCarloSimulations,
+      seed: monteCarloSeed
+    }, { kind: 'retirement', signal: controller.signal })
+      .then(result => {
+        setRetirementMonteCarlo(result)
+        setIsSimulatingRetirement(false)
+      })
+      .catch(simulationError => {
+        if (simulationError.name === 'AbortError') return
+        console.warn('Error simulating retirement drawdown:', simulationError)
+        setRetirementMonteCarlo(null)
+        setIsSimulatingRetirement(false)
+      })
+
+    return () => controller.abort()
+  }, [activeTab, retirementParams, monteCarloSimulations, monteCarloSeed])
+
+  const handleSaveScenario = async (scenarioData) => {
+    if (editingScenario && editingScenario !== 'new') {
+      await updateTimeMachineScenario(editingScenario.id, scenarioData)
+    } else {
+      const created = await createTimeMachineScenario({ ...scenarioData, userId: user.uid })
+      setSelectedScenario(created.id)
+    }
+    setCustomScenarios(await getUserTimeMachineScenarios(user.uid))
+    setEditingScenario(null)
+  }
+
+  const handleDeleteScenario = async (scenarioId) => {
+    if (!confirm('Delete this scenario?')) return
+
+    try {
+      await deleteTimeMachineScenario(scenarioId)
+      setCustomScenarios(prev => prev.filter(scenario => scenario.id !== scenarioId))
+      setComparedScenarios(prev => prev.filter(key => key !== scenarioId))
+      if (selectedScenario === scenarioId) setSelectedScenario('MODERATE')
+    } catch (deleteError) {
+      console.error('Error deleting scenario:', deleteError)
+    }
+  }
+
+  const toggleComparedScenario = (key) => {
+    setComparedScenarios(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+
+  // Project every compared scenario from the same starting balance and savings
+  const scenarioComparison = useMemo(() => {
+    if (!monteCarloInputs) return []
+    const scenarioLookup = { ...FINANCIAL_SCENARIOS, ...customScenarioMap }
+    return comparedScenarios
+      .filter(key => scenarioLookup[key])
+      .map((key, index) => ({
+        key,
+        scenario: scenarioLookup[key],
+        color: scenarioLookup[key].color || COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+        projection: projectScenario(scenarioLookup[key], monteCarloInputs.principal, monteCarloInputs.monthlyContribution, timeRange)
+      }))
+  }, [comparedScenarios, customScenarioMap, monteCarloInputs, timeRange])
+
+  // Replay the active scenario's savings plan through every historical window of the chosen length
+  const backtest = useMemo(() => {
+    if (!monteCarloInputs || activeTab !== 'backtest') return null
+    return runHistoricalBacktest(monteCarloInputs.principal, monteCarloInputs.monthlyContribution, timeRange, {
+      mix: backtestMix,
+      contributionSchedule: activeScenario.contributionSchedule || [],
+      events: activeScenario.events || []
+    })
+  }, [monteCarloInputs, activeTab, timeRange, backtestMix, activeScenario])
+
+  const prepareComparisonChartData = () => {
+    if (scenarioComparison.length === 0) return []
+
+    const startYear = new Date().getFullYear()
+    const yearlyPoints = scenarioComparison[0].projection.projections.filter((_, index) => index % 12 === 0)
+    return yearlyPoints.map((_, yearIndex) => ({
+      year: startYear + yearIndex,
+      ...Object.fromEntries(scenarioComparison.map(({ key, projection }) => [
+        key,
+        projection.projections[yearIndex * 12]?.balance ?? null
+      ]))
+    }))
+  }
+
+  const addIncomeStream = (type) => {
+    setIncomeStreams(prev => [
+      ...prev,
+      type === 'pension'
+        ? { id: `income-${Date.now()}`, name: 'Pension', annualAmount: 12000, startAge: retirementAge, inflationAdjusted: false }
+        : { id: `income-${Date.now()}`, name: 'Social Security', annualAmount: 20000, startAge: 67, inflationAdjusted: true }
+    ])
+  }
+
+  const updateIncomeStream = (streamId, field, value) => {
+    setIncomeStreams(prev => prev.map(stream => stream.id === streamId ? { ...stream, [field]: value } : stream))
+  }
 
   const calculateAdvancedProjections = () => {
     if (!financialData) {
@@ -86,7 +335,7 @@ const TimeMachine = () => {
       }
       
       const currentBalance = sanitizedData.balance
-      const scenario = FINANCIAL_SCENARIOS[selectedScenario]
+      const scenario = activeScenario
     
       // Step 2: Calculate monthly savings with enhanced validation
       const transactions = sanitizedData.transactions || []
@@ -159,12 +408,11 @@ const TimeMachine = () => {
     
       try {
         // Step 4: Calculate projections with error handling
-        const projectionData = calculateProjectionsService(
+        const projectionData = projectScenario(
+          scenario,
           currentBalance, 
           newMonthlySavings, 
-          scenario.annualReturn, 
-          timeRange, 
-          scenario.inflation
+          timeRange
         )
         
         if (!projectionData || !projectionData.projections) {
@@ -209,20 +457,16 @@ const TimeMachine = () => {
           setRetirementData(null)
         }
         
-        // Calculate Monte Carlo simulation with error handling
-        try {
-          const monteCarlo = monteCarloSimulation(
-            currentBalance,
-            newMonthlySavings,
-            scenario.annualReturn,
-            scenario.annualReturn * 0.15, // 15% volatility
-            timeRange
-          )
-          setMonteCarloData(monteCarlo)
-        } catch (monteCarloError) {
-          console.warn('Error calculating Monte Carlo simulation:', monteCarloError)
-          setMonteCarloData(null)
-        }
+        // Monte Carlo runs in a worker from these inputs (see effect above)
+        setMonteCarloInputs({
+          principal: currentBalance,
+          monthlyContribution: newMonthlySavings,
+          meanReturn: scenario.annualReturn,
+          volatility: scenario.volatility,
+          inflation: scenario.inflation,
+          years: timeRange,
+          projectedBalance: projectionData.summary?.finalBalance ?? null
+        })
       
       } catch (error) {
         console.error('Error in calculations:', error)
@@ -235,6 +479,7 @@ const TimeMachine = () => {
         setProjections(null)
         setMilestones([])
         setRetirementData(null)
+        setMonteCarloInputs(null)
         setMonteCarloData(null)
       }
     } catch (error) {
@@ -248,6 +493,7 @@ const TimeMachine = () => {
       setProjections(null)
       setMilestones([])
       setRetirementData(null)
+      setMonteCarloInputs(null)
       setMonteCarloData(null)
     }
   }
@@ -261,9 +507,14 @@ const TimeMachine = () => {
         projections, 
         financialData.balance, 
         savingsIncrease, 
-        selectedScenario
+        activeScenario
       )
       setAiForecast(forecast)
+      // The voice service is hosted, so local-only AI shows the forecast without reading it aloud
+      if (!isSpeechAllowed()) {
+        setShowAiForecast(true)
+        return
+      }
       // Start audio loading UI for 3 seconds while we request audio playback
       setIsAudioLoading(true)
       setAudioLoadingProgress(0)
@@ -352,6 +603,32 @@ const TimeMachine = () => {
     }
   }
 
+  const prepareDrawdownChartData = () => {
+    if (!retirementMonteCarlo?.bands) return []
+
+    const expectedByAge = Object.fromEntries((drawdown?.schedule || []).map(year => [year.age, year.balance]))
+    return retirementMonteCarlo.bands.map(band => ({
+      age: band.age,
+      outer: [band.p10, band.p90],
+      inner: [band.p25, band.p75],
+      median: band.p50,
+      expected: expectedByAge[band.age] ?? null
+    }))
+  }
+
+  const prepareFanChartData = () => {
+    if (!monteCarloData?.bands) return []
+
+    // Range areas take [low, high] pairs so the bands float instead of stacking from zero
+    const startYear = new Date().getFullYear()
+    return monteCarloData.bands.map(band => ({
+      year: startYear + band.year,
+      outer: [band.p10, band.p90],
+      inner: [band.p25, band.p75],
+      median: band.p50
+    }))
+  }
+
   // Loading state
   if (isLoading) {
     return (
@@ -448,7 +725,7 @@ const TimeMachine = () => {
               <div className="retro-info">
                 <div className="text-sm font-bold mb-2">SCENARIO</div>
                 <div className="grid grid-cols-3 gap-1">
-                  {Object.entries(FINANCIAL_SCENARIOS).map(([key, scenario]) => (
+                  {Object.entries(allScenarios).map(([key, scenario]) => (
                     <button
                       key={key}
                       onClick={() => setSelectedScenario(key)}
@@ -462,7 +739,22 @@ const TimeMachine = () => {
                   ))}
                 </div>
                 <div className="text-xs text-gray-600 mt-1 leading-tight">
-                  {FINANCIAL_SCENARIOS[selectedScenario].description}
+                  {activeScenario.description}
+                </div>
+                <div className="flex space-x-1 mt-2">
+                  <button className="retro-button text-xs px-2 py-1" onClick={() => setEditingScenario('new')} disabled={!user}>
+                    ➕ New
+                  </button>
+                  {customScenarioMap[selectedScenario] && (
+                    <>
+                      <button className="retro-button text-xs px-2 py-1" onClick={() => setEditingScenario(customScenarioMap[selectedScenario])}>
+                        Edit
+                      </button>
+                      <button className="retro-button text-xs px-2 py-1" onClick={() => handleDeleteScenario(selectedScenario)}>
+                        Delete
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
 
@@ -554,7 +846,8 @@ const TimeMachine = () => {
                 { id: 'projections', label: '📊 Projections', icon: '📈' },
                 { id: 'milestones', label: '🎯 Milestones', icon: '🏆' },
                 { id: 'retirement', label: '👴 Retirement', icon: '💰' },
-                { id: 'analysis', label: '🔍 Analysis', icon: '📋' }
+                { id: 'analysis', label: '🔍 Analysis', icon: '📋' },
+                { id: 'backtest', label: '📜 Backtest', icon: '🏛️' }
               ].map(tab => (
                 <button
                   key={tab.id}
@@ -664,6 +957,9 @@ const TimeMachine = () => {
 
                     <div className="retro-chart">
                       <div className="text-center font-bold mb-4 text-sm">MONTE CARLO ANALYSIS</div>
+                      {isSimulating && !monteCarloData && (
+                        <div className="text-center text-sm text-gray-600">⏳ Simulating...</div>
+                      )}
                       {monteCarloData && (
                         <div className="space-y-2">
                           <div className="flex justify-between text-sm">
@@ -678,11 +974,83 @@ const TimeMachine = () => {
                             <span>90th Percentile:</span>
                             <span>${monteCarloData.p90.toLocaleString()}</span>
                           </div>
+                          {monteCarloData.probabilityOfGoal !== null && (
+                            <div className="flex justify-between text-sm font-bold">
+                              <span>Chance of reaching ${Math.round(monteCarloData.goalAmount).toLocaleString()}:</span>
+                              <span>{(monteCarloData.probabilityOfGoal * 100).toFixed(1)}%</span>
+                            </div>
+                          )}
                         </div>
                       )}
                     </div>
                   </div>
                 )}
+
+                {/* Monte Carlo Fan Chart */}
+                {projections && (
+                  <div className="retro-chart">
+                    <div className="text-center font-bold mb-4 text-sm">
+                      MONTE CARLO RANGE {isSimulating && '⏳'}
+                    </div>
+                    <div className="flex flex-wrap justify-center gap-3 mb-4 text-xs">
+                      <label className="flex items-center space-x-1">
+                        <span className="font-bold">Simulations:</span>
+                        <select
+                          value={monteCarloSimulations}
+                          onChange={(e) => setMonteCarloSimulations(Number(e.target.value))}
+                          className="retro-input text-xs"
+                        >
+                          {[1000, 10000, 25000, 50000].map(count => (
+                            <option key={count} value={count}>{count.toLocaleString()}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <span className="font-bold">Seed:</span>
+                        <input
+                          type="number"
+                          value={monteCarloSeed}
+                          onChange={(e) => setMonteCarloSeed(parseInt(e.target.value, 10) || DEFAULT_MONTE_CARLO_SEED)}
+                          className="retro-input text-xs w-28"
+                        />
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <span className="font-bold">Goal:</span>
+                        <input
+                          type="number"
+                          value={monteCarloGoal}
+                          onChange={(e) => setMonteCarloGoal(e.target.value)}
+                          className="retro-input text-xs w-28"
+                          placeholder="Projected balance"
+                          min="0"
+                        />
+                      </label>
+                    </div>
+                    {monteCarloData && (
+                      <ResponsiveContainer width="100%" height={300}>
+                        <ComposedChart data={prepareFanChartData()}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis />
+                          <Tooltip
+                            formatter={(value, name) => [
+                              Array.isArray(value)
+                                ? `$${value[0].toLocaleString()} – $${value[1].toLocaleString()}`
+                                : `$${value.toLocaleString()}`,
+                              name
+                            ]}
+                          />
+                          <Area type="monotone" dataKey="outer" name="10th–90th percentile" stroke="none" fill="#7B68EE" fillOpacity={0.2} />
+                          <Area type="monotone" dataKey="inner" name="25th–75th percentile" stroke="none" fill="#7B68EE" fillOpacity={0.4} />
+                          <Line type="monotone" dataKey="median" name="Median" stroke="#7B68EE" strokeWidth={3} dot={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    )}
+                    <div className="text-xs text-gray-600 text-center mt-2">
+                      Same seed, same result. Change the seed to see another set of {monteCarloSimulations.toLocaleString()} market paths.
+                    </div>
+                  </div>
+                )}
                 <div className="retro-chart">
                   <div className="text-center font-bold mb-4 text-sm">FINANCIAL MILESTONES</div>
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
@@ -728,6 +1096,182 @@ const TimeMachine = () => {
                     </div>
                   </div>
                 </div>
+
+                {/* Withdrawal Phase Settings */}
+                <div className="retro-chart">
+                  <div className="text-center font-bold mb-4 text-sm">WITHDRAWAL PHASE</div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                    <div>
+                      <label className="text-xs font-bold block mb-1">Strategy</label>
+                      <select
+                        value={withdrawalStrategy}
+                        onChange={(e) => setWithdrawalStrategy(e.target.value)}
+                        className="retro-input w-full text-xs"
+                      >
+                        {Object.entries(WITHDRAWAL_STRATEGIES).map(([key, strategy]) => (
+                          <option key={key} value={key}>{strategy.label}</option>
+                        ))}
+                      </select>
+                      <div className="text-xs text-gray-600 mt-1">{WITHDRAWAL_STRATEGIES[withdrawalStrategy].description}</div>
+                    </div>
+                    <div>
+                      <label className="text-xs font-bold block mb-1">Withdrawal Rate (%)</label>
+                      <input
+                        type="number"
+                        value={withdrawalRate}
+                        onChange={(e) => setWithdrawalRate(Math.max(0, parseFloat(e.target.value) || 0))}
+                        className="retro-input w-full text-xs"
+                        min="0"
+                        max="20"
+                        step="0.1"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-xs font-bold block mb-1">Life Expectancy</label>
+                      <input
+                        type="number"
+                        value={lifeExpectancy}
+                        onChange={(e) => setLifeExpectancy(parseInt(e.target.value) || 90)}
+                        className="retro-input w-full text-xs"
+                        min={retirementAge + 1}
+                        max="120"
+                      />
+                    </div>
+                  </div>
+
+                  {/* Income Streams */}
+                  <div className="text-xs font-bold mb-2">INCOME STREAMS (today's dollars)</div>
+                  {incomeStreams.map(stream => (
+                    <div key={stream.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center mb-2 text-xs">
+                      <input
+                        type="text"
+                        value={stream.name}
+                        onChange={(e) => updateIncomeStream(stream.id, 'name', e.target.value)}
+                        className="retro-input text-xs"
+                      />
+                      <label className="flex items-center space-x-1">
+                        <span>$/yr</span>
+                        <input
+                          type="number"
+                          value={stream.annualAmount}
+                          onChange={(e) => updateIncomeStream(stream.id, 'annualAmount', parseFloat(e.target.value) || 0)}
+                          className="retro-input text-xs w-24"
+                          min="0"
+                        />
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <span>from age</span>
+                        <input
+                          type="number"
+                          value={stream.startAge}
+                          onChange={(e) => updateIncomeStream(stream.id, 'startAge', parseInt(e.target.value) || retirementAge)}
+                          className="retro-input text-xs w-16"
+                        />
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <input
+                          type="checkbox"
+                          checked={stream.inflationAdjusted}
+                          onChange={(e) => updateIncomeStream(stream.id, 'inflationAdjusted', e.target.checked)}
+                        />
+                        <span>Inflation-adjusted</span>
+                      </label>
+                      <button
+                        className="retro-button text-xs px-2 py-1"
+                        onClick={() => setIncomeStreams(prev => prev.filter(s => s.id !== stream.id))}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex space-x-2">
+                    <button className="retro-button text-xs px-3 py-1" onClick={() => addIncomeStream('socialSecurity')}>
+                      ➕ Social Security
+                    </button>
+                    <button className="retro-button text-xs px-3 py-1" onClick={() => addIncomeStream('pension')}>
+                      ➕ Pension
+                    </button>
+                  </div>
+                </div>
+
+                {/* Drawdown Results */}
+                {!retirementParams && (
+                  <div className="retro-info text-center text-sm">
+                    Set ages so that current age &lt; retirement age &lt; life expectancy to model the withdrawal phase.
+                  </div>
+                )}
+                {drawdown && !drawdown.error && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="retro-chart text-center">
+                      <div className="text-sm font-bold mb-2">MONEY LASTS</div>
+                      <div className={`text-4xl font-bold mb-2 ${
+                        !retirementMonteCarlo ? 'text-gray-600' : retirementMonteCarlo.probabilityMoneyLasts >= 0.8 ? 'text-green-600' : retirementMonteCarlo.probabilityMoneyLasts >= 0.5 ? 'text-yellow-600' : 'text-red-600'
+                      }`}>
+                        {retirementMonteCarlo ? `${(retirementMonteCarlo.probabilityMoneyLasts * 100).toFixed(0)}%` : '⏳'}
+                      </div>
+                      <div className="text-xs text-gray-600">
+                        chance to age {lifeExpectancy} ({monteCarloSimulations.toLocaleString()} simulations)
+                      </div>
+                    </div>
+                    <div className="retro-chart text-center">
+                      <div className="text-sm font-bold mb-2">FIRST-YEAR SPENDING</div>
+                      <div className="text-2xl font-bold text-blue-600 mb-1">
+                        ${drawdown.initialWithdrawal.toLocaleString()}
+                      </div>
+                      <div className="text-xs text-gray-600">
+                        {withdrawalRate}% of the balance at {retirementAge}, income streams included
+                      </div>
+                    </div>
+                    <div className="retro-chart text-center">
+                      <div className="text-sm font-bold mb-2">PORTFOLIO DEPLETES</div>
+                      <div className="text-xs space-y-1">
+                        <div className="flex justify-between">
+                          <span>Average returns:</span>
+                          <span className="font-bold">{drawdown.depletionAge ? `age ${drawdown.depletionAge}` : 'never'}</span>
+                        </div>
+                        {retirementMonteCarlo && [
+                          ['Median market', 'p50'],
+                          ['Bad market (25th pct)', 'p25'],
+                          ['Worst case (10th pct)', 'p10']
+                        ].map(([label, key]) => (
+                          <div key={key} className="flex justify-between">
+                            <span>{label}:</span>
+                            <span className={`font-bold ${retirementMonteCarlo.depletionAges[key] ? 'text-red-600' : 'text-green-600'}`}>
+                              {retirementMonteCarlo.depletionAges[key] ? `age ${retirementMonteCarlo.depletionAges[key]}` : 'never'}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {retirementMonteCarlo && (
+                  <div className="retro-chart">
+                    <div className="text-center font-bold mb-4 text-sm">
+                      LIFETIME BALANCE RANGE {isSimulatingRetirement && '⏳'}
+                    </div>
+                    <ResponsiveContainer width="100%" height={300}>
+                      <ComposedChart data={prepareDrawdownChartData()}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="age" />
+                        <YAxis />
+                        <Tooltip
+                          formatter={(value, name) => [
+                            Array.isArray(value)
+                              ? `$${value[0].toLocaleString()} – $${value[1].toLocaleString()}`
+                              : `$${value.toLocaleString()}`,
+                            name
+                          ]}
+                        />
+                        <Area type="monotone" dataKey="outer" name="10th–90th percentile" stroke="none" fill="#4A90E2" fillOpacity={0.2} />
+                        <Area type="monotone" dataKey="inner" name="25th–75th percentile" stroke="none" fill="#4A90E2" fillOpacity={0.4} />
+                        <Line type="monotone" dataKey="median" name="Median" stroke="#4A90E2" strokeWidth={3} dot={false} />
+                        <Line type="monotone" dataKey="expected" name="Average returns" stroke="#FF6B6B" strokeDasharray="5 5" dot={false} />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
               </div>
             )}
 
@@ -735,38 +1279,208 @@ const TimeMachine = () => {
               <div className="space-y-6">
                 <div className="retro-chart">
                   <div className="text-center font-bold mb-4 text-sm">SCENARIO COMPARISON</div>
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    {Object.entries(FINANCIAL_SCENARIOS).map(([key, scenario]) => {
-                      const scenarioProjection = calculateProjectionsService(
-                        financialData.balance,
-                        projections?.summary?.totalContributions / (timeRange * 12) || 0,
-                        scenario.annualReturn,
-                        timeRange,
-                        scenario.inflation
-                      )
-                      return (
-                        <div key={key} className="retro-info text-center p-4">
-                          <div className="text-sm font-bold mb-2" style={{ color: scenario.color }}>
-                            {scenario.name}
-                          </div>
-                          <div className="text-lg font-bold text-gray-800">
-                            ${scenarioProjection?.summary?.finalBalance?.toLocaleString() || '0'}
+                  <div className="flex flex-wrap justify-center gap-3 mb-4 text-xs">
+                    {Object.entries(allScenarios).map(([key, scenario]) => (
+                      <label key={key} className="flex items-center space-x-1">
+                        <input
+                          type="checkbox"
+                          checked={comparedScenarios.includes(key)}
+                          onChange={() => toggleComparedScenario(key)}
+                        />
+                        <span style={{ color: scenario.color }} className="font-bold">{scenario.name}</span>
+                      </label>
+                    ))}
+                  </div>
+
+                  {scenarioComparison.length < 2 ? (
+                    <div className="text-center text-sm text-gray-600">Pick two or more scenarios to compare.</div>
+                  ) : (
+                    <>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <LineChart data={prepareComparisonChartData()}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis />
+                          <Tooltip formatter={(value, name) => [`$${Number(value).toLocaleString()}`, name]} />
+                          {scenarioComparison.map(({ key, scenario, color }) => (
+                            <Line key={key} type="monotone" dataKey={key} name={scenario.name} stroke={color} strokeWidth={2} dot={false} />
+                          ))}
+                        </LineChart>
+                      </ResponsiveContainer>
+
+                      {/* Delta Table */}
+                      <table className="w-full text-xs mt-4">
+                        <thead>
+                          <tr className="border-b border-gray-400">
+                            <th className="text-left p-1">Scenario</th>
+                            <th className="text-right p-1">Final Balance</th>
+                            <th className="text-right p-1">Real Value</th>
+                            <th className="text-right p-1">Contributions</th>
+                            <th className="text-right p-1">Events</th>
+                            <th className="text-right p-1">vs {scenarioComparison[0].scenario.name}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scenarioComparison.map(({ key, scenario, color, projection }) => {
+                            const delta = projection.summary.finalBalance - scenarioComparison[0].projection.summary.finalBalance
+                            return (
+                              <tr key={key} className="border-b border-gray-200">
+                                <td className="p-1 font-bold" style={{ color }}>{scenario.name}</td>
+                                <td className="text-right p-1">${projection.summary.finalBalance.toLocaleString()}</td>
+                                <td className="text-right p-1">${projection.summary.finalRealValue.toLocaleString()}</td>
+                                <td className="text-right p-1">${projection.summary.totalContributions.toLocaleString()}</td>
+                                <td className="text-right p-1">${(projection.summary.totalEvents || 0).toLocaleString()}</td>
+                                <td className={`text-right p-1 font-bold ${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : ''}`}>
+                                  {key === scenarioComparison[0].key ? '—' : `${delta >= 0 ? '+' : '-'}$${Math.abs(delta).toLocaleString()}`}
+                                </td>
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'backtest' && backtest && (
+              <div className="space-y-6">
+                <div className="retro-chart">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <div className="font-bold text-sm">HISTORICAL BACKTEST</div>
+                    <div className="flex items-center space-x-2 text-xs">
+                      <label className="font-bold">Portfolio:</label>
+                      <select
+                        value={backtestMix}
+                        onChange={(e) => setBacktestMix(e.target.value)}
+                        className="retro-input text-xs"
+                      >
+                        {Object.entries(PORTFOLIO_MIXES).map(([key, mix]) => (
+                          <option key={key} value={key}>{mix.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    Your {activeScenario.name} savings plan replayed over every {timeRange}-year window from {backtest.firstYear} to {backtest.lastYear}.
+                    Contributions rise with each era's actual inflation; balances are shown in starting-year dollars.
+                  </div>
+                </div>
+
+                {backtest.error || backtest.windows.length === 0 ? (
+                  <div className="retro-info text-center text-sm">
+                    ❌ {backtest.error || 'Not enough history for this time range'}
+                  </div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                      {[
+                        { label: 'BEST START', window: backtest.best, color: 'text-green-600' },
+                        { label: 'MEDIAN START', window: backtest.median, color: 'text-blue-600' },
+                        { label: 'WORST START', window: backtest.worst, color: 'text-red-600' }
+                      ].map(({ label, window, color }) => (
+                        <div key={label} className="retro-chart text-center">
+                          <div className="text-sm font-bold mb-2">{label}</div>
+                          <div className={`text-2xl font-bold mb-1 ${color}`}>
+                            ${window.realFinalBalance.toLocaleString()}
                           </div>
                           <div className="text-xs text-gray-600">
-                            {scenario.description}
+                            {window.startYear}–{window.endYear} · {(window.annualizedReturn * 100).toFixed(1)}%/yr
                           </div>
                         </div>
-                      )
-                    })}
-                  </div>
-                </div>
+                      ))}
+                      <div className="retro-chart text-center">
+                        <div className="text-sm font-bold mb-2">MAX DRAWDOWN</div>
+                        <div className="text-2xl font-bold text-orange-600 mb-1">
+                          -{(backtest.maxDrawdown.value * 100).toFixed(1)}%
+                        </div>
+                        <div className="text-xs text-gray-600">
+                          in the window starting {backtest.maxDrawdown.startYear}
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Rolling Windows */}
+                    <div className="retro-chart">
+                      <div className="text-center font-bold mb-4 text-sm">
+                        REAL ENDING BALANCE BY START YEAR ({backtest.windows.length} WINDOWS)
+                      </div>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={backtest.windows}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="startYear" />
+                          <YAxis />
+                          <Tooltip
+                            formatter={(value) => [`$${Number(value).toLocaleString()}`, 'Real ending balance']}
+                            labelFormatter={(label) => `Started ${label}`}
+                          />
+                          <Bar dataKey="realFinalBalance" name="Real ending balance">
+                            {backtest.windows.map(window => (
+                              <Cell
+                                key={window.startYear}
+                                fill={window.realFinalBalance >= backtest.median.realFinalBalance ? '#2ECC71' : '#FF6B6B'}
+                              />
+                            ))}
+                          </Bar>
+                        </BarChart>
+                      </ResponsiveContainer>
+                      <div className="text-xs text-center text-gray-600 mt-2">
+                        Average annualized return across windows: {(backtest.averageAnnualReturn * 100).toFixed(1)}%
+                        {projections?.summary && (
+                          <> · {activeScenario.name} projection: ${(projections.summary.finalRealValue || 0).toLocaleString()} real</>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Worst Windows */}
+                    <div className="retro-chart">
+                      <div className="text-center font-bold mb-4 text-sm">WORST DRAWDOWNS</div>
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="border-b border-gray-400">
+                            <th className="text-left p-1">Window</th>
+                            <th className="text-right p-1">Max Drawdown</th>
+                            <th className="text-right p-1">Annualized Return</th>
+                            <th className="text-right p-1">Ending Balance</th>
+                            <th className="text-right p-1">Real Ending Balance</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {[...backtest.windows]
+                            .sort((a, b) => b.maxDrawdown - a.maxDrawdown)
+                            .slice(0, 5)
+                            .map(window => (
+                              <tr key={window.startYear} className="border-b border-gray-200">
+                                <td className="p-1 font-bold">{window.startYear}–{window.endYear}</td>
+                                <td className="text-right p-1 text-red-600">-{(window.maxDrawdown * 100).toFixed(1)}%</td>
+                                <td className="text-right p-1">{(window.annualizedReturn * 100).toFixed(1)}%</td>
+                                <td className="text-right p-1">${window.finalBalance.toLocaleString()}</td>
+                                <td className="text-right p-1">${window.realFinalBalance.toLocaleString()}</td>
+                              </tr>
+                            ))}
+                        </tbody>
+                      </table>
+                      <div className="text-xs text-gray-600 mt-2">
+                        Drawdowns are measured on the portfolio mix's year-end values, so new contributions don't mask market losses.
+                      </div>
+                    </div>
+                  </>
+                )}
               </div>
             )}
 
-
+            {/* Scenario Editor */}
+            {editingScenario && (
+              <ScenarioEditor
+                scenario={editingScenario === 'new' ? null : editingScenario}
+                onSave={handleSaveScenario}
+                onClose={() => setEditingScenario(null)}
+              />
+            )}
 
             {/* AI Forecast Button */}
-            <div className="text-center mt-6">
+            <div className="flex justify-center items-center space-x-3 mt-6">
               <button
                 className="retro-button px-8 py-3 text-lg font-bold"
                 onClick={generateAiForecast}
@@ -774,6 +1488,7 @@ const TimeMachine = () => {
               >
                 {isGeneratingForecast ? '⏳ Generating...' : '🤖 AI Forecast Mode'}
               </button>
+              <AIModelSelector feature="forecast" />
             </div>
 
             {/* AI Forecast Popup */}
@@ -0,0 +1,343 @@
+// Backup & Restore Service for RetroVault
+// Versioned JSON archives of everything a user owns in Firestore
+
+import { db } from '../firebaseClient'
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore'
+import { collections, getUserProfile, updateFinancialSummary } from '../api/unifiedFirestoreService'
+import { isFirestoreTimestamp } from '../utils/timestampUtils'
+
+export const BACKUP_FORMAT = 'retrovault-backup'
+export const BACKUP_VERSION = 1
+
+// Flat collections keyed by userId
+const USER_COLLECTIONS = [
+  'accounts', 'transactions', 'budgets', 'goals', 'reports',
+  'categories', 'categoryRules', 'netWorthSnapshots', 'notifications', 'timeMachineScenarios', 'aiAuditLog'
+]
+
+// Collections older archives were made without; a backup that lacks one leaves it untouched on restore
+const OPTIONAL_COLLECTIONS = ['categories', 'categoryRules', 'netWorthSnapshots', 'notifications', 'timeMachineScenarios', 'aiAuditLog']
+
+// Entries can only be added, never changed or deleted, so restore writes just the ones that are missing
+const APPEND_ONLY_COLLECTIONS = ['aiAuditLog']
+
+// Subcollections under users/{uid} (settings holds preferences, sync history and import presets)
+const USER_SUBCOLLECTIONS = ['settings', 'reports']
+
+// Fields that hold the ID of another archived document (also nested, e.g. rule conditions and debt plans)
+const REFERENCE_FIELDS = [
+  'accountId', 'linkedAccountId', 'counterpartyAccountId', 'fromAccountId', 'toAccountId',
+  'transferId', 'linkedTransactionId', 'matchedRuleId'
+]
+
+const BATCH_LIMIT = 500
+
+/**
+ * Convert Firestore values into JSON-safe values (timestamps become tagged ISO strings)
+ */
+const serializeValue = (value) => {
+  if (isFirestoreTimestamp(value)) {
+    const date = value.toDate ? value.toDate() : new Date(value.seconds * 1000)
+    return { __type: 'timestamp', value: date.toISOString() }
+  }
+  if (Array.isArray(value)) return value.map(serializeValue)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, serializeValue(inner)]))
+  }
+  return value
+}
+
+/**
+ * Reverse serializeValue when writing a backup back to Firestore
+ */
+const deserializeValue = (value) => {
+  if (value && value.__type === 'timestamp') {
+    return Timestamp.fromDate(new Date(value.value))
+  }
+  if (Array.isArray(value)) return value.map(deserializeValue)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, deserializeValue(inner)]))
+  }
+  return value
+}
+
+/**
+ * Read every document the user owns, grouped the same way as the archive
+ */
+const readUserData = async (userId) => {
+  const data = { collections: {}, subcollections: {} }
+
+  for (const name of USER_COLLECTIONS) {
+    const snapshot = await getDocs(query(collections[name](), where('userId', '==', userId)))
+    data.collections[name] = snapshot.docs.map(d => ({ id: d.id, ...serializeValue(d.data()) }))
+  }
+
+  for (const name of USER_SUBCOLLECTIONS) {
+    const snapshot = await getDocs(collection(db, 'users', userId, name))
+    data.subcollections[name] = snapshot.docs.map(d => ({ id: d.id, ...serializeValue(d.data()) }))
+  }
+
+  return data
+}
+
+/**
+ * Build a versioned backup archive for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Backup archive
+ */
+export const createBackup = async (userId) => {
+  try {
+    const profile = await getUserProfile(userId)
+    const data = await readUserData(userId)
+
+    const archive = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      sourceUserId: userId,
+      profile: profile ? serializeValue(profile) : null,
+      ...data
+    }
+
+    console.log(`✅ Created backup for ${userId}`)
+    return archive
+
+  } catch (error) {
+    console.error('❌ Error creating backup:', error)
+    throw error
+  }
+}
+
+/**
+ * Validate a parsed backup archive
+ * @param {Object} archive - Parsed JSON archive
+ * @returns {Object} { isValid, errors }
+ */
+export const validateBackup = (archive) => {
+  const errors = []
+
+  if (!archive || typeof archive !== 'object') {
+    return { isValid: false, errors: ['Backup file is not a JSON object'] }
+  }
+
+  if (archive.format !== BACKUP_FORMAT) {
+    errors.push('Not a RetroVault backup file')
+  }
+
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    errors.push(`Unsupported backup version: ${archive.version}`)
+  }
+
+  USER_COLLECTIONS.forEach(name => {
+    const docs = archive.collections?.[name]
+    if (docs === undefined && OPTIONAL_COLLECTIONS.includes(name)) return
+    if (!Array.isArray(docs)) {
+      errors.push(`Missing ${name} collection`)
+    } else if (docs.some(d => !d.id)) {
+      errors.push(`Some ${name} entries have no id`)
+    }
+  })
+
+  USER_SUBCOLLECTIONS.forEach(name => {
+    if (!Array.isArray(archive.subcollections?.[name])) {
+      errors.push(`Missing ${name} section`)
+    }
+  })
+
+  const invalidTransactions = (archive.collections?.transactions || []).filter(t =>
+    typeof t.amount !== 'number' || !t.type || !t.date
+  )
+  if (invalidTransactions.length > 0) {
+    errors.push(`${invalidTransactions.length} transactions are missing amount, type or date`)
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Compare a backup against the user's current data
+ * @param {string} userId - User ID
+ * @param {Object} archive - Validated backup archive
+ * @returns {Promise<Array>} Per-section { section, inBackup, current, added, updated, removedOnReplace }
+ */
+export const diffBackup = async (userId, archive) => {
+  try {
+    const current = await readUserData(userId)
+
+    const restored = getRestoredData(archive, userId)
+
+    const summarize = (section, backupDocs, currentDocs, appendOnly = false) => {
+      const backupIds = new Set(backupDocs.map(d => d.id))
+      const currentIds = new Set(currentDocs.map(d => d.id))
+      return {
+        section,
+        inBackup: backupDocs.length,
+        current: currentDocs.length,
+        added: backupDocs.filter(d => !currentIds.has(d.id)).length,
+        updated: appendOnly ? 0 : backupDocs.filter(d => currentIds.has(d.id)).length,
+        removedOnReplace: appendOnly ? 0 : currentDocs.filter(d => !backupIds.has(d.id)).length
+      }
+    }
+
+    return [
+      ...Object.entries(restored.collections).map(([name, docs]) =>
+        summarize(name, docs, current.collections[name], APPEND_ONLY_COLLECTIONS.includes(name))
+      ),
+      ...USER_SUBCOLLECTIONS.map(name =>
+        summarize(`users/${name}`, restored.subcollections[name], current.subcollections[name])
+      )
+    ]
+
+  } catch (error) {
+    console.error('❌ Error comparing backup:', error)
+    throw error
+  }
+}
+
+/**
+ * Collections the archive holds (older archives lack the optional ones)
+ */
+const getArchivedCollections = (archive) => {
+  return USER_COLLECTIONS.filter(name => Array.isArray(archive.collections?.[name]))
+}
+
+/**
+ * Point references to archived documents at their restored IDs
+ * Net worth snapshots key their account balances by account ID, so those keys move too.
+ */
+const remapReferences = (value, idMap) => {
+  if (Array.isArray(value)) return value.map(inner => remapReferences(inner, idMap))
+  if (!value || typeof value !== 'object' || value.__type) return value
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => {
+    if (REFERENCE_FIELDS.includes(key) && idMap.has(inner)) return [key, idMap.get(inner)]
+    if (key === 'accountBalances' && inner && typeof inner === 'object') {
+      return [key, Object.fromEntries(Object.entries(inner).map(([id, balance]) => [idMap.get(id) || id, balance]))]
+    }
+    return [key, remapReferences(inner, idMap)]
+  }))
+}
+
+/**
+ * Archived documents as they will be written for userId
+ * IDs that embed the source user (net worth snapshots, notifications) are re-keyed so dedupe
+ * and upserts keep working. An archive from another user gets fresh IDs for everything else,
+ * so it can never overwrite that user's documents, and references follow the new IDs.
+ */
+const getRestoredData = (archive, userId) => {
+  const prefix = archive.sourceUserId ? `${archive.sourceUserId}_` : null
+  const fromOtherUser = Boolean(archive.sourceUserId) && archive.sourceUserId !== userId
+  const archived = getArchivedCollections(archive)
+  const idMap = new Map()
+
+  archived.forEach(name => {
+    archive.collections[name].forEach(d => {
+      if (prefix && d.id.startsWith(prefix)) {
+        idMap.set(d.id, `${userId}_${d.id.slice(prefix.length)}`)
+      } else if (fromOtherUser) {
+        idMap.set(d.id, doc(collections[name]()).id)
+      }
+    })
+  })
+
+  const restore = (d) => ({ ...remapReferences(d, idMap), id: idMap.get(d.id) || d.id })
+
+  return {
+    collections: Object.fromEntries(archived.map(name => [name, archive.collections[name].map(restore)])),
+    subcollections: Object.fromEntries(USER_SUBCOLLECTIONS.map(name => [name, archive.subcollections[name].map(restore)]))
+  }
+}
+
+/**
+ * Commit a list of write operations in batches
+ */
+const commitInBatches = async (operations) => {
+  for (let start = 0; start < operations.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db)
+    operations.slice(start, start + BATCH_LIMIT).forEach(operation => operation(batch))
+    await batch.commit()
+  }
+}
+
+/**
+ * Restore a backup archive into the user's account
+ * Documents are re-owned by userId, so archives can move between users and Firebase projects.
+ * @param {string} userId - User ID to restore into
+ * @param {Object} archive - Validated backup archive
+ * @param {string} mode - 'merge' overwrites documents that are in the backup and keeps the rest,
+ *   'replace' also deletes anything not in the backup
+ * @returns {Promise<Object>} { written, deleted }
+ */
+export const restoreBackup = async (userId, archive, mode = 'merge') => {
+  try {
+    const validation = validateBackup(archive)
+    if (!validation.isValid) {
+      throw new Error(`Invalid backup: ${validation.errors.join(', ')}`)
+    }
+
+    const operations = []
+    let deleted = 0
+    const restored = getRestoredData(archive, userId)
+    const archived = Object.keys(restored.collections)
+    const current = await readUserData(userId)
+
+    if (mode === 'replace') {
+      archived.filter(name => !APPEND_ONLY_COLLECTIONS.includes(name)).forEach(name => {
+        const keep = new Set(restored.collections[name].map(d => d.id))
+        current.collections[name].filter(d => !keep.has(d.id)).forEach(d => {
+          operations.push(batch => batch.delete(doc(collections[name](), d.id)))
+          deleted++
+        })
+      })
+
+      USER_SUBCOLLECTIONS.forEach(name => {
+        const keep = new Set(restored.subcollections[name].map(d => d.id))
+        current.subcollections[name].filter(d => !keep.has(d.id)).forEach(d => {
+          operations.push(batch => batch.delete(doc(db, 'users', userId, name, d.id)))
+          deleted++
+        })
+      })
+    }
+
+    if (archive.profile) {
+      const { id, ...profile } = deserializeValue(archive.profile)
+      operations.push(batch => batch.set(doc(collections.users(), userId), profile, { merge: mode === 'merge' }))
+    }
+
+    archived.forEach(name => {
+      const existing = new Set(current.collections[name].map(d => d.id))
+      restored.collections[name].forEach(({ id, ...data }) => {
+        if (APPEND_ONLY_COLLECTIONS.includes(name) && existing.has(id)) return
+        const restored = { ...deserializeValue(data), userId }
+        operations.push(batch => batch.set(doc(collections[name](), id), restored))
+      })
+    })
+
+    USER_SUBCOLLECTIONS.forEach(name => {
+      restored.subcollections[name].forEach(({ id, ...data }) => {
+        operations.push(batch => batch.set(doc(db, 'users', userId, name, id), deserializeValue(data)))
+      })
+    })
+
+    await commitInBatches(operations)
+    await updateFinancialSummary(userId)
+
+    const written = operations.length - deleted
+    console.log(`✅ Restored backup (${mode}): ${written} written, ${deleted} deleted`)
+    return { written, deleted }
+
+  } catch (error) {
+    console.error('❌ Error restoring backup:', error)
+    throw error
+  }
+}
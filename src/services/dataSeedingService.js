@@ -4,8 +4,11 @@
 import { 
   createUserProfile,
   batchCreateTransactions,
-  batchUpdateFinancialSummary
+  batchUpdateFinancialSummary,
+  getUserCategoryRules
 } from '../api/unifiedFirestoreService'
+import { applyCategorizationRules } from '../utils/categorizationRules'
+import { calculateNetWorth } from '../utils/accounts'
 import { 
   getCustomers,
   createCustomer,
@@ -183,14 +186,17 @@ export class DataSeedingService {
       const primaryAccount = accounts[0]
       console.log(`🌱 [SEEDING] Primary account: ${primaryAccount.nickname || primaryAccount.type}`)
       
-      // Try to get existing transactions
+      // Try to get existing transactions for every account
       let rawTransactions = []
-      try {
-        rawTransactions = await getTransactions(primaryAccount._id)
-        console.log(`🌱 [SEEDING] Found ${rawTransactions.length} existing transactions`)
-      } catch (error) {
-        console.warn(`🌱 [SEEDING] Could not fetch transactions: ${error.message}`)
-        console.log('🌱 [SEEDING] This is normal - Nessie API may not support transaction endpoints')
+      for (const account of accounts) {
+        try {
+          const accountTransactions = await getTransactions(account._id)
+          rawTransactions.push(...(accountTransactions || []))
+          console.log(`🌱 [SEEDING] Found ${accountTransactions?.length || 0} existing transactions for ${account.nickname || account.type}`)
+        } catch (error) {
+          console.warn(`🌱 [SEEDING] Could not fetch transactions for ${account._id}: ${error.message}`)
+          console.log('🌱 [SEEDING] This is normal - Nessie API may not support transaction endpoints')
+        }
       }
       
       if (!rawTransactions || rawTransactions.length === 0) {
@@ -256,15 +262,15 @@ export class DataSeedingService {
         name: userInfo.name || 'Nessie User',
         email: userInfo.email || '',
         photoURL: userInfo.photoURL || null,
-        balance: primaryAccount.balance || 0,
+        balance: calculateNetWorth(accounts),
         dataSource: 'Nessie'
       })
 
       this.updateProgress(60, 'Storing accounts and transactions...')
       
       // Store accounts and transactions
-      await this.storeAccounts(userId, accounts)
-      await this.storeTransactions(userId, transactions)
+      const storedAccounts = await this.storeAccounts(userId, accounts)
+      await this.storeTransactions(userId, transactions, storedAccounts)
 
       this.updateProgress(80, 'Calculating financial summary...')
       
@@ -313,8 +319,8 @@ export class DataSeedingService {
       this.updateProgress(75, 'Storing sample accounts and transactions...')
       
       // Store sample data
-      await this.storeAccounts(userId, sampleData.accounts)
-      await this.storeTransactions(userId, sampleData.transactions)
+      const storedAccounts = await this.storeAccounts(userId, sampleData.accounts)
+      await this.storeTransactions(userId, sampleData.transactions, storedAccounts)
 
       this.updateProgress(85, 'Calculating financial summary...')
       
@@ -361,8 +367,8 @@ export class DataSeedingService {
       this.updateProgress(90, 'Storing mock accounts and transactions...')
       
       // Store mock data
-      await this.storeAccounts(userId, mockData.accounts)
-      await this.storeTransactions(userId, mockData.transactions)
+      const storedAccounts = await this.storeAccounts(userId, mockData.accounts)
+      await this.storeTransactions(userId, mockData.transactions, storedAccounts)
 
       this.updateProgress(95, 'Calculating financial summary...')
       
@@ -386,28 +392,33 @@ export class DataSeedingService {
 
   /**
    * Store accounts in Firestore
+   * @returns {Promise<Array>} Created accounts (with Firestore ids and source nessieId)
    */
   async storeAccounts(userId, accounts) {
     const accountPromises = accounts.map(account => 
       this.createAccount(userId, account)
     )
     
-    await Promise.all(accountPromises)
+    const storedAccounts = await Promise.all(accountPromises)
     console.log(`✅ Stored ${accounts.length} accounts`)
+    return storedAccounts
   }
 
   /**
    * Store transactions in Firestore
+   * Source account ids are mapped to the Firestore accounts created by storeAccounts.
    */
-  async storeTransactions(userId, transactions) {
+  async storeTransactions(userId, transactions, storedAccounts = []) {
     if (!transactions || transactions.length === 0) {
       console.warn('⚠️ No transactions to store')
       return
     }
 
-    const transactionData = transactions.map(transaction => ({
+    const rules = await getUserCategoryRules(userId)
+    const transactionData = transactions.map(transaction => applyCategorizationRules({
       userId,
-      accountId: transaction.accountId || 'default',
+      accountId: storedAccounts.find(account => account.nessieId && account.nessieId === transaction.accountId)?.id
+        || transaction.accountId || 'default',
       nessieId: transaction.id,
       amount: Math.abs(Number(transaction.amount) || 0), // Ensure positive amounts
       type: transaction.type,
@@ -416,10 +427,11 @@ export class DataSeedingService {
       merchant: transaction.merchant || 'Unknown',
       date: transaction.date || new Date().toISOString().split('T')[0],
       syncSource: 'seeding'
-    }))
+    }, rules))
 
     try {
-      await batchCreateTransactions(transactionData)
+      // Seeded balances come from the bank and already include this history
+      await batchCreateTransactions(transactionData, { adjustBalances: false })
       console.log(`✅ Stored ${transactions.length} transactions`)
     } catch (error) {
       console.error('❌ Error storing transactions:', error)
@@ -0,0 +1,129 @@
+// Account helpers for RetroVault
+// Account types, net worth (assets minus liabilities), per-account filtering and running-balance ledgers
+
+export const ALL_ACCOUNTS = 'all'
+
+/**
+ * Account types users can create; liabilities carry negative balances (what is owed)
+ */
+export const ACCOUNT_TYPES = [
+  { value: 'Checking', isLiability: false },
+  { value: 'Savings', isLiability: false },
+  { value: 'Investment', isLiability: false },
+  { value: 'Cash', isLiability: false },
+  { value: 'Credit Card', isLiability: true },
+  { value: 'Loan', isLiability: true },
+  { value: 'Mortgage', isLiability: true }
+]
+
+// Must match the liability types allowed to go negative in firestore.rules
+export const LIABILITY_ACCOUNT_TYPES = ACCOUNT_TYPES.filter(type => type.isLiability).map(type => type.value)
+
+/**
+ * Check whether an account is a liability (credit card, loan, mortgage)
+ * @param {Object} account - Account
+ * @returns {boolean} True for liabilities
+ */
+export const isLiabilityAccount = (account) => {
+  const type = String(account?.type || '').toLowerCase()
+  return LIABILITY_ACCOUNT_TYPES.some(liabilityType => liabilityType.toLowerCase() === type)
+}
+
+/**
+ * Signed effect of a transaction on its account's balance
+ * @param {Object} transaction - Transaction
+ * @returns {number} Positive for money in, negative for money out
+ */
+export const getSignedAmount = (transaction) => {
+  const amount = Math.abs(Number(transaction?.amount) || 0)
+  switch (transaction?.type) {
+    case 'income':
+    case 'deposit':
+      return amount
+    case 'transfer':
+      return transaction.transferDirection === 'in' ? amount : -amount
+    default:
+      return -amount
+  }
+}
+
+/**
+ * Resolve the Firestore account a transaction belongs to
+ * Older synced data stored the Nessie account id, so fall back to matching nessieId.
+ * @param {Object} transaction - Transaction
+ * @param {Array} accounts - User accounts
+ * @returns {string|null} Account ID
+ */
+export const resolveTransactionAccountId = (transaction, accounts = []) => {
+  const accountId = transaction?.accountId
+  if (!accountId) return null
+  if (accounts.some(account => account.id === accountId)) return accountId
+  return accounts.find(account => account.nessieId && account.nessieId === accountId)?.id || accountId
+}
+
+/**
+ * Keep only the transactions for one account
+ * @param {Array} transactions - Transactions
+ * @param {string} accountId - Account ID, or ALL_ACCOUNTS
+ * @param {Array} accounts - User accounts
+ * @returns {Array} Matching transactions
+ */
+export const filterTransactionsByAccount = (transactions = [], accountId = ALL_ACCOUNTS, accounts = []) => {
+  if (!accountId || accountId === ALL_ACCOUNTS) return transactions
+  return transactions.filter(transaction => resolveTransactionAccountId(transaction, accounts) === accountId)
+}
+
+/**
+ * Net worth as the sum of account balances
+ * @param {Array} accounts - User accounts
+ * @returns {number} Net worth
+ */
+export const calculateNetWorth = (accounts = []) => {
+  return accounts.reduce((sum, account) => sum + (Number(account.balance) || 0), 0)
+}
+
+/**
+ * Split net worth into what the user owns and what they owe
+ * @param {Array} accounts - User accounts
+ * @returns {Object} { assets, liabilities, netWorth } with liabilities as a positive amount owed
+ */
+export const calculateNetWorthBreakdown = (accounts = []) => {
+  const breakdown = accounts.reduce((totals, account) => {
+    const balance = Number(account.balance) || 0
+    if (isLiabilityAccount(account)) {
+      totals.liabilities += -balance
+    } else {
+      totals.assets += balance
+    }
+    return totals
+  }, { assets: 0, liabilities: 0 })
+
+  return {
+    ...breakdown,
+    netWorth: breakdown.assets - breakdown.liabilities
+  }
+}
+
+/**
+ * Build a ledger for one account, newest first, with the balance after each transaction
+ * Works backwards from the account's current balance so it matches what the bank shows.
+ * @param {Array} transactions - All user transactions
+ * @param {Object} account - Account
+ * @param {Array} accounts - User accounts (for legacy account id matching)
+ * @returns {Array} [{ ...transaction, signedAmount, runningBalance }]
+ */
+export const buildAccountLedger = (transactions = [], account, accounts = []) => {
+  if (!account) return []
+
+  const entries = filterTransactionsByAccount(transactions, account.id, accounts)
+    .filter(transaction => !isNaN(new Date(transaction.date).getTime()))
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+
+  let balance = Number(account.balance) || 0
+  return entries.map(transaction => {
+    const signedAmount = getSignedAmount(transaction)
+    const entry = { ...transaction, signedAmount, runningBalance: balance }
+    balance -= signedAmount
+    return entry
+  })
+}
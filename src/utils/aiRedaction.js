@@ -0,0 +1,223 @@
+// AI prompt redaction helpers for RetroVault
+// Tokenizes account numbers, emails, names and merchant IDs (and coarsens amounts at stricter privacy levels)
+// before a prompt leaves the browser, and counts what was removed so every send can be audited
+
+/**
+ * How much detail AI prompts keep; identifiers are tokenized at every level
+ */
+export const PRIVACY_LEVELS = {
+  standard: { label: 'Standard', description: 'Identifiers tokenized, exact amounts' },
+  rounded: { label: 'Rounded', description: 'Identifiers tokenized, amounts rounded' },
+  bucketed: { label: 'Bucketed', description: 'Identifiers tokenized, amounts shown as ranges' }
+}
+
+export const DEFAULT_PRIVACY_LEVEL = 'standard'
+
+/**
+ * Token prefix for each kind of redacted value, e.g. [ACCOUNT_1]
+ */
+export const REDACTION_KINDS = {
+  name: 'NAME',
+  email: 'EMAIL',
+  accountNumber: 'ACCOUNT',
+  phone: 'PHONE',
+  merchantId: 'MERCHANT_ID'
+}
+
+// Fields of a transaction that prompts may carry; ids, account links and raw merchant fields stay behind
+export const PROMPT_TRANSACTION_FIELDS = ['date', 'description', 'amount', 'category', 'type']
+
+// Numeric fields of structured data (tool results) that hold money and are coarsened like $ amounts
+const MONEY_FIELDS = new Set([
+  'amount', 'total', 'average', 'balance', 'startingBalance', 'spent', 'assigned', 'available', 'carriedOver',
+  'targetAmount', 'currentAmount', 'remaining', 'monthlyPace', 'monthlyContribution', 'finalBalance', 'finalRealValue',
+  'totalContributions', 'totalInterest'
+])
+
+// Upper bounds for bucketed amounts
+const AMOUNT_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000, 250000, 500000, 1000000]
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+// Masked numbers (****1234, xx1234, ending in 1234), card-style groups and long digit runs
+const MASKED_ACCOUNT_PATTERN = /(?:[*•xX]{2,}\s?\d{2,4}\b|\bending in \d{2,4}\b)/gi
+const ACCOUNT_NUMBER_PATTERN = /(?<![$\d.,])(?:\b\d{4}(?:[ -]\d{4}){2,3}\b|\b\d{8,19}\b)/g
+const PHONE_PATTERN = /(?<![\d$])(?:\+?1[ .-]?)?\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g
+// Nessie object ids, store/reference numbers and letter-digit codes such as SQ*AB12CD34
+const MERCHANT_ID_PATTERN = /\b[a-f0-9]{24}\b|#\s?[A-Za-z0-9-]{3,}\b|\b(?:merchant id|merch id|ref|trn|pos|id)[:#\s]+[A-Za-z0-9-]*\d[A-Za-z0-9-]*\b|\b(?=[A-Za-z0-9]*\d)(?=[A-Za-z0-9]*[A-Za-z])[A-Za-z0-9]{8,}\b/gi
+// Person-to-person payments name the other person after to/from
+const P2P_NAME_PATTERN = /\b(?:[Zz]elle|ZELLE|[Vv]enmo|VENMO|Pay[Pp]al|PAYPAL|[Cc]ash ?[Aa]pp|CASH ?APP)\b[^\n|,:;]*?\b(?:to|from|TO|FROM)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2}|[A-Z'-]{2,}(?:\s+[A-Z'-]{2,}){1,2})\b/g
+const AMOUNT_PATTERN = /\$\s?(-?)([\d,]+(?:\.\d+)?)(k|K)?/g
+
+let knownIdentifiers = { names: [], emails: [], accountNumbers: [] }
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Remember the user's own identifiers so they are redacted wherever they appear in a prompt
+ * @param {Object} context - { user, accounts }
+ */
+export const setRedactionContext = ({ user = null, accounts = [] } = {}) => {
+  const displayName = String(user?.displayName || user?.name || '').trim()
+  knownIdentifiers = {
+    // Full name first so it becomes one token; single parts catch "Hi Jane" style mentions.
+    // Names match as written or in capitals only, so a user called Bill keeps "your bill" intact
+    names: [displayName, ...displayName.split(/\s+/)]
+      .filter(name => name.length >= 3)
+      .flatMap(name => [name, name.toUpperCase()]),
+    emails: [user?.email].filter(Boolean),
+    accountNumbers: accounts
+      .flatMap(account => [account.accountNumber, account.routingNumber, account.nessieId])
+      .filter(value => value && String(value).length >= 4)
+      .map(String)
+  }
+}
+
+const formatAmount = (value) => {
+  return `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`
+}
+
+/**
+ * Round to two significant figures (1,234.56 -> 1,200)
+ */
+const roundAmount = (value) => {
+  if (value === 0) return 0
+  const magnitude = Math.pow(10, Math.max(0, Math.floor(Math.log10(value)) - 1))
+  return Math.round(value / magnitude) * magnitude
+}
+
+const bucketAmount = (value) => {
+  const upper = AMOUNT_BUCKETS.find(bound => value < bound)
+  if (!upper) return `over ${formatAmount(AMOUNT_BUCKETS[AMOUNT_BUCKETS.length - 1])}`
+  const lower = AMOUNT_BUCKETS[AMOUNT_BUCKETS.indexOf(upper) - 1] || 0
+  return `${formatAmount(lower)}-${formatAmount(upper)}`
+}
+
+/**
+ * Create a redactor that hands out the same token for the same value across every message of one request
+ * @param {Object} options - { level }
+ * @returns {Object} { redact(text), redactData(value), restore(text), counts, level }
+ */
+export const createRedactor = ({ level = DEFAULT_PRIVACY_LEVEL } = {}) => {
+  const privacyLevel = PRIVACY_LEVELS[level] ? level : DEFAULT_PRIVACY_LEVEL
+  const tokens = new Map()
+  const originals = new Map()
+  const counts = { amount: 0, ...Object.fromEntries(Object.keys(REDACTION_KINDS).map(kind => [kind, 0])) }
+
+  const tokenFor = (kind, value) => {
+    const key = `${kind}:${value.toLowerCase()}`
+    if (!tokens.has(key)) {
+      const token = `[${REDACTION_KINDS[kind]}_${[...tokens.keys()].filter(existing => existing.startsWith(`${kind}:`)).length + 1}]`
+      tokens.set(key, token)
+      originals.set(token, value)
+    }
+    counts[kind]++
+    return tokens.get(key)
+  }
+
+  const replaceKnown = (text, kind, values, flags = 'gi') => {
+    return [...values]
+      .sort((a, b) => b.length - a.length)
+      .reduce((result, value) => result.replace(new RegExp(`\\b${escapeRegExp(value)}\\b`, flags), match => tokenFor(kind, match)), text)
+  }
+
+  const coarsenAmounts = (text) => {
+    if (privacyLevel === 'standard') return text
+    return text.replace(AMOUNT_PATTERN, (match, sign, digits, thousands) => {
+      const value = parseFloat(digits.replace(/,/g, '')) * (thousands ? 1000 : 1)
+      if (isNaN(value)) return match
+      counts.amount++
+      return `${sign}${privacyLevel === 'rounded' ? formatAmount(roundAmount(value)) : bucketAmount(value)}`
+    })
+  }
+
+  // Rounded amounts stay numbers; bucketed ones become range strings
+  const coarsenNumber = (value) => {
+    if (privacyLevel === 'standard' || !isFinite(value)) return value
+    counts.amount++
+    const sign = value < 0 ? -1 : 1
+    return privacyLevel === 'rounded'
+      ? sign * roundAmount(Math.abs(value))
+      : `${sign < 0 ? '-' : ''}${bucketAmount(Math.abs(value))}`
+  }
+
+  const redact = (text) => {
+    if (typeof text !== 'string' || !text) return text
+    let result = text
+    result = replaceKnown(result, 'email', knownIdentifiers.emails)
+    result = result.replace(EMAIL_PATTERN, match => tokenFor('email', match))
+    result = replaceKnown(result, 'accountNumber', knownIdentifiers.accountNumbers)
+    result = result.replace(MASKED_ACCOUNT_PATTERN, match => tokenFor('accountNumber', match))
+    result = result.replace(ACCOUNT_NUMBER_PATTERN, match => tokenFor('accountNumber', match))
+    result = result.replace(PHONE_PATTERN, match => tokenFor('phone', match))
+    result = replaceKnown(result, 'name', knownIdentifiers.names, 'g')
+    result = result.replace(P2P_NAME_PATTERN, (match, name) => match.replace(name, tokenFor('name', name)))
+    result = result.replace(MERCHANT_ID_PATTERN, match => tokenFor('merchantId', match))
+    return coarsenAmounts(result)
+  }
+
+  // Walk structured data (such as a tool result) redacting strings and coarsening money fields
+  const redactData = (value, field = null) => {
+    if (typeof value === 'string') return redact(value)
+    if (typeof value === 'number') return MONEY_FIELDS.has(field) ? coarsenNumber(value) : value
+    if (Array.isArray(value)) return value.map(item => redactData(item, field))
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactData(item, key)]))
+    }
+    return value
+  }
+
+  // Put the user's own values back into a reply before it is shown; coarsened amounts stay as sent
+  const restore = (text) => {
+    if (typeof text !== 'string' || originals.size === 0) return text
+    return text.replace(/\[[A-Z_]+_\d+\]/g, token => originals.get(token) || token)
+  }
+
+  return { redact, redactData, restore, counts, level: privacyLevel }
+}
+
+/**
+ * Wrap a streaming callback so tokens split across chunks are restored whole
+ * @param {Function} restore - Redactor restore function
+ * @param {Function} onToken - Callback for restored text
+ * @returns {Object} { push(chunk), flush() }
+ */
+export const createStreamRestorer = (restore, onToken) => {
+  let pending = ''
+
+  const push = (chunk) => {
+    pending += chunk
+    const open = pending.lastIndexOf('[')
+    // Hold back a possible half token, but never more than a token's length
+    const holdFrom = open !== -1 && !pending.includes(']', open) && pending.length - open < 24 ? open : pending.length
+    const ready = pending.slice(0, holdFrom)
+    pending = pending.slice(holdFrom)
+    if (ready) onToken(restore(ready))
+  }
+
+  const flush = () => {
+    if (pending) onToken(restore(pending))
+    pending = ''
+  }
+
+  return { push, flush }
+}
+
+/**
+ * Keep only the transaction fields prompts are allowed to carry
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Minimized transactions
+ */
+export const minimizeTransactions = (transactions = []) => {
+  return (transactions || []).filter(Boolean).map(transaction => Object.fromEntries(
+    PROMPT_TRANSACTION_FIELDS
+      .filter(field => transaction[field] !== undefined && transaction[field] !== null)
+      .map(field => [field, transaction[field]])
+  ))
+}
+
+/**
+ * Redaction counts without the zero entries, for audit records
+ */
+export const summarizeRedactions = (counts = {}) => {
+  return Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0))
+}
@@ -0,0 +1,271 @@
+// Budget helpers for RetroVault
+// Period-scoped envelope budgets: weekly to annual periods, per-period assignments, rollover and proration
+
+import { isInCategory, DEFAULT_CATEGORIES } from './categories'
+import { expandSplitTransactions } from './splitTransactions'
+import { excludeTransfers } from './transfers'
+import { toDate } from './timestampUtils'
+
+// Don't walk back further than this when carrying balances forward
+const MAX_ROLLOVER_PERIODS = 36
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Supported budget periods
+ * days is the average length, used to prorate amounts between periods
+ */
+export const BUDGET_PERIODS = {
+  weekly: { label: 'Weekly', days: 7 },
+  biweekly: { label: 'Bi-weekly', days: 14 },
+  monthly: { label: 'Monthly', days: 30.44 },
+  quarterly: { label: 'Quarterly', days: 91.31 },
+  annual: { label: 'Annual', days: 365.25 }
+}
+
+// Bi-weekly budgets without an anchor line up with pay periods starting on this Monday
+const DEFAULT_BIWEEKLY_ANCHOR = '2024-01-01'
+
+const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+
+/**
+ * Get the date range for the budget period containing a date
+ * Weekly periods start on Monday; bi-weekly periods repeat every 14 days from the anchor date.
+ * Keys sort chronologically within one period type (YYYY-MM-DD, YYYY-MM, YYYY-Qn, YYYY).
+ * @param {Date} date - Any date inside the period
+ * @param {string} period - Period type from BUDGET_PERIODS
+ * @param {Object} options - { anchorDate } YYYY-MM-DD start of any bi-weekly period
+ * @returns {Object} { period, anchorDate, key, label, start, end } where end is exclusive
+ */
+export const getPeriodRange = (date = new Date(), period = 'monthly', { anchorDate = null } = {}) => {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  let start
+  let end
+  let key
+  let label
+
+  switch (period) {
+    case 'weekly': {
+      start = new Date(day)
+      start.setDate(day.getDate() - ((day.getDay() + 6) % 7))
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)
+      key = toDateKey(start)
+      label = `Week of ${formatShortDate(start)}`
+      break
+    }
+    case 'biweekly': {
+      const anchor = parseDateKey(anchorDate || DEFAULT_BIWEEKLY_ANCHOR)
+      const periodsSinceAnchor = Math.floor(Math.round((day - anchor) / DAY_MS) / 14)
+      start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + periodsSinceAnchor * 14)
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 14)
+      key = toDateKey(start)
+      label = `${formatShortDate(start)} – ${formatShortDate(new Date(end.getTime() - DAY_MS))}`
+      break
+    }
+    case 'quarterly': {
+      const quarter = Math.floor(day.getMonth() / 3)
+      start = new Date(day.getFullYear(), quarter * 3, 1)
+      end = new Date(day.getFullYear(), quarter * 3 + 3, 1)
+      key = `${start.getFullYear()}-Q${quarter + 1}`
+      label = `Q${quarter + 1} ${start.getFullYear()}`
+      break
+    }
+    case 'annual': {
+      start = new Date(day.getFullYear(), 0, 1)
+      end = new Date(day.getFullYear() + 1, 0, 1)
+      key = `${start.getFullYear()}`
+      label = key
+      break
+    }
+    default: {
+      start = new Date(day.getFullYear(), day.getMonth(), 1)
+      end = new Date(day.getFullYear(), day.getMonth() + 1, 1)
+      key = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`
+      label = start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    }
+  }
+
+  return { period: BUDGET_PERIODS[period] ? period : 'monthly', anchorDate, key, label, start, end }
+}
+
+/**
+ * Get the period range a budget uses around a date
+ * @param {Object} budget - Budget document
+ * @param {Date} date - Any date inside the period
+ * @returns {Object} Period range
+ */
+export const getBudgetPeriodRange = (budget, date = new Date()) => {
+  return getPeriodRange(date, budget?.period || 'monthly', { anchorDate: budget?.anchorDate || null })
+}
+
+/**
+ * Move a period range forwards or backwards
+ * @param {Object} range - Period range from getPeriodRange
+ * @param {number} offset - Number of periods (negative for earlier)
+ * @returns {Object} Shifted period range
+ */
+export const shiftPeriod = (range, offset) => {
+  const { start, period, anchorDate } = range
+  const options = { anchorDate }
+  switch (period) {
+    case 'weekly':
+      return getPeriodRange(new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset * 7), period, options)
+    case 'biweekly':
+      return getPeriodRange(new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset * 14), period, options)
+    case 'quarterly':
+      return getPeriodRange(new Date(start.getFullYear(), start.getMonth() + offset * 3, 1), period, options)
+    case 'annual':
+      return getPeriodRange(new Date(start.getFullYear() + offset, 0, 1), period, options)
+    default:
+      return getPeriodRange(new Date(start.getFullYear(), start.getMonth() + offset, 1), 'monthly', options)
+  }
+}
+
+/**
+ * Convert an amount from one budget period to another (e.g. an annual premium to a monthly share)
+ * @param {number} amount - Amount per fromPeriod
+ * @param {string} fromPeriod - Source period type
+ * @param {string} toPeriod - Target period type
+ * @returns {number} Equivalent amount per toPeriod
+ */
+export const prorateAmount = (amount, fromPeriod = 'monthly', toPeriod = 'monthly') => {
+  const fromDays = (BUDGET_PERIODS[fromPeriod] || BUDGET_PERIODS.monthly).days
+  const toDays = (BUDGET_PERIODS[toPeriod] || BUDGET_PERIODS.monthly).days
+  return (Number(amount) || 0) * (toDays / fromDays)
+}
+
+const isInRange = (transaction, range) => {
+  const date = new Date(transaction.date)
+  return !isNaN(date.getTime()) && date >= range.start && date < range.end
+}
+
+/**
+ * Sum a category's spending inside one period (split allocations counted separately)
+ * @param {Array} transactions - Transactions
+ * @param {string} category - Category name (includes its subcategories)
+ * @param {Array} categories - Category list
+ * @param {Object} range - Period range
+ * @returns {number} Amount spent
+ */
+export const calculatePeriodSpending = (transactions = [], category, categories = DEFAULT_CATEGORIES, range) => {
+  return expandSplitTransactions(transactions)
+    .filter(t => t.type === 'expense' && isInCategory(t.category, category, categories) && isInRange(t, range))
+    .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0)
+}
+
+/**
+ * Sum income received inside one period (transfers between own accounts excluded)
+ * @param {Array} transactions - Transactions
+ * @param {Object} range - Period range
+ * @returns {number} Income
+ */
+export const calculatePeriodIncome = (transactions = [], range) => {
+  return excludeTransfers(transactions)
+    .filter(t => (t.type === 'income' || t.type === 'deposit') && isInRange(t, range))
+    .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0)
+}
+
+/**
+ * Amount assigned to a budget for a period
+ * An assignment stays in effect for later periods until it is changed; budgets saved
+ * before per-period assignments existed fall back to their flat amount.
+ * @param {Object} budget - Budget document
+ * @param {string} periodKey - Period key in the budget's own period type
+ * @returns {number} Assigned amount
+ */
+export const getAssignedAmount = (budget, periodKey) => {
+  const allocations = budget?.allocations || {}
+  if (allocations[periodKey] !== undefined) return Number(allocations[periodKey]) || 0
+
+  const earlierKey = Object.keys(allocations)
+    .filter(key => key < periodKey)
+    .sort()
+    .pop()
+  if (earlierKey) return Number(allocations[earlierKey]) || 0
+
+  return Number(budget?.amount) || 0
+}
+
+/**
+ * First period that carries a balance forward for a rollover budget
+ */
+const getRolloverStartKey = (budget) => {
+  if (budget.rolloverStartKey) return budget.rolloverStartKey
+  const createdAt = toDate(budget.createdAt)
+  return createdAt ? getBudgetPeriodRange(budget, createdAt).key : null
+}
+
+/**
+ * Calculate a budget envelope for one period
+ * Available = assigned + carried over - spent. With rollover on, whatever is left
+ * (or overspent) at the end of each period carries into the next one.
+ * @param {Object} budget - Budget document
+ * @param {Array} transactions - Transactions
+ * @param {Array} categories - Category list
+ * @param {Object} range - Period range in the budget's period type (defaults to the current one)
+ * @returns {Object} { periodKey, assigned, carriedOver, spent, available }
+ */
+export const calculateEnvelope = (budget, transactions = [], categories = DEFAULT_CATEGORIES, range = getBudgetPeriodRange(budget)) => {
+  const envelopeFor = (periodRange, carriedOver) => {
+    const assigned = getAssignedAmount(budget, periodRange.key)
+    const spent = calculatePeriodSpending(transactions, budget.category, categories, periodRange)
+    return {
+      periodKey: periodRange.key,
+      period: periodRange.period,
+      label: periodRange.label,
+      assigned,
+      carriedOver,
+      spent,
+      available: assigned + carriedOver - spent
+    }
+  }
+
+  const startKey = budget?.rollover ? getRolloverStartKey(budget) : null
+  if (!startKey || startKey >= range.key) {
+    return envelopeFor(range, 0)
+  }
+
+  // Walk forward from the rollover start (capped) carrying each period's balance
+  let periodRange = range
+  let steps = 0
+  while (periodRange.key > startKey && steps < MAX_ROLLOVER_PERIODS) {
+    periodRange = shiftPeriod(periodRange, -1)
+    steps++
+  }
+
+  let carriedOver = 0
+  for (let i = 0; i < steps; i++) {
+    carriedOver = envelopeFor(periodRange, carriedOver).available
+    periodRange = shiftPeriod(periodRange, 1)
+  }
+
+  return envelopeFor(range, carriedOver)
+}
+
+/**
+ * Zero-based budgeting summary for a period: every dollar of income gets a job
+ * Envelopes on other period types are prorated to the summary period before totalling.
+ * @param {Array} transactions - Transactions
+ * @param {Array} envelopes - Envelopes ({ assigned, period })
+ * @param {Object} range - Period range the income is measured over
+ * @returns {Object} { income, assigned, readyToAssign }
+ */
+export const calculateReadyToAssign = (transactions = [], envelopes = [], range = getPeriodRange()) => {
+  const income = calculatePeriodIncome(transactions, range)
+  const assigned = envelopes.reduce((sum, envelope) =>
+    sum + prorateAmount(envelope.assigned, envelope.period || range.period, range.period), 0)
+  return {
+    income,
+    assigned,
+    readyToAssign: income - assigned
+  }
+}
@@ -0,0 +1,227 @@
+// Cash-flow forecast helpers for RetroVault
+// Projects daily spending-account balances from recurring income and bills, scheduled goal contributions
+// and the user's usual discretionary spend for each weekday
+
+import { ALL_ACCOUNTS, resolveTransactionAccountId } from './accounts'
+import { excludeTransfers } from './transfers'
+import { getScheduledContributionDates } from './goals'
+import { RECURRING_STATUSES, projectUpcomingBills } from './recurringDetection'
+import { toDate } from './timestampUtils'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Forecast lengths offered in the UI, in days
+ */
+export const FORECAST_HORIZONS = [30, 60, 90]
+
+export const DEFAULT_LOW_BALANCE_THRESHOLD = 100
+
+// Accounts day-to-day money moves through; savings only count when the user has neither
+const SPENDING_ACCOUNT_TYPES = ['checking', 'cash']
+const FALLBACK_ACCOUNT_TYPES = ['savings']
+
+// Discretionary spend is averaged over this many recent days
+const SPENDING_LOOKBACK_DAYS = 90
+
+// Ignored and cancelled series are not expected to charge again
+const FORECAST_SERIES_STATUSES = [RECURRING_STATUSES.detected, RECURRING_STATUSES.confirmed]
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+/**
+ * Accounts whose balances the forecast follows
+ * @param {Array} accounts - User accounts
+ * @param {string} accountId - One account, or ALL_ACCOUNTS for every checking and cash account
+ * @returns {Array} Forecast accounts
+ */
+export const getForecastAccounts = (accounts = [], accountId = ALL_ACCOUNTS) => {
+  if (accountId && accountId !== ALL_ACCOUNTS) {
+    return accounts.filter(account => account.id === accountId)
+  }
+  const ofType = (types) => accounts.filter(account => types.includes(String(account.type || '').toLowerCase()))
+  const spending = ofType(SPENDING_ACCOUNT_TYPES)
+  return spending.length > 0 ? spending : ofType(FALLBACK_ACCOUNT_TYPES)
+}
+
+/**
+ * Average discretionary spend for each day of the week
+ * Recurring charges are left out because the forecast schedules them on their own dates.
+ * @param {Array} transactions - Transactions
+ * @param {Object} options - { now, lookbackDays, excludeIds } with excludeIds a Set of transaction ids
+ * @returns {Array<number>} Seven averages, Sunday first
+ */
+export const calculateWeekdaySpending = (transactions = [], { now = new Date(), lookbackDays = SPENDING_LOOKBACK_DAYS, excludeIds = new Set() } = {}) => {
+  const end = startOfDay(now)
+  const start = new Date(end.getTime() - lookbackDays * DAY_MS)
+  const totals = Array(7).fill(0)
+  const dayCounts = Array(7).fill(0)
+
+  for (let date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
+    dayCounts[date.getDay()]++
+  }
+
+  excludeTransfers(transactions).forEach(transaction => {
+    if (transaction.type !== 'expense' && transaction.type !== 'withdrawal') return
+    if (excludeIds.has(transaction.id)) return
+    const date = new Date(transaction.date)
+    if (isNaN(date.getTime()) || date < start || date >= end) return
+    totals[date.getDay()] += Math.abs(Number(transaction.amount) || 0)
+  })
+
+  return totals.map((total, day) => dayCounts[day] > 0 ? roundCents(total / dayCounts[day]) : 0)
+}
+
+/**
+ * Totals, lowest point and low-balance days for the first part of a forecast
+ * @param {Object} forecast - Result of buildCashFlowForecast
+ * @param {number} days - Horizon in days
+ * @returns {Object} { horizon, endingBalance, lowestBalance, lowestBalanceDate, lowBalanceDays, firstLowBalanceDate,
+ *   goesNegative, totals: { income, bills, goalContributions, discretionary } }
+ */
+export const summarizeForecast = (forecast, days = forecast?.days?.length || 0) => {
+  const window = (forecast?.days || []).slice(0, days)
+  const lowest = window.reduce((low, day) => !low || day.balance < low.balance ? day : low, null)
+  const lowDays = window.filter(day => day.isLow)
+
+  return {
+    horizon: window.length,
+    endingBalance: window.length > 0 ? window[window.length - 1].balance : forecast?.startingBalance || 0,
+    lowestBalance: lowest ? lowest.balance : forecast?.startingBalance || 0,
+    lowestBalanceDate: lowest ? lowest.date : null,
+    lowBalanceDays: lowDays.map(day => day.date),
+    firstLowBalanceDate: lowDays[0]?.date || null,
+    goesNegative: window.some(day => day.balance < 0),
+    totals: {
+      income: roundCents(window.reduce((sum, day) => sum + day.income, 0)),
+      bills: roundCents(window.reduce((sum, day) => sum + day.bills, 0)),
+      goalContributions: roundCents(window.reduce((sum, day) => sum + day.goalContributions, 0)),
+      discretionary: roundCents(window.reduce((sum, day) => sum + day.discretionary, 0))
+    }
+  }
+}
+
+/**
+ * Project daily balances for the user's spending accounts
+ * Recurring series the user hasn't ignored or cancelled land on their expected dates (overdue ones tomorrow),
+ * goal contributions leave on their scheduled days and weekday averages cover everything else.
+ * @param {Object} params - Forecast inputs
+ * @param {Array} params.accounts - User accounts
+ * @param {Array} params.transactions - User transactions
+ * @param {Array} params.recurringSeries - Detected series with statuses applied
+ * @param {Array} params.goals - User goals
+ * @param {number} params.days - Days to project
+ * @param {string} params.accountId - One account, or ALL_ACCOUNTS
+ * @param {number} params.lowBalanceThreshold - Balances below this are flagged
+ * @param {number} params.startingBalance - Used only when the user has no accounts to forecast
+ * @param {Date} params.now - Reference date
+ * @returns {Object} { startingBalance, accounts, threshold, weekdaySpending, days, horizons, ...summarizeForecast }
+ *   where each day is { date, balance, income, bills, goalContributions, discretionary, items, isLow }
+ */
+export const buildCashFlowForecast = ({
+  accounts = [],
+  transactions = [],
+  recurringSeries = [],
+  goals = [],
+  days = 90,
+  accountId = ALL_ACCOUNTS,
+  lowBalanceThreshold = DEFAULT_LOW_BALANCE_THRESHOLD,
+  startingBalance = 0,
+  now = new Date()
+} = {}) => {
+  const forecastAccounts = getForecastAccounts(accounts, accountId)
+  const accountIds = new Set(forecastAccounts.map(account => account.id))
+  const tracksAccounts = forecastAccounts.length > 0
+  const isForecastAccount = (id) => !tracksAccounts || !id || accountIds.has(resolveTransactionAccountId({ accountId: id }, accounts))
+
+  const today = startOfDay(now)
+  const firstDay = new Date(today.getTime() + DAY_MS)
+  const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days)
+  const dayIndex = (date) => Math.max(0, Math.round((startOfDay(date) - firstDay) / DAY_MS))
+
+  const itemsByDay = Array.from({ length: days }, () => [])
+  const addItem = (date, item) => {
+    const index = dayIndex(date)
+    if (index < days) itemsByDay[index].push(item)
+  }
+
+  const activeSeries = recurringSeries.filter(series => FORECAST_SERIES_STATUSES.includes(series.status))
+  projectUpcomingBills(recurringSeries, { days: days + 1, now: today, statuses: FORECAST_SERIES_STATUSES })
+    .filter(bill => isForecastAccount(bill.accountId))
+    .forEach(bill => addItem(new Date(bill.dueDate), {
+      name: bill.name,
+      amount: roundCents(bill.type === 'income' ? bill.amount : -bill.amount),
+      kind: bill.type === 'income' ? 'income' : 'bill'
+    }))
+
+  goals
+    .filter(goal => !goal.isCompleted && Number(goal.contributionRule?.amount) > 0)
+    // Money moving into a goal's own linked account never leaves the forecast
+    .filter(goal => !goal.linkedAccountId || !accountIds.has(goal.linkedAccountId))
+    .forEach(goal => {
+      const ruleStart = toDate(goal.contributionRule.startDate)
+      const from = ruleStart && ruleStart > firstDay ? ruleStart : firstDay
+      getScheduledContributionDates(goal.contributionRule, from, lastDay).forEach(date => addItem(date, {
+        name: goal.title,
+        amount: -Number(goal.contributionRule.amount),
+        kind: 'goal'
+      }))
+    })
+
+  const recurringIds = new Set(activeSeries.flatMap(series => series.transactionIds || []))
+  // Only spending from the followed accounts; card purchases reach them later as the scheduled card payment
+  const weekdaySpending = calculateWeekdaySpending(
+    tracksAccounts
+      ? transactions.filter(transaction => accountIds.has(resolveTransactionAccountId(transaction, accounts)))
+      : transactions,
+    { now, excludeIds: recurringIds }
+  )
+
+  const openingBalance = tracksAccounts
+    ? forecastAccounts.reduce((sum, account) => sum + (Number(account.balance) || 0), 0)
+    : Number(startingBalance) || 0
+
+  let balance = openingBalance
+  const forecastDays = itemsByDay.map((items, index) => {
+    const date = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + index)
+    const sumOf = (kind) => items.filter(item => item.kind === kind).reduce((sum, item) => sum + item.amount, 0)
+    const income = sumOf('income')
+    const bills = -sumOf('bill')
+    const goalContributions = -sumOf('goal')
+    const discretionary = weekdaySpending[date.getDay()]
+
+    balance = balance + income - bills - goalContributions - discretionary
+    return {
+      date: toDateKey(date),
+      balance: roundCents(balance),
+      income: roundCents(income),
+      bills: roundCents(bills),
+      goalContributions: roundCents(goalContributions),
+      discretionary,
+      items,
+      isLow: balance < lowBalanceThreshold
+    }
+  })
+
+  const forecast = {
+    startingBalance: roundCents(openingBalance),
+    accounts: forecastAccounts.map(account => ({ id: account.id, name: account.name, type: account.type })),
+    threshold: lowBalanceThreshold,
+    weekdaySpending,
+    days: forecastDays
+  }
+
+  return {
+    ...forecast,
+    ...summarizeForecast(forecast),
+    horizons: Object.fromEntries(
+      FORECAST_HORIZONS.filter(horizon => horizon <= days).map(horizon => [horizon, summarizeForecast(forecast, horizon)])
+    )
+  }
+}
@@ -0,0 +1,145 @@
+// Category helpers for RetroVault
+// Built-in defaults plus lookups that work over the merged default + custom category list
+
+import { expandSplitTransactions } from './splitTransactions.js'
+
+/**
+ * Built-in categories, used until the global defaults are loaded from Firestore
+ * (and by backend code that has no user context)
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'default-food', name: 'Food', color: '#FF6B6B', icon: '🍔', parent: null, isDefault: true },
+  { id: 'default-transport', name: 'Transport', color: '#4ECDC4', icon: '🚗', parent: null, isDefault: true },
+  { id: 'default-entertainment', name: 'Entertainment', color: '#45B7D1', icon: '🎬', parent: null, isDefault: true },
+  { id: 'default-shopping', name: 'Shopping', color: '#96CEB4', icon: '🛍️', parent: null, isDefault: true },
+  { id: 'default-bills', name: 'Bills', color: '#FFEAA7', icon: '💡', parent: null, isDefault: true },
+  { id: 'default-healthcare', name: 'Healthcare', color: '#DDA0DD', icon: '🏥', parent: null, isDefault: true },
+  { id: 'default-education', name: 'Education', color: '#98D8C8', icon: '📚', parent: null, isDefault: true },
+  { id: 'default-travel', name: 'Travel', color: '#F7DC6F', icon: '✈️', parent: null, isDefault: true },
+  { id: 'default-other', name: 'Other', color: '#95A5A6', icon: '📦', parent: null, isDefault: true }
+]
+
+const FALLBACK_COLOR = '#95A5A6'
+
+/**
+ * Merge global defaults with a user's custom categories (custom wins on name clashes)
+ * @param {Array} defaults - Global default categories
+ * @param {Array} custom - User custom categories
+ * @returns {Array} Merged category list, parents before their subcategories
+ */
+export const mergeCategories = (defaults = DEFAULT_CATEGORIES, custom = []) => {
+  const byName = new Map()
+  const base = defaults.length > 0 ? defaults : DEFAULT_CATEGORIES
+  ;[...base, ...custom].forEach(category => byName.set(category.name, category))
+
+  const all = [...byName.values()]
+  // Subcategories whose parent no longer exists are shown as top-level rather than hidden
+  const topLevel = all.filter(category => !category.parent || !byName.has(category.parent)).sort((a, b) => {
+    // Keep "Other" last so it reads as the catch-all
+    if (a.name === 'Other') return 1
+    if (b.name === 'Other') return -1
+    return a.name.localeCompare(b.name)
+  })
+
+  return topLevel.flatMap(parent => [
+    parent,
+    ...all.filter(category => category.parent === parent.name).sort((a, b) => a.name.localeCompare(b.name))
+  ])
+}
+
+/**
+ * Find a category by name
+ * @param {string} name - Category name
+ * @param {Array} categories - Category list
+ * @returns {Object|undefined} Category
+ */
+export const findCategory = (name, categories = DEFAULT_CATEGORIES) => {
+  return categories.find(category => category.name === name)
+}
+
+/**
+ * Get the top-level category a (sub)category rolls up into
+ * @param {string} name - Category name
+ * @param {Array} categories - Category list
+ * @returns {string} Top-level category name
+ */
+export const getTopLevelCategory = (name, categories = DEFAULT_CATEGORIES) => {
+  const category = findCategory(name, categories)
+  if (!category) return name || 'Other'
+  return category.parent && findCategory(category.parent, categories) ? category.parent : category.name
+}
+
+/**
+ * Check whether a transaction category belongs to a category (itself or one of its subcategories)
+ * @param {string} transactionCategory - Category on the transaction
+ * @param {string} category - Category being tallied
+ * @param {Array} categories - Category list
+ * @returns {boolean} True when it belongs
+ */
+export const isInCategory = (transactionCategory, category, categories = DEFAULT_CATEGORIES) => {
+  if (transactionCategory === category) return true
+  return findCategory(transactionCategory, categories)?.parent === category
+}
+
+/**
+ * Get display color for a category, inheriting from the parent when unset
+ * @param {string} name - Category name
+ * @param {Array} categories - Category list
+ * @returns {string} Hex color
+ */
+export const getCategoryColor = (name, categories = DEFAULT_CATEGORIES) => {
+  const category = findCategory(name, categories)
+  if (!category) return FALLBACK_COLOR
+  if (category.color) return category.color
+  return category.parent ? getCategoryColor(category.parent, categories) : FALLBACK_COLOR
+}
+
+/**
+ * Get icon for a category, inheriting from the parent when unset
+ * @param {string} name - Category name
+ * @param {Array} categories - Category list
+ * @returns {string} Emoji icon
+ */
+export const getCategoryIcon = (name, categories = DEFAULT_CATEGORIES) => {
+  const category = findCategory(name, categories)
+  if (!category) return '📦'
+  return category.icon || (category.parent ? getCategoryIcon(category.parent, categories) : '📦')
+}
+
+/**
+ * Get top-level category names
+ * @param {Array} categories - Category list
+ * @returns {Array} Category names
+ */
+export const getTopLevelCategoryNames = (categories = DEFAULT_CATEGORIES) => {
+  return categories.filter(category => !category.parent || !findCategory(category.parent, categories)).map(category => category.name)
+}
+
+/**
+ * Calculate spending breakdown by top-level category for charts
+ * Split transactions count each allocation under its own category.
+ * @param {Array} transactions - Transactions
+ * @param {Array} categories - Category list
+ * @returns {Array} [{ name, value, color }] for categories with spending
+ */
+export const calculateCategoryBreakdown = (transactions = [], categories = DEFAULT_CATEGORIES) => {
+  const breakdown = {}
+  getTopLevelCategoryNames(categories).forEach(name => {
+    breakdown[name] = 0
+  })
+
+  expandSplitTransactions(transactions.filter(Boolean)).forEach(transaction => {
+    if (transaction?.type !== 'expense' && transaction?.type !== 'withdrawal') return
+    const topLevel = getTopLevelCategory(transaction.category || 'Other', categories)
+    const bucket = Object.prototype.hasOwnProperty.call(breakdown, topLevel) ? topLevel : 'Other'
+    breakdown[bucket] = (breakdown[bucket] || 0) + Math.abs(Number(transaction.amount) || 0)
+  })
+
+  return Object.entries(breakdown)
+    .map(([name, value]) => ({
+      name,
+      value,
+      color: getCategoryColor(name, categories)
+    }))
+    .filter(item => item.value > 0)
+}
@@ -0,0 +1,96 @@
+// Categorization rules engine for RetroVault
+// Pure matching logic shared by the client (imports, manual entry) and the Nessie sync backend
+
+/**
+ * Text fields a rule pattern can be matched against
+ */
+export const RULE_FIELDS = [
+  { value: 'either', label: 'Description or Merchant' },
+  { value: 'description', label: 'Description' },
+  { value: 'merchant', label: 'Merchant' }
+]
+
+/**
+ * How a rule pattern is compared to the text field
+ */
+export const RULE_MATCH_TYPES = [
+  { value: 'contains', label: 'Contains' },
+  { value: 'regex', label: 'Regex' }
+]
+
+/**
+ * Build a case-insensitive RegExp, returning null for invalid patterns
+ * @param {string} pattern - Regex source
+ * @returns {RegExp|null} Compiled regex
+ */
+export const compileRulePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check whether a transaction satisfies every condition of a rule
+ * @param {Object} transaction - Transaction (description, merchant, amount, accountId, type)
+ * @param {Object} rule - Rule with conditions
+ * @returns {boolean} True if the rule matches
+ */
+export const matchesRule = (transaction, rule) => {
+  const conditions = rule.conditions || {}
+  const amount = Math.abs(Number(transaction.amount) || 0)
+
+  if (conditions.type && transaction.type !== conditions.type) return false
+  if (conditions.accountId && transaction.accountId !== conditions.accountId) return false
+  if (conditions.minAmount !== null && conditions.minAmount !== undefined && amount < conditions.minAmount) return false
+  if (conditions.maxAmount !== null && conditions.maxAmount !== undefined && amount > conditions.maxAmount) return false
+
+  if (!conditions.pattern) return true
+
+  const field = conditions.field || 'either'
+  const texts = field === 'either'
+    ? [transaction.description, transaction.merchant]
+    : [transaction[field]]
+  const candidates = texts.filter(Boolean).map(String)
+
+  if (conditions.matchType === 'regex') {
+    const regex = compileRulePattern(conditions.pattern)
+    return regex ? candidates.some(text => regex.test(text)) : false
+  }
+
+  const needle = conditions.pattern.toLowerCase()
+  return candidates.some(text => text.toLowerCase().includes(needle))
+}
+
+/**
+ * Order rules by priority (lowest first), ignoring inactive ones
+ * @param {Array} rules - Categorization rules
+ * @returns {Array} Active rules in evaluation order
+ */
+export const sortRules = (rules = []) => {
+  return rules
+    .filter(rule => rule.isActive !== false)
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+}
+
+/**
+ * Apply the first matching rule to a transaction
+ * @param {Object} transaction - Transaction to categorize
+ * @param {Array} rules - Categorization rules
+ * @param {Object} options - { keepCategory } keeps the existing category and only adds tags
+ * @returns {Object} Transaction with category/tags applied and matchedRuleId set when a rule matched
+ */
+export const applyCategorizationRules = (transaction, rules = [], { keepCategory = false } = {}) => {
+  const rule = sortRules(rules).find(candidate => matchesRule(transaction, candidate))
+  if (!rule) return transaction
+
+  const tags = [...new Set([...(transaction.tags || []), ...(rule.actions?.tags || [])])]
+
+  return {
+    ...transaction,
+    category: keepCategory || !rule.actions?.category ? transaction.category : rule.actions.category,
+    tags,
+    matchedRuleId: rule.id || null
+  }
+}
@@ -0,0 +1,217 @@
+// CSV statement import helpers for RetroVault
+// Parses bank CSV exports and maps their columns onto our transaction shape
+
+import { validateTransaction } from '../api/unifiedFirestoreService'
+import { categorizeTransaction } from '../api/nessieService'
+
+/**
+ * Transaction fields a CSV column can be mapped to
+ */
+export const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'amount', label: 'Amount', required: true },
+  { key: 'type', label: 'Type', required: false },
+  { key: 'category', label: 'Category', required: false }
+]
+
+/**
+ * Date formats understood by the importer
+ */
+export const IMPORT_DATE_FORMATS = [
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD (ISO)' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY (US)' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY (EU)' }
+]
+
+const HEADER_HINTS = {
+  date: ['date', 'posted', 'transaction date', 'posting date', 'booking date'],
+  description: ['description', 'memo', 'details', 'payee', 'narrative', 'name'],
+  amount: ['amount', 'value', 'debit/credit', 'transaction amount'],
+  type: ['type', 'transaction type', 'dr/cr', 'credit/debit'],
+  category: ['category']
+}
+
+const INCOME_TYPES = ['income', 'credit', 'cr', 'deposit', 'c']
+const EXPENSE_TYPES = ['expense', 'debit', 'dr', 'withdrawal', 'd', 'payment']
+
+/**
+ * Detect the delimiter used by a CSV file from its first line
+ * @param {string} text - Raw CSV text
+ * @returns {string} Delimiter character
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || ''
+  const candidates = [',', ';', '\t']
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  , ',')
+}
+
+/**
+ * Parse CSV text into headers and rows (RFC 4180 quoting)
+ * @param {string} text - Raw CSV text
+ * @returns {Object} { headers, rows }
+ */
+export const parseCSV = (text) => {
+  const source = (text || '').replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(source)
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field.trim())
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      record.push(field.trim())
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field.trim())
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value !== ''))
+  const [headers = [], ...rows] = nonEmpty
+
+  return { headers, rows }
+}
+
+/**
+ * Guess a column mapping from CSV headers
+ * @param {Array} headers - CSV header names
+ * @returns {Object} Mapping of transaction field to header name
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(header => header.toLowerCase().trim())
+  const mapping = {}
+
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const hints = HEADER_HINTS[key]
+    const exact = normalized.findIndex(header => hints.includes(header))
+    const partial = normalized.findIndex(header => hints.some(hint => header.includes(hint)))
+    const index = exact !== -1 ? exact : partial
+    mapping[key] = index !== -1 ? headers[index] : ''
+  })
+
+  return mapping
+}
+
+/**
+ * Parse an amount cell such as "$1,234.56", "-12.00" or "(12.00)"
+ * @param {string} value - Raw cell value
+ * @returns {number} Signed amount, NaN when unparseable
+ */
+export const parseCsvAmount = (value) => {
+  if (value === undefined || value === null) return NaN
+  let cleaned = String(value).trim()
+  const isParenthesized = /^\(.*\)$/.test(cleaned)
+  cleaned = cleaned.replace(/[()$€£¥\s,]/g, '')
+  if (cleaned === '') return NaN
+
+  const amount = Number(cleaned)
+  return isParenthesized ? -Math.abs(amount) : amount
+}
+
+/**
+ * Parse a date cell in the given format into an ISO string
+ * @param {string} value - Raw cell value
+ * @param {string} dateFormat - One of IMPORT_DATE_FORMATS
+ * @returns {string|null} ISO date string or null when invalid
+ */
+export const parseCsvDate = (value, dateFormat = 'YYYY-MM-DD') => {
+  if (!value) return null
+  const parts = String(value).trim().split(/[T\s]/)[0].split(/[-/.]/).map(Number)
+  if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) return null
+
+  let year, month, day
+  if (dateFormat === 'MM/DD/YYYY') {
+    [month, day, year] = parts
+  } else if (dateFormat === 'DD/MM/YYYY') {
+    [day, month, year] = parts
+  } else {
+    [year, month, day] = parts
+  }
+  if (year < 100) year += 2000
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null
+  }
+  return date.toISOString()
+}
+
+/**
+ * Resolve the transaction type from a type cell, falling back to the amount sign
+ * @param {string} value - Raw type cell value
+ * @param {number} amount - Signed amount
+ * @returns {string} 'income' or 'expense'
+ */
+const resolveType = (value, amount) => {
+  const normalized = (value || '').toLowerCase().trim()
+  if (INCOME_TYPES.includes(normalized)) return 'income'
+  if (EXPENSE_TYPES.includes(normalized)) return 'expense'
+  return amount < 0 ? 'expense' : 'income'
+}
+
+/**
+ * Map parsed CSV rows onto transactions and validate each one
+ * @param {Object} parsed - Result of parseCSV
+ * @param {Object} mapping - Field to header name mapping
+ * @param {Object} options - { dateFormat }
+ * @returns {Array} Preview rows { rowNumber, transaction, errors }
+ */
+export const mapCsvRows = (parsed, mapping, { dateFormat = 'YYYY-MM-DD' } = {}) => {
+  const columnIndex = (key) => mapping[key] ? parsed.headers.indexOf(mapping[key]) : -1
+  const cell = (row, key) => {
+    const index = columnIndex(key)
+    return index === -1 ? '' : (row[index] || '')
+  }
+
+  return parsed.rows.map((row, index) => {
+    const signedAmount = parseCsvAmount(cell(row, 'amount'))
+    const description = cell(row, 'description')
+    const transaction = {
+      date: parseCsvDate(cell(row, 'date'), dateFormat),
+      description,
+      amount: isNaN(signedAmount) ? 0 : Math.abs(signedAmount),
+      type: resolveType(cell(row, 'type'), signedAmount),
+      category: cell(row, 'category') || (description ? categorizeTransaction(description) : ''),
+      merchant: description
+    }
+
+    const validation = validateTransaction(transaction)
+    const errors = [...validation.errors]
+    if (cell(row, 'date') && !transaction.date) {
+      errors.unshift(`Unrecognized date "${cell(row, 'date')}"`)
+    }
+
+    return { rowNumber: index + 2, transaction, errors }
+  })
+}
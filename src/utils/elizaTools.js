@@ -0,0 +1,585 @@
+// Eliza tool helpers for RetroVault
+// Tools Eliza's model can call to look things up in the user's data instead of guessing from a summary,
+// plus action tools that only propose a budget, goal or transaction for the user to confirm;
+// every tool runs in the browser over data already loaded and none of them writes anything
+
+import { DEFAULT_CATEGORIES, isInCategory } from './categories'
+import { expandSplitTransactions } from './splitTransactions'
+import { excludeTransfers } from './transfers'
+import { calculateEnvelope, getBudgetPeriodRange, BUDGET_PERIODS } from './budgets'
+import { calculateLinkedGoalAmount, projectGoalCompletion } from './goals'
+import { FINANCIAL_SCENARIOS, calculateAdvancedProjections } from '../api/timeMachineService'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Most transactions one search returns to the model
+const MAX_SEARCH_RESULTS = 50
+
+// Monthly savings for projections are averaged over this many recent days
+const SAVINGS_LOOKBACK_DAYS = 180
+
+// Goal choices offered by the Goals tool
+const GOAL_CATEGORIES = ['Savings', 'Emergency Fund', 'Vacation', 'Education', 'Home', 'Car', 'Investment', 'Debt Payoff', 'Other']
+const GOAL_PRIORITIES = ['Low', 'Medium', 'High']
+
+const DATE_PARAMETERS = {
+  startDate: { type: 'string', description: 'First day to include, YYYY-MM-DD' },
+  endDate: { type: 'string', description: 'Last day to include, YYYY-MM-DD' }
+}
+
+/**
+ * Tool definitions in the shape runAIToolChat expects (parameters are JSON schema)
+ */
+export const ELIZA_TOOLS = [
+  {
+    name: 'search_transactions',
+    label: 'Search transactions',
+    description: 'Find transactions by date range, category and/or merchant text. Returns the matches (newest first) and their total.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...DATE_PARAMETERS,
+        category: { type: 'string', description: 'Category name, e.g. Food (includes its subcategories)' },
+        merchant: { type: 'string', description: 'Text to look for in the description or merchant, e.g. coffee' },
+        type: { type: 'string', enum: ['expense', 'income'], description: 'Only expenses or only income' },
+        limit: { type: 'integer', description: `Most transactions to list (up to ${MAX_SEARCH_RESULTS})` }
+      }
+    }
+  },
+  {
+    name: 'category_totals',
+    label: 'Category totals',
+    description: 'Total spending (or income) per category over a date range, largest first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...DATE_PARAMETERS,
+        type: { type: 'string', enum: ['expense', 'income'], description: 'Defaults to expense' }
+      }
+    }
+  },
+  {
+    name: 'budget_status',
+    label: 'Budget status',
+    description: 'Assigned, spent and available amounts for the current period of each budget.',
+    parameters: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', description: 'Only the budget for this category' }
+      }
+    }
+  },
+  {
+    name: 'goal_status',
+    label: 'Goal status',
+    description: 'Progress, pace and projected completion date of the user\'s savings and debt goals.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Only goals whose title contains this text' }
+      }
+    }
+  },
+  {
+    name: 'time_machine_projection',
+    label: 'Time Machine projection',
+    description: 'Project the balance forward with compound growth. Defaults to the current balance and average monthly savings of the last 6 months.',
+    parameters: {
+      type: 'object',
+      properties: {
+        years: { type: 'integer', description: 'Years to project (1-50)' },
+        scenario: { type: 'string', enum: Object.keys(FINANCIAL_SCENARIOS), description: 'Return and inflation assumptions' },
+        monthlyContribution: { type: 'number', description: 'Monthly savings to use instead of the recent average' },
+        startingBalance: { type: 'number', description: 'Balance to start from instead of the current one' }
+      }
+    }
+  }
+]
+
+/**
+ * Action tools: each returns a proposal the chat shows for confirmation, nothing is saved by the tool itself
+ */
+export const ELIZA_ACTION_TOOLS = [
+  {
+    name: 'propose_budget',
+    label: 'Propose budget',
+    description: 'Propose creating a budget for a category, or changing the amount of its existing budget. The user must confirm before anything is saved.',
+    parameters: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', description: 'Category name, e.g. Food' },
+        amount: { type: 'number', description: 'Amount per period in dollars' },
+        period: { type: 'string', enum: Object.keys(BUDGET_PERIODS), description: 'Defaults to monthly' }
+      },
+      required: ['category', 'amount']
+    }
+  },
+  {
+    name: 'propose_goal',
+    label: 'Propose goal',
+    description: 'Propose a new savings goal. The user must confirm before anything is saved.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short goal name, e.g. Emergency fund' },
+        targetAmount: { type: 'number', description: 'Amount to save in dollars' },
+        targetDate: { type: 'string', description: 'Date to reach the goal by, YYYY-MM-DD, in the future' },
+        currentAmount: { type: 'number', description: 'Amount already saved, defaults to 0' },
+        category: { type: 'string', enum: GOAL_CATEGORIES, description: 'Defaults to Savings' },
+        priority: { type: 'string', enum: GOAL_PRIORITIES, description: 'Defaults to Medium' }
+      },
+      required: ['title', 'targetAmount', 'targetDate']
+    }
+  },
+  {
+    name: 'propose_transaction',
+    label: 'Propose transaction',
+    description: 'Propose logging a manual transaction, e.g. a cash purchase. The user must confirm before anything is saved.',
+    parameters: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', description: 'What it was, e.g. Lunch' },
+        amount: { type: 'number', description: 'Amount in dollars, always positive' },
+        type: { type: 'string', enum: ['expense', 'income'], description: 'Defaults to expense' },
+        category: { type: 'string', description: 'Category name, defaults to Other' },
+        date: { type: 'string', description: 'YYYY-MM-DD, defaults to today' },
+        account: { type: 'string', description: 'Account name, defaults to the first account' }
+      },
+      required: ['description', 'amount']
+    }
+  }
+]
+
+const roundCents = (value) => Math.round(value * 100) / 100
+
+const formatMoney = (value) => {
+  return `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Local-time date from a YYYY-MM-DD argument
+ */
+const parseDateKey = (value) => {
+  const [year, month, day] = String(value || '').split('-').map(Number)
+  return year && month ? new Date(year, month - 1, day || 1) : null
+}
+
+/**
+ * Local-time date range from YYYY-MM-DD arguments, end inclusive
+ */
+const parseRange = ({ startDate, endDate } = {}) => {
+  const start = parseDateKey(startDate)
+  const lastDay = parseDateKey(endDate)
+  return {
+    start,
+    end: lastDay ? new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1) : null
+  }
+}
+
+const isInRange = (transaction, { start, end }) => {
+  const date = new Date(transaction.date)
+  if (isNaN(date.getTime())) return false
+  return (!start || date >= start) && (!end || date < end)
+}
+
+/**
+ * The user's own spelling of a category name, matched case-insensitively
+ */
+const resolveCategoryName = (name, categories) => {
+  const wanted = String(name || '').trim().toLowerCase()
+  if (!wanted) return null
+  return categories.find(category => category.name.toLowerCase() === wanted)?.name || name
+}
+
+const summarizeTransaction = (transaction) => ({
+  date: toDateKey(new Date(transaction.date)),
+  description: transaction.description || transaction.merchant || '',
+  category: transaction.category || 'Other',
+  type: transaction.type,
+  amount: roundCents(Math.abs(Number(transaction.amount) || 0))
+})
+
+/**
+ * Average monthly income minus spending over the recent past
+ */
+const calculateRecentMonthlySavings = (transactions, now) => {
+  const since = new Date(now.getTime() - SAVINGS_LOOKBACK_DAYS * DAY_MS)
+  const net = excludeTransfers(transactions)
+    .filter(transaction => isInRange(transaction, { start: since, end: now }))
+    .reduce((sum, transaction) => {
+      const amount = Math.abs(Number(transaction.amount) || 0)
+      return transaction.type === 'income' || transaction.type === 'deposit' ? sum + amount : sum - amount
+    }, 0)
+  return roundCents(net / (SAVINGS_LOOKBACK_DAYS / 30.44))
+}
+
+/**
+ * Bind the tools to the user's data
+ * @param {Object} data - { transactions, categories, budgets, goals, accounts, balance, now }
+ * @returns {Function} (name, args) => result; throws for unknown tools
+ */
+export const createElizaToolRunner = ({
+  transactions = [],
+  categories = DEFAULT_CATEGORIES,
+  budgets = [],
+  goals = [],
+  accounts = [],
+  balance = 0,
+  now = new Date()
+} = {}) => {
+  // Split allocations count in their own categories; moves between the user's accounts aren't spending
+  const entries = expandSplitTransactions(excludeTransfers(transactions))
+
+  const tools = {
+    search_transactions: (args) => {
+      const range = parseRange(args)
+      const category = resolveCategoryName(args.category, categories)
+      const merchant = String(args.merchant || '').trim().toLowerCase()
+      const limit = Math.min(MAX_SEARCH_RESULTS, Math.max(1, Number(args.limit) || 20))
+
+      const matches = entries
+        .filter(transaction => isInRange(transaction, range))
+        .filter(transaction => !args.type || (args.type === 'income'
+          ? transaction.type === 'income' || transaction.type === 'deposit'
+          : transaction.type === 'expense' || transaction.type === 'withdrawal'))
+        .filter(transaction => !category || isInCategory(transaction.category, category, categories))
+        .filter(transaction => !merchant || `${transaction.description || ''} ${transaction.merchant || ''}`.toLowerCase().includes(merchant))
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+
+      return {
+        count: matches.length,
+        total: roundCents(matches.reduce((sum, transaction) => sum + Math.abs(Number(transaction.amount) || 0), 0)),
+        transactions: matches.slice(0, limit).map(summarizeTransaction),
+        truncated: matches.length > limit
+      }
+    },
+
+    category_totals: (args) => {
+      const range = parseRange(args)
+      const wantIncome = args.type === 'income'
+      const totals = {}
+      entries
+        .filter(transaction => isInRange(transaction, range))
+        .filter(transaction => wantIncome
+          ? transaction.type === 'income' || transaction.type === 'deposit'
+          : transaction.type === 'expense' || transaction.type === 'withdrawal')
+        .forEach(transaction => {
+          const name = transaction.category || 'Other'
+          totals[name] = totals[name] || { category: name, total: 0, count: 0 }
+          totals[name].total += Math.abs(Number(transaction.amount) || 0)
+          totals[name].count++
+        })
+
+      const rows = Object.values(totals)
+        .map(row => ({ ...row, total: roundCents(row.total) }))
+        .sort((a, b) => b.total - a.total)
+      return {
+        type: wantIncome ? 'income' : 'expense',
+        total: roundCents(rows.reduce((sum, row) => sum + row.total, 0)),
+        categories: rows
+      }
+    },
+
+    budget_status: (args) => {
+      const category = resolveCategoryName(args.category, categories)
+      const matching = budgets.filter(budget => !category || budget.category === category)
+      return {
+        budgets: matching.map(budget => {
+          const envelope = calculateEnvelope(budget, transactions, categories, getBudgetPeriodRange(budget, now))
+          return {
+            category: budget.category,
+            period: BUDGET_PERIODS[envelope.period]?.label || envelope.period,
+            periodLabel: envelope.label,
+            assigned: roundCents(envelope.assigned),
+            carriedOver: roundCents(envelope.carriedOver),
+            spent: roundCents(envelope.spent),
+            available: roundCents(envelope.available),
+            percentUsed: envelope.assigned + envelope.carriedOver > 0
+              ? Math.round((envelope.spent / (envelope.assigned + envelope.carriedOver)) * 100)
+              : null
+          }
+        })
+      }
+    },
+
+    goal_status: (args) => {
+      const title = String(args.title || '').trim().toLowerCase()
+      return {
+        goals: goals
+          .filter(goal => !title || String(goal.title || '').toLowerCase().includes(title))
+          .map(goal => {
+            const linkedAmount = calculateLinkedGoalAmount(goal, transactions, accounts)
+            const current = linkedAmount ?? (Number(goal.currentAmount) || 0)
+            const target = Number(goal.targetAmount) || 0
+            const projection = projectGoalCompletion({ ...goal, currentAmount: current }, transactions, accounts, { now })
+            return {
+              title: goal.title,
+              type: goal.debt ? 'debt payoff' : 'savings',
+              targetAmount: target,
+              currentAmount: current,
+              remaining: roundCents(Math.max(0, target - current)),
+              progressPercent: target > 0 ? Math.round((current / target) * 1000) / 10 : 0,
+              targetDate: goal.targetDate || null,
+              status: projection.status,
+              monthlyPace: projection.monthlyPace,
+              projectedDate: projection.projectedDate ? projection.projectedDate.split('T')[0] : null
+            }
+          })
+      }
+    },
+
+    time_machine_projection: (args) => {
+      const years = Math.min(50, Math.max(1, Math.round(Number(args.years) || 10)))
+      const scenarioKey = FINANCIAL_SCENARIOS[args.scenario] ? args.scenario : 'MODERATE'
+      const scenario = FINANCIAL_SCENARIOS[scenarioKey]
+      const startingBalance = Number.isFinite(Number(args.startingBalance)) && args.startingBalance !== undefined
+        ? Number(args.startingBalance)
+        : balance
+      const monthlyContribution = Number.isFinite(Number(args.monthlyContribution)) && args.monthlyContribution !== undefined
+        ? Number(args.monthlyContribution)
+        : calculateRecentMonthlySavings(transactions, now)
+
+      const { projections, summary } = calculateAdvancedProjections(startingBalance, monthlyContribution, scenario.annualReturn, years, scenario.inflation)
+      // One point per year keeps the result small
+      const yearly = projections
+        .filter(point => point.month > 0 && point.month % 12 === 0)
+        .map(point => ({ year: point.month / 12, balance: point.balance }))
+
+      return {
+        scenario: scenario.name,
+        annualReturnPercent: roundCents(scenario.annualReturn * 100),
+        inflationPercent: roundCents(scenario.inflation * 100),
+        startingBalance,
+        monthlyContribution,
+        years,
+        finalBalance: summary.finalBalance,
+        finalRealValue: summary.finalRealValue,
+        totalContributions: summary.totalContributions,
+        totalInterest: summary.totalInterest,
+        yearly
+      }
+    }
+  }
+
+  const requireAmount = (value, field) => {
+    const amount = roundCents(Math.abs(Number(value)))
+    if (!amount) throw new Error(`${field} must be a positive number`)
+    return amount
+  }
+
+  // Proposals carry everything needed to save and later undo them; the chat saves them only once confirmed
+  const propose = (action) => ({
+    status: 'awaiting_confirmation',
+    summary: describeElizaAction(action),
+    action
+  })
+
+  const actions = {
+    propose_budget: (args) => {
+      const category = resolveCategoryName(args.category, categories)
+      if (!category) throw new Error('category is required')
+      const amount = requireAmount(args.amount, 'amount')
+      const period = BUDGET_PERIODS[args.period] ? args.period : 'monthly'
+      const existing = budgets.find(budget => budget.category === category)
+      const samePeriod = existing && (existing.period || 'monthly') === period
+      const range = getBudgetPeriodRange(samePeriod ? existing : { period }, now)
+
+      if (existing) {
+        return propose({
+          kind: 'budget',
+          budgetId: existing.id,
+          category,
+          period,
+          periodKey: range.key,
+          previousAmount: Number(existing.amount) || 0,
+          // A changed period starts a fresh allocation history, as it does in the Budget tool
+          data: {
+            amount,
+            period,
+            anchorDate: samePeriod ? existing.anchorDate || null : null,
+            allocations: { ...(samePeriod ? existing.allocations || {} : {}), [range.key]: amount }
+          },
+          previous: {
+            amount: existing.amount,
+            period: existing.period || 'monthly',
+            anchorDate: existing.anchorDate || null,
+            allocations: existing.allocations || {}
+          }
+        })
+      }
+
+      return propose({
+        kind: 'budget',
+        budgetId: null,
+        category,
+        period,
+        periodKey: range.key,
+        data: { category, amount, period, allocations: { [range.key]: amount }, rollover: false, isActive: true }
+      })
+    },
+
+    propose_goal: (args) => {
+      const title = String(args.title || '').trim()
+      if (!title) throw new Error('title is required')
+      const targetAmount = requireAmount(args.targetAmount, 'targetAmount')
+      const targetDate = parseDateKey(args.targetDate)
+      if (!targetDate || targetDate <= now) throw new Error('targetDate must be a future date, YYYY-MM-DD')
+
+      return propose({
+        kind: 'goal',
+        data: {
+          title,
+          targetAmount,
+          currentAmount: roundCents(Math.max(0, Number(args.currentAmount) || 0)),
+          targetDate: new Date(toDateKey(targetDate)).toISOString(),
+          category: GOAL_CATEGORIES.includes(args.category) ? args.category : 'Savings',
+          priority: GOAL_PRIORITIES.includes(args.priority) ? args.priority : 'Medium',
+          isCompleted: false
+        }
+      })
+    },
+
+    propose_transaction: (args) => {
+      const description = String(args.description || '').trim()
+      if (!description) throw new Error('description is required')
+      const amount = requireAmount(args.amount, 'amount')
+      const date = args.date ? parseDateKey(args.date) : now
+      if (!date || isNaN(date.getTime())) throw new Error('date must be YYYY-MM-DD')
+      const wantedAccount = String(args.account || '').trim().toLowerCase()
+      const account = (wantedAccount && accounts.find(item => String(item.name || '').toLowerCase().includes(wantedAccount))) || accounts[0]
+      const category = resolveCategoryName(args.category, categories)
+
+      return propose({
+        kind: 'transaction',
+        accountName: account?.name || null,
+        data: {
+          accountId: account?.id || 'default',
+          amount,
+          type: args.type === 'income' ? 'income' : 'expense',
+          category: categories.some(item => item.name === category) ? category : 'Other',
+          description,
+          merchant: description,
+          // Dates are stored the way the Expenses and Goals tools store a picked day
+          date: new Date(toDateKey(date)).toISOString(),
+          tags: []
+        }
+      })
+    }
+  }
+
+  return async (name, args = {}) => {
+    if (actions[name]) return actions[name](args || {})
+    const tool = tools[name]
+    if (!tool) throw new Error(`Unknown tool: ${name}`)
+    return tool(args || {})
+  }
+}
+
+/**
+ * Short human-readable form of a tool call for the chat transcript
+ * @param {Object} call - { name, arguments }
+ * @returns {string} e.g. Search transactions (merchant: coffee, startDate: 2025-03-01)
+ */
+export const describeToolCall = (call) => {
+  const label = [...ELIZA_TOOLS, ...ELIZA_ACTION_TOOLS].find(tool => tool.name === call.name)?.label || call.name
+  const args = Object.entries(call.arguments || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+  return args.length > 0 ? `${label} (${args.join(', ')})` : label
+}
+
+/**
+ * One-line description of a proposed action for the confirmation dialog
+ * @param {Object} action - Action from a propose_* tool result
+ * @returns {string} e.g. Set a Monthly Food budget of $400.00
+ */
+export const describeElizaAction = (action) => {
+  const { data } = action
+  switch (action.kind) {
+    case 'budget': {
+      const period = BUDGET_PERIODS[action.period]?.label || action.period
+      return action.budgetId
+        ? `Change the ${action.category} budget from ${formatMoney(action.previousAmount)} to ${formatMoney(data.amount)} (${period})`
+        : `Set a ${period} ${action.category} budget of ${formatMoney(data.amount)}`
+    }
+    case 'goal':
+      return `Create the goal "${data.title}": save ${formatMoney(data.targetAmount)} by ${data.targetDate.split('T')[0]}`
+    case 'transaction':
+      return `Log ${data.type === 'income' ? 'income' : 'an expense'} of ${formatMoney(data.amount)} for ${data.description} (${data.category}) on ${data.date.split('T')[0]}${action.accountName ? ` ${data.type === 'income' ? 'to' : 'from'} ${action.accountName}` : ''}`
+    default:
+      return 'Unknown action'
+  }
+}
+
+/**
+ * Actions awaiting confirmation among a reply's tool calls
+ * @param {Array} toolCalls - [{ name, arguments, result }]
+ * @returns {Array} Actions
+ */
+export const getProposedActions = (toolCalls = []) => {
+  return toolCalls
+    .filter(call => call.result?.status === 'awaiting_confirmation' && call.result.action)
+    .map(call => call.result.action)
+}
+
+// $ amounts as the user typed them, e.g. $12.50 or $1.2k
+const TYPED_AMOUNT_PATTERN = /\$\s?([\d,]+(?:\.\d+)?)(k|K)?/g
+
+/**
+ * Dollar amounts in the user's own message
+ * At stricter privacy levels the model only sees them rounded or as ranges, so the chat uses these to
+ * put the exact figure back into a proposed action before the user confirms it
+ * @param {string} text - User message
+ * @returns {Array<number>} Amounts in the order they appear
+ */
+export const findTypedAmounts = (text = '') => {
+  return [...String(text).matchAll(TYPED_AMOUNT_PATTERN)]
+    .map(([, digits, thousands]) => roundCents(parseFloat(digits.replace(/,/g, '')) * (thousands ? 1000 : 1)))
+    .filter(amount => amount > 0)
+}
+
+/**
+ * The amount a proposed action would save
+ * @param {Object} action - Proposed action
+ * @returns {number} Budget amount, goal target or transaction amount
+ */
+export const getActionAmount = (action) => {
+  return action.kind === 'goal' ? action.data.targetAmount : action.data.amount
+}
+
+/**
+ * Copy of a proposed action with a different amount
+ * @param {Object} action - Proposed action
+ * @param {number} amount - New amount
+ * @returns {Object} Updated action
+ */
+export const withActionAmount = (action, amount) => {
+  const value = roundCents(Math.abs(Number(amount) || 0))
+  if (action.kind === 'goal') return { ...action, data: { ...action.data, targetAmount: value } }
+  if (action.kind === 'budget') {
+    return {
+      ...action,
+      data: { ...action.data, amount: value, allocations: { ...action.data.allocations, [action.periodKey]: value } }
+    }
+  }
+  return { ...action, data: { ...action.data, amount: value } }
+}
+
+/**
+ * Put the exact amount the user typed back into a proposal built from a coarsened prompt
+ * Picks the typed amount nearest the proposed one, so "$12.50" replaces a proposed 13 or 10.
+ * @param {Object} action - Proposed action
+ * @param {string} userMessage - Message the proposal answers
+ * @returns {Object} Action, with amountFromMessage set when its amount was replaced
+ */
+export const restoreTypedAmount = (action, userMessage) => {
+  const typed = findTypedAmounts(userMessage)
+  const proposed = getActionAmount(action)
+  if (typed.length === 0 || typed.includes(proposed)) return action
+  const nearest = typed.reduce((best, amount) => Math.abs(amount - proposed) < Math.abs(best - proposed) ? amount : best)
+  return { ...withActionAmount(action, nearest), amountFromMessage: true }
+}
@@ -3,13 +3,19 @@
  * Pre-processes all financial data to provide rich context to the LLM
  */
 
+import { expandSplitTransactions } from './splitTransactions'
+import { detectRecurringSeries } from './recurringDetection'
+import { excludeTransfers } from './transfers'
+import { calculateEnvelope, prorateAmount, BUDGET_PERIODS } from './budgets'
+import { DEFAULT_CATEGORIES } from './categories'
+
 /**
  * Calculate comprehensive financial statistics
  */
 export const calculateFinancialInsights = async (financialData) => {
   if (!financialData) return null
 
-  const transactions = financialData.transactions || []
+  const transactions = excludeTransfers(financialData.transactions || [])
   const savings = financialData.savings || []
   const spendingBreakdown = financialData.spendingBreakdown || []
   const weeklyBalance = financialData.weeklyBalance || []
@@ -111,7 +117,7 @@ export const calculateFinancialInsights = async (financialData) => {
 /**
  * Analyze spending patterns and categories
  */
-const analyzeSpendingPatterns = (transactions) => {
+export const analyzeSpendingPatterns = (transactions) => {
   const expenses = transactions.filter(t => t.type === 'expense')
   
   if (expenses.length === 0) {
@@ -129,7 +135,7 @@ const analyzeSpendingPatterns = (transactions) => {
   const categoryTotals = {}
   const categoryCounts = {}
   
-  expenses.forEach(transaction => {
+  expandSplitTransactions(expenses).forEach(transaction => {
     const category = transaction.category || 'Other'
     categoryTotals[category] = (categoryTotals[category] || 0) + transaction.amount
     categoryCounts[category] = (categoryCounts[category] || 0) + 1
@@ -295,17 +301,10 @@ const analyzeBudgetPerformance = async (financialData) => {
       }
     }
 
-    // Calculate spending by category
     const transactions = financialData.transactions || []
-    const categorySpending = {}
-    
-    transactions
-      .filter(t => t.type === 'expense')
-      .forEach(t => {
-        categorySpending[t.category] = (categorySpending[t.category] || 0) + t.amount
-      })
+    const categories = financialData.categories || DEFAULT_CATEGORIES
 
-    // Analyze budget performance
+    // Analyze budget performance; each budget is measured over its own current period
     const overspentCategories = []
     const underspentCategories = []
     let totalBudget = 0
@@ -313,16 +312,21 @@ const analyzeBudgetPerformance = async (financialData) => {
     let budgetPerformance = 'Good'
 
     userBudgets.forEach(budget => {
-      const spent = categorySpending[budget.category] || 0
-      const budgetAmount = budget.amount
+      const period = BUDGET_PERIODS[budget.period] ? budget.period : 'monthly'
+      const envelope = calculateEnvelope(budget, transactions, categories)
+      const spent = envelope.spent
+      const budgetAmount = envelope.assigned + envelope.carriedOver
       const percentage = budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0
       
-      totalBudget += budgetAmount
-      totalSpent += spent
+      // Totals are prorated to a monthly basis so weekly and annual budgets weigh fairly
+      totalBudget += prorateAmount(budgetAmount, period, 'monthly')
+      totalSpent += prorateAmount(spent, period, 'monthly')
       
       if (percentage > 100) {
         overspentCategories.push({
           category: budget.category,
+          period,
+          periodLabel: envelope.label,
           budget: budgetAmount,
           spent: spent,
           overage: spent - budgetAmount,
@@ -331,6 +335,8 @@ const analyzeBudgetPerformance = async (financialData) => {
       } else if (percentage < 50) {
         underspentCategories.push({
           category: budget.category,
+          period,
+          periodLabel: envelope.label,
           budget: budgetAmount,
           spent: spent,
           remaining: budgetAmount - spent,
@@ -515,7 +521,14 @@ const analyzeTransactionPatterns = (transactions) => {
     averageTransactionSize,
     transactionFrequency: transactions.length > 30 ? 'high' : transactions.length > 10 ? 'medium' : 'low',
     dayDistribution: dayCounts,
-    timeDistribution: timeCounts
+    timeDistribution: timeCounts,
+    recurringSeries: detectRecurringSeries(transactions).map(series => ({
+      name: series.name,
+      interval: series.interval,
+      averageAmount: series.averageAmount,
+      nextExpectedDate: series.nextExpectedDate,
+      priceChanged: series.priceChanged
+    }))
   }
 }
 
@@ -644,6 +657,49 @@ const generateFinancialRecommendations = (data) => {
   return recommendations
 }
 
+const formatForecastAccounts = (forecast) => {
+  return forecast?.accounts?.length > 0 ? forecast.accounts.map(account => account.name).join(', ') : 'overall balance'
+}
+
+/**
+ * Summarize the 30/60/90-day cash-flow forecast, low-balance days and the next scheduled items
+ */
+const formatCashFlowForecast = (forecast) => {
+  if (!forecast?.days?.length) return '- Not available'
+
+  const horizons = Object.values(forecast.horizons || {}).map(horizon =>
+    `- Next ${horizon.horizon} days: ends at $${horizon.endingBalance.toLocaleString()}, lowest $${horizon.lowestBalance.toLocaleString()} on ${horizon.lowestBalanceDate}` +
+    (horizon.lowBalanceDays.length > 0 ? `, ${horizon.lowBalanceDays.length} day(s) below $${forecast.threshold}${horizon.goesNegative ? ' (goes negative)' : ''}` : '')
+  )
+  const upcoming = forecast.days
+    .filter(day => day.items.length > 0)
+    .slice(0, 5)
+    .map(day => `- ${day.date}: ${day.items.map(item => `${item.name} ${item.amount >= 0 ? '+' : '-'}$${Math.abs(item.amount).toLocaleString()}`).join(', ')} → $${day.balance.toLocaleString()}`)
+
+  return [
+    `- Starting Balance: $${forecast.startingBalance.toLocaleString()}`,
+    ...horizons,
+    `- First Low-Balance Day: ${forecast.firstLowBalanceDate || 'None in the next 90 days'}`,
+    ...(upcoming.length > 0 ? ['- Upcoming scheduled items:', ...upcoming] : [])
+  ].join('\n')
+}
+
+/**
+ * User data sections formatDataForAI puts in a prompt, recorded in the AI audit log
+ */
+export const AI_CONTEXT_DATA_FIELDS = [
+  'balance, income and expense totals',
+  'spending analysis',
+  'budget categories and amounts',
+  'goal titles and progress',
+  'income and savings analysis',
+  'cash-flow forecast (account names, scheduled items)',
+  'sync status',
+  'preferences',
+  'recent transaction descriptions, amounts and categories (5)',
+  'recommendations'
+]
+
 /**
  * Format data for AI consumption
  */
@@ -667,8 +723,8 @@ SPENDING ANALYSIS:
 BUDGET ANALYSIS:
 - Budget Status: ${insights.budgetAnalysis?.hasBudgets ? 'Active budgets set' : 'No budgets configured'}
 - Budget Performance: ${insights.budgetAnalysis?.budgetPerformance || 'Not available'}
-- Total Budget: $${(insights.budgetAnalysis?.totalBudget || 0).toLocaleString()}
-- Total Spent vs Budget: $${(insights.budgetAnalysis?.totalSpent || 0).toLocaleString()} (${(insights.budgetAnalysis?.overallPercentage || 0).toFixed(1)}%)
+- Total Budget (monthly, prorated): $${(insights.budgetAnalysis?.totalBudget || 0).toLocaleString()}
+- Total Spent vs Budget (monthly, prorated): $${(insights.budgetAnalysis?.totalSpent || 0).toLocaleString()} (${(insights.budgetAnalysis?.overallPercentage || 0).toFixed(1)}%)
 - Overspent Categories: ${insights.budgetAnalysis?.overspentCategories?.length || 0}
 - Underspent Categories: ${insights.budgetAnalysis?.underspentCategories?.length || 0}
 ${insights.budgetAnalysis?.overspentCategories?.length > 0 ? 
@@ -713,6 +769,9 @@ SAVINGS ANALYSIS:
 - Monthly Average: $${(insights.savingsAnalysis?.averageMonthly || 0).toLocaleString()}
 - Savings Trend: ${insights.savingsAnalysis?.savingsTrend || 'stable'}
 
+CASH-FLOW FORECAST (${formatForecastAccounts(financialData?.cashFlowForecast)}):
+${formatCashFlowForecast(financialData?.cashFlowForecast)}
+
 TRANSACTION PATTERNS:
 - Most Active Day: ${insights.transactionPatterns?.mostActiveDay || 'None'}
 - Most Active Time: ${insights.transactionPatterns?.mostActiveTime || 'None'}
@@ -0,0 +1,203 @@
+// Goal helpers for RetroVault
+// Progress tracking for goals linked to real accounts or tags, scheduled contributions and pace projections
+
+import { filterTransactionsByAccount, getSignedAmount } from './accounts'
+import { toDate } from './timestampUtils'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Contribution pace is measured over this many recent days
+const PACE_WINDOW_DAYS = 90
+
+// Don't pile up more than this many pending contributions for a long-ignored rule
+const MAX_PENDING_CONTRIBUTIONS = 24
+
+/**
+ * How a goal's progress is tracked
+ */
+export const GOAL_TRACKING_MODES = {
+  manual: { label: 'Manual updates' },
+  account: { label: 'Linked account' },
+  tag: { label: 'Transaction tag' }
+}
+
+const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Get how a goal tracks progress
+ * @param {Object} goal - Goal
+ * @returns {string} Key from GOAL_TRACKING_MODES
+ */
+export const getGoalTrackingMode = (goal) => {
+  if (goal?.linkedAccountId) return 'account'
+  if (goal?.linkedTag) return 'tag'
+  return 'manual'
+}
+
+/**
+ * Date linked tracking starts counting transactions from
+ */
+const getLinkedSince = (goal) => {
+  return toDate(goal.debt?.startDate) || toDate(goal.linkedSince) || toDate(goal.createdAt)
+}
+
+/**
+ * Contributions to a linked goal, taken from matching transactions
+ * Savings accounts count net deposits, debt accounts count payments, tags count every tagged amount.
+ * @param {Object} goal - Goal with linkedAccountId or linkedTag
+ * @param {Array} transactions - User transactions
+ * @param {Array} accounts - User accounts
+ * @returns {Array|null} [{ date, amount, transactionId }], or null when the goal is not linked
+ */
+export const getLinkedContributions = (goal, transactions = [], accounts = []) => {
+  const mode = getGoalTrackingMode(goal)
+  if (mode === 'manual') return null
+
+  const since = getLinkedSince(goal)
+  const tag = String(goal.linkedTag || '').toLowerCase()
+  const matching = mode === 'account'
+    ? filterTransactionsByAccount(transactions, goal.linkedAccountId, accounts)
+    : transactions.filter(transaction => (transaction.tags || []).some(t => String(t).toLowerCase() === tag))
+
+  return matching
+    .map(transaction => ({
+      date: new Date(transaction.date),
+      amount: mode === 'tag' ? Math.abs(Number(transaction.amount) || 0) : getSignedAmount(transaction),
+      transactionId: transaction.id
+    }))
+    .filter(contribution => !isNaN(contribution.date.getTime()) && (!since || contribution.date >= since))
+    .filter(contribution => !goal.debt || contribution.amount > 0)
+}
+
+/**
+ * Current amount for a linked goal: the amount saved when it was linked plus matching contributions since
+ * @param {Object} goal - Goal
+ * @param {Array} transactions - User transactions
+ * @param {Array} accounts - User accounts
+ * @returns {number|null} Current amount (never below zero), or null for manually tracked goals
+ */
+export const calculateLinkedGoalAmount = (goal, transactions = [], accounts = []) => {
+  const contributions = getLinkedContributions(goal, transactions, accounts)
+  if (contributions === null) return null
+
+  const total = (Number(goal.startingAmount) || 0) +
+    contributions.reduce((sum, contribution) => sum + contribution.amount, 0)
+  return Math.max(0, Math.round(total * 100) / 100)
+}
+
+/**
+ * Parse "1, 15" into valid days of the month
+ * @param {string} value - Comma separated days
+ * @returns {Array} Sorted unique days between 1 and 31
+ */
+export const parseContributionDays = (value = '') => {
+  const days = String(value)
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => day >= 1 && day <= 31)
+  return [...new Set(days)].sort((a, b) => a - b)
+}
+
+/**
+ * Dates a contribution rule is due between two dates (inclusive)
+ * Days past the end of a short month fall on its last day.
+ * @param {Object} rule - { amount, daysOfMonth }
+ * @param {Date} from - First date
+ * @param {Date} to - Last date
+ * @returns {Array} Due dates
+ */
+export const getScheduledContributionDates = (rule, from, to) => {
+  const days = rule?.daysOfMonth || []
+  if (days.length === 0 || !from || !to || from > to) return []
+
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate())
+  const dates = []
+  let month = new Date(start.getFullYear(), start.getMonth(), 1)
+
+  while (month <= to) {
+    const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate()
+    const monthDates = [...new Set(days.map(day => Math.min(day, lastDay)))]
+      .map(day => new Date(month.getFullYear(), month.getMonth(), day))
+      .filter(date => date >= start && date <= to)
+    dates.push(...monthDates)
+    month = new Date(month.getFullYear(), month.getMonth() + 1, 1)
+  }
+
+  return dates
+}
+
+/**
+ * Scheduled contributions that are due and not yet applied or skipped
+ * @param {Object} goal - Goal with contributionRule and contributionLog
+ * @param {Object} options - { now }
+ * @returns {Array} [{ key, date, amount }] oldest first
+ */
+export const getPendingContributions = (goal, { now = new Date() } = {}) => {
+  const rule = goal?.contributionRule
+  if (!rule || !(Number(rule.amount) > 0) || goal.isCompleted) return []
+
+  const from = toDate(rule.startDate) || toDate(goal.createdAt)
+  const log = goal.contributionLog || {}
+
+  return getScheduledContributionDates(rule, from, now)
+    .map(date => ({ key: toDateKey(date), date, amount: Number(rule.amount) }))
+    .filter(contribution => !log[contribution.key])
+    .slice(-MAX_PENDING_CONTRIBUTIONS)
+}
+
+/**
+ * Dated contributions a goal has actually received
+ * Linked goals use their matching transactions; manual goals use applied scheduled contributions.
+ */
+const getReceivedContributions = (goal, transactions, accounts) => {
+  const linked = getLinkedContributions(goal, transactions, accounts)
+  if (linked !== null) return linked
+
+  return Object.entries(goal.contributionLog || {})
+    .filter(([, entry]) => entry?.status === 'applied')
+    .map(([key, entry]) => ({ date: new Date(`${key}T00:00:00`), amount: Number(entry.amount) || 0 }))
+}
+
+/**
+ * Project when a goal will be reached from its actual contribution pace
+ * Pace is the average daily contribution over the last 90 days (or since the goal started, if sooner).
+ * @param {Object} goal - Goal
+ * @param {Array} transactions - User transactions
+ * @param {Array} accounts - User accounts
+ * @param {Object} options - { now }
+ * @returns {Object} { monthlyPace, projectedDate, daysAhead, status } where status is
+ *   'completed', 'onTrack', 'behind' or 'stalled'; daysAhead is negative when behind
+ */
+export const projectGoalCompletion = (goal, transactions = [], accounts = [], { now = new Date() } = {}) => {
+  const remaining = (Number(goal.targetAmount) || 0) - (Number(goal.currentAmount) || 0)
+  if (goal.isCompleted || remaining <= 0) {
+    return { monthlyPace: 0, projectedDate: null, daysAhead: null, status: 'completed' }
+  }
+
+  const startedAt = getLinkedSince(goal) || now
+  const windowDays = Math.max(1, Math.min(PACE_WINDOW_DAYS, (now - startedAt) / DAY_MS))
+  const windowStart = new Date(now.getTime() - windowDays * DAY_MS)
+
+  const received = getReceivedContributions(goal, transactions, accounts)
+    .filter(contribution => contribution.date >= windowStart && contribution.date <= now)
+    .reduce((sum, contribution) => sum + contribution.amount, 0)
+  const dailyPace = received / windowDays
+  const monthlyPace = Math.round(dailyPace * 30.44 * 100) / 100
+
+  if (dailyPace <= 0) {
+    return { monthlyPace, projectedDate: null, daysAhead: null, status: 'stalled' }
+  }
+
+  const projectedDate = new Date(now.getTime() + Math.ceil(remaining / dailyPace) * DAY_MS)
+  const targetDate = new Date(goal.targetDate)
+  const daysAhead = isNaN(targetDate.getTime()) ? null : Math.round((targetDate - projectedDate) / DAY_MS)
+
+  return {
+    monthlyPace,
+    projectedDate: projectedDate.toISOString(),
+    daysAhead,
+    status: daysAhead === null || daysAhead >= 0 ? 'onTrack' : 'behind'
+  }
+}
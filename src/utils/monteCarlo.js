@@ -0,0 +1,269 @@
+// Monte Carlo helpers for RetroVault
+// Seeded, reproducible market simulations with per-year percentile bands; pure so it can run in a Web Worker
+
+export const MONTE_CARLO_PERCENTILES = [10, 25, 50, 75, 90]
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so simulations are reproducible.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createSeededRandom = (seed = 1) => {
+  let state = (Number(seed) >>> 0) || 1
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Create a standard normal generator from a uniform one (Box-Muller transform)
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Function} Generator returning standard normal values
+ */
+export const createNormalRandom = (random) => {
+  let spare = null
+  return () => {
+    if (spare !== null) {
+      const value = spare
+      spare = null
+      return value
+    }
+    // 1 - random() keeps u1 in (0, 1] so the log never sees zero
+    const u1 = 1 - random()
+    const u2 = random()
+    const radius = Math.sqrt(-2 * Math.log(u1))
+    spare = radius * Math.sin(2 * Math.PI * u2)
+    return radius * Math.cos(2 * Math.PI * u2)
+  }
+}
+
+/**
+ * Value at a percentile of sorted values (same nearest-rank indexing as the original engine)
+ */
+const percentileOf = (sorted, percent) => {
+  const index = Math.min(sorted.length - 1, Math.floor(sorted.length * (percent / 100)))
+  return sorted[index]
+}
+
+/**
+ * Run a seeded Monte Carlo simulation of a portfolio with monthly contributions
+ * Returns are drawn monthly from a normal distribution; balances are recorded at the end of every year.
+ * @param {Object} params - Simulation inputs
+ * @param {number} params.principal - Starting balance
+ * @param {number} params.monthlyContribution - Monthly savings
+ * @param {number} params.meanReturn - Mean annual return (decimal)
+ * @param {number} params.volatility - Annual volatility (decimal)
+ * @param {number} params.years - Number of years
+ * @param {number} params.simulations - Number of simulated paths
+ * @param {number} params.seed - PRNG seed
+ * @param {number} params.goalAmount - Optional target balance for probability of success
+ * @returns {Object} { median, p10, p25, p75, p90, mean, bands, probabilityOfGoal, goalAmount, simulations, seed }
+ */
+export const runMonteCarlo = ({
+  principal = 0,
+  monthlyContribution = 0,
+  meanReturn = 0.06,
+  volatility = 0.12,
+  years = 30,
+  simulations = 1000,
+  seed = 1,
+  goalAmount = null
+} = {}) => {
+  const normal = createNormalRandom(createSeededRandom(seed))
+  const monthlyReturn = meanReturn / 12
+  const monthlyVolatility = volatility / Math.sqrt(12)
+  const wholeYears = Math.max(1, Math.round(years))
+
+  // yearBalances[year][sim] - typed arrays keep 10k+ paths cheap
+  const yearBalances = Array.from({ length: wholeYears + 1 }, () => new Float64Array(simulations))
+  let reachedGoal = 0
+
+  for (let sim = 0; sim < simulations; sim++) {
+    let balance = principal
+    yearBalances[0][sim] = balance
+
+    for (let year = 1; year <= wholeYears; year++) {
+      for (let month = 0; month < 12; month++) {
+        const randomReturn = normal() * monthlyVolatility + monthlyReturn
+        balance = balance * (1 + randomReturn) + monthlyContribution
+      }
+      yearBalances[year][sim] = balance
+    }
+
+    if (goalAmount !== null && balance >= goalAmount) reachedGoal++
+  }
+
+  const bands = yearBalances.map((balances, year) => {
+    const sorted = balances.slice().sort()
+    return {
+      year,
+      ...Object.fromEntries(MONTE_CARLO_PERCENTILES.map(percent => [`p${percent}`, Math.round(percentileOf(sorted, percent))]))
+    }
+  })
+
+  const finalBalances = yearBalances[wholeYears]
+  const final = bands[wholeYears]
+  const mean = finalBalances.reduce((sum, value) => sum + value, 0) / simulations
+
+  return {
+    median: final.p50,
+    p10: final.p10,
+    p25: final.p25,
+    p75: final.p75,
+    p90: final.p90,
+    mean: Math.round(mean),
+    bands,
+    probabilityOfGoal: goalAmount !== null ? reachedGoal / simulations : null,
+    goalAmount,
+    simulations,
+    seed
+  }
+}
+
+/**
+ * Retirement withdrawal strategies
+ * Each sets the year's spending; income streams cover part of it and the portfolio pays the rest.
+ */
+export const WITHDRAWAL_STRATEGIES = {
+  fixed: { label: 'Fixed amount', description: 'Withdrawal rate × starting balance, the same dollars every year' },
+  inflationAdjusted: { label: 'Inflation-adjusted', description: 'Starts at the withdrawal rate and rises with inflation' },
+  guardrails: { label: 'Guardrails', description: 'Inflation-adjusted, cut 10% when withdrawals run 20% high, raised 10% when 20% low' }
+}
+
+// Guardrails: how far the current withdrawal rate may drift before spending changes, and by how much
+const GUARDRAIL_BAND = 0.2
+const GUARDRAIL_ADJUSTMENT = 0.1
+
+/**
+ * Simulate one lifetime: save until retirement, then withdraw until life expectancy
+ * @param {Object} params - { currentAge, retirementAge, lifeExpectancy, principal, monthlyContribution, inflation,
+ *   strategy, withdrawalRate, incomeStreams: [{ name, annualAmount, startAge, inflationAdjusted }] } with
+ *   income stream amounts in today's dollars
+ * @param {Function} nextMonthlyReturn - Returns the next month's portfolio return
+ * @param {Function} onYear - Optional callback with { age, balance, spending, income, withdrawal } at the end of each year
+ * @returns {Object} { balance, depletionAge } where depletionAge is null if the money lasts
+ */
+export const simulateLifetime = (params, nextMonthlyReturn, onYear) => {
+  const {
+    currentAge,
+    retirementAge,
+    lifeExpectancy,
+    principal = 0,
+    monthlyContribution = 0,
+    inflation = 0.025,
+    strategy = 'inflationAdjusted',
+    withdrawalRate = 0.04,
+    incomeStreams = []
+  } = params
+
+  let balance = principal
+  let spending = null
+  let depletionAge = null
+
+  for (let age = currentAge; age < lifeExpectancy; age++) {
+    const isRetired = age >= retirementAge
+    let income = 0
+    let withdrawal = 0
+
+    if (isRetired) {
+      if (spending === null) {
+        spending = Math.max(0, balance) * withdrawalRate
+      } else if (strategy !== 'fixed') {
+        spending *= 1 + inflation
+        if (strategy === 'guardrails' && balance > 0) {
+          const currentRate = spending / balance
+          if (currentRate > withdrawalRate * (1 + GUARDRAIL_BAND)) {
+            spending *= 1 - GUARDRAIL_ADJUSTMENT
+          } else if (currentRate < withdrawalRate * (1 - GUARDRAIL_BAND)) {
+            spending *= 1 + GUARDRAIL_ADJUSTMENT
+          }
+        }
+      }
+
+      income = incomeStreams
+        .filter(stream => age >= stream.startAge)
+        .reduce((sum, stream) => {
+          const growth = stream.inflationAdjusted === false ? 1 : Math.pow(1 + inflation, age - currentAge)
+          return sum + (Number(stream.annualAmount) || 0) * growth
+        }, 0)
+      withdrawal = Math.max(0, spending - income)
+    }
+
+    for (let month = 0; month < 12; month++) {
+      const monthlyReturn = nextMonthlyReturn()
+      balance = isRetired
+        ? Math.max(0, balance * (1 + monthlyReturn) - withdrawal / 12)
+        : balance * (1 + monthlyReturn) + monthlyContribution
+    }
+
+    if (isRetired && withdrawal > 0 && balance <= 0 && depletionAge === null) {
+      depletionAge = age + 1
+    }
+
+    onYear?.({ age: age + 1, balance, spending: spending || 0, income, withdrawal })
+  }
+
+  return { balance, depletionAge }
+}
+
+/**
+ * Monte Carlo of a full lifetime: the probability the money lasts to life expectancy,
+ * per-age balance bands and the age the portfolio runs out in bad-case percentiles
+ * @param {Object} params - simulateLifetime params plus { meanReturn, volatility, simulations, seed }
+ * @returns {Object} { probabilityMoneyLasts, bands, depletionAges, medianEndingBalance, simulations, seed }
+ *   where depletionAges.p10/p25/p50 is the first age that percentile hits zero (null if it never does)
+ */
+export const runRetirementMonteCarlo = ({
+  meanReturn = 0.06,
+  volatility = 0.12,
+  simulations = 1000,
+  seed = 1,
+  ...params
+} = {}) => {
+  const normal = createNormalRandom(createSeededRandom(seed))
+  const monthlyReturn = meanReturn / 12
+  const monthlyVolatility = volatility / Math.sqrt(12)
+  const nextMonthlyReturn = () => normal() * monthlyVolatility + monthlyReturn
+  const years = Math.max(1, params.lifeExpectancy - params.currentAge)
+
+  const yearBalances = Array.from({ length: years + 1 }, () => new Float64Array(simulations))
+  let lasted = 0
+
+  for (let sim = 0; sim < simulations; sim++) {
+    yearBalances[0][sim] = params.principal || 0
+    let year = 0
+    const { depletionAge } = simulateLifetime(params, nextMonthlyReturn, ({ balance }) => {
+      year++
+      yearBalances[year][sim] = balance
+    })
+    if (depletionAge === null) lasted++
+  }
+
+  const bands = yearBalances.map((balances, year) => {
+    const sorted = balances.slice().sort()
+    return {
+      age: params.currentAge + year,
+      ...Object.fromEntries(MONTE_CARLO_PERCENTILES.map(percent => [`p${percent}`, Math.round(percentileOf(sorted, percent))]))
+    }
+  })
+
+  const depletionAgeFor = (key) => bands.find(band => band.age > params.retirementAge && band[key] <= 0)?.age ?? null
+
+  return {
+    probabilityMoneyLasts: lasted / simulations,
+    bands,
+    depletionAges: {
+      p10: depletionAgeFor('p10'),
+      p25: depletionAgeFor('p25'),
+      p50: depletionAgeFor('p50')
+    },
+    medianEndingBalance: bands[bands.length - 1].p50,
+    simulations,
+    seed
+  }
+}
@@ -0,0 +1,163 @@
+// Notification helpers for RetroVault
+// Turns budget, transaction, goal, cash-flow and sync state into alerts; each alert has a dedupeKey so it is raised only once
+
+export const NOTIFICATION_TYPES = {
+  budget: { label: 'Budget', icon: '💰' },
+  largeTransaction: { label: 'Large Transaction', icon: '💸' },
+  goalDeadline: { label: 'Goal Deadline', icon: '🎯' },
+  lowBalance: { label: 'Cash Flow', icon: '📉' },
+  syncFailure: { label: 'Sync', icon: '🔄' }
+}
+
+/**
+ * Sound cue played when an alert of each severity arrives
+ */
+export const NOTIFICATION_SOUNDS = {
+  info: 'logon',
+  warning: 'minorError',
+  critical: 'error'
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Budget usage thresholds (percent), highest first
+const BUDGET_THRESHOLDS = [
+  { percent: 100, severity: 'critical' },
+  { percent: 80, severity: 'warning' }
+]
+
+// Only flag large transactions that landed recently, not years of history on first run
+const LARGE_TRANSACTION_WINDOW_DAYS = 7
+
+// Days before a goal's target date to warn, furthest first
+const GOAL_DEADLINE_WINDOWS = [
+  { days: 30, severity: 'info' },
+  { days: 7, severity: 'warning' }
+]
+
+/**
+ * Budget alerts for categories at 80% or 100% of their current period
+ * @param {Array} budgetSummary - financialData.budgetSummary entries
+ * @returns {Array} Alerts
+ */
+export const buildBudgetAlerts = (budgetSummary = []) => {
+  const alerts = []
+
+  budgetSummary.forEach(budget => {
+    if (!(budget.limit > 0)) return
+    const threshold = BUDGET_THRESHOLDS.find(t => budget.percentage >= t.percent)
+    if (!threshold) return
+
+    alerts.push({
+      type: 'budget',
+      severity: threshold.severity,
+      dedupeKey: `budget:${budget.category}:${budget.periodKey}:${threshold.percent}`,
+      title: threshold.percent >= 100 ? `${budget.category} is over budget` : `${budget.category} is at ${threshold.percent}% of budget`,
+      message: `$${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} spent (${budget.periodLabel})`
+    })
+  })
+
+  return alerts
+}
+
+/**
+ * Alerts for unusually large recent transactions
+ * @param {Array} unusualSpending - unusualSpending from analyzeSpendingPatterns
+ * @param {Object} options - { now }
+ * @returns {Array} Alerts
+ */
+export const buildLargeTransactionAlerts = (unusualSpending = [], { now = new Date() } = {}) => {
+  return unusualSpending
+    .filter(transaction => {
+      const date = new Date(transaction.date)
+      return transaction.id && !isNaN(date.getTime()) && now - date <= LARGE_TRANSACTION_WINDOW_DAYS * DAY_MS
+    })
+    .map(transaction => ({
+      type: 'largeTransaction',
+      severity: 'warning',
+      dedupeKey: `large:${transaction.id}`,
+      title: `Large transaction: $${Math.abs(Number(transaction.amount) || 0).toFixed(2)}`,
+      message: `${transaction.description || 'Transaction'} (${transaction.category || 'Other'}) is well above your usual spending`
+    }))
+}
+
+/**
+ * Alerts for open goals whose target date is close or has passed
+ * @param {Array} goals - User goals
+ * @param {Object} options - { now }
+ * @returns {Array} Alerts
+ */
+export const buildGoalDeadlineAlerts = (goals = [], { now = new Date() } = {}) => {
+  const alerts = []
+
+  goals.forEach(goal => {
+    const targetDate = new Date(goal.targetDate)
+    const remaining = (Number(goal.targetAmount) || 0) - (Number(goal.currentAmount) || 0)
+    if (goal.isCompleted || remaining <= 0 || isNaN(targetDate.getTime())) return
+
+    const daysLeft = Math.ceil((targetDate - now) / DAY_MS)
+    if (daysLeft < 0) {
+      alerts.push({
+        type: 'goalDeadline',
+        severity: 'critical',
+        dedupeKey: `goal:${goal.id}:overdue`,
+        title: `${goal.title} missed its target date`,
+        message: `$${remaining.toFixed(2)} still to go. Consider moving the date or raising contributions.`
+      })
+      return
+    }
+
+    const window = [...GOAL_DEADLINE_WINDOWS].reverse().find(w => daysLeft <= w.days)
+    if (!window) return
+
+    alerts.push({
+      type: 'goalDeadline',
+      severity: window.severity,
+      dedupeKey: `goal:${goal.id}:${window.days}`,
+      title: `${goal.title} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+      message: `$${remaining.toFixed(2)} still needed by ${targetDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    })
+  })
+
+  return alerts
+}
+
+/**
+ * Alert for the first day the cash-flow forecast dips below the low-balance threshold
+ * Critical when the balance is projected to go negative, a warning otherwise.
+ * @param {Object} forecast - Result of buildCashFlowForecast
+ * @returns {Array} Alerts (at most one)
+ */
+export const buildLowBalanceAlerts = (forecast) => {
+  if (!forecast?.firstLowBalanceDate) return []
+
+  const formatDay = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  const firstNegative = forecast.days.find(day => day.balance < 0)
+  const flagged = firstNegative || forecast.days.find(day => day.date === forecast.firstLowBalanceDate)
+  const accountNames = forecast.accounts.map(account => account.name).join(', ') || 'Your balance'
+
+  return [{
+    type: 'lowBalance',
+    severity: firstNegative ? 'critical' : 'warning',
+    dedupeKey: `lowBalance:${flagged.date}:${firstNegative ? 'negative' : forecast.threshold}`,
+    title: firstNegative
+      ? `${accountNames} may go negative on ${formatDay(flagged.date)}`
+      : `${accountNames} may drop below $${forecast.threshold} on ${formatDay(flagged.date)}`,
+    message: `Projected low of $${forecast.lowestBalance.toFixed(2)} on ${formatDay(forecast.lowestBalanceDate)} in the next ${forecast.days.length} days`
+  }]
+}
+
+/**
+ * Alert for a failed sync
+ * @param {string} source - What was syncing ("Nessie", "Force sync")
+ * @param {Error|string} error - Failure
+ * @param {Object} options - { now }
+ * @returns {Object} Alert
+ */
+export const buildSyncFailureAlert = (source, error, { now = new Date() } = {}) => ({
+  type: 'syncFailure',
+  severity: 'critical',
+  dedupeKey: `sync:${now.getTime()}`,
+  title: `${source} sync failed`,
+  message: error?.message || String(error || 'Unknown error')
+})
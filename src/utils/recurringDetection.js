@@ -0,0 +1,226 @@
+// Recurring transaction detection for RetroVault
+// Finds subscriptions and bills (same merchant, similar amount, regular interval) and projects upcoming charges
+
+import { expandSplitTransactions } from './splitTransactions.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Supported recurrence intervals
+ * days is the nominal gap; tolerance is how far a single gap may drift and still count
+ */
+export const RECURRING_INTERVALS = {
+  weekly: { label: 'Weekly', days: 7, tolerance: 2, minOccurrences: 3 },
+  biweekly: { label: 'Every 2 Weeks', days: 14, tolerance: 3, minOccurrences: 3 },
+  monthly: { label: 'Monthly', days: 30.44, tolerance: 5, minOccurrences: 3 },
+  annual: { label: 'Annual', days: 365.25, tolerance: 20, minOccurrences: 2 }
+}
+
+/**
+ * User review states for a detected series
+ */
+export const RECURRING_STATUSES = {
+  detected: 'detected',
+  confirmed: 'confirmed',
+  ignored: 'ignored',
+  cancelled: 'cancelled'
+}
+
+// Amounts within this share of the series median count as "the same charge"
+const AMOUNT_TOLERANCE = 0.2
+
+// Flag a price change when the latest charge moves this much from the previous one
+const PRICE_CHANGE_THRESHOLD = 0.02
+
+/**
+ * Reduce a merchant/description to a stable grouping key
+ * Strips card numbers, reference ids and punctuation so "NETFLIX.COM 8842" and "Netflix.com #1193" group together.
+ * @param {string} text - Merchant or description
+ * @returns {string} Normalized key
+ */
+export const normalizeMerchant = (text = '') => {
+  return String(text)
+    .toLowerCase()
+    .replace(/\.(com|net|org|io)\b/g, '')
+    .replace(/[#*]?\d[\d-]*/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Turn a normalized merchant key back into a display name ("netflix" -> "Netflix")
+ */
+const toDisplayName = (merchantKey) => merchantKey.replace(/\b[a-z]/g, letter => letter.toUpperCase())
+
+/**
+ * Advance a date by one recurrence interval
+ * Monthly and annual intervals keep the day of month (clamped to the month's length).
+ * @param {Date} date - Start date
+ * @param {string} interval - Interval key
+ * @returns {Date} Next date
+ */
+export const advanceByInterval = (date, interval) => {
+  const next = new Date(date)
+  if (interval === 'monthly' || interval === 'annual') {
+    const day = next.getDate()
+    next.setDate(1)
+    if (interval === 'monthly') {
+      next.setMonth(next.getMonth() + 1)
+    } else {
+      next.setFullYear(next.getFullYear() + 1)
+    }
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()
+    next.setDate(Math.min(day, lastDay))
+    return next
+  }
+  next.setDate(next.getDate() + RECURRING_INTERVALS[interval].days)
+  return next
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Match a list of day gaps to a recurrence interval
+ * @param {Array<number>} gaps - Days between consecutive charges
+ * @returns {string|null} Interval key, or null when the gaps are irregular
+ */
+const classifyInterval = (gaps) => {
+  if (gaps.length === 0) return null
+  const typicalGap = median(gaps)
+
+  const match = Object.entries(RECURRING_INTERVALS).find(([, interval]) =>
+    Math.abs(typicalGap - interval.days) <= interval.tolerance
+  )
+  if (!match) return null
+
+  const [key, interval] = match
+  // Most gaps have to fit, so one skipped or doubled month does not break a series
+  const regularGaps = gaps.filter(gap => Math.abs(gap - interval.days) <= interval.tolerance)
+  return regularGaps.length / gaps.length >= 0.75 ? key : null
+}
+
+/**
+ * Detect recurring series in a transaction list
+ * @param {Array} transactions - Transactions (any order)
+ * @param {Object} options - { now } reference date for next-expected calculations
+ * @returns {Array} Series sorted by next expected date
+ */
+export const detectRecurringSeries = (transactions = [], { now = new Date() } = {}) => {
+  const groups = {}
+
+  expandSplitTransactions(transactions.filter(Boolean)).forEach(transaction => {
+    if (transaction.type !== 'expense' && transaction.type !== 'withdrawal' && transaction.type !== 'income') return
+    const key = normalizeMerchant(transaction.merchant || transaction.description)
+    const date = new Date(transaction.date)
+    if (!key || isNaN(date.getTime())) return
+
+    const groupKey = `${transaction.type === 'income' ? 'income' : 'expense'}:${key}`
+    if (!groups[groupKey]) groups[groupKey] = []
+    groups[groupKey].push({ ...transaction, amount: Math.abs(Number(transaction.amount) || 0), parsedDate: date })
+  })
+
+  const series = []
+
+  Object.entries(groups).forEach(([groupKey, group]) => {
+    if (group.length < 2) return
+
+    // Drop one-off purchases at the same merchant that are far from the usual charge
+    const typicalAmount = median(group.map(t => t.amount))
+    const charges = group
+      .filter(t => Math.abs(t.amount - typicalAmount) <= typicalAmount * AMOUNT_TOLERANCE)
+      .sort((a, b) => a.parsedDate - b.parsedDate)
+
+    const gaps = charges.slice(1).map((t, i) => (t.parsedDate - charges[i].parsedDate) / DAY_MS)
+    const interval = classifyInterval(gaps)
+    if (!interval || charges.length < RECURRING_INTERVALS[interval].minOccurrences) return
+
+    const last = charges[charges.length - 1]
+    const previous = charges[charges.length - 2]
+    const amountChange = last.amount - previous.amount
+
+    let nextExpectedDate = advanceByInterval(last.parsedDate, interval)
+    while (nextExpectedDate < now && now - nextExpectedDate > RECURRING_INTERVALS[interval].tolerance * DAY_MS) {
+      nextExpectedDate = advanceByInterval(nextExpectedDate, interval)
+    }
+
+    series.push({
+      key: groupKey,
+      name: toDisplayName(groupKey.slice(groupKey.indexOf(':') + 1)),
+      category: last.category || 'Other',
+      type: last.type === 'income' ? 'income' : 'expense',
+      accountId: last.accountId || null,
+      interval,
+      averageAmount: charges.reduce((sum, t) => sum + t.amount, 0) / charges.length,
+      lastAmount: last.amount,
+      previousAmount: previous.amount,
+      amountChange,
+      amountChangePercent: previous.amount > 0 ? (amountChange / previous.amount) * 100 : 0,
+      priceChanged: previous.amount > 0 && Math.abs(amountChange) / previous.amount >= PRICE_CHANGE_THRESHOLD,
+      occurrences: charges.length,
+      firstDate: charges[0].parsedDate.toISOString(),
+      lastDate: last.parsedDate.toISOString(),
+      nextExpectedDate: nextExpectedDate.toISOString(),
+      transactionIds: charges.map(t => t.splitParentId || t.id).filter(Boolean)
+    })
+  })
+
+  return series.sort((a, b) => new Date(a.nextExpectedDate) - new Date(b.nextExpectedDate))
+}
+
+/**
+ * Attach the user's review status to detected series
+ * Cancelled series that keep charging are flagged so the user can chase the merchant.
+ * @param {Array} series - Detected series
+ * @param {Object} statuses - Map of series key -> { status, updatedAt }
+ * @returns {Array} Series with status and chargedAfterCancel
+ */
+export const applySeriesStatuses = (series = [], statuses = {}) => {
+  return series.map(item => {
+    const saved = statuses[item.key]
+    const status = saved?.status || RECURRING_STATUSES.detected
+    const cancelledAt = status === RECURRING_STATUSES.cancelled && saved.updatedAt ? new Date(saved.updatedAt) : null
+    return {
+      ...item,
+      status,
+      cancelledAt: cancelledAt ? cancelledAt.toISOString() : null,
+      chargedAfterCancel: Boolean(cancelledAt) && new Date(item.lastDate) > cancelledAt
+    }
+  })
+}
+
+/**
+ * Project upcoming charges for confirmed series
+ * @param {Array} series - Series with statuses applied
+ * @param {Object} options - { days, now, statuses } projection window and which review states to include
+ * @returns {Array} [{ key, name, amount, dueDate, category, type, interval, accountId }] sorted by due date
+ */
+export const projectUpcomingBills = (series = [], { days = 30, now = new Date(), statuses = [RECURRING_STATUSES.confirmed] } = {}) => {
+  const end = new Date(now.getTime() + days * DAY_MS)
+  const bills = []
+
+  series
+    .filter(item => statuses.includes(item.status))
+    .forEach(item => {
+      let dueDate = new Date(item.nextExpectedDate)
+      while (dueDate <= end) {
+        bills.push({
+          key: item.key,
+          name: item.name,
+          amount: item.averageAmount,
+          dueDate: dueDate.toISOString(),
+          category: item.category,
+          type: item.type,
+          interval: item.interval,
+          accountId: item.accountId
+        })
+        dueDate = advanceByInterval(dueDate, item.interval)
+      }
+    })
+
+  return bills.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+}
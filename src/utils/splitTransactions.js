@@ -0,0 +1,109 @@
+// Split transaction helpers for RetroVault
+// A split transaction keeps one parent amount and spreads it over N category allocations
+
+// Allocations are entered in cents, so anything below half a cent is rounding noise
+const SPLIT_TOLERANCE = 0.005
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+/**
+ * Check whether a transaction carries split allocations
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} True when split
+ */
+export const isSplitTransaction = (transaction) => {
+  return Array.isArray(transaction?.splits) && transaction.splits.length > 0
+}
+
+/**
+ * Normalize raw allocations from a form or import
+ * @param {Array} splits - [{ category, amount, note }]
+ * @returns {Array} Allocations with numeric, rounded amounts and trimmed notes
+ */
+export const normalizeSplits = (splits = []) => {
+  return splits.map(split => ({
+    category: split.category || 'Other',
+    amount: toCents(split.amount),
+    note: split.note?.trim() || null
+  }))
+}
+
+/**
+ * Get the amount not yet allocated
+ * @param {number} amount - Parent transaction amount
+ * @param {Array} splits - Allocations
+ * @returns {number} Parent amount minus the allocation total
+ */
+export const getUnallocatedAmount = (amount, splits = []) => {
+  const allocated = splits.reduce((sum, split) => sum + (Number(split.amount) || 0), 0)
+  return toCents((Number(amount) || 0) - allocated)
+}
+
+/**
+ * Validate split allocations against the parent amount
+ * @param {number} amount - Parent transaction amount
+ * @param {Array} splits - Allocations
+ * @returns {Object} { isValid, errors }
+ */
+export const validateSplits = (amount, splits = []) => {
+  const errors = []
+
+  if (splits.length < 2) {
+    errors.push('A split needs at least two allocations')
+  }
+
+  splits.forEach((split, index) => {
+    if (!split.category) {
+      errors.push(`Allocation ${index + 1} needs a category`)
+    }
+    if (!(Number(split.amount) > 0)) {
+      errors.push(`Allocation ${index + 1} amount must be greater than 0`)
+    }
+  })
+
+  const unallocated = getUnallocatedAmount(amount, splits)
+  if (Math.abs(unallocated) >= SPLIT_TOLERANCE) {
+    errors.push(`Allocations must sum to the transaction amount (${unallocated > 0 ? 'short' : 'over'} by $${Math.abs(unallocated).toFixed(2)})`)
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Pick the category a split parent is filed under (its largest allocation)
+ * @param {Array} splits - Allocations
+ * @returns {string} Category name
+ */
+export const getPrimarySplitCategory = (splits = []) => {
+  if (splits.length === 0) return 'Other'
+  return splits.reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category
+}
+
+/**
+ * Replace split transactions with one entry per allocation, for category totals
+ * Non-split transactions pass through unchanged.
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Transactions with splits expanded ({ ...parent, category, amount, splitNote, splitParentId })
+ */
+export const expandSplitTransactions = (transactions = []) => {
+  return transactions.flatMap(transaction => {
+    if (!isSplitTransaction(transaction)) return [transaction]
+    return transaction.splits.map((split, index) => ({
+      ...transaction,
+      id: transaction.id ? `${transaction.id}:${index}` : undefined,
+      category: split.category,
+      amount: Number(split.amount) || 0,
+      splitNote: split.note || null,
+      splitParentId: transaction.id || null,
+      splits: undefined
+    }))
+  })
+}
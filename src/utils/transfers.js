@@ -0,0 +1,35 @@
+// Transfer helpers for RetroVault
+// A transfer is a linked pair of 'transfer' transactions: an outgoing leg on one account and an incoming leg on another
+
+export const TRANSFER_CATEGORY = 'Transfer'
+
+/**
+ * Check whether a transaction is one leg of a transfer
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} True for transfer legs
+ */
+export const isTransferTransaction = (transaction) => transaction?.type === 'transfer'
+
+/**
+ * Drop transfer legs so money moving between the user's own accounts
+ * does not count as income, spending or savings
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Transactions without transfers
+ */
+export const excludeTransfers = (transactions = []) => {
+  return transactions.filter(transaction => !isTransferTransaction(transaction))
+}
+
+/**
+ * Describe a transfer leg for lists ("Checking → Savings")
+ * @param {Object} transaction - Transfer leg
+ * @param {Array} accounts - User accounts
+ * @returns {string} Direction label
+ */
+export const describeTransfer = (transaction, accounts = []) => {
+  const accountName = (accountId) => accounts.find(account => account.id === accountId)?.name || 'Unknown account'
+  const [fromId, toId] = transaction.transferDirection === 'in'
+    ? [transaction.counterpartyAccountId, transaction.accountId]
+    : [transaction.accountId, transaction.counterpartyAccountId]
+  return `${accountName(fromId)} → ${accountName(toId)}`
+}
@@ -0,0 +1,18 @@
+// Monte Carlo Web Worker
+// Runs simulations off the main thread so the Time Machine stays responsive at 10k+ paths
+
+import { runMonteCarlo, runRetirementMonteCarlo } from '../utils/monteCarlo'
+
+const SIMULATIONS = {
+  accumulation: runMonteCarlo,
+  retirement: runRetirementMonteCarlo
+}
+
+self.onmessage = (event) => {
+  try {
+    const { kind = 'accumulation', params } = event.data
+    self.postMessage({ result: SIMULATIONS[kind](params) })
+  } catch (error) {
+    self.postMessage({ error: error.message })
+  }
+}